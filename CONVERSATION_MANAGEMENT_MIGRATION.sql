@@ -0,0 +1,42 @@
+-- ============================================
+-- CATALYST COPILOT - CONVERSATION MANAGEMENT MIGRATION
+-- ============================================
+-- Pin / archive / message search support for databases created before it.
+-- Safe to re-run. Run after USER_AUTH_SCHEMA.sql, which drops conversation_summaries.
+
+-- ============================================
+-- CONVERSATIONS: PIN & ARCHIVE
+-- ============================================
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS pinned BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS archived BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN conversations.pinned IS 'Pinned conversations list first';
+COMMENT ON COLUMN conversations.archived IS 'Hidden from the default list';
+
+-- ============================================
+-- MESSAGES: FULL-TEXT SEARCH
+-- ============================================
+-- Matches textSearch('content', ..., { config: 'english' }) in ConversationManager.searchMessages
+CREATE INDEX IF NOT EXISTS idx_messages_content_search ON messages USING GIN (to_tsvector('english', content));
+
+-- ============================================
+-- VIEWS
+-- ============================================
+-- Rebuilt so GET /conversations can filter on archived and order on pinned
+DROP VIEW IF EXISTS conversation_summaries;
+CREATE VIEW conversation_summaries AS
+SELECT 
+  c.id,
+  c.user_id,
+  c.title,
+  c.created_at,
+  c.updated_at,
+  c.metadata,
+  c.pinned,
+  c.archived,
+  COUNT(m.id) AS message_count,
+  MAX(m.created_at) AS last_message_at
+FROM conversations c
+LEFT JOIN messages m ON c.id = m.conversation_id
+GROUP BY c.id, c.user_id, c.title, c.created_at, c.updated_at, c.metadata, c.pinned, c.archived;
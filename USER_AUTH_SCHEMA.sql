@@ -169,7 +169,7 @@ CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at DESC);
 -- UPDATE EXISTING TABLES TO REFERENCE USERS
 -- ============================================
 
--- Drop conversation_summaries view if it exists (will be recreated later)
+-- Drop conversation_summaries view if it exists (recreated by CONVERSATION_MANAGEMENT_MIGRATION.sql)
 DROP VIEW IF EXISTS conversation_summaries CASCADE;
 
 -- Update conversations table to reference users table
@@ -12,6 +12,7 @@ const corsOptions = require('./config/cors');
 // Import API routes only (no AI/chat routes)
 const priceTargetsRoutes = require('./routes/price-targets.routes');
 const quoteRoutes = require('./routes/quote.routes');
+const ownershipRoutes = require('./routes/ownership.routes');
 
 // Initialize Express app
 const app = express();
@@ -24,6 +25,7 @@ app.use(express.json());
 // Mount API routes
 app.use('/api/price-targets', priceTargetsRoutes);
 app.use('/api/quote', quoteRoutes);
+app.use('/api/ownership', ownershipRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -44,7 +46,10 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       priceTargets: '/api/price-targets/:symbol',
-      quote: '/api/quote/:symbol'
+      priceTargetConsensus: '/api/price-targets/:symbol/consensus',
+      priceTargetHistory: '/api/price-targets/:symbol/history',
+      quote: '/api/quote/:symbol',
+      ownershipChanges: '/api/ownership/:symbol/changes'
     }
   });
 });
@@ -11,15 +11,23 @@ import {
   Edit2,
   Check,
   XCircle,
+  ShieldCheck,
+  AlertTriangle,
 } from "lucide-react";
 import { Card } from "../ui/card";
 import { Badge } from "../ui/badge";
 import { Button } from "../ui/button";
 import { MarketEvent } from "../../utils/supabase/events-api";
 import {
+  Citation,
+  ConfidenceAssessment,
   DataCard,
+  FollowUpSuggestion,
+  SourceFreshness,
   ThinkingStep,
+  VerificationResult,
   ContentBlock as StreamBlock,
+  citationHref,
 } from "./lib/StreamBlockTypes";
 import MarkdownText from "./MarkdownText";
 import InlineChartCard from "./InlineChartCard";
@@ -39,6 +47,11 @@ interface Message {
   contentBlocks?: StreamBlock[]; // Pre-processed blocks from streaming (charts, articles, etc.)
   dataCards?: DataCard[];
   eventData?: Record<string, any>;
+  followUps?: FollowUpSuggestion[]; // Suggested next questions (follow_ups event)
+  confidence?: ConfidenceAssessment | null; // Source count, freshness and coverage (metadata/done events)
+  sourceFreshness?: SourceFreshness[];
+  citations?: Citation[]; // Cited sources in footnote order (citation/done events)
+  verification?: VerificationResult | null; // Numeric fact check of the response (verification event)
   timestamp: Date;
   thinkingSteps?: ThinkingStep[];
   thinkingDuration?: number; // Duration in seconds
@@ -376,6 +389,9 @@ export function CatalystCopilot({
   const [streamingDataCards, setStreamingDataCards] = useState<
     DataCard[]
   >([]);
+  const [streamingCitations, setStreamingCitations] = useState<
+    Citation[]
+  >([]);
 
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const latestMessageRef = useRef<HTMLDivElement>(null);
@@ -625,6 +641,7 @@ export function CatalystCopilot({
     setThinkingSteps([]);
     setStreamedBlocks([]);
     setStreamingDataCards([]);
+    setStreamingCitations([]);
 
     contentBufferRef.current = "";
     if (contentFlushTimeoutRef.current) {
@@ -674,6 +691,11 @@ export function CatalystCopilot({
       let collectedBlocks: StreamBlock[] = [];
       let collectedDataCards: DataCard[] = [];
       let eventData: Record<string, any> = {};
+      let collectedFollowUps: FollowUpSuggestion[] = [];
+      let confidence: ConfidenceAssessment | null = null;
+      let sourceFreshness: SourceFreshness[] = [];
+      let collectedCitations: Citation[] = [];
+      let verification: VerificationResult | null = null;
       let thinkingStartTime: number | null = null;
       let blockIdCounter = 0;
       let hasReprocessedForMetadata = false;
@@ -811,6 +833,11 @@ export function CatalystCopilot({
                 if (data.eventData) {
                   eventData = data.eventData;
                 }
+                if (data.intelligence) {
+                  confidence = data.intelligence.confidence || null;
+                  sourceFreshness =
+                    data.intelligence.sourceFreshness || [];
+                }
                 break;
 
               case "thinking":
@@ -954,12 +981,41 @@ export function CatalystCopilot({
                 setStreamedBlocks((prev) => [...prev, hrBlock]);
                 break;
 
+              case "citation":
+                if (
+                  data.citation &&
+                  !collectedCitations.some(
+                    (c) => c.id === data.citationId,
+                  )
+                ) {
+                  collectedCitations = [
+                    ...collectedCitations,
+                    { ...data.citation, number: data.number },
+                  ];
+                  setStreamingCitations(collectedCitations);
+                }
+                break;
+
+              case "verification":
+                verification = data.verification || null;
+                break;
+
+              case "follow_ups":
+                if (Array.isArray(data.followUps)) {
+                  collectedFollowUps = data.followUps;
+                }
+                break;
+
               case "done":
                 if (contentFlushTimeoutRef.current) {
                   clearTimeout(contentFlushTimeoutRef.current);
                   contentFlushTimeoutRef.current = null;
                 }
                 processContentBuffer(true);
+                if (data.confidence) confidence = data.confidence;
+                if (Array.isArray(data.citations)) {
+                  collectedCitations = data.citations;
+                }
 
                 const thinkingDuration = thinkingStartTime
                   ? Math.round(
@@ -974,6 +1030,11 @@ export function CatalystCopilot({
                   contentBlocks: collectedBlocks,
                   dataCards: collectedDataCards,
                   eventData: eventData,
+                  followUps: collectedFollowUps,
+                  confidence: confidence,
+                  sourceFreshness: sourceFreshness,
+                  citations: collectedCitations,
+                  verification: verification,
                   thinkingSteps: collectedThinking,
                   thinkingDuration: thinkingDuration,
                   timestamp: new Date(),
@@ -983,6 +1044,7 @@ export function CatalystCopilot({
                 setThinkingSteps([]);
                 setStreamedBlocks([]);
                 setStreamingDataCards([]);
+                setStreamingCitations([]);
                 break;
             }
           }
@@ -1090,6 +1152,7 @@ export function CatalystCopilot({
     setThinkingSteps([]);
     setStreamedBlocks([]);
     setStreamingDataCards([]);
+    setStreamingCitations([]);
 
     contentBufferRef.current = "";
     if (contentFlushTimeoutRef.current) {
@@ -1134,6 +1197,11 @@ export function CatalystCopilot({
       let collectedBlocks: StreamBlock[] = [];
       let collectedDataCards: DataCard[] = [];
       let eventData: Record<string, any> = {};
+      let collectedFollowUps: FollowUpSuggestion[] = [];
+      let confidence: ConfidenceAssessment | null = null;
+      let sourceFreshness: SourceFreshness[] = [];
+      let collectedCitations: Citation[] = [];
+      let verification: VerificationResult | null = null;
       let thinkingStartTime: number | null = null;
       let editBlockIdCounter = 0;
       let hasReprocessedEditForMetadata = false;
@@ -1246,6 +1314,11 @@ export function CatalystCopilot({
                   hasReprocessedEditForMetadata = true;
                 }
                 if (data.eventData) eventData = data.eventData;
+                if (data.intelligence) {
+                  confidence = data.intelligence.confidence || null;
+                  sourceFreshness =
+                    data.intelligence.sourceFreshness || [];
+                }
                 break;
               case "thinking":
                 if (thinkingStartTime === null)
@@ -1381,12 +1454,38 @@ export function CatalystCopilot({
                   editHrBlock,
                 ]);
                 break;
+              case "citation":
+                if (
+                  data.citation &&
+                  !collectedCitations.some(
+                    (c) => c.id === data.citationId,
+                  )
+                ) {
+                  collectedCitations = [
+                    ...collectedCitations,
+                    { ...data.citation, number: data.number },
+                  ];
+                  setStreamingCitations(collectedCitations);
+                }
+                break;
+              case "verification":
+                verification = data.verification || null;
+                break;
+              case "follow_ups":
+                if (Array.isArray(data.followUps)) {
+                  collectedFollowUps = data.followUps;
+                }
+                break;
               case "done":
                 if (contentFlushTimeoutRef.current) {
                   clearTimeout(contentFlushTimeoutRef.current);
                   contentFlushTimeoutRef.current = null;
                 }
                 processEditContentBuffer(true);
+                if (data.confidence) confidence = data.confidence;
+                if (Array.isArray(data.citations)) {
+                  collectedCitations = data.citations;
+                }
                 const editThinkingDuration = thinkingStartTime
                   ? Math.round(
                       (Date.now() - thinkingStartTime) / 1000,
@@ -1399,6 +1498,11 @@ export function CatalystCopilot({
                   contentBlocks: collectedBlocks,
                   dataCards: collectedDataCards,
                   eventData: eventData,
+                  followUps: collectedFollowUps,
+                  confidence: confidence,
+                  sourceFreshness: sourceFreshness,
+                  citations: collectedCitations,
+                  verification: verification,
                   thinkingSteps: collectedThinking,
                   thinkingDuration: editThinkingDuration,
                   timestamp: new Date(),
@@ -1408,6 +1512,7 @@ export function CatalystCopilot({
                 setThinkingSteps([]);
                 setStreamedBlocks([]);
                 setStreamingDataCards([]);
+                setStreamingCitations([]);
                 break;
             }
           }
@@ -1804,10 +1909,18 @@ export function CatalystCopilot({
                     className="mb-2"
                   >
                     {msg.thinkingDuration !== undefined && (
-                      <div className="text-xs text-muted-foreground mt-0.5 mb-5 not-italic">
+                      <div
+                        className={`text-xs text-muted-foreground mt-0.5 ${msg.confidence ? "mb-2" : "mb-5"} not-italic`}
+                      >
                         Thought for {msg.thinkingDuration}s
                       </div>
                     )}
+                    {msg.confidence && (
+                      <ConfidenceBadge
+                        confidence={msg.confidence}
+                        sourceFreshness={msg.sourceFreshness}
+                      />
+                    )}
                   </motion.div>
                 )}
 
@@ -1878,6 +1991,7 @@ export function CatalystCopilot({
                         <StreamBlockRenderer
                           blocks={msg.contentBlocks}
                           dataCards={msg.dataCards}
+                          citations={msg.citations}
                           onEventClick={onEventClick}
                           onImageClick={setFullscreenImage}
                           onTickerClick={onTickerClick}
@@ -1887,6 +2001,7 @@ export function CatalystCopilot({
                         <MarkdownText
                           text={msg.content}
                           dataCards={msg.dataCards}
+                          citations={msg.citations}
                           onEventClick={onEventClick}
                           onImageClick={setFullscreenImage}
                           onTickerClick={onTickerClick}
@@ -1895,6 +2010,55 @@ export function CatalystCopilot({
                       )}
                     </div>
 
+                    {msg.role === "assistant" &&
+                      msg.citations &&
+                      msg.citations.length > 0 && (
+                        <ol className="mt-3 pt-2 border-t border-border/40 space-y-0.5 text-xs text-muted-foreground">
+                          {msg.citations.map((citation) => {
+                            const href = citationHref(citation);
+                            const label = [
+                              citation.title || citation.id,
+                              citation.date
+                                ? new Date(
+                                    citation.date,
+                                  ).toLocaleDateString()
+                                : null,
+                            ]
+                              .filter(Boolean)
+                              .join(" · ");
+                            return (
+                              <li
+                                key={citation.id}
+                                className="flex gap-1.5"
+                              >
+                                <span className="font-medium text-ai-accent">
+                                  [{citation.number}]
+                                </span>
+                                {href ? (
+                                  <a
+                                    href={href}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="hover:underline hover:text-foreground transition-colors"
+                                  >
+                                    {label}
+                                  </a>
+                                ) : (
+                                  <span>{label}</span>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ol>
+                      )}
+
+                    {msg.role === "assistant" &&
+                      msg.verification?.status === "flagged" && (
+                        <VerificationNotice
+                          verification={msg.verification}
+                        />
+                      )}
+
                     {msg.role === "user" && !isTyping && (
                       <div className="flex justify-end">
                         <Button
@@ -1982,6 +2146,36 @@ export function CatalystCopilot({
                             })}
                         </motion.div>
                       )}
+
+                    {msg.role === "assistant" &&
+                      index === messages.length - 1 &&
+                      !isTyping &&
+                      msg.followUps &&
+                      msg.followUps.length > 0 && (
+                        <motion.div
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          transition={{
+                            duration: 0.3,
+                            delay: 0.2,
+                          }}
+                          className="flex flex-wrap gap-2 pt-1"
+                        >
+                          {msg.followUps.map((followUp) => (
+                            <Badge
+                              key={followUp.question}
+                              variant="outline"
+                              title={followUp.reason || undefined}
+                              className="cursor-pointer hover:bg-ai-accent hover:text-white transition-all hover:scale-105 rounded-full px-3 py-1 border-2 text-xs font-normal"
+                              onClick={() =>
+                                handleQuickStart(followUp.question)
+                              }
+                            >
+                              {followUp.question}
+                            </Badge>
+                          ))}
+                        </motion.div>
+                      )}
                   </motion.div>
                 )}
               </div>
@@ -2119,6 +2313,7 @@ export function CatalystCopilot({
                     <StreamBlockRenderer
                       blocks={streamedBlocks}
                       dataCards={streamingDataCards}
+                      citations={streamingCitations}
                       onEventClick={onEventClick}
                       onImageClick={setFullscreenImage}
                       onTickerClick={onTickerClick}
@@ -2341,9 +2536,123 @@ export function CatalystCopilot({
   );
 }
 
+/**
+ * Confidence + data freshness badge for an assistant message
+ * Tapping it lists the warnings (stale sources, gaps) behind the score
+ */
+function ConfidenceBadge({
+  confidence,
+  sourceFreshness = [],
+}: {
+  confidence: ConfidenceAssessment;
+  sourceFreshness?: SourceFreshness[];
+}) {
+  const [showWarnings, setShowWarnings] = useState(false);
+  const staleSources = sourceFreshness.filter((f) => f.stale);
+  const hasWarnings = confidence.warnings.length > 0;
+
+  const tone =
+    confidence.level === "High"
+      ? "border-green-500/40 text-green-600 dark:text-green-400"
+      : confidence.level === "Moderate"
+        ? "border-amber-500/40 text-amber-600 dark:text-amber-400"
+        : "border-red-500/40 text-red-600 dark:text-red-400";
+
+  return (
+    <div className="mb-5 space-y-1.5">
+      <Badge
+        variant="outline"
+        className={`rounded-full text-xs font-normal gap-1 ${tone} ${hasWarnings ? "cursor-pointer" : ""}`}
+        onClick={() => hasWarnings && setShowWarnings((prev) => !prev)}
+        title={confidence.factors.join(" · ")}
+      >
+        {staleSources.length > 0 ? (
+          <AlertTriangle className="w-3 h-3" />
+        ) : (
+          <ShieldCheck className="w-3 h-3" />
+        )}
+        {confidence.level} confidence ({confidence.score})
+        {staleSources.length > 0 &&
+          ` · ${staleSources.length} stale source${staleSources.length === 1 ? "" : "s"}`}
+        {hasWarnings &&
+          (showWarnings ? (
+            <ChevronUp className="w-3 h-3" />
+          ) : (
+            <ChevronDown className="w-3 h-3" />
+          ))}
+      </Badge>
+      {showWarnings && (
+        <ul className="text-xs text-muted-foreground space-y-0.5 pl-1">
+          {confidence.warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+          {sourceFreshness.length > 0 && (
+            <li>
+              Newest data:{" "}
+              {sourceFreshness
+                .map((f) => `${f.label} ${f.age}`)
+                .join(", ")}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Figures in an assistant message that don't match the retrieved data (FactChecker)
+ */
+function VerificationNotice({
+  verification,
+}: {
+  verification: VerificationResult;
+}) {
+  const [showDetails, setShowDetails] = useState(false);
+  const count = verification.mismatches.length;
+  const formatValue = (value: number, type: "price" | "percent") =>
+    type === "price"
+      ? `$${value.toFixed(2)}`
+      : `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`;
+
+  return (
+    <div className="mt-3 space-y-1.5">
+      <Badge
+        variant="outline"
+        className="rounded-full text-xs font-normal gap-1 border-amber-500/40 text-amber-600 dark:text-amber-400 cursor-pointer"
+        onClick={() => setShowDetails((prev) => !prev)}
+      >
+        <AlertTriangle className="w-3 h-3" />
+        {count} figure{count === 1 ? "" : "s"} didn't match the data
+        {showDetails ? (
+          <ChevronUp className="w-3 h-3" />
+        ) : (
+          <ChevronDown className="w-3 h-3" />
+        )}
+      </Badge>
+      {showDetails && (
+        <ul className="text-xs text-muted-foreground space-y-0.5 pl-1">
+          {verification.mismatches.map((mismatch) => (
+            <li
+              key={`${mismatch.ticker}-${mismatch.claim}-${mismatch.sentence}`}
+            >
+              {mismatch.ticker} {mismatch.claim}
+              {mismatch.reason === "direction" &&
+                " - data shows the opposite direction"}{" "}
+              (data: {formatValue(mismatch.expected, mismatch.type)},{" "}
+              {mismatch.source})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 function StreamBlockRenderer({
   blocks,
   dataCards,
+  citations,
   onEventClick,
   onImageClick,
   onTickerClick,
@@ -2352,6 +2661,7 @@ function StreamBlockRenderer({
 }: {
   blocks: StreamBlock[];
   dataCards?: DataCard[];
+  citations?: Citation[];
   onEventClick?: (event: MarketEvent) => void;
   onImageClick?: (imageUrl: string) => void;
   onTickerClick?: (ticker: string) => void;
@@ -2402,6 +2712,7 @@ function StreamBlockRenderer({
                       <MarkdownText
                         text={animatedText}
                         dataCards={dataCards}
+                        citations={citations}
                         onEventClick={onEventClick}
                         onImageClick={onImageClick}
                         onTickerClick={onTickerClick}
@@ -2418,6 +2729,7 @@ function StreamBlockRenderer({
                 <MarkdownText
                   text={block.content}
                   dataCards={dataCards}
+                  citations={citations}
                   onEventClick={onEventClick}
                   onImageClick={onImageClick}
                   onTickerClick={onTickerClick}
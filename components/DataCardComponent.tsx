@@ -1,8 +1,8 @@
 import { motion } from 'motion/react';
-import { Calendar, BarChart3, AlertCircle, Target, TrendingUp, DollarSign, Sparkles, Package, ShoppingCart, Presentation, Users, Landmark, Handshake, Building, Tag, Shield, Scale, ExternalLink, FileText } from 'lucide-react';
+import { Calendar, BarChart3, AlertCircle, Target, TrendingUp, TrendingDown, DollarSign, Sparkles, Package, ShoppingCart, Presentation, Users, Landmark, Handshake, Building, Tag, Shield, Scale, ExternalLink, FileText, Activity } from 'lucide-react';
 import { Card } from '../ui/card';
 import { Badge } from '../ui/badge';
-import { DataCard, ImageCardData, ArticleCardData, StockCardData } from './lib/StreamBlockTypes';
+import { DataCard, ImageCardData, ArticleCardData, StockCardData, InsiderActivityCardData, SentimentTrendCardData } from './lib/StreamBlockTypes';
 import { MarketEvent } from '../../utils/supabase/events-api';
 import { getEventTypeConfig, formatEventDateTime } from '../../utils/formatting';
 import StockCard from './StockCard';
@@ -145,6 +145,183 @@ export default function DataCardComponent({ card, onEventClick, onImageClick, on
     );
   }
 
+  if (card.type === 'insider_activity') {
+    const insiderData = card.data as InsiderActivityCardData;
+    const isNetBuying = insiderData.netValue > 0;
+    const formatMoney = (value: number) => {
+      const abs = Math.abs(value);
+      const formatted = abs >= 1e6 ? `$${(abs / 1e6).toFixed(2)}M` : abs >= 1e3 ? `$${(abs / 1e3).toFixed(1)}K` : `$${abs.toFixed(0)}`;
+      return value < 0 ? `-${formatted}` : formatted;
+    };
+    const formatDate = (date: string | null) => date
+      ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+      : '?';
+
+    return (
+      <motion.div
+        whileHover={{ scale: 1.01, y: -2 }}
+        transition={{ duration: 0.2 }}
+      >
+        <Card className="p-3 bg-gradient-to-br from-background to-muted/20 border-2 hover:border-ai-accent/30 transition-all hover:shadow-lg">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-sm flex items-center gap-2">
+              <Users className="w-4 h-4 text-ai-accent" />
+              Insider Activity
+            </h4>
+            <Badge
+              className="!bg-gradient-to-r !from-ai-accent !to-ai-accent/80 !text-white !border-none text-xs shadow-sm cursor-pointer"
+              onClick={() => onTickerClick?.(insiderData.ticker)}
+            >
+              {insiderData.ticker}
+            </Badge>
+          </div>
+
+          <div className="flex items-center gap-2 mb-2">
+            {isNetBuying ? (
+              <TrendingUp className="w-4 h-4 text-green-600 dark:text-green-400" />
+            ) : (
+              <TrendingDown className="w-4 h-4 text-red-600 dark:text-red-400" />
+            )}
+            <span className={`text-sm font-medium ${isNetBuying ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+              {insiderData.netValue === 0 ? 'No net open-market activity' : `Net ${isNetBuying ? 'buying' : 'selling'} ${formatMoney(insiderData.netValue)}`}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 text-xs mb-2">
+            <div className="p-2 rounded-lg bg-muted/40">
+              <span className="text-muted-foreground block">Buys ({insiderData.buys.count})</span>
+              <span className="font-medium">{insiderData.buys.shares.toLocaleString()} sh · {formatMoney(insiderData.buys.value)}</span>
+            </div>
+            <div className="p-2 rounded-lg bg-muted/40">
+              <span className="text-muted-foreground block">Sales ({insiderData.sells.count})</span>
+              <span className="font-medium">{insiderData.sells.shares.toLocaleString()} sh · {formatMoney(insiderData.sells.value)}</span>
+            </div>
+          </div>
+
+          {insiderData.insiders.length > 0 && (
+            <div className="space-y-1 mb-2">
+              {insiderData.insiders.slice(0, 3).map((insider, index) => (
+                <div key={`${insider.name}-${index}`} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="truncate">
+                    <span className="font-medium">{insider.name}</span>
+                    {insider.role && <span className="text-muted-foreground"> · {insider.role}</span>}
+                  </span>
+                  <span className={`flex-shrink-0 ${insider.netValue >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    {formatMoney(insider.netValue)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 text-[10px] text-muted-foreground/60">
+            <Calendar className="w-3 h-3" />
+            <span>{formatDate(insiderData.from)} – {formatDate(insiderData.to)} · Open-market trades from {insiderData.source}</span>
+          </div>
+        </Card>
+      </motion.div>
+    );
+  }
+
+  if (card.type === 'sentiment_trend') {
+    const sentimentData = card.data as SentimentTrendCardData;
+    const direction = sentimentData.trend.direction;
+    const isImproving = direction === 'improving';
+    const points = sentimentData.series.filter(point => point.net !== null) as Array<{ date: string; net: number }>;
+    const formatSigned = (value: number | null, digits = 1) => value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const formatDate = (date: string) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    // Net sentiment sparkline (-100..100 scaled to the visible range)
+    const sparkWidth = 300;
+    const sparkHeight = 48;
+    const netValues = points.map(point => point.net);
+    const netMin = Math.min(0, ...netValues);
+    const netMax = Math.max(0, ...netValues);
+    const sparkX = (index: number) => points.length > 1 ? (index / (points.length - 1)) * sparkWidth : 0;
+    const sparkY = (value: number) => netMax === netMin ? sparkHeight / 2 : sparkHeight - ((value - netMin) / (netMax - netMin)) * sparkHeight;
+    const sparkPath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${sparkX(index).toFixed(1)},${sparkY(point.net).toFixed(1)}`).join(' ');
+    const spikeDates = new Set(sentimentData.spikes.filter(spike => spike.metric === 'net').map(spike => spike.date));
+
+    return (
+      <motion.div
+        whileHover={{ scale: 1.01, y: -2 }}
+        transition={{ duration: 0.2 }}
+      >
+        <Card className="p-3 bg-gradient-to-br from-background to-muted/20 border-2 hover:border-ai-accent/30 transition-all hover:shadow-lg">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold text-sm flex items-center gap-2">
+              <Activity className="w-4 h-4 text-ai-accent" />
+              Sentiment Trend
+            </h4>
+            <Badge
+              className="!bg-gradient-to-r !from-ai-accent !to-ai-accent/80 !text-white !border-none text-xs shadow-sm cursor-pointer"
+              onClick={() => onTickerClick?.(sentimentData.ticker)}
+            >
+              {sentimentData.ticker}
+            </Badge>
+          </div>
+
+          <div className="flex items-center gap-2 mb-2">
+            {isImproving ? (
+              <TrendingUp className="w-4 h-4 text-green-600 dark:text-green-400" />
+            ) : (
+              <TrendingDown className={`w-4 h-4 ${direction === 'deteriorating' ? 'text-red-600 dark:text-red-400' : 'text-muted-foreground'}`} />
+            )}
+            <span className={`text-sm font-medium ${isImproving ? 'text-green-600 dark:text-green-400' : direction === 'deteriorating' ? 'text-red-600 dark:text-red-400' : ''}`}>
+              {direction ? `Sentiment ${direction}` : 'Sentiment'} · net {formatSigned(sentimentData.latest.net)}
+            </span>
+          </div>
+
+          {points.length > 1 && (
+            <svg width="100%" height={sparkHeight} viewBox={`0 0 ${sparkWidth} ${sparkHeight}`} preserveAspectRatio="none" className="mb-2">
+              <line x1={0} x2={sparkWidth} y1={sparkY(0)} y2={sparkY(0)} stroke="currentColor" strokeDasharray="3 3" className="text-muted-foreground/40" />
+              <path d={sparkPath} fill="none" stroke="currentColor" strokeWidth={1.5} className="text-ai-accent" />
+              {points.map((point, index) => spikeDates.has(point.date) && (
+                <circle key={point.date} cx={sparkX(index)} cy={sparkY(point.net)} r={3} className="fill-amber-500" />
+              ))}
+            </svg>
+          )}
+
+          <div className="grid grid-cols-3 gap-2 text-xs mb-2">
+            <div className="p-2 rounded-lg bg-muted/40">
+              <span className="text-muted-foreground block">7d vs 30d</span>
+              <span className="font-medium">{formatSigned(sentimentData.trend.net7)} / {formatSigned(sentimentData.trend.net30)}</span>
+            </div>
+            <div className="p-2 rounded-lg bg-muted/40">
+              <span className="text-muted-foreground block">Buzz z</span>
+              <span className="font-medium">{formatSigned(sentimentData.latest.buzzZ, 2)}</span>
+            </div>
+            <div className="p-2 rounded-lg bg-muted/40">
+              <span className="text-muted-foreground block">Corr. w/ return</span>
+              <span className="font-medium">{sentimentData.correlation.sameDay ?? 'n/a'}</span>
+            </div>
+          </div>
+
+          {sentimentData.spikes.length > 0 && (
+            <div className="space-y-1 mb-2">
+              {sentimentData.spikes.slice(0, 3).map((spike, index) => (
+                <div key={`${spike.date}-${spike.metric}-${index}`} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="truncate">
+                    <span className="font-medium">{formatDate(spike.date)}</span>
+                    <span className="text-muted-foreground"> · {spike.metric === 'net' ? 'net sentiment' : spike.metric} spike</span>
+                  </span>
+                  <span className={`flex-shrink-0 ${spike.z >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                    z {formatSigned(spike.z, 2)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 text-[10px] text-muted-foreground/60">
+            <Calendar className="w-3 h-3" />
+            <span>{formatDate(sentimentData.from)} – {formatDate(sentimentData.to)} · News &amp; social sentiment, correlation is not causation</span>
+          </div>
+        </Card>
+      </motion.div>
+    );
+  }
+
   if (card.type === 'image') {
     const imageData = card.data as ImageCardData;
     
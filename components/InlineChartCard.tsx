@@ -9,8 +9,33 @@ interface InlineChartCardProps {
   symbol: string;
   timeRange: string;
   onTickerClick?: (ticker: string) => void;
+  showPriceTargets?: boolean;
 }
 
+// GET /api/price-targets/:symbol/history - each target holds until the firm's next point
+interface PriceTargetPoint {
+  date: string;
+  target: number;
+  rating: 'buy' | 'hold' | 'sell' | null;
+  action: string | null;
+  carried: boolean;
+}
+
+interface PriceTargetFirmHistory {
+  firm: string;
+  latest: { date: string; target: number; rating: string | null };
+  series: PriceTargetPoint[];
+}
+
+interface PriceTargetHistory {
+  from: string;
+  to: string;
+  firms: PriceTargetFirmHistory[];
+}
+
+const TARGET_COLORS = ['#3b82f6', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+const MAX_OVERLAY_FIRMS = TARGET_COLORS.length;
+
 /**
  * InlineChartCard - Renders a mini price chart for a symbol inline in the response
  * Used when VIEW_CHART markers are detected in AI responses
@@ -18,10 +43,12 @@ interface InlineChartCardProps {
 export default function InlineChartCard({ 
   symbol, 
   timeRange, 
-  onTickerClick 
+  onTickerClick,
+  showPriceTargets = true
 }: InlineChartCardProps) {
   const [chartData, setChartData] = useState<any[] | null>(null);
   const [quoteData, setQuoteData] = useState<any | null>(null);
+  const [targetHistory, setTargetHistory] = useState<PriceTargetHistory | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(false);
 
@@ -131,14 +158,22 @@ export default function InlineChartCard({
         // Backend handles pre-market/post-market session logic automatically
         const quoteUrl = `https://catalyst-copilot-2nndy.ondigitalocean.app/api/quote/${symbol}`;
 
-        const [priceRes, quoteRes] = await Promise.all([
+        // Analyst target history over the same window (daily ranges only - targets move at most daily)
+        const wantsTargets = showPriceTargets && !['1D', '5D'].includes(timeRange);
+        const targetsUrl = `https://catalyst-copilot-2nndy.ondigitalocean.app/api/price-targets/${symbol}/history?range=${timeRange}`;
+
+        const [priceRes, quoteRes, targetsResult] = await Promise.all([
           fetch(priceUrl, {
             headers: {
               'apikey': publicAnonKey,
               'Authorization': `Bearer ${publicAnonKey}`
             }
           }),
-          fetch(quoteUrl)
+          fetch(quoteUrl),
+          // Overlay is optional - a missing history (404) or failed request never breaks the chart
+          wantsTargets
+            ? fetch(targetsUrl).then(res => (res.ok ? res.json() : null)).catch(() => null)
+            : Promise.resolve(null)
         ]);
 
         if (!priceRes.ok) throw new Error('Failed to fetch price data');
@@ -158,6 +193,7 @@ export default function InlineChartCard({
         }));
 
         setChartData(mappedData);
+        setTargetHistory(targetsResult?.success ? targetsResult.history : null);
         
         // Use backend-calculated quote data (session-aware baseline already handled)
         if (quoteResult.success && quoteResult.data) {
@@ -172,7 +208,7 @@ export default function InlineChartCard({
     };
 
     fetchData();
-  }, [symbol, timeRange]);
+  }, [symbol, timeRange, showPriceTargets]);
 
   // finnhub_quote_snapshots uses snake_case columns: close, change_percent, previous_close
   const isPositive = quoteData ? (quoteData.change_percent || 0) >= 0 : true;
@@ -203,6 +239,14 @@ export default function InlineChartCard({
               height={120}
               onTickerClick={onTickerClick}
             />
+            {targetHistory && targetHistory.firms.length > 0 && (
+              <PriceTargetOverlay
+                prices={chartData}
+                history={targetHistory}
+                width={350}
+                height={90}
+              />
+            )}
           </>
         ) : (
           <div className="flex items-center justify-center h-24 text-muted-foreground text-sm">
@@ -213,3 +257,80 @@ export default function InlineChartCard({
     </motion.div>
   );
 }
+
+/**
+ * PriceTargetOverlay - Price line with each firm's target drawn as a step series on the same scale
+ * Shows how analyst targets moved against the price over the chart's time range
+ */
+function PriceTargetOverlay({
+  prices,
+  history,
+  width,
+  height
+}: {
+  prices: { timestamp: number; value: number }[];
+  history: PriceTargetHistory;
+  width: number;
+  height: number;
+}) {
+  const firms = history.firms.slice(0, MAX_OVERLAY_FIRMS);
+  const start = prices.length > 0 ? prices[0].timestamp : new Date(history.from).getTime();
+  const end = prices.length > 0 ? prices[prices.length - 1].timestamp : new Date(history.to).getTime();
+  
+  const values = [
+    ...prices.map(p => p.value),
+    ...firms.flatMap(f => f.series.map(point => point.target))
+  ].filter(v => v > 0);
+  if (values.length === 0 || end <= start) return null;
+  
+  const rawMin = Math.min(...values);
+  const rawMax = Math.max(...values);
+  const pad = (rawMax - rawMin) * 0.08 || rawMax * 0.05;
+  const min = rawMin - pad;
+  const max = rawMax + pad;
+  
+  const x = (time: number) => Math.min(width, Math.max(0, ((time - start) / (end - start)) * width));
+  const y = (value: number) => height - ((value - min) / (max - min)) * height;
+  
+  const pricePath = prices
+    .map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.timestamp).toFixed(1)},${y(p.value).toFixed(1)}`)
+    .join(' ');
+  
+  // Step-after: a target holds until the firm's next revision, then jumps
+  const stepPath = (series: PriceTargetPoint[]) => series
+    .map((point, i) => {
+      const px = x(new Date(point.date).getTime()).toFixed(1);
+      const py = y(point.target).toFixed(1);
+      return i === 0 ? `M${px},${py}` : `H${px} V${py}`;
+    })
+    .join(' ') + ` H${width}`;
+  
+  return (
+    <div className="mt-2 pt-2 border-t border-border/50">
+      <div className="text-[10px] uppercase tracking-wide text-muted-foreground mb-1">Analyst targets vs price</div>
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
+        <path d={pricePath} fill="none" stroke="currentColor" strokeWidth={1.25} className="text-foreground/70" />
+        {firms.map((firm, i) => (
+          <path
+            key={firm.firm}
+            d={stepPath(firm.series)}
+            fill="none"
+            stroke={TARGET_COLORS[i]}
+            strokeWidth={1.5}
+            // Dashed when the first segment was carried in from before the range
+            strokeDasharray={firm.series[0]?.carried ? '4 4' : undefined}
+            opacity={0.85}
+          />
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1">
+        {firms.map((firm, i) => (
+          <span key={firm.firm} className="flex items-center gap-1 text-[10px] text-muted-foreground">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: TARGET_COLORS[i] }} />
+            {firm.firm} ${firm.latest.target.toLocaleString()}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
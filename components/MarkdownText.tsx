@@ -1,5 +1,6 @@
 import { FileText } from 'lucide-react';
-import type { DataCard, ImageCardData, ArticleCardData } from './lib/StreamBlockTypes';
+import type { DataCard, ImageCardData, ArticleCardData, Citation } from './lib/StreamBlockTypes';
+import { citationHref } from './lib/StreamBlockTypes';
 import { MarketEvent } from '../../utils/supabase/events-api';
 import DataCardComponent from './DataCardComponent';
 import InlineChartCard from './InlineChartCard';
@@ -8,13 +9,14 @@ import { useEffect } from 'react';
 interface MarkdownTextProps {
   text: string;
   dataCards?: DataCard[];
+  citations?: Citation[];
   onEventClick?: (event: MarketEvent) => void;
   onImageClick?: (imageUrl: string) => void;
   onTickerClick?: (ticker: string) => void;
   isUserMessage?: boolean;
 }
 
-export default function MarkdownText({ text, dataCards, onEventClick, onImageClick, onTickerClick, isUserMessage }: MarkdownTextProps) {
+export default function MarkdownText({ text, dataCards, citations, onEventClick, onImageClick, onTickerClick, isUserMessage }: MarkdownTextProps) {
   // Text is already pre-processed by the streaming block extractor
   const mainText = text;
   
@@ -351,6 +353,27 @@ export default function MarkdownText({ text, dataCards, onEventClick, onImageCli
             
             const sourceText = sourceMatch[1];
             
+            // [CITE:id] → superscript footnote number; unknown IDs are dropped
+            if (sourceText.startsWith('CITE:')) {
+              const citation = citations?.find(c => c.id === sourceText.substring(5).trim());
+              if (citation?.number) {
+                const href = citationHref(citation);
+                sourceParts.push(
+                  <sup key={`cite-${key++}`} className="ml-0.5 text-[10px] font-medium text-ai-accent">
+                    {href ? (
+                      <a href={href} target="_blank" rel="noopener noreferrer" title={citation.title || citation.id} className="hover:underline">
+                        [{citation.number}]
+                      </a>
+                    ) : (
+                      <span title={citation.title || citation.id}>[{citation.number}]</span>
+                    )}
+                  </sup>
+                );
+              }
+              sourceLastIndex = sourceMatch.index + sourceMatch[0].length;
+              continue;
+            }
+            
             sourceParts.push(
               <span key={`source-${key++}`} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-muted/60 text-muted-foreground text-xs font-medium border border-border/40">
                 <FileText className="w-3 h-3" />
@@ -0,0 +1,128 @@
+/**
+ * Chart Time Ranges
+ * Date windows for the chart time ranges (1D ... 5Y) - aligns with frontend chart logic
+ * Shared by QueryEngine chart queries and /api/price-targets
+ */
+
+// Time ranges the chart offers
+const CHART_RANGES = ['1D', '5D', '1W', '1M', '3M', '6M', '1Y', '5Y'];
+
+/**
+ * Calculate date range for chart time ranges - aligns with frontend chart logic
+ * @param {string} timeRange - Time range like '1D', '5D', '1M', '3M', '1Y', '5Y'
+ * @param {string} userTimezone - User's timezone (default: America/New_York)
+ * @returns {Object} { startDate, endDate, table, limit, timeColumn }
+ */
+function calculateDateRangeForTimeRange(timeRange, userTimezone = 'America/New_York') {
+  const now = new Date();
+  let startDate;
+  let table;
+  let limit;
+
+  switch (timeRange.toUpperCase()) {
+    case '1D':
+      // For 1D, handle early morning hours before market open
+      const nowET = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+      const currentHourET = nowET.getHours();
+      
+      let marketDate;
+      if (currentHourET < 4) {
+        // Before 4 AM ET - show previous day's data
+        marketDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      } else {
+        // After 4 AM ET - show today's data
+        marketDate = now;
+      }
+      
+      // Set start time to 4 AM ET of the target market date
+      const marketDateET = new Date(marketDate.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+      const marketStartET = new Date(
+        marketDateET.getFullYear(),
+        marketDateET.getMonth(),
+        marketDateET.getDate(),
+        4, // 4 AM ET - pre-market start
+        0, 0, 0
+      );
+      
+      startDate = marketStartET;
+      table = 'one_minute_prices';
+      limit = 720;
+      break;
+
+    case '5D':
+      startDate = new Date(now.getTime() - 5 * 24 * 60 * 60 * 1000);
+      table = 'five_minute_prices';
+      limit = 1950;
+      break;
+
+    case '1W':
+      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      table = 'five_minute_prices';
+      limit = 2000;
+      break;
+
+    case '1M':
+      // For 1M, go back 30 days but start from 4 AM ET of that day
+      const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const thirtyDaysAgoET = new Date(thirtyDaysAgo.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+      const monthStartET = new Date(
+        thirtyDaysAgoET.getFullYear(),
+        thirtyDaysAgoET.getMonth(),
+        thirtyDaysAgoET.getDate(),
+        4, // 4 AM ET
+        0, 0, 0
+      );
+      
+      startDate = monthStartET;
+      table = 'ten_minute_prices';
+      limit = 4500;
+      break;
+
+    case '3M':
+      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+      table = 'daily_prices';
+      limit = 90;
+      break;
+
+    case '6M':
+      startDate = new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000);
+      table = 'daily_prices';
+      limit = 180;
+      break;
+
+    case '1Y':
+      startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+      table = 'daily_prices';
+      limit = 365;
+      break;
+
+    case '5Y':
+      startDate = new Date(now.getTime() - 5 * 365 * 24 * 60 * 60 * 1000);
+      table = 'daily_prices';
+      limit = 1825;
+      break;
+
+    default:
+      startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+      table = 'one_minute_prices';
+      limit = 500;
+  }
+
+  // Determine time column based on table type
+  const isDailyPrices = table === 'daily_prices';
+  const timeColumn = isDailyPrices ? 'date' : 'timestamp';
+
+  return { 
+    startDate, 
+    endDate: now, 
+    table, 
+    limit, 
+    timeColumn,
+    isDailyPrices 
+  };
+}
+
+module.exports = {
+  CHART_RANGES,
+  calculateDateRangeForTimeRange
+};
@@ -0,0 +1,339 @@
+/**
+ * LLM Providers
+ * Provider abstraction for every AI step in the pipeline
+ *
+ * All providers share one interface and return OpenAI-shaped responses, so callers
+ * keep parsing `response.choices[0].message.content` and stream chunks unchanged:
+ *   complete(step, params) - chat completion (non-streaming)
+ *   stream(step, params)   - async iterable of chat completion chunks
+ *   embed(params)          - embeddings ({ data: [{ embedding }] })
+ *
+ * Embeddings can be served locally regardless of LLM_PROVIDER with EMBEDDING_PROVIDER=local.
+ *
+ * Providers (LLM_PROVIDER):
+ *   openai  - live OpenAI API (default)
+ *   fixture - offline replay of recorded completions/streams, deterministic defaults when missing
+ *   record  - live OpenAI API, saving every completion/stream as a fixture for later replay
+ *
+ * Per-step models can be overridden with LLM_MODEL_<STEP>, e.g. LLM_MODEL_RESPONSE=gpt-4o-mini
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Default model for each AI step
+const DEFAULT_STEP_MODELS = {
+  query: 'gpt-4o-mini',             // QueryEngine.generateQueries (structured JSON task)
+  retrieval: 'gpt-4o-mini',         // QueryEngine.runRetrievalLoop (tool calling)
+  token_allocation: 'gpt-4o-mini',  // allocateTokenBudget
+  ticker_selection: 'gpt-4o-mini',  // Event card ticker selection
+  thinking: 'gpt-4o-mini',          // Optional AI thinking messages
+  title: 'gpt-4o-mini',             // ConversationManager.generateLLMTitle
+  response: 'gpt-4o',               // Final streamed answer
+  embedding: 'text-embedding-3-small'
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+/**
+ * Resolve the model for a pipeline step (env override → default)
+ */
+function getModelForStep(step) {
+  const override = process.env[`LLM_MODEL_${String(step).toUpperCase()}`];
+  return override || DEFAULT_STEP_MODELS[step] || DEFAULT_STEP_MODELS.response;
+}
+
+/**
+ * Live OpenAI provider
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this._client = null;
+  }
+
+  // Lazily create the SDK client so offline providers never require an API key
+  get client() {
+    if (!this._client) {
+      const OpenAI = require('openai');
+      this._client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this._client;
+  }
+
+  async complete(step, params) {
+    return this.client.chat.completions.create({
+      ...params,
+      model: params.model || getModelForStep(step)
+    });
+  }
+
+  async stream(step, params) {
+    return this.client.chat.completions.create({
+      ...params,
+      model: params.model || getModelForStep(step),
+      stream: true
+    });
+  }
+
+  async embed(params) {
+    return this.client.embeddings.create({
+      ...params,
+      model: params.model || getModelForStep('embedding')
+    });
+  }
+}
+
+// Deterministic responses used when no recorded fixture matches
+const BUILTIN_FIXTURES = {
+  query: JSON.stringify({
+    intent: 'general',
+    tickers: [],
+    queries: [],
+    needsChart: false,
+    needsDeepAnalysis: false,
+    analysisKeywords: []
+  }),
+  token_allocation: JSON.stringify({
+    responseTokens: 8000,
+    planTokens: 1500,
+    queryTokens: 1500,
+    tier: 'standard',
+    reasoning: 'Fixture: standard allocation'
+  }),
+  ticker_selection: JSON.stringify({ tickers: [], reasoning: 'Fixture: no tickers recorded' }),
+  retrieval: '',  // No tool calls - multi-step retrieval ends immediately
+  thinking: 'Analyzing your request...',
+  title: '',      // Empty - keeps the truncated first-message title
+  response: 'No recorded response is available for this request (offline fixture mode).'
+};
+
+/**
+ * Fixture provider - replays recorded completions and streams from disk
+ *
+ * Fixtures live at <dir>/<step>/<key>.json where key is a hash of the request messages.
+ * Lookup order: exact key → <step>/default.json → built-in deterministic default.
+ * With an upstream provider it records instead: calls upstream and writes the fixture.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = options.upstream ? 'record' : 'fixture';
+    this.dir = options.dir || process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+    this.upstream = options.upstream || null;
+    this.chunkSize = options.chunkSize || 24;
+  }
+
+  /**
+   * Stable key for a request (model-independent so fixtures survive model changes)
+   */
+  fixtureKey(step, messages = []) {
+    const normalized = messages.map(m => ({ role: m.role, content: m.content, ...(m.tool_calls ? { tool_calls: m.tool_calls } : {}) }));
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ step, messages: normalized }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  loadFixture(step, messages) {
+    const candidates = [
+      path.join(this.dir, step, `${this.fixtureKey(step, messages)}.json`),
+      path.join(this.dir, step, 'default.json')
+    ];
+
+    for (const file of candidates) {
+      if (fs.existsSync(file)) {
+        try {
+          return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+          console.error(`❌ Invalid LLM fixture ${file}:`, error.message);
+        }
+      }
+    }
+
+    return {
+      step,
+      model: getModelForStep(step),
+      content: BUILTIN_FIXTURES[step] ?? BUILTIN_FIXTURES.response,
+      finish_reason: 'stop'
+    };
+  }
+
+  saveFixture(step, messages, fixture) {
+    try {
+      const stepDir = path.join(this.dir, step);
+      fs.mkdirSync(stepDir, { recursive: true });
+      const file = path.join(stepDir, `${this.fixtureKey(step, messages)}.json`);
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+      console.log(`📼 Recorded LLM fixture: ${step}/${path.basename(file)}`);
+    } catch (error) {
+      console.error('❌ Failed to record LLM fixture:', error.message);
+    }
+  }
+
+  async complete(step, params) {
+    if (this.upstream) {
+      const response = await this.upstream.complete(step, params);
+      this.saveFixture(step, params.messages, {
+        step,
+        model: response.model,
+        content: response.choices[0]?.message?.content || '',
+        ...(response.choices[0]?.message?.tool_calls ? { tool_calls: response.choices[0].message.tool_calls } : {}),
+        finish_reason: response.choices[0]?.finish_reason || 'stop'
+      });
+      return response;
+    }
+
+    const fixture = this.loadFixture(step, params.messages);
+    return {
+      id: `fixture-${this.fixtureKey(step, params.messages)}`,
+      object: 'chat.completion',
+      model: fixture.model || getModelForStep(step),
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: fixture.content,
+          ...(fixture.tool_calls ? { tool_calls: fixture.tool_calls } : {})
+        },
+        finish_reason: fixture.finish_reason || 'stop'
+      }]
+    };
+  }
+
+  async stream(step, params) {
+    if (this.upstream) {
+      const upstreamStream = await this.upstream.stream(step, params);
+      return this.recordStream(step, params.messages, upstreamStream);
+    }
+
+    const fixture = this.loadFixture(step, params.messages);
+    const chunks = fixture.chunks || this.splitContent(fixture.content || '');
+    return this.replayStream(chunks, fixture.model || getModelForStep(step), fixture.finish_reason || 'stop');
+  }
+
+  async embed(params) {
+    return localEmbeddings.embed(params);
+  }
+
+  splitContent(content) {
+    const chunks = [];
+    for (let i = 0; i < content.length; i += this.chunkSize) {
+      chunks.push(content.substring(i, i + this.chunkSize));
+    }
+    return chunks;
+  }
+
+  async *replayStream(chunks, model, finishReason) {
+    for (const content of chunks) {
+      yield { model, choices: [{ index: 0, delta: { content }, finish_reason: null }] };
+    }
+    yield { model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] };
+  }
+
+  async *recordStream(step, messages, upstreamStream) {
+    const chunks = [];
+    let model = null;
+    let finishReason = 'stop';
+
+    for await (const chunk of upstreamStream) {
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) chunks.push(content);
+      if (chunk.choices[0]?.finish_reason) finishReason = chunk.choices[0].finish_reason;
+      if (chunk.model) model = chunk.model;
+      yield chunk;
+    }
+
+    this.saveFixture(step, messages, {
+      step,
+      model,
+      content: chunks.join(''),
+      chunks,
+      finish_reason: finishReason
+    });
+  }
+}
+
+/**
+ * Local embedding provider - hashing-trick vectors computed in-process.
+ * Works offline (EMBEDDING_PROVIDER=local, or any fixture run); vectors are NOT comparable with OpenAI ones.
+ */
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || 256;
+  }
+
+  async embed(params) {
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+    return {
+      object: 'list',
+      model: `local-hash-embedding-${this.dimensions}`,
+      data: inputs.map((text, index) => ({
+        object: 'embedding',
+        index,
+        embedding: hashEmbedding(text, this.dimensions)
+      }))
+    };
+  }
+}
+
+const localEmbeddings = new LocalEmbeddingProvider();
+
+/**
+ * Deterministic bag-of-words embedding (hashing trick) for offline use.
+ * Texts sharing words get positive cosine similarity, so relevance scoring still behaves.
+ */
+function hashEmbedding(text, dimensions = 256) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = String(text || '').toLowerCase().match(/[a-z0-9$.]+/g) || [];
+
+  for (const token of tokens) {
+    const hash = crypto.createHash('md5').update(token).digest();
+    const index = hash.readUInt32BE(0) % dimensions;
+    vector[index] += (hash[4] & 1) ? 1 : -1;
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / magnitude);
+}
+
+/**
+ * Create a provider by name (defaults to LLM_PROVIDER env, then 'openai')
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openai', options = {}) {
+  switch (name) {
+    case 'fixture':
+      return new FixtureProvider(options);
+    case 'record':
+      return new FixtureProvider({ ...options, upstream: new OpenAIProvider(options) });
+    case 'openai':
+      return new OpenAIProvider(options);
+    default:
+      console.warn(`⚠️ Unknown LLM_PROVIDER "${name}", using openai`);
+      return new OpenAIProvider(options);
+  }
+}
+
+/**
+ * Embedding provider override (EMBEDDING_PROVIDER=local); null means "use the LLM provider"
+ */
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+  if (name === 'local') return localEmbeddings;
+  if (name && name !== 'openai') {
+    console.warn(`⚠️ Unknown EMBEDDING_PROVIDER "${name}", using the LLM provider`);
+  }
+  return null;
+}
+
+module.exports = {
+  OpenAIProvider,
+  FixtureProvider,
+  LocalEmbeddingProvider,
+  createProvider,
+  createEmbeddingProvider,
+  getModelForStep,
+  hashEmbedding,
+  DEFAULT_STEP_MODELS
+};
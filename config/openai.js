@@ -1,7 +1,47 @@
-const OpenAI = require('openai');
+/**
+ * LLM Configuration
+ * Exports the active LLM provider (see llm-providers.js)
+ *
+ * Usage:
+ *   const { llm } = require('../config/openai');
+ *   const response = await llm.complete('query', { messages, temperature: 0.1 });
+ *   const stream = await llm.stream('response', { messages });
+ */
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { createProvider, createEmbeddingProvider, getModelForStep } = require('./llm-providers');
 
-module.exports = openai;
+let provider = createProvider();
+console.log(`🧠 LLM provider: ${provider.name}`);
+
+// Optional embedding override (EMBEDDING_PROVIDER=local) - falls back to the LLM provider
+const embeddingProvider = createEmbeddingProvider();
+if (embeddingProvider) {
+  console.log(`🧠 Embedding provider: ${embeddingProvider.name}`);
+}
+
+// Stable facade - callers keep one reference even if the provider is swapped (e.g. offline runs)
+const llm = {
+  get name() {
+    return provider.name;
+  },
+  complete: (step, params) => provider.complete(step, params),
+  stream: (step, params) => provider.stream(step, params),
+  embed: (params) => (embeddingProvider || provider).embed(params)
+};
+
+/**
+ * Replace the active provider (name or provider instance)
+ */
+function setProvider(nameOrProvider, options = {}) {
+  provider = typeof nameOrProvider === 'string'
+    ? createProvider(nameOrProvider, options)
+    : nameOrProvider;
+  console.log(`🧠 LLM provider: ${provider.name}`);
+  return provider;
+}
+
+module.exports = {
+  llm,
+  setProvider,
+  getModelForStep
+};
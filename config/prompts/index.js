@@ -11,6 +11,8 @@ module.exports = {
   QUERY_SCHEMA_CONTEXT: schemaContext.QUERY_SCHEMA_CONTEXT,
   RESPONSE_SCHEMA_CONTEXT: schemaContext.RESPONSE_SCHEMA_CONTEXT,
   COLLECTION_METADATA: schemaContext.COLLECTION_METADATA,
+  COLLECTION_FIELDS: schemaContext.COLLECTION_FIELDS,
+  getCollectionFields: schemaContext.getCollectionFields,
   getCollectionTitle: schemaContext.getCollectionTitle,
   getCollectionFriendlyName: schemaContext.getCollectionFriendlyName,
   hasExternalContent: schemaContext.hasExternalContent,
@@ -51,6 +51,26 @@ const QUERY_SCHEMA_CONTEXT = `
    Fields: _id, source, origin, ticker, timestamp, social_sentiment{}, news_sentiment{}, buzz{}, companyNewsScore, sentiment{}, search_interest, enriched, inserted_at
    Use: Social media sentiment, news buzz, retail interest
 
+10. **fundamentals** - Financial facts tagged (inline XBRL) in 10-K / 10-Q filings - derived from sec_filings
+   Query with the sec_filings filter fields: ticker, form_type, publication_date (one result per filing, newest first, limit ≤ 8)
+   Returns per filing: periods[{start, end, months, revenue, netIncome, operatingExpenses, operatingCashFlow}], balances[{date, cash, sharesOutstanding}], summary{revenue, netIncome, cash, sharesOutstanding, monthlyBurn, runwayMonths}
+   Use: Revenue, cash position, net income/loss, operating expenses, burn rate, cash runway, shares outstanding, quarter-over-quarter comparisons
+
+11. **ownership_changes** - Quarter-over-quarter 13F diff per ticker - derived from ownership
+   Query with a ticker filter only: {"ticker": "TMC"} or {"ticker": {"$in": [...]}} (one result per ticker)
+   Returns: current/previous {period, holders, totalShares, totalValue}, netShares, netValue, newPositions[], exits[], topAdds[], topTrims[] ({holder, previousShares, shares, sharesChange, percentChange, valueChange}), concentration{top5Pct, top10Pct, hhi}
+   Use: Institutional buying/selling, new and exited positions, biggest adds/trims, smart money flows, ownership concentration
+
+12. **earnings_comparison** - Call-over-call comparison of a ticker's recent earnings calls - derived from earnings_transcripts
+   Query with the earnings_transcripts filter fields: ticker, report_date, year, quarter; "limit" = calls per ticker (2-6, default 4)
+   Returns per ticker: quarters[{label, tone{confidentPer1000, hedgingPer1000, net}, guidance[], kpis[], risks[]}] (oldest → newest), changes{from, to, tone{direction}, guidance{new, dropped, continued}, kpis[{topic, values[]}], risks{new, resolved, persistent}} - every item carries {quarter, speaker, quote}
+   Use: "What changed vs last quarter", management tone shifts, guidance raised/dropped, KPI trajectory across calls, new or resolved risks
+
+13. **sentiment_trends** - Daily sentiment/buzz analytics per ticker - derived from hype and daily_prices
+   Query with a ticker filter and an optional window start: {"ticker": "GME", "timestamp": {"$gte": "30d_ago"}} (default 90 days, max 365; one result per ticker)
+   Returns: latest{bullish, bearish, net, buzz, mentions, netZ, buzzZ, mentionsZ}, trend{net7, net30, change, direction}, spikes[{date, metric, value, z}], correlation{sameDay, nextDay, observations} (sentiment change vs daily return), series[]
+   Use: Sentiment trend, unusual buzz or hype spikes, whether sentiment moves the stock
+
 **Supabase (PostgreSQL):**
 
 1. **event_data** - Corporate events (earnings, FDA, product launches)
@@ -102,14 +122,19 @@ const QUERY_SCHEMA_CONTEXT = `
 5. **Collection routing**:
    - Political/policy → government_policy
    - SEC/financial reports → sec_filings
-   - Institutional/13F → ownership
+   - Insider buying/selling → sec_filings with form_type {"$in": ["4", "4/A"]} (trades are parsed from each Form 4), or insider_trading
+   - Revenue/cash/net loss/expenses/burn rate/runway/shares outstanding → fundamentals (exact tagged figures)
+   - Institutional/13F holder lists → ownership
+   - Institutional buying/selling, new/exited positions, smart money flows → ownership_changes (computed diff)
    - Analyst ratings → price_targets
    - Company news → news
    - Official announcements/board changes/executive appointments → press_releases
    - Earnings calls → earnings_transcripts
+   - Changes between earnings calls (tone, guidance, KPIs, risks vs last quarter) → earnings_comparison
    - Current/live price → stock_quote_now
    - Historical daily prices → daily_prices (ALWAYS include stock_quote_now alongside for current day)
-   - Social sentiment → hype
+   - Social sentiment snapshot → hype
+   - Sentiment trend, buzz spikes, sentiment vs price → sentiment_trends (computed analytics)
    - Economic indicators → macro_economics
    - Company profile → company_information (Supabase)
    - Current prices → finnhub_quote_snapshots (Supabase)
@@ -150,7 +175,7 @@ const RESPONSE_SCHEMA_CONTEXT = `
 - May need URL fetch for full content
 
 **earnings_transcripts:** ticker, quarter, year, report_date, content
-- Full transcript in database
+- Full transcript in database, shown as speaker turns (prepared remarks, then Q&A)
 
 **price_targets:** ticker, date, analyst, action, rating_change, price_target_change
 - No external content needed
@@ -158,6 +183,9 @@ const RESPONSE_SCHEMA_CONTEXT = `
 **macro_economics:** title, date, country, category, description, url
 - May need URL fetch for details
 
+**insider_trading:** ticker, transaction_date, name, share, change, transactionCode, transactionPrice
+- No external content needed (Form 4 rows in sec_filings are parsed into the same transactions)
+
 **ownership:** ticker, holder_name, shares, shares_change, total_position_value, file_date
 - No external content needed
 
@@ -220,11 +248,31 @@ const COLLECTION_METADATA = {
     friendlyName: 'institutional holdings',
     hasExternalContent: false
   },
+  insider_trading: {
+    title: 'INSIDER TRADING',
+    friendlyName: 'insider transactions',
+    hasExternalContent: false
+  },
+  ownership_changes: {
+    title: 'INSTITUTIONAL OWNERSHIP CHANGES (13F)',
+    friendlyName: 'institutional ownership changes',
+    hasExternalContent: false
+  },
+  earnings_comparison: {
+    title: 'EARNINGS CALL COMPARISON',
+    friendlyName: 'earnings call comparison',
+    hasExternalContent: false
+  },
   hype: {
     title: 'SENTIMENT DATA',
     friendlyName: 'sentiment data',
     hasExternalContent: false
   },
+  sentiment_trends: {
+    title: 'SENTIMENT TRENDS',
+    friendlyName: 'sentiment trends',
+    hasExternalContent: false
+  },
   finnhub_quote_snapshots: {
     title: 'CURRENT STOCK PRICES',
     friendlyName: 'current stock prices',
@@ -254,9 +302,224 @@ const COLLECTION_METADATA = {
     title: 'COMPANY INFORMATION',
     friendlyName: 'company details',
     hasExternalContent: false
+  },
+  fundamentals: {
+    title: 'FINANCIAL FUNDAMENTALS (XBRL)',
+    friendlyName: 'financial statements',
+    hasExternalContent: false
+  },
+  semantic_search: {
+    title: 'RELEVANT PASSAGES (SEMANTIC SEARCH)',
+    friendlyName: 'relevant passages',
+    hasExternalContent: false
   }
 };
 
+/**
+ * Real field names per collection (used by QueryNormalizer to rewrite pseudo-filters)
+ *
+ * dateFormat describes how the primary date field is stored:
+ *   date_string - "YYYY-MM-DD" string
+ *   iso_string  - "YYYY-MM-DDTHH:mm:ss" string (no timezone)
+ *   timestamp   - ISO timestamp (Supabase timestamptz)
+ *   mixed       - BSON Date in newer documents, ISO string in older ones (match both)
+ */
+const COLLECTION_FIELDS = {
+  // MongoDB - raw_data
+  government_policy: {
+    database: 'mongodb',
+    fields: ['_id', 'date', 'title', 'url', 'participants', 'turns', 'turns.speaker', 'turns.text', 'source', 'inserted_at', 'enriched'],
+    tickerField: null,
+    dateField: 'date',
+    dateFormat: 'date_string'
+  },
+  sec_filings: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'form_type', 'publication_date', 'report_date', 'acceptance_datetime', 'access_number', 'file_number', 'url', 'file_size', 'source', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'publication_date',
+    dateFormat: 'mixed'
+  },
+  ownership: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'source', 'event_type', 'file_date', 'form_type', 'holder_name', 'shares', 'shares_change', 'shares_percent_change', 'total_position_value', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'file_date',
+    dateFormat: 'mixed'
+  },
+  macro_economics: {
+    database: 'mongodb',
+    fields: ['_id', 'date', 'title', 'description', 'url', 'author', 'country', 'category', 'importance', 'source', 'enriched', 'inserted_at'],
+    tickerField: null,
+    dateField: 'date',
+    dateFormat: 'iso_string'
+  },
+  news: {
+    database: 'mongodb',
+    fields: ['_id', 'source', 'origin', 'sourced_from', 'ticker', 'title', 'content', 'url', 'article_id', 'origin_domain', 'published_at', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'published_at',
+    dateFormat: 'mixed'
+  },
+  press_releases: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'title', 'url', 'date', 'content', 'source', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'date',
+    dateFormat: 'mixed'
+  },
+  price_targets: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'date', 'analyst', 'action', 'rating_change', 'price_target_change', 'source', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'date',
+    dateFormat: 'mixed'
+  },
+  earnings_transcripts: {
+    database: 'mongodb',
+    fields: ['_id', 'source', 'origin', 'ticker', 'content', 'report_date', 'year', 'quarter', 'transcript_id', 'metadata', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'report_date',
+    dateFormat: 'mixed'
+  },
+  hype: {
+    database: 'mongodb',
+    fields: ['_id', 'source', 'origin', 'ticker', 'timestamp', 'social_sentiment', 'news_sentiment', 'buzz', 'companyNewsScore', 'sentiment', 'search_interest', 'enriched', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'timestamp',
+    dateFormat: 'mixed'
+  },
+  fundamentals: {
+    database: 'mongodb',
+    fields: ['ticker', 'form_type', 'publication_date', 'report_date', 'url'],
+    tickerField: 'ticker',
+    dateField: 'publication_date',
+    dateFormat: 'mixed'
+  },
+  ownership_changes: {
+    database: 'mongodb',
+    fields: ['ticker'],
+    tickerField: 'ticker',
+    dateField: null,
+    dateFormat: null
+  },
+  sentiment_trends: {
+    database: 'mongodb',
+    fields: ['ticker', 'timestamp'],
+    tickerField: 'ticker',
+    dateField: 'timestamp',
+    dateFormat: 'mixed'
+  },
+  earnings_comparison: {
+    database: 'mongodb',
+    fields: ['ticker', 'report_date', 'year', 'quarter'],
+    tickerField: 'ticker',
+    dateField: 'report_date',
+    dateFormat: 'mixed'
+  },
+  insider_trading: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'transaction_date', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'transaction_date',
+    dateFormat: 'mixed'
+  },
+  institutional_ownership: {
+    database: 'mongodb',
+    fields: ['_id', 'ticker', 'date', 'institutional_ownership', 'institutional_holdings', 'inserted_at'],
+    tickerField: 'ticker',
+    dateField: 'date',
+    dateFormat: 'mixed'
+  },
+
+  // Supabase
+  event_data: {
+    database: 'supabase',
+    fields: ['ticker', 'type', 'title', 'actualDateTime_et', 'impact', 'aiInsight'],
+    tickerField: 'ticker',
+    dateField: 'actualDateTime_et',
+    dateFormat: 'timestamp'
+  },
+  company_information: {
+    database: 'supabase',
+    fields: ['symbol', 'name', 'description', 'country', 'currency', 'exchange', 'gsector', 'gind', 'finnhubIndustry', 'ipo', 'marketCapitalization', 'shareOutstanding', 'weburl', 'logo', 'cusip', 'isin'],
+    tickerField: 'symbol',
+    dateField: null,
+    dateFormat: null
+  },
+  finnhub_quote_snapshots: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'market_date', 'session', 'close', 'open', 'high', 'low', 'previous_close', 'change', 'change_percent', 'volume', 'timestamp_et', 'ingested_at'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  stock_quote_now: {
+    database: 'supabase',
+    fields: ['symbol', 'close', 'timestamp', 'timestamp_et', 'volume', 'session', 'source'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  intraday_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'timestamp_et', 'price', 'volume'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  one_minute_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'timestamp_et', 'created_at', 'source'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  five_minute_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'timestamp_et'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  ten_minute_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'timestamp_et'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  hourly_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume'],
+    tickerField: 'symbol',
+    dateField: 'timestamp',
+    dateFormat: 'timestamp'
+  },
+  daily_prices: {
+    database: 'supabase',
+    fields: ['symbol', 'date', 'open', 'high', 'low', 'close', 'volume'],
+    tickerField: 'symbol',
+    dateField: 'date',
+    dateFormat: 'date_string'
+  }
+};
+
+/**
+ * Get the real field map for a collection (null if unknown)
+ */
+function getCollectionFields(collection) {
+  return COLLECTION_FIELDS[collection] || null;
+}
+
+/**
+ * Get the primary date field for a collection ('date' if unknown)
+ * Shared by /api/mongodb date filters and per-source freshness
+ */
+function getDateField(collection) {
+  return COLLECTION_FIELDS[collection]?.dateField || 'date';
+}
+
 /**
  * Get collection title (uppercase for display)
  */
@@ -282,6 +545,9 @@ module.exports = {
   QUERY_SCHEMA_CONTEXT,
   RESPONSE_SCHEMA_CONTEXT,
   COLLECTION_METADATA,
+  COLLECTION_FIELDS,
+  getCollectionFields,
+  getDateField,
   getCollectionTitle,
   getCollectionFriendlyName,
   hasExternalContent
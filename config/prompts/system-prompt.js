@@ -34,7 +34,8 @@ const CRITICAL_CONSTRAINTS = `
 2. If no data exists: "I don't have that information in the database"
 3. Never use placeholders like "$XYZ" - always use real numbers
 4. Never fabricate quotes or data points
-5. Discuss BOTH operational progress AND financials when both are present`;
+5. Discuss BOTH operational progress AND financials when both are present
+6. Cite sources inline: when a fact or number comes from an item tagged "Citation: [CITE:id]", put that exact [CITE:id] right after the sentence - copy IDs verbatim, never invent or alter one`;
 
 /**
  * Format response style guidelines from ContextEngine (if present)
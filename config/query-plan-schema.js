@@ -0,0 +1,131 @@
+/**
+ * Query Plan Schema & Sandbox Limits
+ * Single source of truth for what an AI-generated query plan may contain
+ *
+ * Used by: services/QueryValidator.js (validation), QueryEngine.js (repair prompt),
+ *          DataConnector.executeRawQuery (defense in depth), routes/mongodb.routes.js (collection allowlist)
+ */
+
+// MongoDB collections in raw_data that may be queried (AI plans and /api/mongodb)
+const ALLOWED_MONGO_COLLECTIONS = [
+  'government_policy',
+  'sec_filings',
+  'ownership',
+  'macro_economics',
+  'news',
+  'press_releases',
+  'price_targets',
+  'earnings_transcripts',
+  'hype',
+  'insider_trading',
+  'institutional_ownership'
+];
+
+// Supabase tables that QueryEngine knows how to execute
+const ALLOWED_SUPABASE_COLLECTIONS = [
+  'event_data',
+  'company_information',
+  'finnhub_quote_snapshots',
+  'stock_quote_now',
+  'intraday_prices',
+  'one_minute_prices',
+  'five_minute_prices',
+  'ten_minute_prices',
+  'hourly_prices',
+  'daily_prices'
+];
+
+// Pseudo-collections planned like MongoDB collections but computed by QueryEngine
+// (fundamentals = XBRL facts from the filings in sec_filings, ownership_changes = quarter-over-quarter
+// 13F diff from ownership, earnings_comparison = call-over-call diff of earnings_transcripts,
+// sentiment_trends = hype z-scores/spikes correlated with daily_prices) - not exposed via /api/mongodb
+const DERIVED_MONGO_COLLECTIONS = [
+  'fundamentals',
+  'ownership_changes',
+  'earnings_comparison',
+  'sentiment_trends'
+];
+
+// Collections covered by the semantic (embedding) index - "database": "semantic" queries
+const SEMANTIC_COLLECTIONS = [
+  'news',
+  'press_releases',
+  'earnings_transcripts',
+  'government_policy'
+];
+
+// MongoDB query operators the model is allowed to use.
+// Anything else ($where, $function, $expr, $accumulator, ...) is rejected.
+const ALLOWED_MONGO_OPERATORS = [
+  '$and', '$or', '$nor', '$not',
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  '$exists', '$regex', '$options', '$elemMatch', '$all', '$size'
+];
+
+// Sandbox limits (overridable via env for ops tuning)
+const QUERY_LIMITS = {
+  maxQueries: 8,                  // Queries per plan
+  maxLimit: 100,                  // Documents per query (larger limits are clamped)
+  maxDepth: 6,                    // Nesting depth of a filter object
+  maxFilterKeys: 60,              // Total keys across a filter object
+  maxInValues: 100,               // Values in $in/$nin/$all
+  maxRegexLength: 200,            // Characters per $regex pattern
+  maxRegexAlternations: 25,       // "|" branches per $regex pattern
+  maxTimeMS: parseInt(process.env.MONGO_QUERY_MAX_TIME_MS) || 5000,
+  maxConcurrency: parseInt(process.env.QUERY_CONCURRENCY) || 4,          // Queries executed in parallel
+  sourceTimeoutMS: parseInt(process.env.QUERY_SOURCE_TIMEOUT_MS) || 8000 // Per-source wall clock before giving up
+};
+
+/**
+ * JSON Schema (draft-07 subset) for the plan returned by QueryEngine.generateQueries.
+ * Structural checks only - Mongo operator/regex rules are enforced by QueryValidator.
+ */
+const QUERY_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['queries'],
+  properties: {
+    queries: {
+      type: 'array',
+      maxItems: QUERY_LIMITS.maxQueries,
+      items: {
+        type: 'object',
+        required: ['database', 'collection', 'query'],
+        properties: {
+          database: { type: 'string', enum: ['mongodb', 'supabase', 'semantic'] },
+          collection: { type: 'string' },
+          query: { type: 'object' },
+          sort: { type: 'object' },
+          limit: { type: 'integer', minimum: 1 },
+          reasoning: { type: 'string' }
+        }
+      }
+    },
+    tickers: { type: 'array', items: { type: 'string' } },
+    extractCompanies: { type: 'boolean' },
+    needsChart: { type: 'boolean' },
+    needsDeepAnalysis: { type: 'boolean' },
+    needsMultiStep: { type: 'boolean' },
+    analysisKeywords: { type: 'array', items: { type: 'string' } },
+    chartConfig: {
+      type: ['object', 'null'],
+      properties: {
+        symbol: { type: 'string' },
+        timeRange: { type: 'string', enum: ['1D', '5D', '1W', '1M', '3M', '6M', '1Y', '5Y'] },
+        highlightDate: { type: ['string', 'null'] }
+      }
+    },
+    intent: { type: 'string' },
+    standaloneQuestion: { type: 'string' },
+    resolvedEntities: { type: ['object', 'null'] }
+  }
+};
+
+module.exports = {
+  ALLOWED_MONGO_COLLECTIONS,
+  ALLOWED_SUPABASE_COLLECTIONS,
+  DERIVED_MONGO_COLLECTIONS,
+  SEMANTIC_COLLECTIONS,
+  ALLOWED_MONGO_OPERATORS,
+  QUERY_LIMITS,
+  QUERY_PLAN_SCHEMA
+};
@@ -0,0 +1,127 @@
+/**
+ * Retrieval Tools
+ * Tool definitions for QueryEngine's multi-step retrieval loop (OpenAI function-calling format)
+ *
+ * Each tool maps onto an existing DataConnector method; execution lives in QueryEngine.executeTool
+ * so every call still goes through QueryNormalizer + QueryValidator.
+ */
+
+const { ALLOWED_MONGO_COLLECTIONS, DERIVED_MONGO_COLLECTIONS } = require('./query-plan-schema');
+
+// Step budget for the loop (RETRIEVAL_MAX_ROUNDS=0 disables multi-step retrieval)
+const RETRIEVAL_LIMITS = {
+  maxRounds: process.env.RETRIEVAL_MAX_ROUNDS !== undefined
+    ? parseInt(process.env.RETRIEVAL_MAX_ROUNDS) || 0
+    : 3,                                                                  // Model turns that may call tools
+  maxToolCalls: parseInt(process.env.RETRIEVAL_MAX_TOOL_CALLS) || 8,     // Tool calls across all rounds
+  maxToolResultChars: 6000                                                // Tool output fed back to the model
+};
+
+const PRICE_INTERVALS = ['daily', 'hourly', 'ten_minute', 'five_minute', 'one_minute'];
+
+const RETRIEVAL_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_quote',
+      description: 'Current price, change, open/high/low and previous close for a ticker',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string', description: 'Ticker symbol, e.g. "NVDA"' }
+        },
+        required: ['symbol']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_price_history',
+      description: 'Price bars for a ticker. Returns the bars plus the largest bar-to-bar moves, so use it to find WHEN a spike or drop happened',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          interval: { type: 'string', enum: PRICE_INTERVALS },
+          from: { type: 'string', description: 'Start: YYYY-MM-DD, ISO timestamp or relative token ("5d_ago", "today")' },
+          to: { type: 'string', description: 'End (optional, defaults to now)' },
+          limit: { type: 'integer', description: 'Max bars (<= 100)' }
+        },
+        required: ['symbol', 'interval', 'from']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_events',
+      description: 'Corporate/market events (earnings, FDA decisions, product launches, ...) from event_data',
+      parameters: {
+        type: 'object',
+        properties: {
+          ticker: { type: 'string' },
+          types: { type: 'array', items: { type: 'string' }, description: 'Event types to include (optional)' },
+          from: { type: 'string', description: 'Only events on/after this date (optional)' },
+          limit: { type: 'integer' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_sec_filings',
+      description: 'SEC filings for a ticker, newest first (metadata + URL; use fetch_sec_filing_content to read one)',
+      parameters: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          form_types: { type: 'array', items: { type: 'string' }, description: 'e.g. ["10-Q"], ["8-K"] (optional)' },
+          start: { type: 'string', description: 'YYYY-MM-DD (optional, requires end)' },
+          end: { type: 'string', description: 'YYYY-MM-DD (optional, requires start)' },
+          limit: { type: 'integer' }
+        },
+        required: ['symbol']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'query_collection',
+      description: 'Run a MongoDB query against one raw_data collection (same filter syntax as the query plan, including "24h_ago"-style dates and *_gte / *_contains shorthands)',
+      parameters: {
+        type: 'object',
+        properties: {
+          collection: { type: 'string', enum: [...ALLOWED_MONGO_COLLECTIONS, ...DERIVED_MONGO_COLLECTIONS] },
+          query: { type: 'object', description: 'MongoDB filter' },
+          sort: { type: 'object' },
+          limit: { type: 'integer' }
+        },
+        required: ['collection', 'query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'fetch_sec_filing_content',
+      description: 'Read the text of an SEC filing by URL, optionally focusing on paragraphs that mention keywords',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          keywords: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['url']
+      }
+    }
+  }
+];
+
+module.exports = {
+  RETRIEVAL_TOOLS,
+  RETRIEVAL_LIMITS,
+  PRICE_INTERVALS
+};
@@ -15,7 +15,7 @@
  * Used by: QueryEngine.js, ContextEngine.js
  */
 
-const openai = require('./openai');
+const { llm } = require('./openai');
 const { getCollectionFriendlyName } = require('./prompts/schema-context');
 
 // Configuration: Use AI for thinking messages? (Set to false for better performance)
@@ -42,8 +42,7 @@ async function generateThinkingMessage(phase, context = {}) {
   if (!prompt) return null;
   
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.complete('thinking', {
       messages: [{ role: "user", content: prompt }],
       temperature: 1.0,
       max_completion_tokens: 15  // Use max_completion_tokens (excludes prompt from limit)
@@ -5,7 +5,7 @@
  * Benefits: Adaptive budgets, optimal token usage, context-aware allocation
  */
 
-const openai = require('./openai');
+const { llm } = require('./openai');
 
 /**
  * AI-driven token budget allocation
@@ -64,8 +64,7 @@ Return JSON:
 Return ONLY valid JSON.`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+    const response = await llm.complete('token_allocation', {
       messages: [{ role: "user", content: prompt }],
       temperature: 0.2,
       max_completion_tokens: 300,
@@ -13,13 +13,14 @@ export type BlockType =
   | 'chart'          // Inline stock chart
   | 'article'        // Article card (news, SEC filings)
   | 'image'          // Image card (SEC filing images)
-  | 'event';         // Event card (earnings, FDA, etc.)
+  | 'event'          // Event card (earnings, FDA, etc.)
+  | 'citation';      // Inline footnote ([CITE:id] → numbered source)
 
 export interface ContentBlock {
   id: string;
   type: BlockType;
   content?: string;              // For text blocks
-  data?: ChartBlockData | CardBlockData;  // For chart/card blocks
+  data?: ChartBlockData | CardBlockData | CitationBlockData;  // For chart/card/citation blocks
 }
 
 export interface ChartBlockData {
@@ -32,6 +33,11 @@ export interface CardBlockData {
   // Card data is looked up from metadata by cardId
 }
 
+export interface CitationBlockData {
+  citationId: string;
+  number: number;
+}
+
 // ============================================
 // SSE EVENT TYPES (Backend → Frontend)
 // ============================================
@@ -44,6 +50,9 @@ export type SSEEventType =
   | 'article_block'  // Article card to render
   | 'image_block'    // Image card to render
   | 'event_block'    // Event card to render
+  | 'citation'       // Inline citation resolved to a numbered source
+  | 'verification'   // Numeric fact check of the finished response
+  | 'follow_ups'     // Suggested next questions (sent before done)
   | 'done'           // Stream complete
   | 'error';         // Error occurred
 
@@ -101,11 +110,33 @@ export interface EventBlockEvent extends BaseSSEEvent {
   cardId: string;
 }
 
+// Citation event - a [CITE:id] marker in the text (kept in place) resolved to its footnote
+export interface CitationEvent extends BaseSSEEvent {
+  type: 'citation';
+  citationId: string;
+  number: number;
+  citation: Citation;
+}
+
+// Verification event - prices / % moves in the response checked against the query results
+export interface VerificationEvent extends BaseSSEEvent {
+  type: 'verification';
+  verification: VerificationResult;
+}
+
+// Follow-ups event - suggested next questions from the executed query plan
+export interface FollowUpsEvent extends BaseSSEEvent {
+  type: 'follow_ups';
+  followUps: FollowUpSuggestion[];
+}
+
 // Done event - stream complete
 export interface DoneEvent extends BaseSSEEvent {
   type: 'done';
   conversationId: string;
   messageId?: string;
+  confidence?: ConfidenceAssessment | null;
+  citations?: Citation[];         // Cited sources in footnote order
 }
 
 // Error event
@@ -122,6 +153,9 @@ export type SSEEvent =
   | ArticleBlockEvent 
   | ImageBlockEvent 
   | EventBlockEvent 
+  | CitationEvent 
+  | VerificationEvent 
+  | FollowUpsEvent 
   | DoneEvent 
   | ErrorEvent;
 
@@ -131,7 +165,7 @@ export type SSEEvent =
 
 export interface DataCard {
   id: string;
-  type: 'article' | 'image' | 'event';
+  type: 'article' | 'image' | 'event' | 'insider_activity' | 'sentiment_trend';
   title?: string;
   ticker?: string;
   url?: string;
@@ -144,21 +178,136 @@ export interface DataCard {
   [key: string]: any;
 }
 
+// Insider activity card - net open-market buying/selling for one ticker (Form 4)
+export interface InsiderActivityCardData {
+  id: string;
+  ticker: string;
+  from: string | null;
+  to: string | null;
+  buys: { count: number; shares: number; value: number };
+  sells: { count: number; shares: number; value: number };
+  netShares: number;
+  netValue: number;
+  insiders: Array<{
+    name: string;
+    role: string | null;
+    boughtShares: number;
+    soldShares: number;
+    netValue: number;
+    lastDate: string | null;
+    sharesOwnedAfter: number | null;
+  }>;
+  source: string;
+}
+
+// Sentiment trend card - daily net sentiment/buzz with z-scores, spikes and price correlation (hype)
+export interface SentimentTrendCardData {
+  id: string;
+  ticker: string;
+  from: string;
+  to: string;
+  latest: {
+    date: string;
+    bullish: number | null;
+    bearish: number | null;
+    net: number | null;
+    buzz: number | null;
+    mentions: number | null;
+    netZ: number | null;
+    buzzZ: number | null;
+    mentionsZ: number | null;
+  };
+  trend: {
+    net7: number | null;
+    net30: number | null;
+    change: number | null;
+    direction: 'improving' | 'deteriorating' | 'stable' | null;
+  };
+  spikes: Array<{ date: string; metric: 'net' | 'buzz' | 'mentions'; value: number; z: number }>;
+  correlation: { sameDay: number | null; nextDay: number | null; observations: number };
+  series: Array<{ date: string; net: number | null; buzz: number | null; close: number | null }>;
+}
+
+export interface FollowUpSuggestion {
+  question: string;
+  type: 'gap' | 'deeper' | 'compare';  // gap = works around missing data
+  ticker: string | null;
+  collection: string | null;           // Source the question would query
+  reason: string | null;               // Gap message, when type is 'gap'
+}
+
+// A source the response cited (CitationRegistry on the backend)
+export interface Citation {
+  id: string;                    // news-<_id>, sec-<accession>, pr-<hash>, px-<SYMBOL>-<from>-<to>
+  collection: string;
+  ticker: string | null;
+  title: string | null;
+  date: string | null;
+  url: string | null;
+  documentId: string | null;
+  apiPath: string | null;        // /api/mongodb/:collection/:id (null for price ranges)
+  range?: { from: string; to: string };
+  number: number | null;         // Footnote number
+}
+
+// Result of FactChecker.verify on the backend
+export interface VerificationResult {
+  status: 'verified' | 'flagged' | 'unchecked';
+  checked: number;               // Claims that had comparable data
+  matched: number;
+  mismatches: VerificationMismatch[];
+}
+
+export interface VerificationMismatch {
+  claim: string;                 // As written ("$215.00", "4.3%")
+  type: 'price' | 'percent';
+  ticker: string;
+  value: number;
+  expected: number;              // Closest value in the data
+  source: string;                // Where it came from ("daily close", "daily % change (quote)")
+  date: string | null;
+  reason: 'value' | 'direction'; // direction = right size, opposite sign
+  sentence: string;
+}
+
 export interface ThinkingStep {
   phase: string;
   content: string;
   timestamp: number;
 }
 
+// Age of the newest document per source (IntelligenceEngine.measureFreshness)
+export interface SourceFreshness {
+  source: string;        // Collection name
+  label: string;         // Friendly name ("news articles")
+  newest: string;        // ISO date of the newest document
+  ageDays: number;
+  age: string;           // "5h", "3d"
+  stale: boolean;        // Older than the collection's staleness threshold
+}
+
+export interface ConfidenceAssessment {
+  score: number;         // 0-100
+  level: 'High' | 'Moderate' | 'Low' | 'Very Low';
+  factors: string[];
+  warnings: string[];
+  metadata: {
+    sources: number;
+    avgFreshnessDays: number | null;
+    completeness: { hasExpectedData?: boolean; hasPartialData?: boolean };
+  };
+}
+
 export interface IntelligenceMetadata {
   totalSources: number;
-  sourceFreshness?: Array<{ source: string; age: string }>;
+  sourceFreshness?: SourceFreshness[];
   dataCompleteness?: { hasExpectedData: boolean; hasPartialData: boolean };
   tickers?: string[];
   hasInstitutionalData?: boolean;
   hasPolicyData?: boolean;
   hasEvents?: boolean;
   upcomingEvents?: number;
+  confidence?: ConfidenceAssessment | null;
   [key: string]: any;
 }
 
@@ -184,6 +333,7 @@ export const MARKER_PATTERNS = {
   ARTICLE: /\[VIEW_ARTICLE:([^\]]+)\]/g,
   IMAGE: /\[IMAGE_CARD:([^\]]+)\]/g,
   EVENT: /\[EVENT_CARD:([^\]]+)\]/g,
+  CITE: /\[CITE:([^\]]+)\]/g,
 } as const;
 
 // Helper to detect if text has any markers
@@ -196,6 +346,14 @@ export function hasMarkers(text: string): boolean {
   );
 }
 
+// Helper to resolve where a citation footnote links: the stored document, else the source URL
+export function citationHref(citation: Citation): string | null {
+  if (citation.apiPath) {
+    return `https://catalyst-copilot-2nndy.ondigitalocean.app${citation.apiPath}`;
+  }
+  return citation.url || null;
+}
+
 // Helper to generate unique block IDs
 export function generateBlockId(type: BlockType, index: number): string {
   return `${type}-${Date.now()}-${index}`;
@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
-const openai = require('../config/openai');
+const { llm } = require('../config/openai');
 const DataConnector = require('../services/DataConnector');
 const ConversationManager = require('../services/ConversationManager');
 const IntelligenceEngine = require('../services/IntelligenceEngine');
@@ -293,7 +293,7 @@ Return ONLY the JSON object, no explanation.`;
 
     let queryIntent;
     try {
-      const classificationResponse = await openai.chat.completions.create({
+      const classificationResponse = await llm.complete('query', {
         model: "gpt-4o-mini",
         messages: [{ role: "user", content: classificationPrompt }],
         temperature: 0.1,
@@ -414,7 +414,7 @@ Look for companies like: Chevron, ExxonMobil, BP, Shell, Tesla, Apple, Microsoft
 
 Return JSON: {"companies": ["CompanyName1", "CompanyName2"]}`;
 
-                const companyResponse = await openai.chat.completions.create({
+                const companyResponse = await llm.complete('query', {
                   model: "gpt-4o-mini",
                   messages: [{ role: "user", content: companyExtractionPrompt }],
                   temperature: 0.3,
@@ -431,7 +431,7 @@ Return JSON: {"companies": ["CompanyName1", "CompanyName2"]}`;
                   // Look up ticker symbols
                   for (const companyName of companies) {
                     try {
-                      const tickerResponse = await openai.chat.completions.create({
+                      const tickerResponse = await llm.complete('query', {
                         model: "gpt-4o-mini",
                         messages: [{ role: "user", content: `What is the stock ticker symbol for ${companyName}? Return just the ticker symbol.` }],
                         temperature: 0.1,
@@ -554,7 +554,7 @@ User query: "${message}"
 
 Return a JSON object with a "keywords" array containing 15-25 search strings.`;
 
-              const keywordResponse = await openai.chat.completions.create({
+              const keywordResponse = await llm.complete('query', {
                 model: "gpt-4o-mini",
                 messages: [{ role: "user", content: keywordPrompt }],
                 temperature: 0.2,
@@ -811,7 +811,7 @@ EXAMPLES:
 
 Return ONLY the JSON object.`;
 
-                const companyCheckResponse = await openai.chat.completions.create({
+                const companyCheckResponse = await llm.complete('query', {
                   model: "gpt-4o-mini",
                   messages: [{ role: "user", content: companyCheckPrompt }],
                   temperature: 0.1,
@@ -836,7 +836,7 @@ Return ONLY the JSON object.`;
                     try {
                       const tickerLookupPrompt = `What is the stock ticker symbol for ${companyName}? Return ONLY the ticker symbol (e.g., "TSLA", "AAPL", "MSFT") or "NONE" if not a publicly traded company. No explanation.`;
                       
-                      const tickerResponse = await openai.chat.completions.create({
+                      const tickerResponse = await llm.complete('query', {
                         model: "gpt-4o-mini",
                         messages: [{ role: "user", content: tickerLookupPrompt }],
                         temperature: 0.1,
@@ -1084,7 +1084,7 @@ Task: Return a list of stock tickers (max 6) that should have their events fetch
 
 Return JSON only: {"tickers": ["AAPL", "TSLA"], "reasoning": "brief explanation"}`;
 
-        const tickerSelectionResponse = await openai.chat.completions.create({
+        const tickerSelectionResponse = await llm.complete('ticker_selection', {
           model: "gpt-4o-mini",
           messages: [{ role: "user", content: tickerSelectionPrompt }],
           temperature: 0.2,
@@ -1655,7 +1655,7 @@ Return JSON only: {"tickers": ["AAPL", "TSLA"], "reasoning": "brief explanation"
     sendThinking('synthesizing', 'Analyzing the data and preparing a response..');
 
     // Call OpenAI with text-only streaming (SEC.gov blocks image downloads)
-    const stream = await openai.chat.completions.create({
+    const stream = await llm.stream('response', {
       model: "gpt-4o",
       messages,
       temperature: 0.7,
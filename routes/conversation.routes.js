@@ -7,6 +7,30 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const ConversationManager = require('../services/ConversationManager');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BULK_DELETE = 100;
+
+// Load a conversation and check the requesting user owns it
+// Sends the 404/403 response itself and returns null when access is denied
+async function loadOwnedConversation(req, res, columns = 'id, user_id') {
+  const { data: conversation } = await supabase
+    .from('conversations')
+    .select(columns)
+    .eq('id', req.params.id)
+    .maybeSingle();
+  
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  if (conversation.user_id !== req.user.userId) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return conversation;
+}
 
 // Create new conversation
 router.post('/', authenticateToken, async (req, res) => {
@@ -31,17 +55,20 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's conversations
+// Get user's conversations (pinned first; archived=true lists the archive instead)
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, archived = 'false' } = req.query;
+    const start = parseInt(offset) || 0;
     
     const { data, error } = await supabase
       .from('conversation_summaries')
       .select('*')
       .eq('user_id', req.user.userId)
+      .eq('archived', archived === 'true')
+      .order('pinned', { ascending: false })
       .order('updated_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      .range(start, start + (parseInt(limit) || 20) - 1);
     
     if (error) throw error;
     
@@ -52,6 +79,151 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Full-text search across the user's messages
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, limit, include_archived } = req.query;
+    
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+    
+    const result = await ConversationManager.searchMessages(req.user.userId, q.trim(), {
+      limit,
+      includeArchived: include_archived === 'true'
+    });
+    
+    if (!result.success) throw new Error(result.error);
+    
+    res.json({ results: result.data });
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+// Delete several conversations at once (messages cascade)
+router.post('/bulk-delete', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of conversation IDs' });
+    }
+    if (ids.length > MAX_BULK_DELETE) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_DELETE} conversations can be deleted at once` });
+    }
+    
+    // Scoped to the user, so IDs belonging to someone else are silently skipped
+    const { data, error } = await supabase
+      .from('conversations')
+      .delete()
+      .in('id', ids)
+      .eq('user_id', req.user.userId)
+      .select('id');
+    
+    if (error) throw error;
+    
+    res.json({ success: true, deleted: (data || []).map(row => row.id) });
+  } catch (error) {
+    console.error('Error bulk deleting conversations:', error);
+    res.status(500).json({ error: 'Failed to delete conversations' });
+  }
+});
+
+// Get a single conversation
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await loadOwnedConversation(req, res);
+    if (!conversation) return;
+    
+    const { data, error } = await supabase
+      .from('conversation_summaries')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({ conversation: data });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Rename, pin or archive a conversation
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { title, pinned, archived } = req.body;
+    const updates = {};
+    
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({ error: `title must be 1-${MAX_TITLE_LENGTH} characters` });
+      }
+      updates.title = title.trim();
+    }
+    if (pinned !== undefined) {
+      if (typeof pinned !== 'boolean') {
+        return res.status(400).json({ error: 'pinned must be a boolean' });
+      }
+      updates.pinned = pinned;
+    }
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        return res.status(400).json({ error: 'archived must be a boolean' });
+      }
+      updates.archived = archived;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (title, pinned or archived)' });
+    }
+    
+    const conversation = await loadOwnedConversation(req, res, 'id, user_id, metadata');
+    if (!conversation) return;
+    
+    // A user-chosen title is never replaced by the generated one
+    if (updates.title) {
+      updates.metadata = { ...(conversation.metadata || {}), title_source: 'user' };
+    }
+    
+    const { data, error } = await supabase
+      .from('conversations')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({ conversation: data });
+  } catch (error) {
+    console.error('Error updating conversation:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
+// Delete a conversation (messages cascade)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await loadOwnedConversation(req, res);
+    if (!conversation) return;
+    
+    const { error } = await supabase
+      .from('conversations')
+      .delete()
+      .eq('id', req.params.id);
+    
+    if (error) throw error;
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
 // Get messages for a conversation
 router.get('/:id/messages', authenticateToken, async (req, res) => {
   try {
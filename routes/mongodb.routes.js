@@ -9,6 +9,8 @@
 const express = require('express');
 const router = express.Router();
 const { MongoClient, ObjectId } = require('mongodb');
+const { ALLOWED_MONGO_COLLECTIONS } = require('../config/query-plan-schema');
+const { getDateField } = require('../config/prompts/schema-context');
 
 // Initialize MongoDB client
 const mongoClient = new MongoClient(process.env.MONGODB_URI);
@@ -18,20 +20,8 @@ const db = mongoClient.db('raw_data');
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// Whitelist of allowed collections (security)
-const ALLOWED_COLLECTIONS = [
-  'government_policy',
-  'sec_filings',
-  'ownership',
-  'macro_economics',
-  'news',
-  'press_releases',
-  'price_targets',
-  'earnings_transcripts',
-  'hype',
-  'insider_trading',
-  'institutional_ownership'
-];
+// Whitelist of allowed collections (security) - shared with the AI query sandbox
+const ALLOWED_COLLECTIONS = ALLOWED_MONGO_COLLECTIONS;
 
 /**
  * GET /api/mongodb/:collection
@@ -230,26 +220,6 @@ router.get('/:collection/:id', async (req, res) => {
   }
 });
 
-/**
- * Helper: Get date field name for a collection
- */
-function getDateField(collection) {
-  const dateFields = {
-    government_policy: 'date',
-    sec_filings: 'publication_date',
-    news: 'published_at',
-    press_releases: 'date',
-    price_targets: 'date',
-    earnings_transcripts: 'report_date',
-    macro_economics: 'date',
-    ownership: 'file_date',
-    hype: 'timestamp',
-    insider_trading: 'transaction_date',
-    institutional_ownership: 'filing_date'
-  };
-  return dateFields[collection] || 'date';
-}
-
 /**
  * Helper: Get default sort field for a collection
  */
@@ -265,7 +235,7 @@ function getDefaultSortField(collection) {
     ownership: 'file_date',
     hype: 'timestamp',
     insider_trading: 'transaction_date',
-    institutional_ownership: 'filing_date'
+    institutional_ownership: 'date'
   };
   return sortFields[collection] || 'inserted_at';
 }
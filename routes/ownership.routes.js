@@ -0,0 +1,90 @@
+/**
+ * Ownership Routes
+ * Quarter-over-quarter institutional (13F) ownership changes from MongoDB
+ * Used by the frontend ownership panel and "smart money" views
+ */
+
+const express = require('express');
+const router = express.Router();
+const EntityResolver = require('../services/EntityResolver');
+const OwnershipDiff = require('../services/OwnershipDiff');
+
+// Simple in-memory cache (13F data only changes during filing season)
+const cache = new Map();
+const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * GET /api/ownership/:symbol/changes
+ * Latest 13F quarter compared with the quarter before
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   symbol: "TMC",
+ *   changes: {
+ *     ticker, source, current: { period, holders, totalShares, totalValue }, previous,
+ *     netShares, netValue, newPositions, exits, topAdds, topTrims,
+ *     concentration: { current: { top5Pct, top10Pct, hhi }, previous }, filingWindowOpen
+ *   },
+ *   cached: false
+ * }
+ */
+router.get('/:symbol/changes', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+
+    if (!EntityResolver.isValidSymbolFormat(symbol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol format. Must be 1-5 letters, optionally with a share class (e.g. BRK.B).'
+      });
+    }
+
+    const upperSymbol = (await EntityResolver.resolve(symbol))?.symbol || symbol.toUpperCase();
+
+    const cached = cache.get(upperSymbol);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.json({
+        ...cached.data,
+        cached: true
+      });
+    }
+
+    const result = await OwnershipDiff.getChanges(upperSymbol);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (!result.data) {
+      return res.status(404).json({
+        success: false,
+        symbol: upperSymbol,
+        message: 'No institutional ownership data found for this symbol'
+      });
+    }
+
+    const response = {
+      success: true,
+      symbol: upperSymbol,
+      changes: result.data,
+      cached: false
+    };
+
+    cache.set(upperSymbol, {
+      data: response,
+      timestamp: Date.now()
+    });
+
+    return res.json(response);
+
+  } catch (error) {
+    console.error('❌ Error computing ownership changes:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to compute ownership changes'
+    });
+  }
+});
+
+module.exports = router;
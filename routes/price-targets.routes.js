@@ -7,6 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const { mongoClient } = require('../config/database');
+const EntityResolver = require('../services/EntityResolver');
+const PriceTargetParser = require('../services/PriceTargetParser');
+const { CHART_RANGES, calculateDateRangeForTimeRange } = require('../config/chart-ranges');
 
 // Simple in-memory cache (5 minute TTL)
 const cache = new Map();
@@ -23,8 +26,8 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
  * {
  *   symbol: "TSLA",
  *   priceTargets: [{
- *     _id, symbol, analyst_firm, analyst_name, price_target,
- *     rating, published_date, action, previous_target, updated_at
+ *     _id, ticker, date, analyst, action, rating_change, price_target_change,
+ *     parsed: { firm, action, rating, previousRating, target, previousTarget, targetDirection }
  *   }],
  *   cached: false,
  *   count: 5
@@ -35,15 +38,16 @@ router.get('/:symbol', async (req, res) => {
     const { symbol } = req.params;
     const limit = Math.min(parseInt(req.query.limit) || 10, 50);
     
-    // Validate symbol format (1-5 uppercase letters)
-    if (!symbol || !/^[A-Z]{1,5}$/i.test(symbol)) {
+    // Validate symbol format (1-5 letters, optional share class like BRK.B)
+    if (!EntityResolver.isValidSymbolFormat(symbol)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid symbol format. Must be 1-5 letters.'
+        error: 'Invalid symbol format. Must be 1-5 letters, optionally with a share class (e.g. BRK.B).'
       });
     }
     
-    const upperSymbol = symbol.toUpperCase();
+    // Canonical symbol (BRK-B / brk.b → BRK.B)
+    const upperSymbol = (await EntityResolver.resolve(symbol))?.symbol || symbol.toUpperCase();
     const cacheKey = `${upperSymbol}:${limit}`;
     
     // Check cache
@@ -69,7 +73,7 @@ router.get('/:symbol', async (req, res) => {
     const response = {
       success: true,
       symbol: upperSymbol,
-      priceTargets: priceTargets,
+      priceTargets: priceTargets.map(target => ({ ...target, parsed: PriceTargetParser.parse(target) })),
       count: priceTargets.length,
       cached: false
     };
@@ -118,14 +122,14 @@ router.get('/:symbol/latest', async (req, res) => {
   try {
     const { symbol } = req.params;
     
-    if (!symbol || !/^[A-Z]{1,5}$/i.test(symbol)) {
+    if (!EntityResolver.isValidSymbolFormat(symbol)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid symbol format'
       });
     }
     
-    const upperSymbol = symbol.toUpperCase();
+    const upperSymbol = (await EntityResolver.resolve(symbol))?.symbol || symbol.toUpperCase();
     const cacheKey = `latest:${upperSymbol}`;
     
     // Check cache
@@ -180,4 +184,200 @@ router.get('/:symbol/latest', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/price-targets/:symbol/consensus
+ * Consensus statistics over a date window (latest target per firm)
+ *
+ * Query Parameters:
+ * - days: Window length in days (default: 90, max: 730)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   symbol: "TSLA",
+ *   consensus: {
+ *     ticker, windowDays, from, to, firms, targets, mean, median, high, low,
+ *     currentPrice, impliedUpside, ratings: { buy, hold, sell, unrated },
+ *     actions: { upgrades, downgrades, initiations }
+ *   },
+ *   cached: false
+ * }
+ */
+router.get('/:symbol/consensus', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    
+    if (!EntityResolver.isValidSymbolFormat(symbol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol format'
+      });
+    }
+    
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+    if (isNaN(days) || days < 1 || days > 730) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid days parameter. Must be between 1 and 730.'
+      });
+    }
+    
+    const upperSymbol = (await EntityResolver.resolve(symbol))?.symbol || symbol.toUpperCase();
+    const cacheKey = `consensus:${upperSymbol}:${days}`;
+    
+    // Check cache
+    const cached = cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.json({
+        ...cached.data,
+        cached: true
+      });
+    }
+    
+    const result = await PriceTargetParser.getConsensus(upperSymbol, days);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    if (!result.data) {
+      return res.status(404).json({
+        success: false,
+        symbol: upperSymbol,
+        message: `No price targets found for this symbol in the last ${days} days`
+      });
+    }
+    
+    const response = {
+      success: true,
+      symbol: upperSymbol,
+      consensus: result.data,
+      cached: false
+    };
+    
+    // Cache the result
+    cache.set(cacheKey, {
+      data: response,
+      timestamp: Date.now()
+    });
+    
+    return res.json(response);
+    
+  } catch (error) {
+    console.error('❌ Error computing price target consensus:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to compute price target consensus'
+    });
+  }
+});
+
+/**
+ * GET /api/price-targets/:symbol/history
+ * Per-firm price target history as step series, for overlaying on price charts
+ *
+ * Query Parameters:
+ * - range: Chart time range (1D, 5D, 1W, 1M, 3M, 6M, 1Y, 5Y; default: 1Y) - same window as the chart's price data
+ * - from / to: Explicit YYYY-MM-DD range (overrides range)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   symbol: "TSLA",
+ *   range: "1Y",
+ *   history: {
+ *     ticker, from, to,
+ *     firms: [{ firm, latest: { date, target, rating }, series: [{ date, target, rating, action, carried }] }]
+ *   },
+ *   cached: false
+ * }
+ * Each target holds until the firm's next point (step-after). A firm's target from before `from`
+ * is carried in as a first point dated `from` with carried: true.
+ */
+router.get('/:symbol/history', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    
+    if (!EntityResolver.isValidSymbolFormat(symbol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol format'
+      });
+    }
+    
+    const range = (req.query.range || '1Y').toUpperCase();
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    if (!req.query.from && !CHART_RANGES.includes(range)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid range. Must be one of ${CHART_RANGES.join(', ')}.`
+      });
+    }
+    if ((req.query.from && !isDate(req.query.from)) || (req.query.to && !isDate(req.query.to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to. Use YYYY-MM-DD.'
+      });
+    }
+    
+    let startDate;
+    let endDate;
+    if (req.query.from) {
+      startDate = new Date(req.query.from);
+      endDate = req.query.to ? new Date(req.query.to) : new Date();
+    } else {
+      ({ startDate, endDate } = calculateDateRangeForTimeRange(range));
+    }
+    
+    const upperSymbol = (await EntityResolver.resolve(symbol))?.symbol || symbol.toUpperCase();
+    const cacheKey = `history:${upperSymbol}:${req.query.from ? `${req.query.from}:${req.query.to || ''}` : range}`;
+    
+    // Check cache
+    const cached = cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.json({
+        ...cached.data,
+        cached: true
+      });
+    }
+    
+    const result = await PriceTargetParser.getHistory(upperSymbol, startDate, endDate);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    if (!result.data) {
+      return res.status(404).json({
+        success: false,
+        symbol: upperSymbol,
+        message: 'No price targets found for this symbol in this range'
+      });
+    }
+    
+    const response = {
+      success: true,
+      symbol: upperSymbol,
+      range: req.query.from ? null : range,
+      history: result.data,
+      cached: false
+    };
+    
+    // Cache the result
+    cache.set(cacheKey, {
+      data: response,
+      timestamp: Date.now()
+    });
+    
+    return res.json(response);
+    
+  } catch (error) {
+    console.error('❌ Error building price target history:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to build price target history'
+    });
+  }
+});
+
 module.exports = router;
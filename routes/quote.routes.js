@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const DataConnector = require('../services/DataConnector');
+const EntityResolver = require('../services/EntityResolver');
 
 /**
  * GET /api/quote/:symbol
@@ -23,8 +24,12 @@ router.get('/:symbol', async (req, res) => {
       });
     }
     
+    // Accept share classes, CUSIPs and company names (BRK-B, 67066G104, "nvidia")
+    const resolved = await EntityResolver.resolve(symbol);
+    const canonicalSymbol = resolved ? resolved.symbol : symbol.toUpperCase();
+    
     // Use DataConnector which already handles session-aware baseline logic
-    const result = await DataConnector.getQuoteWithPreviousClose(symbol.toUpperCase());
+    const result = await DataConnector.getQuoteWithPreviousClose(canonicalSymbol);
     
     if (!result.success) {
       return res.status(404).json(result);
@@ -18,6 +18,7 @@ const conversationRoutes = require('./routes/conversation.routes');
 const chatRoutes = require('./routes/chat.routes');
 const quoteRoutes = require('./routes/quote.routes');
 const priceTargetsRoutes = require('./routes/price-targets.routes');
+const ownershipRoutes = require('./routes/ownership.routes');
 const mongodbRoutes = require('./routes/mongodb.routes');
 const { handleChatWebSocket } = require('./routes/websocket.routes');
 
@@ -50,6 +51,7 @@ app.use('/conversations', conversationRoutes);
 app.use('/chat', chatRoutes);
 app.use('/api/quote', quoteRoutes);
 app.use('/api/price-targets', priceTargetsRoutes);
+app.use('/api/ownership', ownershipRoutes);
 app.use('/api/mongodb', mongodbRoutes);
 
 // Health check endpoint
@@ -75,6 +77,9 @@ app.get('/', (req, res) => {
       chat: '/chat',
       quote: '/api/quote/:symbol',
       priceTargets: '/api/price-targets/:symbol',
+      priceTargetConsensus: '/api/price-targets/:symbol/consensus',
+      priceTargetHistory: '/api/price-targets/:symbol/history',
+      ownershipChanges: '/api/ownership/:symbol/changes',
       mongodb: '/api/mongodb/:collection'
     }
   });
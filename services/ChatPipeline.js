@@ -0,0 +1,1086 @@
+/**
+ * ChatPipeline.js
+ *
+ * Transport-agnostic chat orchestrator shared by the SSE route (POST /chat),
+ * the WebSocket handler (/ws/chat) and the non-streaming JSON mode (POST /chat?stream=false).
+ *
+ * Flow: access check → history → QueryEngine plan → token allocation → query execution →
+ * ContextEngine formatting → event cards → stock cards → system prompt → OpenAI stream → save messages
+ *
+ * Events are delivered through a sink (see ChatSinks.js), so every transport receives
+ * exactly the same sequence: thinking → metadata → content/blocks (incl. citation) → verification → follow_ups → done (or error).
+ */
+
+const { supabase } = require('../config/database');
+const { llm, getModelForStep } = require('../config/openai');
+const DataConnector = require('./DataConnector');
+const ConversationManager = require('./ConversationManager');
+const QueryEngine = require('./QueryEngine');
+const QueryNormalizer = require('./QueryNormalizer');
+const EntityResolver = require('./EntityResolver');
+const ContextEngine = require('./ContextEngine');
+const IntelligenceEngine = require('./IntelligenceEngine');
+const FactChecker = require('./FactChecker');
+const { processOpenAIStream } = require('./StreamProcessor');
+const { buildSystemPrompt } = require('../config/prompts/system-prompt');
+const { getCollectionFriendlyName } = require('../config/prompts/schema-context');
+const { allocateTokenBudget, getTokenBudget, estimateCost } = require('../config/token-allocation');
+
+class ChatPipeline {
+  /**
+   * Run the full chat flow for a single user message
+   * @param {Object} request - { message, userId, conversationId, conversationHistory, selectedTickers, timezone }
+   * @param {Object} sink - SSESink | WebSocketSink | BufferedSink
+   * @returns {Promise<Object>} { success, status, error, conversationId, fullResponse, dataCards, eventData }
+   */
+  static async run(request, sink) {
+    const {
+      message,
+      userId = null,
+      conversationId = null,
+      conversationHistory = [],
+      selectedTickers = [],
+      timezone = 'America/New_York'
+    } = request;
+
+    const sendThinking = (phase, content) => {
+      sink.sendEvent({ type: 'thinking', phase, content });
+      console.log(`💭 Thinking: ${content}`);
+    };
+
+    // Cancel in-flight retrieval if the client goes away
+    const abortController = new AbortController();
+    const stopListening = sink.onClose(() => {
+      console.log('🔌 Client disconnected - cancelling request');
+      abortController.abort();
+    });
+
+    try {
+      console.log('Processing message:', message);
+      console.log('User ID:', userId);
+      console.log('Conversation ID:', conversationId);
+      console.log('User Timezone:', timezone);
+
+      // Verify conversation ownership if conversationId provided
+      if (conversationId && userId) {
+        const hasAccess = await this.verifyConversationAccess(conversationId, userId);
+        if (!hasAccess) {
+          sink.sendEvent({ type: 'error', error: 'Access denied to this conversation' });
+          sink.end();
+          return { success: false, status: 403, error: 'Access denied to this conversation' };
+        }
+      }
+
+      // Load conversation history from database if conversationId provided
+      let loadedHistory = conversationHistory;
+      if (conversationId) {
+        loadedHistory = await ConversationManager.loadConversationContext(conversationId, 4000);
+        console.log(`Loaded ${loadedHistory.length} messages from conversation ${conversationId}`);
+      }
+
+      // Portfolio for planning: tickers selected in the client + the user's default watchlist
+      const portfolio = await this.loadPortfolio(userId, selectedTickers);
+
+      // Summarize prior turns (tickers, sources, date ranges) so the planner can resolve follow-ups
+      const planningContext = conversationId
+        ? await ConversationManager.loadPlanningContext(conversationId)
+        : ConversationManager.summarizeTurns(conversationHistory);
+
+      const ctx = {
+        message,
+        userId,
+        timezone,
+        selectedTickers,
+        portfolio,
+        conversationHistory,
+        loadedHistory,
+        planningContext,
+        queryIntent: null,
+        queryResults: [],
+        retrievalNotes: null,
+        retrievalSteps: [],
+        dataContext: '',
+        dataCards: [],
+        eventData: {},
+        upcomingDatesContext: '',
+        eventCardsContext: '',
+        intelligenceContext: '',
+        responseStyleGuidelines: null,
+        intelligenceMetadata: this.createIntelligenceMetadata(),
+        gaps: [],
+        confidence: null,
+        citations: null,
+        verification: null,
+        followUps: [],
+        signal: abortController.signal
+      };
+
+      // STEP 1: AI-NATIVE QUERY ENGINE
+      await this.planAndRetrieve(ctx, sendThinking);
+
+      if (ctx.signal.aborted) {
+        return { success: false, status: 499, error: 'Client disconnected' };
+      }
+
+      // STEP 2: BUILD DATA CONTEXT FROM RESULTS
+      await this.buildDataContext(ctx, sendThinking);
+
+      // STEP 3: PRE-GENERATE EVENT CARDS
+      await this.buildEventCards(ctx);
+
+      // STEP 4: GENERATE STOCK CARDS
+      await this.buildStockCards(ctx);
+
+      // STEP 5: INTELLIGENT ANALYSIS
+      // Only the retrieval assessment (source freshness, gaps, confidence) runs; the other
+      // IntelligenceEngine features (query decomposition, anomalies, sentiment, entity relationships)
+      // are currently disabled to avoid noise and limitations
+      this.assessRetrieval(ctx);
+
+      // STEP 6: PREPARE SYSTEM PROMPT
+      const systemPrompt = buildSystemPrompt(
+        '',
+        ctx.dataContext,
+        ctx.upcomingDatesContext,
+        ctx.eventCardsContext,
+        ctx.intelligenceContext,
+        ctx.responseStyleGuidelines
+      );
+
+      // Debug: Check if VIEW_ARTICLE markers are in dataContext
+      ctx.viewArticleMatches = (ctx.dataContext.match(/\[VIEW_ARTICLE:[^\]]+\]/g) || []);
+      if (ctx.viewArticleMatches.length > 0) {
+        console.log(`🖼️  Data context contains ${ctx.viewArticleMatches.length} VIEW_ARTICLE markers:`, ctx.viewArticleMatches);
+      }
+
+      // Build messages array (text-only - SEC.gov blocks image downloads)
+      ctx.messages = [
+        { role: "system", content: systemPrompt },
+        ...loadedHistory || [],
+        { role: "user", content: message }
+      ];
+
+      // Don't start the LLM stream (or create a conversation) for a client that already left
+      if (ctx.signal.aborted) {
+        return { success: false, status: 499, error: 'Client disconnected' };
+      }
+
+      console.log("Calling OpenAI API with", ctx.messages.length, "messages");
+
+      // STEP 7: CREATE CONVERSATION + SEND METADATA
+      ctx.conversationId = conversationId;
+      ctx.newConversation = null;
+
+      if (userId && !conversationId) {
+        const conv = await this.createConversation(userId, message);
+        if (conv) {
+          ctx.conversationId = conv.id;
+          ctx.newConversation = conv;
+        }
+      }
+
+      sink.sendEvent({
+        type: 'metadata',
+        dataCards: ctx.dataCards,
+        eventData: ctx.eventData,
+        conversationId: ctx.conversationId,
+        newConversation: ctx.newConversation,
+        timestamp: new Date().toISOString(),
+        intelligence: this.summarizeIntelligence(ctx)
+      });
+
+      // STEP 8: CALL OPENAI WITH STREAMING
+      const { fullResponse, finishReason, model, citations } = await this.streamResponse(ctx, sink);
+      ctx.fullResponse = fullResponse;
+      ctx.citationTable = citations;
+      ctx.finishReason = finishReason;
+      ctx.model = model;
+
+      // STEP 9: VERIFY NUMBERS (prices and % moves in the answer vs the structured query results)
+      ctx.verification = this.verifyResponse(ctx);
+      if (ctx.verification) {
+        sink.sendEvent({ type: 'verification', verification: ctx.verification });
+      }
+
+      // STEP 10: FOLLOW-UP SUGGESTIONS (from the executed plan and what it actually returned)
+      ctx.followUps = this.buildFollowUps(ctx);
+      if (ctx.followUps.length > 0) {
+        sink.sendEvent({ type: 'follow_ups', followUps: ctx.followUps });
+      }
+
+      sink.sendEvent({
+        type: 'done',
+        conversationId: userId ? ctx.conversationId : undefined,
+        data_cards: ctx.dataCards.length > 0 ? ctx.dataCards : [],
+        confidence: ctx.confidence,
+        citations
+      });
+      sink.end();
+
+      // STEP 11: SAVE MESSAGES (after streaming completes)
+      if (userId) {
+        await this.saveMessages(ctx);
+
+        // Replace the truncated first-message title once there is an answer to summarize (not awaited)
+        if (ctx.newConversation) {
+          ConversationManager.refreshTitle(ctx.conversationId, message, fullResponse);
+        }
+      }
+
+      return {
+        success: true,
+        conversationId: ctx.conversationId,
+        newConversation: ctx.newConversation,
+        fullResponse,
+        dataCards: ctx.dataCards,
+        eventData: ctx.eventData,
+        confidence: ctx.confidence,
+        citations,
+        verification: ctx.verification,
+        followUps: ctx.followUps
+      };
+
+    } catch (error) {
+      console.error('Chat pipeline error:', error);
+
+      sink.sendEvent({
+        type: 'error',
+        error: 'An error occurred while processing your request',
+        details: error.message
+      });
+      sink.end();
+
+      return { success: false, status: 500, error: error.message };
+    } finally {
+      stopListening();
+    }
+  }
+
+  /**
+   * Check that a conversation belongs to the requesting user
+   */
+  static async verifyConversationAccess(conversationId, userId) {
+    const { data: conversation } = await supabase
+      .from('conversations')
+      .select('user_id')
+      .eq('id', conversationId)
+      .single();
+
+    return !!conversation && conversation.user_id === userId;
+  }
+
+  /**
+   * Intelligence metadata defaults (merged with ContextEngine output)
+   */
+  static createIntelligenceMetadata() {
+    return {
+      totalSources: 0,
+      sourceFreshness: [],
+      dataCompleteness: { hasExpectedData: false, hasPartialData: false },
+      tickers: [],
+      secFilingTypes: [],
+      hasInstitutionalData: false,
+      hasPolicyData: false,
+      hasEvents: false,
+      upcomingEvents: 0,
+      institutionalDataDate: null,
+      temporalData: {},
+      anomalies: [],
+      crossRefData: {},
+      sentimentData: [],
+      secFilings: [],
+      entityRelationships: null
+    };
+  }
+
+  /**
+   * Measure what retrieval actually returned: per-source freshness, gaps vs the plan and a confidence score
+   * Stale sources and gaps are also added to the prompt so the answer can flag them
+   */
+  static assessRetrieval(ctx) {
+    try {
+      const now = new Date();
+      const retrieval = IntelligenceEngine.summarizeRetrieval(ctx.queryResults, ctx.intelligenceMetadata);
+      const eventCards = ctx.dataCards.filter(card => card.type === 'event');
+      retrieval.hasEvents = retrieval.hasEvents || eventCards.length > 0;
+      retrieval.upcomingEvents = eventCards.filter(card => new Date(card.data?.datetime) > now).length;
+      retrieval.totalSources = retrieval.collectionsHit.length;
+      retrieval.sourceFreshness = IntelligenceEngine.measureFreshness(ctx.queryResults, now);
+
+      ctx.gaps = IntelligenceEngine.identifyMissingData(ctx.queryIntent, retrieval);
+      if (ctx.gaps.length > 0) {
+        console.log('🔍 Missing Data Detected:', ctx.gaps.map(g => g.message).join('; '));
+      }
+
+      retrieval.dataCompleteness = IntelligenceEngine.assessCompleteness(retrieval, ctx.gaps);
+      ctx.intelligenceMetadata = retrieval;
+      ctx.confidence = IntelligenceEngine.calculateConfidence({
+        ...retrieval,
+        gaps: ctx.gaps,
+        queryType: ctx.queryIntent.intent
+      });
+      console.log(`🎯 Confidence: ${ctx.confidence.level} (${ctx.confidence.score}) - ${retrieval.sourceFreshness.map(f => `${f.source} ${f.age}`).join(', ') || 'no dated sources'}`);
+
+      if (ctx.confidence.warnings.length > 0) {
+        ctx.intelligenceContext += `\n\n═══ DATA FRESHNESS & COVERAGE ═══\nMention these caveats briefly where they affect the answer:\n`;
+        ctx.confidence.warnings.forEach(warning => {
+          ctx.intelligenceContext += `- ${warning.replace('⚠️ ', '')}\n`;
+        });
+      }
+    } catch (error) {
+      console.error('Error assessing retrieval:', error);
+      ctx.confidence = null;
+    }
+  }
+
+  /**
+   * Intelligence payload for the metadata event (MetadataEvent.intelligence)
+   */
+  static summarizeIntelligence(ctx) {
+    const metadata = ctx.intelligenceMetadata;
+    return {
+      totalSources: metadata.totalSources,
+      sourceFreshness: metadata.sourceFreshness,
+      dataCompleteness: metadata.dataCompleteness,
+      tickers: metadata.tickers,
+      hasInstitutionalData: metadata.hasInstitutionalData,
+      hasPolicyData: metadata.hasPolicyData,
+      hasEvents: metadata.hasEvents,
+      upcomingEvents: metadata.upcomingEvents,
+      confidence: ctx.confidence
+    };
+  }
+
+  /**
+   * Fact-check the finished response against quotes, price bars and analyst targets
+   * Mismatches are reported, not corrected - the text has already been streamed
+   */
+  static verifyResponse(ctx) {
+    try {
+      const verification = FactChecker.verify(ctx.fullResponse, ctx.queryResults);
+      console.log(`🔎 Fact check: ${verification.status} (${verification.matched}/${verification.checked} figures match)`);
+      verification.mismatches.forEach(mismatch => {
+        console.warn(`   ⚠️ ${mismatch.ticker} ${mismatch.claim} - data has ${mismatch.type === 'price' ? '$' : ''}${Math.round(mismatch.expected * 100) / 100}${mismatch.type === 'percent' ? '%' : ''} (${mismatch.source}${mismatch.reason === 'direction' ? ', opposite direction' : ''})`);
+      });
+      return verification;
+    } catch (error) {
+      console.error('Error verifying response:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Suggested next questions: gaps from identifyMissingData plus the next source for each collection hit
+   */
+  static buildFollowUps(ctx) {
+    try {
+      const followUps = IntelligenceEngine.generateFollowUps(ctx.queryIntent, ctx.intelligenceMetadata, ctx.gaps);
+      console.log('💡 Suggested Follow-ups:', followUps.map(f => f.question));
+      return followUps;
+    } catch (error) {
+      console.error('Error generating follow-ups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Generate the query plan, allocate the token budget and execute queries
+   */
+  static async planAndRetrieve(ctx, sendThinking) {
+    console.log('🤖 Using AI-Native Query Engine...');
+
+    try {
+      // AI generates the queries directly (with contextual thinking messages)
+      const queryPlan = await QueryEngine.generateQueries(
+        ctx.message,
+        ctx.portfolio,
+        sendThinking,  // Pass thinking function for context-aware messages
+        ctx.timezone,  // Pass user's timezone for accurate date interpretation
+        ctx.planningContext  // Prior turns so follow-ups keep their tickers/sources
+      );
+      console.log('📋 Query Plan:', JSON.stringify(queryPlan, null, 2));
+
+      // AI-driven token allocation
+      const tokenAllocation = await allocateTokenBudget(queryPlan, queryPlan.standaloneQuestion || ctx.message);
+
+      // Execute the AI-generated queries (in parallel, reporting each source as it lands)
+      ctx.queryResults = await QueryEngine.executeQueries(queryPlan, DataConnector, {
+        signal: ctx.signal,
+        onResult: (result) => {
+          if (result.timedOut) {
+            sendThinking('retrieving', `${getCollectionFriendlyName(result.collection)} took too long - continuing without it`);
+          } else if (!result.error && result.count > 0) {
+            sendThinking('retrieving', `Got ${result.count} ${getCollectionFriendlyName(result.collection)}`);
+          }
+        }
+      });
+      console.log(`✅ Retrieved data from ${ctx.queryResults.length} source(s)`);
+
+      // Multi-step retrieval: chain follow-up lookups that depend on what the plan found
+      if (queryPlan.needsMultiStep && !ctx.signal?.aborted) {
+        const retrieval = await QueryEngine.runRetrievalLoop(
+          queryPlan.standaloneQuestion || ctx.message,
+          queryPlan,
+          ctx.queryResults,
+          DataConnector,
+          { sendThinking, signal: ctx.signal, timezone: ctx.timezone }
+        );
+        ctx.queryResults = QueryEngine.mergeQueryResults(ctx.queryResults, retrieval.results);
+        ctx.retrievalNotes = retrieval.notes;
+        ctx.retrievalSteps = retrieval.steps;
+      }
+
+      ctx.queryIntent = {
+        intent: queryPlan.intent,
+        extractCompaniesFromTranscripts: queryPlan.extractCompanies,
+        needsChart: queryPlan.needsChart,
+        needsDeepAnalysis: queryPlan.needsDeepAnalysis || false,
+        analysisKeywords: queryPlan.analysisKeywords || [],
+        tickers: queryPlan.tickers || [],
+        queries: queryPlan.queries,
+        chartConfig: queryPlan.chartConfig || null,  // Pass chartConfig for VIEW_CHART marker
+        tokenAllocation: tokenAllocation,  // AI-allocated token budgets
+        standaloneQuestion: queryPlan.standaloneQuestion || ctx.message,
+        resolvedEntities: queryPlan.resolvedEntities || null,
+        dateRanges: QueryNormalizer.summarizeDateRanges(queryPlan.queries),
+        retrievalSteps: ctx.retrievalSteps
+      };
+
+    } catch (error) {
+      console.error('❌ AI Query Engine failed:', error);
+      // Fallback to empty results
+      ctx.queryIntent = { intent: 'general', tickers: [] };
+      ctx.queryResults = [];
+    }
+  }
+
+  /**
+   * Convert query results into the LLM data context and data cards
+   */
+  static async buildDataContext(ctx, sendThinking) {
+    if (ctx.queryResults.length === 0) return;
+
+    console.log('📝 Building data context from AI query results...');
+
+    try {
+      // AI generates intelligent formatting plan (with contextual thinking messages)
+      const formattingPlan = await ContextEngine.generateFormattingPlan(
+        ctx.queryResults,
+        ctx.message,
+        ctx.queryIntent,
+        sendThinking
+      );
+
+      // Execute the AI-generated formatting plan
+      const formatted = await ContextEngine.executeFormattingPlan(
+        formattingPlan,
+        ctx.queryResults,
+        DataConnector,
+        sendThinking,
+        ctx.queryIntent,  // Pass query intent with analysisKeywords for smart filtering
+        ctx.message       // Pass user message for relevance scoring
+      );
+
+      ctx.dataContext = formatted.dataContext;
+      if (ctx.retrievalNotes) {
+        ctx.dataContext += `\n\n═══ MULTI-STEP RETRIEVAL FINDINGS ═══\n${ctx.retrievalNotes}\n`;
+      }
+      ctx.dataCards.push(...formatted.dataCards);
+      ctx.intelligenceMetadata = { ...ctx.intelligenceMetadata, ...formatted.intelligenceMetadata };
+      ctx.citations = formatted.citations || null;
+
+      // Add VIEW_CHART markers if chartConfig is present and pre-fetch chart data
+      if (ctx.queryIntent.chartConfig) {
+        ctx.dataContext = await ContextEngine.addChartMarkers(ctx.dataContext, ctx.queryIntent, ctx.dataCards, DataConnector);
+        console.log(`📈 Added chart marker for ${ctx.queryIntent.chartConfig.symbol}`);
+      }
+
+      // Store AI-recommended response style (already includes universal formatting rules)
+      if (formattingPlan.responseStyle) {
+        ctx.responseStyleGuidelines = formattingPlan.responseStyle;
+        console.log('📐 Response Style:', ctx.responseStyleGuidelines.format, '-', ctx.responseStyleGuidelines.tone);
+      }
+
+      console.log(`✅ AI formatting complete - ${ctx.intelligenceMetadata.totalSources} sources`);
+    } catch (error) {
+      console.error('❌ AI formatting failed:', error);
+      // Continue with empty context - system will inform user no data available
+    }
+  }
+
+  /**
+   * Fetch event cards for the relevant tickers and build inline EVENT_CARD context
+   */
+  static async buildEventCards(ctx) {
+    const { message, queryIntent, conversationHistory } = ctx;
+
+    const hasEventContext = conversationHistory && conversationHistory.some(msg =>
+      msg.role === 'user' && /event|earnings|FDA|approval|launch|announcement|legal|regulatory/i.test(msg.content)
+    );
+
+    const shouldFetchEvents = (queryIntent.dataSources || []).some(ds => ds.collection === 'event_data') || hasEventContext;
+    if (!shouldFetchEvents) return;
+
+    const queryTickers = queryIntent.tickers || [];
+    const eventTypes = queryIntent.eventTypes || [];
+    const isUpcomingQuery = queryIntent.timeframe === 'upcoming' || queryIntent.isFutureOutlook;
+    const today = new Date().toISOString();
+    // For roadmap/outlook queries, fetch ALL event types, not just requested ones
+    const requestedEventTypes = queryIntent.isFutureOutlook ? [] : eventTypes;
+
+    // Use AI to determine which tickers to fetch events for
+    let tickersForEvents = [];
+
+    try {
+      const tickerSelectionPrompt = `You are an intelligent ticker selection system. Determine which stock tickers should have their events fetched.
+
+User Query: "${message}"
+Specific Tickers Mentioned: ${queryTickers.length > 0 ? queryTickers.join(', ') : 'none'}
+Event Types Requested: ${eventTypes.length > 0 ? eventTypes.join(', ') : 'all types'}
+
+Task: Return a list of stock tickers (max 6) that should have their events fetched. Rules:
+1. If specific tickers are mentioned in the query → use ONLY those tickers (e.g., "What is MNMD's roadmap?" → ["MNMD"])
+2. For broad market queries → suggest the most relevant tickers based on query topic and context
+3. Maximum 6 tickers total
+
+Return JSON only: {"tickers": ["AAPL", "TSLA"], "reasoning": "brief explanation"}`;
+
+      const tickerSelectionResponse = await llm.complete('ticker_selection', {
+        messages: [{ role: "user", content: tickerSelectionPrompt }],
+        temperature: 0.2,
+        max_tokens: 300,
+        response_format: { type: "json_object" }
+      });
+
+      const tickerSelection = JSON.parse(tickerSelectionResponse.choices[0].message.content.trim());
+      tickersForEvents = tickerSelection.tickers || [];
+
+      if (tickersForEvents.length > 0) {
+        console.log(`🎯 AI selected tickers for events: ${tickersForEvents.join(', ')} - ${tickerSelection.reasoning}`);
+      } else {
+        // Fallback: use tickers from query
+        tickersForEvents = queryTickers.slice(0, 6);
+        console.log(`⚠️ AI returned no tickers, using fallback: ${tickersForEvents.join(', ')}`);
+      }
+    } catch (error) {
+      console.error('Error in AI ticker selection:', error);
+      // Fallback logic if AI fails - use tickers from query intent
+      tickersForEvents = queryTickers.slice(0, 6);
+      console.log(`⚠️ Fallback ticker selection: ${tickersForEvents.join(', ')}`);
+    }
+
+    const uniqueTickers = [...new Set(tickersForEvents)].slice(0, 6);
+
+    try {
+      const eventPromises = uniqueTickers.map(async (ticker) => {
+        try {
+          const eventsQuery = {
+            ticker,
+            title: { $ne: null },
+            aiInsight: { $ne: null }
+          };
+
+          if (requestedEventTypes.length > 0) {
+            eventsQuery.type = { $in: requestedEventTypes };
+          }
+
+          if (isUpcomingQuery) {
+            eventsQuery.actualDateTime_et = { $gte: today };
+          }
+
+          const eventsResult = await DataConnector.getEvents({
+            query: eventsQuery,
+            limit: 5,
+            sort: isUpcomingQuery ? { actualDateTime_et: 1 } : { actualDateTime_et: -1 }
+          });
+
+          return eventsResult.data || [];
+        } catch (error) {
+          console.error(`Error fetching events for ${ticker}:`, error);
+          return [];
+        }
+      });
+
+      const allEvents = (await Promise.all(eventPromises)).flat();
+
+      allEvents.sort((a, b) => {
+        const dateA = new Date(a.actualDateTime_et || a.actualDateTime || 0);
+        const dateB = new Date(b.actualDateTime_et || b.actualDateTime || 0);
+        return isUpcomingQuery ? dateA.getTime() - dateB.getTime() : dateB.getTime() - dateA.getTime();
+      });
+
+      const topEvents = allEvents.slice(0, 5);
+
+      if (topEvents.length > 0) {
+        let eventCardsContext = `\n\n**CRITICAL - EVENT CARDS TO DISPLAY INLINE:**\nThe following ${topEvents.length} events MUST be integrated into your timeline/roadmap sections - DO NOT create a separate "Event Cards" or "Important Events" section at the end. Each event should appear in the appropriate time period section (Q1, Q2, etc.) with its [EVENT_CARD:...] marker placed at the end of the bullet point describing that event:\n\n`;
+        topEvents.forEach((event, index) => {
+          const eventDate = new Date(event.actualDateTime_et || event.actualDateTime).toLocaleDateString();
+          const eventId = event.id || `${event.ticker}_${event.type}_${(event.actualDateTime_et || event.actualDateTime)}`;
+          eventCardsContext += `${index + 1}. ${event.ticker} - ${event.title} (${event.type}) on ${eventDate}\n   AI Insight: ${event.aiInsight}\n   Marker to use: [EVENT_CARD:${eventId}]\n\n`;
+        });
+        eventCardsContext += `\n**INTEGRATION RULES:**\n- Place each event in the appropriate timeline section (e.g., May 2026 events go in Q2 2026)\n- Add the [EVENT_CARD:...] marker at the END of the bullet point describing that specific event\n- NEVER create a separate section like "Important Event Cards" or "Events Summary" - events must be woven into the narrative\n- Example: "• VOYAGE Phase 3 topline data expected May 15, 2026, which could de-risk the MM120 platform [EVENT_CARD:MNMD_clinical_2026-05-15T09:00:00+00:00]"`;
+        ctx.eventCardsContext = eventCardsContext;
+        console.log(`📋 Event Cards Context Built: ${topEvents.length} events with inline markers`);
+      }
+
+      for (const event of topEvents) {
+        const eventId = event.id || `${event.ticker}_${event.type}_${event.actualDateTime_et || event.actualDateTime}`;
+        ctx.eventData[eventId] = {
+          id: event.id || eventId,
+          ticker: event.ticker,
+          title: event.title,
+          type: event.type,
+          datetime: event.actualDateTime_et || event.actualDateTime,
+          aiInsight: event.aiInsight,
+          impact: event.impact
+        };
+        ctx.dataCards.push({
+          type: "event",
+          data: ctx.eventData[eventId]
+        });
+      }
+    } catch (error) {
+      console.error("Error generating event cards:", error);
+    }
+  }
+
+  /**
+   * Build stock cards: biggest movers, or a single-ticker card with price history
+   */
+  static async buildStockCards(ctx) {
+    const { queryIntent } = ctx;
+    const isBiggestMoversQuery = queryIntent.isBiggestMoversQuery || false;
+
+    if (isBiggestMoversQuery && queryIntent.tickers && queryIntent.tickers.length > 0) {
+      await this.buildBiggestMoversCards(ctx);
+      return;
+    }
+
+    // Check if price data is requested in dataSources (intraday_prices or daily_prices)
+    const priceDataRequested = (queryIntent.dataSources || []).some(ds =>
+      ['intraday_prices', 'daily_prices', 'finnhub_quote_snapshots'].includes(ds.collection)
+    );
+    const shouldShowIntradayChart = queryIntent.needsChart || priceDataRequested;
+    const ticker = queryIntent.tickers && queryIntent.tickers.length > 0 ? queryIntent.tickers[0] : null;
+
+    if (ticker && (shouldShowIntradayChart || queryIntent.intent === 'stock_price')) {
+      await this.buildSingleStockCard(ctx, ticker);
+    }
+  }
+
+  /**
+   * Look up a company name (entity index first, then company_information), falling back to the ticker
+   */
+  static async getCompanyName(symbol) {
+    const indexedName = await EntityResolver.getCompanyName(symbol);
+    if (indexedName) return indexedName;
+
+    try {
+      const { data } = await supabase
+        .from('company_information')
+        .select('name')
+        .eq('symbol', symbol)
+        .limit(1)
+        .single();
+
+      if (data) {
+        return data.name;
+      }
+    } catch (error) {
+      console.error(`Error fetching company name for ${symbol}:`, error);
+    }
+    return symbol;
+  }
+
+  static async buildBiggestMoversCards(ctx) {
+    const { queryIntent } = ctx;
+
+    try {
+      const tickers = await EntityResolver.canonicalizeTickers(queryIntent.tickers);
+      const stockDataPromises = tickers.map(async (ticker) => {
+        try {
+          const stockResult = await DataConnector.getStockData(ticker, 'current');
+          if (stockResult.success && stockResult.data.length > 0) {
+            return stockResult.data[0];
+          }
+        } catch (error) {
+          console.error(`Error fetching data for ${ticker}:`, error);
+        }
+        return null;
+      });
+
+      const stocksData = (await Promise.all(stockDataPromises)).filter(s => s !== null);
+      stocksData.sort((a, b) => Math.abs(b.change_percent || 0) - Math.abs(a.change_percent || 0));
+
+      const topMovers = stocksData.slice(0, Math.min(5, stocksData.length));
+
+      const companyNames = await Promise.all(topMovers.map(async (quote) => ({
+        symbol: quote.symbol,
+        name: await this.getCompanyName(quote.symbol)
+      })));
+      const companyNameMap = Object.fromEntries(companyNames.map(c => [c.symbol, c.name]));
+
+      if (topMovers.length > 0) {
+        ctx.dataContext += `\n\n=== BIGGEST MOVERS (TOP ${topMovers.length}) ===\n`;
+        for (const quote of topMovers) {
+          const company = companyNameMap[quote.symbol] || quote.symbol;
+          ctx.dataContext += `\n${quote.symbol} (${company}):\n`;
+          ctx.dataContext += `- Current Price: $${quote.close?.toFixed(2) || 'N/A'}\n`;
+          ctx.dataContext += `- Change: $${quote.change?.toFixed(2) || 'N/A'} (${quote.change_percent?.toFixed(2) || 'N/A'}%)\n`;
+          ctx.dataContext += `- Day High: $${quote.high?.toFixed(2) || 'N/A'}\n`;
+          ctx.dataContext += `- Day Low: $${quote.low?.toFixed(2) || 'N/A'}\n`;
+          ctx.dataContext += `- Volume: ${quote.volume ? quote.volume.toLocaleString() + ' shares' : 'N/A'}\n`;
+        }
+      }
+
+      for (const quote of topMovers) {
+        ctx.dataCards.push({
+          type: "stock",
+          data: {
+            ticker: quote.symbol,
+            company: companyNameMap[quote.symbol] || quote.symbol,
+            price: quote.close,
+            change: quote.change,
+            changePercent: quote.change_percent,
+            chartData: []
+          }
+        });
+      }
+    } catch (error) {
+      console.error("Error fetching biggest movers:", error);
+    }
+  }
+
+  static async buildSingleStockCard(ctx, ticker) {
+    const { queryIntent, message } = ctx;
+
+    try {
+      const isVolumeQuery = /volume|traded|trading.*shares|shares.*traded/i.test(message);
+
+      let priceTable = 'intraday_prices';
+      let chartTimeframe = 'intraday';
+
+      if (queryIntent.dateRange) {
+        const startDate = new Date(queryIntent.dateRange.start);
+        const endDate = new Date(queryIntent.dateRange.end);
+        const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+
+        if (daysDiff <= 1) {
+          priceTable = 'intraday_prices';
+          chartTimeframe = 'intraday';
+        } else if (daysDiff <= 7) {
+          priceTable = 'one_minute_prices';
+          chartTimeframe = '1week';
+        } else if (daysDiff <= 30) {
+          priceTable = 'hourly_prices';
+          chartTimeframe = '1month';
+        } else {
+          priceTable = 'daily_prices';
+          chartTimeframe = 'daily';
+        }
+      }
+
+      const stockResult = await DataConnector.getStockData(ticker, 'current');
+      if (!stockResult.success || stockResult.data.length === 0) return;
+
+      const quote = stockResult.data[0];
+      const companyName = await this.getCompanyName(ticker);
+
+      let priceHistory = [];
+      let chartReference = null;
+
+      if (priceTable === 'daily_prices') {
+        const startDate = queryIntent.dateRange?.start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const endDate = queryIntent.dateRange?.end || new Date().toISOString().split('T')[0];
+
+        const { data: dailyData, error: dailyError } = await supabase
+          .from('daily_prices')
+          .select('date, open, high, low, close, volume')
+          .eq('symbol', ticker)
+          .gte('date', startDate)
+          .lte('date', endDate)
+          .order('date', { ascending: true });
+
+        if (!dailyError && dailyData && dailyData.length > 0) {
+          priceHistory = dailyData.map(row => ({
+            timestamp: row.date,
+            open: row.open,
+            high: row.high,
+            low: row.low,
+            close: row.close,
+            volume: row.volume
+          }));
+        }
+      } else if (priceTable === 'hourly_prices') {
+        const startTime = queryIntent.dateRange?.start || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        const endTime = queryIntent.dateRange?.end || new Date().toISOString();
+
+        const { data: hourlyData, error: hourlyError } = await supabase
+          .from('hourly_prices')
+          .select('timestamp, open, high, low, close, volume')
+          .eq('symbol', ticker)
+          .gte('timestamp', startTime)
+          .lte('timestamp', endTime)
+          .order('timestamp', { ascending: true });
+
+        if (!hourlyError && hourlyData && hourlyData.length > 0) {
+          priceHistory = hourlyData;
+        }
+      } else if (priceTable === 'one_minute_prices') {
+        const startTime = queryIntent.dateRange?.start || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+        const endTime = queryIntent.dateRange?.end || new Date().toISOString();
+
+        const { data: minuteData, error: minuteError } = await supabase
+          .from('one_minute_prices')
+          .select('timestamp, open, high, low, close, volume')
+          .eq('symbol', ticker)
+          .gte('timestamp', startTime)
+          .lte('timestamp', endTime)
+          .order('timestamp', { ascending: true });
+
+        if (!minuteError && minuteData && minuteData.length > 0) {
+          priceHistory = minuteData;
+        }
+      } else {
+        const targetDate = new Date();
+        const etOffset = -5 * 60;
+        const etDate = new Date(targetDate.getTime() + (etOffset + targetDate.getTimezoneOffset()) * 60000);
+        const dateStr = etDate.toISOString().split('T')[0];
+
+        chartReference = {
+          table: 'intraday_prices',
+          symbol: ticker,
+          dateRange: {
+            start: `${dateStr}T00:00:00`,
+            end: `${dateStr}T23:59:59`
+          },
+          columns: ['timestamp_et', 'price', 'volume'],
+          orderBy: 'timestamp_et.asc'
+        };
+      }
+
+      ctx.dataCards.push({
+        type: "stock",
+        data: {
+          ticker: quote.symbol,
+          company: companyName,
+          price: quote.close,
+          change: quote.change,
+          changePercent: quote.change_percent,
+          open: quote.open,
+          high: quote.high,
+          low: quote.low,
+          previousClose: quote.previous_close,
+          volume: quote.volume,
+          chartReference: chartReference,
+          chartData: priceHistory.length > 0 ? priceHistory : null,
+          chartTimeframe: chartTimeframe,
+          priceTable: priceTable
+        }
+      });
+
+      ctx.dataContext += `\n\n**STOCK CARD DATA FOR ${ticker}:**
+- Current Price: $${quote.close.toFixed(2)}
+- Change: ${quote.change >= 0 ? '+' : ''}$${quote.change.toFixed(2)} (${quote.change_percent >= 0 ? '+' : ''}${quote.change_percent.toFixed(2)}%)
+- Day High: $${quote.high?.toFixed(2) || 'N/A'}
+- Day Low: $${quote.low?.toFixed(2) || 'N/A'}
+- Previous Close: $${quote.previous_close?.toFixed(2) || 'N/A'}`;
+
+      if (priceHistory.length > 0) {
+        const oldestPrice = priceHistory[0].close;
+        const newestPrice = priceHistory[priceHistory.length - 1].close;
+        const periodChange = ((newestPrice - oldestPrice) / oldestPrice * 100).toFixed(2);
+        ctx.dataContext += `\n- Chart Period: ${priceHistory.length} data points from ${priceTable}`;
+        ctx.dataContext += `\n- Period Performance: ${periodChange >= 0 ? '+' : ''}${periodChange}%`;
+      }
+
+      if (isVolumeQuery) {
+        const volumeResult = await DataConnector.getVolumeData(ticker, 'intraday');
+
+        if (volumeResult.success && volumeResult.data.totalVolume > 0) {
+          ctx.dataContext += `\n- Trading Volume (Real-time Intraday): ${volumeResult.data.totalVolume.toLocaleString()} shares`;
+          ctx.dataContext += `\n- Volume Data Points: ${volumeResult.data.dataPoints || 0} tick-by-tick records`;
+        } else {
+          ctx.dataContext += `\n- Trading Volume (Daily): ${quote.volume ? quote.volume.toLocaleString() + ' shares' : 'N/A'}`;
+        }
+      } else {
+        ctx.dataContext += `\n- Trading Volume: ${quote.volume ? quote.volume.toLocaleString() + ' shares' : 'N/A'}`;
+      }
+
+      ctx.dataContext += `\n\n**IMPORTANT: Use this exact price data in your response. Do not use any other price information.**`;
+    } catch (error) {
+      console.error("Error fetching stock data:", error);
+    }
+  }
+
+  /**
+   * Build the planner's portfolio: client-selected tickers first, then the user's default
+   * watchlist (selected tickers only when no watchlist is marked default)
+   */
+  static async loadPortfolio(userId, selectedTickers = []) {
+    const tickers = (selectedTickers || []).map(t => String(t).toUpperCase());
+    if (!userId) return tickers;
+
+    try {
+      const { data: watchlist, error } = await supabase
+        .from('user_watchlists')
+        .select('name, tickers')
+        .eq('user_id', userId)
+        .eq('is_default', true)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (watchlist && Array.isArray(watchlist.tickers) && watchlist.tickers.length > 0) {
+        console.log(`📋 Loaded watchlist "${watchlist.name}" (${watchlist.tickers.length} tickers) as portfolio`);
+        return [...new Set([...tickers, ...watchlist.tickers.map(t => String(t).toUpperCase())])];
+      }
+    } catch (error) {
+      console.error('Error loading watchlist:', error);
+    }
+
+    return tickers;
+  }
+
+  /**
+   * Create a conversation row for a first message from an authenticated user
+   */
+  static async createConversation(userId, message) {
+    try {
+      const { data: conv, error: convError } = await supabase
+        .from('conversations')
+        .insert([{
+          user_id: userId,
+          title: ConversationManager.generateTitle(message),
+          metadata: {}
+        }])
+        .select()
+        .single();
+
+      if (convError) throw convError;
+      console.log('Created new conversation:', conv.id);
+      return conv;
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stream the final answer through StreamProcessor into the sink
+   */
+  static async streamResponse(ctx, sink) {
+    const { messages, queryIntent, dataCards } = ctx;
+
+    // Use AI-allocated token budget
+    const allocation = queryIntent.tokenAllocation || { responseTokens: 8000, planTokens: 1500, queryTokens: 1500, tier: 'standard' };
+    const tokenBudget = getTokenBudget(allocation, 'response');
+    const costEstimate = estimateCost(allocation, messages.reduce((sum, m) => sum + (m.content?.length || 0) / 4, 0));
+
+    console.log(`💰 Response Budget: ${allocation.tier.toUpperCase()} tier (${tokenBudget} tokens, ~$${costEstimate.totalCost})`);
+
+    const stream = await llm.stream('response', {
+      messages,
+      temperature: 0.3,  // Lower temperature = more consistent formatting compliance
+      max_completion_tokens: tokenBudget
+    });
+
+    // StreamProcessor parses markers backend-side so clients receive structured events:
+    // content, chart_block, article_block, image_block, event_block, citation, horizontal_rule
+    const result = await processOpenAIStream(stream, sink, dataCards, ctx.citations);
+
+    this.logMarkerDiagnostics(result.fullResponse, ctx.viewArticleMatches || []);
+
+    return result;
+  }
+
+  /**
+   * Debug logging: full response and whether VIEW_ARTICLE markers survived
+   */
+  static logMarkerDiagnostics(fullResponse, viewArticleMatches) {
+    console.log('\n📄 FULL RESPONSE STRUCTURE:');
+    console.log('='.repeat(80));
+    console.log(fullResponse);
+    console.log('='.repeat(80));
+
+    // Show marker positions to verify they come after discussion
+    const markerMatches = [...fullResponse.matchAll(/\[VIEW_ARTICLE:[^\]]+\]/g)];
+    if (markerMatches.length > 0) {
+      console.log(`\n📍 MARKER POSITIONS (${markerMatches.length} total):`);
+      markerMatches.forEach((match, i) => {
+        const position = match.index;
+        const contextStart = Math.max(0, position - 100);
+        const contextEnd = Math.min(fullResponse.length, position + match[0].length + 20);
+        const preview = fullResponse.substring(contextStart, contextEnd).replace(/\n/g, ' ').substring(0, 120);
+        console.log(`  ${i + 1}. ${match[0]} at char ${position}`);
+        console.log(`     Context: ...${preview}...`);
+      });
+      console.log('='.repeat(80));
+    }
+
+    if (viewArticleMatches.length > 0) {
+      if (markerMatches.length === 0) {
+        console.log(`⚠️  WARNING: Data had ${viewArticleMatches.length} VIEW_ARTICLE markers but GPT-4 response has 0!`);
+      } else if (markerMatches.length < viewArticleMatches.length) {
+        console.log(`⚠️  WARNING: Data had ${viewArticleMatches.length} VIEW_ARTICLE markers but GPT-4 only kept ${markerMatches.length}`);
+      } else {
+        console.log(`✅ GPT-4 preserved all ${markerMatches.length} VIEW_ARTICLE markers`);
+      }
+    }
+  }
+
+  /**
+   * Persist the user and assistant messages for this turn
+   */
+  static async saveMessages(ctx) {
+    const { queryIntent, dataCards, fullResponse } = ctx;
+
+    try {
+      const messagesToSave = [
+        {
+          conversation_id: ctx.conversationId,
+          role: 'user',
+          content: ctx.message,
+          token_count: ConversationManager.estimateTokens(ctx.message),
+          metadata: {
+            query_intent: queryIntent,
+            tickers_queried: queryIntent.tickers || [],
+            data_sources: [...new Set((queryIntent.queries || []).map(q => q.collection))],
+            date_ranges: queryIntent.dateRanges || [],
+            standalone_question: queryIntent.standaloneQuestion || null,
+            resolved_entities: queryIntent.resolvedEntities || null
+          }
+        },
+        {
+          conversation_id: ctx.conversationId,
+          role: 'assistant',
+          content: fullResponse,
+          data_cards: dataCards.length > 0 ? dataCards : null,
+          token_count: ConversationManager.estimateTokens(fullResponse),
+          metadata: {
+            model: ctx.model || getModelForStep('response'),
+            finish_reason: ctx.finishReason,
+            confidence: ctx.confidence,
+            citations: ctx.citationTable?.length > 0 ? ctx.citationTable : null,
+            verification: ctx.verification,
+            follow_ups: ctx.followUps.length > 0 ? ctx.followUps : null
+          }
+        }
+      ];
+
+      const { error: msgError } = await supabase
+        .from('messages')
+        .insert(messagesToSave);
+
+      if (msgError) throw msgError;
+      console.log('Saved messages to conversation:', ctx.conversationId);
+
+    } catch (error) {
+      console.error('Error saving conversation:', error);
+    }
+  }
+}
+
+module.exports = ChatPipeline;
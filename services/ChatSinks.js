@@ -0,0 +1,200 @@
+/**
+ * ChatSinks.js
+ *
+ * Transport adapters for the chat pipeline. Every sink exposes the same
+ * small interface so ChatPipeline never needs to know how events reach the client:
+ *
+ *   sendEvent(event) - deliver one structured event ({ type, ... })
+ *   write(data)      - raw SSE-string compatibility (used by legacy callers)
+ *   end()            - close the response (no-op for persistent transports)
+ *   isOpen()         - whether the client can still receive events
+ *   onClose(fn)      - call fn if the client disconnects mid-request; returns an unsubscribe function
+ */
+
+/**
+ * Server-Sent Events sink (POST /chat)
+ */
+class SSESink {
+  constructor(res) {
+    this.res = res;
+  }
+
+  /**
+   * Send SSE headers immediately so streaming starts right away
+   */
+  open(origin) {
+    if (origin && (origin.endsWith('.figma.site') || origin === 'https://www.figma.com' || origin === 'https://figma.com')) {
+      this.res.setHeader('Access-Control-Allow-Origin', origin);
+      this.res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      this.res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      this.res.setHeader('Access-Control-Expose-Headers', 'Content-Type, Cache-Control, Connection');
+    }
+
+    this.res.setHeader('Content-Type', 'text/event-stream');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    this.res.setHeader('Connection', 'keep-alive');
+    this.res.setHeader('X-Accel-Buffering', 'no');
+    this.res.flushHeaders();
+
+    console.log('📡 SSE headers sent immediately - streaming enabled');
+  }
+
+  sendEvent(event) {
+    if (this.isOpen()) {
+      this.res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  }
+
+  write(data) {
+    if (this.isOpen()) {
+      this.res.write(data);
+    }
+  }
+
+  end() {
+    if (this.isOpen()) {
+      this.res.end();
+    }
+  }
+
+  isOpen() {
+    return !this.res.writableEnded && !this.res.destroyed;
+  }
+
+  onClose(fn) {
+    // 'close' also fires after a normal end() - only report early disconnects
+    const listener = () => {
+      if (!this.res.writableEnded) fn();
+    };
+    this.res.on('close', listener);
+    return () => this.res.off('close', listener);
+  }
+}
+
+/**
+ * WebSocket sink (/ws/chat) - the socket stays open between messages
+ */
+class WebSocketSink {
+  constructor(ws) {
+    this.ws = ws;
+  }
+
+  sendEvent(event) {
+    if (this.isOpen()) {
+      this.ws.send(JSON.stringify(event));
+    }
+  }
+
+  write(data) {
+    // Accept SSE-formatted strings: "data: {...}\n\n"
+    const match = data.match(/^data: (.+)\n\n$/);
+    if (match) {
+      try {
+        this.sendEvent(JSON.parse(match[1]));
+      } catch (e) {
+        console.error('Failed to parse SSE event for WebSocket:', e);
+      }
+    }
+  }
+
+  end() {
+    // Connection is reused for the next message
+  }
+
+  isOpen() {
+    return this.ws.readyState === 1; // OPEN
+  }
+
+  onClose(fn) {
+    this.ws.on('close', fn);
+    return () => this.ws.off('close', fn);
+  }
+}
+
+/**
+ * Buffered sink (POST /chat?stream=false)
+ * Collects every event and assembles a single JSON payload once the pipeline finishes.
+ * Pass the HTTP response so a client disconnect still cancels the pipeline (offline callers omit it).
+ */
+class BufferedSink {
+  constructor(res = null) {
+    this.res = res;
+    this.events = [];
+    this.ended = false;
+  }
+
+  sendEvent(event) {
+    this.events.push(event);
+  }
+
+  write(data) {
+    const match = data.match(/^data: (.+)\n\n$/);
+    if (match) {
+      try {
+        this.sendEvent(JSON.parse(match[1]));
+      } catch (e) {
+        console.error('Failed to parse buffered SSE event:', e);
+      }
+    }
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  isOpen() {
+    return !this.ended && !this.res?.destroyed;
+  }
+
+  onClose(fn) {
+    if (!this.res) return () => {};
+
+    // The JSON body is only written after the pipeline finishes - any earlier 'close' is a disconnect
+    const listener = () => {
+      if (!this.res.writableEnded) fn();
+    };
+    this.res.on('close', listener);
+    return () => this.res.off('close', listener);
+  }
+
+  /**
+   * Collapse buffered events into a JSON-friendly response body
+   */
+  toJSON() {
+    const metadata = this.events.find(e => e.type === 'metadata') || {};
+    const done = this.events.find(e => e.type === 'done') || {};
+    const error = this.events.find(e => e.type === 'error') || null;
+
+    const blocks = this.events.filter(e =>
+      ['content', 'text_delta', 'chart_block', 'article_block', 'image_block', 'event_block', 'citation', 'horizontal_rule'].includes(e.type)
+    );
+
+    return {
+      success: !error,
+      conversationId: done.conversationId || metadata.conversationId || null,
+      newConversation: metadata.newConversation || null,
+      response: blocks
+        .filter(e => e.type === 'content' || e.type === 'text_delta')
+        .map(e => e.content)
+        .join(''),
+      blocks,
+      dataCards: done.data_cards || metadata.dataCards || [],
+      eventData: metadata.eventData || {},
+      confidence: done.confidence || metadata.intelligence?.confidence || null,
+      citations: done.citations || [],
+      verification: this.events.find(e => e.type === 'verification')?.verification || null,
+      followUps: this.events.find(e => e.type === 'follow_ups')?.followUps || [],
+      thinking: this.events
+        .filter(e => e.type === 'thinking')
+        .map(({ phase, content }) => ({ phase, content })),
+      error: error ? error.error : undefined,
+      timestamp: metadata.timestamp || new Date().toISOString()
+    };
+  }
+}
+
+module.exports = {
+  SSESink,
+  WebSocketSink,
+  BufferedSink
+};
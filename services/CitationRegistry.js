@@ -0,0 +1,121 @@
+/**
+ * CitationRegistry.js
+ *
+ * Stable citation IDs for the items ContextEngine puts into the data context, so a claim in the
+ * response can point at the document that supports it. One registry per chat request.
+ *
+ * IDs are derived from the document itself, so the same document gets the same ID on every request:
+ *   news            news-<_id>
+ *   sec_filings     sec-<accession number>          (falls back to the Mongo _id)
+ *   press_releases  pr-<sha1(url), 12 chars>
+ *   daily_prices    px-<SYMBOL>-<from>-<to>         (the bar range the summary covers)
+ *
+ * The model cites with [CITE:<id>]; StreamProcessor validates each marker against the registry,
+ * numbers citations in order of first use and emits `citation` blocks. The done event carries
+ * table() - the cited entries - and Mongo-backed entries link to /api/mongodb/:collection/:id.
+ */
+
+const crypto = require('crypto');
+
+class CitationRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.cited = [];  // IDs in order of first citation
+  }
+
+  /**
+   * Register a document and return its citation ID
+   * @param {string} collection - Source collection
+   * @param {Object} doc - Raw document (news / sec_filings / press_releases)
+   * @param {Object} details - { title, date, url } overrides for display
+   * @returns {string|null} Citation ID, or null if the document has no stable identity
+   */
+  register(collection, doc, details = {}) {
+    const id = CitationRegistry.idFor(collection, doc);
+    if (!id) return null;
+
+    if (!this.entries.has(id)) {
+      const documentId = doc._id ? String(doc._id) : null;
+      this.entries.set(id, {
+        id,
+        collection,
+        ticker: doc.ticker || doc.symbol || null,
+        title: details.title || doc.title || null,
+        date: details.date || null,
+        url: details.url || doc.url || null,
+        documentId,
+        apiPath: documentId ? `/api/mongodb/${collection}/${documentId}` : null
+      });
+    }
+    return id;
+  }
+
+  /**
+   * Register a price bar range (daily_prices summaries) and return its citation ID
+   */
+  registerPriceRange(symbol, from, to) {
+    const id = `px-${symbol}-${from}-${to}`.replace(/[^A-Za-z0-9.-]/g, '');
+    if (!this.entries.has(id)) {
+      this.entries.set(id, {
+        id,
+        collection: 'daily_prices',
+        ticker: symbol,
+        title: `${symbol} daily prices ${from} to ${to}`,
+        date: to,
+        url: null,
+        documentId: null,
+        apiPath: null,
+        range: { from, to }
+      });
+    }
+    return id;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Record a citation and return its footnote number (stable across repeat citations)
+   */
+  cite(id) {
+    if (!this.entries.has(id)) return null;
+    if (!this.cited.includes(id)) this.cited.push(id);
+    return this.cited.indexOf(id) + 1;
+  }
+
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    const index = this.cited.indexOf(id);
+    return { ...entry, number: index >= 0 ? index + 1 : null };
+  }
+
+  /**
+   * Citations table for the done event - cited entries in footnote order
+   */
+  table() {
+    return this.cited.map(id => this.get(id));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  static idFor(collection, doc) {
+    if (!doc) return null;
+    switch (collection) {
+      case 'news':
+        return doc._id ? `news-${doc._id}` : null;
+      case 'sec_filings':
+        if (doc.access_number) return `sec-${String(doc.access_number).replace(/[^0-9A-Za-z-]/g, '')}`;
+        return doc._id ? `sec-${doc._id}` : null;
+      case 'press_releases':
+        return doc.url ? `pr-${crypto.createHash('sha1').update(doc.url).digest('hex').substring(0, 12)}` : null;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = CitationRegistry;
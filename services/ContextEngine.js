@@ -4,10 +4,15 @@
  * Replaces hardcoded formatting logic with adaptive, context-aware formatting
  */
 
-const openai = require('../config/openai');
+const { llm } = require('../config/openai');
 const { RESPONSE_SCHEMA_CONTEXT, getCollectionTitle, getCollectionFriendlyName } = require('../config/prompts/schema-context');
 const { generateThinkingMessage } = require('../config/thinking-messages');
 const { getTokenBudget, getTierInfo } = require('../config/token-allocation');
+const EdgarParser = require('./EdgarParser');
+const Form4Parser = require('./Form4Parser');
+const PriceTargetParser = require('./PriceTargetParser');
+const TranscriptProcessor = require('./TranscriptProcessor');
+const CitationRegistry = require('./CitationRegistry');
 
 /**
  * Universal formatting rules that apply to ALL responses
@@ -219,6 +224,64 @@ For EVERY data source:
 - Government policy transcripts are LONG - always limit maxItems to 5-10 max
 - Price targets/ownership → moderate (no external content)`;
 
+/**
+ * SEC filing excerpt limits (characters)
+ */
+const SEC_FILING_LIMITS = {
+  maxFetchedFilings: 3,       // Filings whose content is fetched per response
+  fullBudget: 24000,          // Excerpt budget per filing at detailLevel 'full'
+  detailedBudget: 12000,      // ...at any other detail level
+  minSectionChars: 400,       // Shorter bodies are table-of-contents entries
+  maxSectionScan: 120000      // Characters searched for the end of a section
+};
+
+/**
+ * Parsed Items excerpted per form type (EdgarParser keys; null = every Item the parser knows)
+ */
+const SEC_ANALYSIS_ITEMS = {
+  '10-K': ['1A', '7', '7A'],
+  '10-Q': ['I.1', 'I.2', 'II.1A'],
+  '8-K': null
+};
+
+/**
+ * Heading patterns for flattened text - sub-sections inside Items, and the fallback when no Items parse
+ * start: heading pattern (global - every occurrence is a candidate); end: the next heading
+ */
+const SEC_FILING_SECTIONS = [
+  {
+    key: 'risk_factors',
+    title: 'ITEM 1A. RISK FACTORS',
+    forms: ['10-K', '10-Q', '20-F'],
+    start: /item\s*1a\.?\s*[-–—:]?\s*risk\s+factors/gi,
+    end: /\bitem\s*(?:1b|1c|2|3)\b\.?\s*[-–—:]?\s*[A-Z]/i
+  },
+  {
+    key: 'mdna',
+    title: "MANAGEMENT'S DISCUSSION AND ANALYSIS (MD&A)",
+    forms: ['10-K', '10-Q'],
+    start: /item\s*[27]\.?\s*[-–—:]?\s*management[’'`]?s\s+discussion\s+and\s+analysis(?:\s+of\s+financial\s+condition\s+and\s+results\s+of\s+operations)?/gi,
+    end: /\bitem\s*(?:3|7a|8)\b\.?\s*[-–—:]?\s*[A-Z]|\bliquidity\s+and\s+capital\s+resources\b/i
+  },
+  {
+    key: 'liquidity',
+    title: 'LIQUIDITY AND CAPITAL RESOURCES',
+    forms: ['10-K', '10-Q', '20-F'],
+    start: /liquidity\s+and\s+capital\s+resources/gi,
+    end: /\b(?:critical\s+accounting|off-balance\s+sheet|contractual\s+obligations|recent(?:ly)?\s+(?:issued\s+)?accounting\s+pronouncements)\b|\bitem\s*(?:3|4|7a|8)\b\.?\s*[-–—:]?\s*[A-Z]/i
+  },
+  {
+    key: 'subsequent_events',
+    title: 'SUBSEQUENT EVENTS',
+    forms: ['10-K', '10-Q', '20-F'],
+    start: /(?:note\s*\d{1,2}\s*[-–—.:]?\s*|\b\d{1,2}\.\s*)subsequent\s+events?/gi,
+    end: /\bnote\s*\d{1,2}\b|\bitem\s*\d{1,2}[a-c]?\b\.?\s*[-–—:]?\s*[A-Z]|\bsignatures?\b/i
+  }
+];
+
+// Characters per transcript turn excerpt (earnings calls)
+const TRANSCRIPT_TURN_CHARS = 1200;
+
 class ContextEngine {
   constructor() {
     // Use centralized schema context
@@ -293,6 +356,7 @@ class ContextEngine {
     const isAnalysisQuery = /\b(why|analyze|explain|what happened|impact|cause|reason|details?|breakdown)\b/i.test(userMessage);
     const isCompareQuery = /\b(compare|vs|versus|difference|between)\b/i.test(userMessage);
     const isSummaryQuery = /\b(summary|highlights|overview|tldr|brief)\b/i.test(userMessage);
+    const isInsiderQuery = /\b(insiders?|form\s*[345]|executives?\s+(?:bought|sold|buying|selling))\b/i.test(userMessage);
     
     // Determine response style based on query type
     let responseStyle = {
@@ -321,7 +385,8 @@ class ContextEngine {
         priority: isAnalysisQuery ? 5 : 3,
         detailLevel: needsDeep && !isListQuery ? 'full' : 'moderate',
         fetchExternalContent: needsDeep && !isListQuery,
-        maxItems: isListQuery ? 10 : 3
+        // Form 4s are one trade report each - a window of them is needed for net buying/selling
+        maxItems: isInsiderQuery ? 20 : isListQuery ? 10 : 3
       },
       news: {
         priority: /news|article|press/i.test(userMessage) ? 5 : 3,
@@ -353,6 +418,12 @@ class ContextEngine {
         fetchExternalContent: false,
         maxItems: 15
       },
+      ownership_changes: {
+        priority: /ownership|institutional|holders?|13f|smart money|fund/i.test(userMessage) ? 5 : 3,
+        detailLevel: isListQuery ? 'moderate' : 'detailed',
+        fetchExternalContent: false,
+        maxItems: 5
+      },
       insider_trading: {
         priority: /insider|executive|buy|sell|trading/i.test(userMessage) ? 5 : 2,
         detailLevel: 'moderate',
@@ -397,6 +468,36 @@ class ContextEngine {
         detailLevel: 'moderate',
         fetchExternalContent: false,
         maxItems: 10 // Usually just 1 per symbol
+      },
+      earnings_transcripts: {
+        priority: /earnings call|transcript|management|guidance|analysts?|ceo|cfo|said|commentary/i.test(userMessage) ? 5 : 3,
+        detailLevel: needsDeep ? 'detailed' : 'moderate',
+        fetchExternalContent: false,
+        maxItems: 4 // Whole calls - turns are selected per transcript
+      },
+      sentiment_trends: {
+        priority: /sentiment|hype|buzz|social|bullish|bearish|retail/i.test(userMessage) ? 5 : 3,
+        detailLevel: needsDeep ? 'detailed' : 'moderate',
+        fetchExternalContent: false,
+        maxItems: 5
+      },
+      earnings_comparison: {
+        priority: /changed|compare|versus|vs\.?|last quarter|tone|guidance|earnings call/i.test(userMessage) ? 5 : 3,
+        detailLevel: needsDeep ? 'detailed' : 'moderate',
+        fetchExternalContent: false,
+        maxItems: 3 // One comparison per ticker
+      },
+      fundamentals: {
+        priority: /revenue|cash|burn|runway|income|loss|expense|shares|fundamental|financ|earning/i.test(userMessage) ? 5 : 3,
+        detailLevel: needsDeep ? 'detailed' : 'moderate',
+        fetchExternalContent: false,
+        maxItems: 8
+      },
+      semantic_search: {
+        priority: 4, // Passages were picked for relevance to this question
+        detailLevel: needsDeep ? 'detailed' : 'moderate',
+        fetchExternalContent: false,
+        maxItems: 12
       }
     };
     
@@ -455,6 +556,7 @@ class ContextEngine {
   async executeFormattingPlan(plan, queryResults, DataConnector, sendThinking, queryIntent = null, userMessage = '') {
     let dataContext = "";
     const dataCards = [];
+    const citations = new CitationRegistry();
     const intelligenceMetadata = {
       totalSources: 0,
       secFilings: [],
@@ -497,7 +599,8 @@ class ContextEngine {
         intelligenceMetadata,
         queryIntent,
         userMessage,
-        currentQuotes  // Pass current quotes for price integration
+        currentQuotes,  // Pass current quotes for price integration
+        citations
       );
 
       if (formatted) {
@@ -508,7 +611,8 @@ class ContextEngine {
     return {
       dataContext,
       dataCards,
-      intelligenceMetadata
+      intelligenceMetadata,
+      citations
     };
   }
 
@@ -549,7 +653,7 @@ class ContextEngine {
   /**
    * Format a specific collection based on formatting spec
    */
-  async formatCollection(result, formatSpec, DataConnector, sendThinking, dataCards, intelligenceMetadata, queryIntent = null, userMessage = '', currentQuotes = []) {
+  async formatCollection(result, formatSpec, DataConnector, sendThinking, dataCards, intelligenceMetadata, queryIntent = null, userMessage = '', currentQuotes = [], citations = null) {
     const { collection, detailLevel, fetchExternalContent, maxItems, formattingNotes } = formatSpec;
     
     let output = `\n\n═══ ${this.getCollectionTitle(collection)} (${result.data.length} items) ═══\n`;
@@ -584,22 +688,22 @@ class ContextEngine {
     // Format based on collection type
     switch (collection) {
       case 'sec_filings':
-        return await this.formatSecFilings(itemsToShow, detailLevel, fetchExternalContent, DataConnector, dataCards, intelligenceMetadata, output, sendThinking);
+        return await this.formatSecFilings(itemsToShow, detailLevel, fetchExternalContent, DataConnector, dataCards, intelligenceMetadata, output, sendThinking, queryIntent, citations);
       
       case 'government_policy':
         return this.formatGovernmentPolicy(itemsToShow, detailLevel, output, dataCards, queryIntent, sendThinking);
       
       case 'news':
-        return await this.formatNews(itemsToShow, detailLevel, fetchExternalContent, DataConnector, output, dataCards, sendThinking, userMessage, queryIntent);
+        return await this.formatNews(itemsToShow, detailLevel, fetchExternalContent, DataConnector, output, dataCards, sendThinking, userMessage, queryIntent, citations);
       
       case 'price_targets':
-        return this.formatPriceTargets(itemsToShow, detailLevel, output, sendThinking);
+        return this.formatPriceTargets(itemsToShow, detailLevel, output, sendThinking, currentQuotes);
       
       case 'earnings_transcripts':
-        return this.formatEarningsTranscripts(itemsToShow, detailLevel, output, sendThinking);
+        return this.formatEarningsTranscripts(itemsToShow, detailLevel, output, sendThinking, queryIntent, userMessage);
       
       case 'press_releases':
-        return await this.formatPressReleases(itemsToShow, detailLevel, fetchExternalContent, DataConnector, output, dataCards, sendThinking);
+        return await this.formatPressReleases(itemsToShow, detailLevel, fetchExternalContent, DataConnector, output, dataCards, sendThinking, citations);
       
       case 'macro_economics':
         return await this.formatMacroEconomics(itemsToShow, detailLevel, fetchExternalContent, DataConnector, output, dataCards, sendThinking);
@@ -610,6 +714,18 @@ class ContextEngine {
       case 'hype':
         return this.formatHype(itemsToShow, detailLevel, output);
       
+      case 'ownership_changes':
+        return this.formatOwnershipChanges(itemsToShow, detailLevel, output, sendThinking);
+      
+      case 'sentiment_trends':
+        return this.formatSentimentTrends(itemsToShow, detailLevel, output, dataCards, sendThinking);
+      
+      case 'earnings_comparison':
+        return this.formatEarningsComparison(itemsToShow, detailLevel, output, sendThinking);
+      
+      case 'insider_trading':
+        return this.formatInsiderTrading(itemsToShow, detailLevel, output, dataCards, sendThinking);
+      
       // Supabase price data collections
       case 'finnhub_quote_snapshots':
         return this.formatQuoteSnapshots(itemsToShow, detailLevel, output);
@@ -644,7 +760,7 @@ class ContextEngine {
         return this.formatIntradayPrices(itemsToShow, detailLevel, output);
       
       case 'daily_prices':
-        return this.formatDailyPrices(itemsToShow, detailLevel, output, currentQuotes);
+        return this.formatDailyPrices(itemsToShow, detailLevel, output, currentQuotes, citations);
       
       case 'stock_quote_now':
         // stock_quote_now is integrated into daily_prices formatting
@@ -654,6 +770,12 @@ class ContextEngine {
       case 'company_information':
         return this.formatCompanyInformation(itemsToShow, detailLevel, output);
       
+      case 'fundamentals':
+        return this.formatFundamentals(itemsToShow, detailLevel, output, sendThinking);
+      
+      case 'semantic_search':
+        return this.formatSemanticChunks(itemsToShow, detailLevel, output, sendThinking);
+      
       default:
         return output + `(Unsupported collection type)\n`;
     }
@@ -661,8 +783,10 @@ class ContextEngine {
 
   /**
    * Format SEC filings
+   * Fetches the top filings and builds section-aware excerpts (risk factors, MD&A, liquidity,
+   * subsequent events) plus passages matching the plan's analysisKeywords
    */
-  async formatSecFilings(items, detailLevel, fetchExternal, DataConnector, dataCards, intelligenceMetadata, output, sendThinking) {
+  async formatSecFilings(items, detailLevel, fetchExternal, DataConnector, dataCards, intelligenceMetadata, output, sendThinking, queryIntent = null, citations = null) {
     // Send thinking message about SEC filings
     if (sendThinking && items.length > 0) {
       const ticker = items[0]?.ticker || 'company';
@@ -670,13 +794,16 @@ class ContextEngine {
       sendThinking('retrieving', `Searching ${ticker} ${formType} filings`);
     }
     
-    for (let index = 0; index < items.length; index++) {
-      const filing = items[index];
-      
-      // Send granular thinking for each filing
-      if (sendThinking && fetchExternal && filing.url && index < 3) {
-        sendThinking('retrieving', `Analyzing ${filing.ticker} ${filing.form_type}`);
-      }
+    const keywords = queryIntent?.analysisKeywords || [];
+    const budget = detailLevel === 'full' ? SEC_FILING_LIMITS.fullBudget : SEC_FILING_LIMITS.detailedBudget;
+    let fetchedCount = 0;
+    
+    // Form 3/4/5 are structured trade reports - parsed into insider activity instead of excerpted
+    const ownershipFilings = items.filter(f => Form4Parser.isOwnershipForm(f.form_type));
+    const documentFilings = items.filter(f => !Form4Parser.isOwnershipForm(f.form_type));
+    
+    for (let index = 0; index < documentFilings.length; index++) {
+      const filing = documentFilings[index];
       const date = filing.acceptance_datetime ? new Date(filing.acceptance_datetime).toLocaleDateString() : filing.publication_date;
       
       output += `${index + 1}. ${filing.form_type} filed on ${date}\n`;
@@ -684,12 +811,57 @@ class ContextEngine {
       if (filing.url) {
         output += `   URL: ${filing.url}\n`;
       }
+      const citationId = citations?.register('sec_filings', filing, { title: `${filing.ticker} ${filing.form_type}`, date: filing.acceptance_datetime || filing.publication_date });
+      if (citationId) {
+        output += `   Citation: [CITE:${citationId}]\n`;
+      }
 
-      if (fetchExternal && filing.url && detailLevel === 'full') {
+      if (fetchExternal && filing.url && fetchedCount < SEC_FILING_LIMITS.maxFetchedFilings) {
+        fetchedCount++;
+        
+        // Send granular thinking for each filing
+        if (sendThinking) {
+          sendThinking('retrieving', `Reading ${filing.ticker} ${filing.form_type} from ${date}`);
+        }
+        
         try {
-          const contentResult = await DataConnector.fetchSecFilingContent(filing.url, [], 25000);
+          // Parse the whole document - sections are cut out below, so the budget applies to excerpts, not the fetch
+          const contentResult = await DataConnector.fetchSecFilingDocument(filing.url, filing.form_type);
           
-          if (contentResult.success && contentResult.content) {
+          if (contentResult.success && contentResult.document?.text) {
+            const document = contentResult.document;
+            const sections = this.selectFilingSections(document, budget);
+            const keywordPassages = this.extractKeywordPassages(document.text, keywords, sections, budget / 2);
+            
+            // No recognizable sections (8-K, Form 4, ...) - fall back to the opening of the document
+            let excerpt = sections.length > 0
+              ? sections.map(section => `   --- ${section.title} ---\n   ${section.text}\n`).join('\n')
+              : `   ${this.truncateAtSentence(document.text, budget / 2)}\n`;
+            if (keywordPassages) {
+              excerpt += `\n   --- PASSAGES MENTIONING: ${keywords.join(', ')} ---\n   ${keywordPassages}\n`;
+            }
+            
+            console.log(`  📑 ${filing.ticker} ${filing.form_type}: ${sections.length > 0 ? sections.map(s => s.key).join(', ') : 'no sections'}${keywordPassages ? ' + keyword passages' : ''}`);
+            
+            const cardId = `sec-${filing.ticker}-${filing.form_type}-${index}`.replace(/[^A-Za-z0-9-]/g, '');
+            dataCards.push({
+              type: 'article',
+              data: {
+                id: cardId,
+                title: `${filing.ticker} ${filing.form_type} Filing - ${date}`,
+                url: filing.url,
+                source: 'SEC EDGAR',
+                domain: 'sec.gov',
+                ticker: filing.ticker,
+                publishedAt: filing.acceptance_datetime || filing.publication_date,
+                logoUrl: 'https://www.google.com/s2/favicons?domain=sec.gov&sz=128',
+                imageUrl: null,
+                content: (sections[0]?.text || document.text).substring(0, 200)
+              }
+            });
+            
+            output += `   Marker for this filing: [VIEW_ARTICLE:${cardId}] (place it after your discussion of this filing)\n`;
+            output += `   Sections found: ${sections.length > 0 ? sections.map(s => s.title).join(', ') : 'none - document opening below'}\n`;
             output += `\n   ⚠️⚠️⚠️ CRITICAL EXTRACTION INSTRUCTIONS ⚠️⚠️⚠️\n`;
             output += `   YOU MUST FIND AND CITE THESE SPECIFIC NUMBERS FROM THE CONTENT BELOW:\n`;
             output += `   • Cash/cash equivalents: Look for "cash equivalents of $X" or "$X million as of"\n`;
@@ -699,38 +871,24 @@ class ContextEngine {
             output += `   • TABLE DATA: Numbers in "(in thousands)" tables - multiply by 1000 for actual value\n`;
             output += `   • Example: "15,634" in thousands = $15.6 million\n`;
             output += `   • Example: "(133,357)" = negative $133.4 million (loss)\n`;
+            output += `   • Name the section a figure or risk comes from (e.g. "per the MD&A", "in its risk factors")\n`;
             output += `\n   ⚠️ CITATION RULES FOR THIS FILING ⚠️\n`;
             output += `   • DO NOT use bracket citations like [10-Q 11/13/2025] or [10-Q]\n`;
             output += `   • If discussing ONLY this filing: One markdown link at end\n`;
             output += `   • If discussing MULTIPLE sources (filing + articles): Inline citation after filing section\n`;
             output += `   • Format: [${filing.ticker} ${filing.form_type} Filing](${filing.url})\n`;
             output += `   • Place citation immediately after the paragraph discussing this filing\n`;
-            output += `   === ${filing.form_type} CONTENT ===\n${contentResult.content}\n   === END CONTENT ===\n`;
+            output += `   === ${filing.form_type} EXCERPTS ===\n${excerpt}   === END EXCERPTS ===\n`;
             
             intelligenceMetadata.secFilings.push({
               ticker: filing.ticker,
               formType: filing.form_type,
-              date: filing.acceptance_datetime,
-              content: contentResult.content.substring(0, 5000),
+              date: filing.acceptance_datetime || filing.publication_date,
+              sections: sections.map(s => s.key),
+              content: excerpt.substring(0, 5000),
               url: filing.url
             });
 
-            // ALWAYS create a filing reference card, even if no images
-            const filingCardId = `filing-${filing.ticker}-${filing.form_type}-${index}`;
-            console.log(`  📄 Creating filing reference card: ${filingCardId}`);
-            dataCards.push({
-              type: 'filing',
-              data: {
-                id: filingCardId,
-                ticker: filing.ticker,
-                formType: filing.form_type,
-                title: `${filing.form_type} Filing - ${date}`,
-                url: filing.url,
-                date: date,
-                content: contentResult.content.substring(0, 1000)
-              }
-            });
-
             if (contentResult.images && contentResult.images.length > 0) {
               console.log(`  🖼️  Found ${contentResult.images.length} images in ${filing.form_type}`);
               output += `\n   === IMAGES/CHARTS IN THIS FILING ===\n`;
@@ -773,11 +931,125 @@ class ContextEngine {
       output += `\n`;
     }
 
-    intelligenceMetadata.secFilingTypes.push(...items.map(f => f.form_type));
+    if (ownershipFilings.length > 0) {
+      if (sendThinking) {
+        sendThinking('retrieving', `Reading ${ownershipFilings.length} insider filings for ${ownershipFilings[0].ticker}`);
+      }
+      const insider = await Form4Parser.fetchTransactions(ownershipFilings);
+      
+      if (insider.data.length > 0) {
+        output += this.formatInsiderActivity(insider.data, detailLevel, dataCards, 'SEC Form 4 filings');
+      } else {
+        // Nothing parsed (fetch failures, Form 3 holdings only) - still list the filings
+        output += `INSIDER FILINGS (transaction details unavailable):\n`;
+        ownershipFilings.forEach(filing => {
+          output += `   • ${filing.ticker} Form ${filing.form_type} filed ${filing.publication_date || 'unknown date'}${filing.url ? ` - ${filing.url}` : ''}\n`;
+        });
+        output += `\n`;
+      }
+    }
+
+    items.forEach(f => {
+      if (f.form_type && !intelligenceMetadata.secFilingTypes.includes(f.form_type)) {
+        intelligenceMetadata.secFilingTypes.push(f.form_type);
+      }
+    });
     intelligenceMetadata.totalSources++;
     return output;
   }
 
+  /**
+   * Pick the excerpts for a parsed filing: its Items (SEC_ANALYSIS_ITEMS) plus the liquidity and
+   * subsequent-events sub-sections that live inside MD&A and the notes. Filings without parsed
+   * Items (plain-text or unusual layouts) fall back to heading search over the document text.
+   * @returns {Array} [{ key, title, text }]
+   */
+  selectFilingSections(document, budget) {
+    const items = EdgarParser.pickSections(document, SEC_ANALYSIS_ITEMS[document.formType] || null);
+    if (items.length === 0) {
+      return this.extractFilingSections(document.text, document.formType, budget);
+    }
+    
+    const itemBudget = Math.floor(budget * 0.7 / items.length);
+    const itemSections = items.map(section => ({
+      key: `item_${section.key}`,
+      title: `${document.formType === '10-Q' ? `PART ${section.part || 'I'}, ` : ''}ITEM ${section.item}. ${section.title.toUpperCase()}`,
+      text: EdgarParser.renderSection(section, itemBudget)
+    }));
+    const subsections = this.extractFilingSections(document.text, document.formType, budget - itemBudget * items.length, ['liquidity', 'subsequent_events']);
+    
+    return [...itemSections, ...subsections];
+  }
+
+  /**
+   * Cut the analysis-relevant sections out of flattened filing text
+   * A heading can appear several times (table of contents, cross-references) - the occurrence
+   * with the longest body before the next heading is taken as the real section
+   * @returns {Array} [{ key, title, text }] in SEC_FILING_SECTIONS order
+   */
+  extractFilingSections(text, formType, budget, keys = null) {
+    const form = (formType || '').toUpperCase().replace(/\/A$/, '');
+    const sectionDefs = SEC_FILING_SECTIONS.filter(def => def.forms.includes(form) && (!keys || keys.includes(def.key)));
+    if (sectionDefs.length === 0) return [];
+    
+    const perSection = Math.floor(budget / sectionDefs.length);
+    const sections = [];
+    
+    for (const def of sectionDefs) {
+      let best = null;
+      for (const match of text.matchAll(def.start)) {
+        const bodyStart = match.index + match[0].length;
+        const rest = text.substring(bodyStart, bodyStart + SEC_FILING_LIMITS.maxSectionScan);
+        const endMatch = def.end.exec(rest);
+        const body = endMatch ? rest.substring(0, endMatch.index) : rest;
+        if (!best || body.length > best.length) best = body;
+      }
+      
+      if (best && best.trim().length >= SEC_FILING_LIMITS.minSectionChars) {
+        sections.push({ key: def.key, title: def.title, text: this.truncateAtSentence(best.trim(), perSection) });
+      }
+    }
+    
+    return sections;
+  }
+
+  /**
+   * Sentences mentioning any keyword (with one sentence of context), skipping text already in a section
+   */
+  extractKeywordPassages(text, keywords, sections, budget) {
+    const terms = keywords.filter(k => typeof k === 'string' && k.trim());
+    if (terms.length === 0) return '';
+    
+    const keywordRegex = new RegExp(terms.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i');
+    const covered = sections.map(s => s.text).join(' ');
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const picked = new Set();
+    
+    for (let i = 0; i < sentences.length; i++) {
+      if (!keywordRegex.test(sentences[i]) || covered.includes(sentences[i])) continue;
+      for (let j = Math.max(0, i - 1); j <= Math.min(sentences.length - 1, i + 1); j++) {
+        picked.add(j);
+      }
+    }
+    
+    let passages = '';
+    for (const i of [...picked].sort((a, b) => a - b)) {
+      if (passages.length + sentences[i].length > budget) break;
+      passages += (passages && !picked.has(i - 1) ? ' ... ' : ' ') + sentences[i];
+    }
+    return passages.trim();
+  }
+
+  /**
+   * Truncate to maxLength, ending on a sentence boundary when one is close
+   */
+  truncateAtSentence(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const cut = text.substring(0, maxLength);
+    const lastStop = cut.lastIndexOf('. ');
+    return (lastStop > maxLength * 0.7 ? cut.substring(0, lastStop + 1) : cut) + ' ...';
+  }
+
   /**
    * Format government policy documents
    */
@@ -896,14 +1168,8 @@ class ContextEngine {
       
       // Get embeddings for both query and article (in parallel)
       const [queryEmbedding, articleEmbedding] = await Promise.all([
-        openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: userMessage
-        }),
-        openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: articleText
-        })
+        llm.embed({ input: userMessage }),
+        llm.embed({ input: articleText })
       ]);
       
       // Calculate cosine similarity
@@ -990,7 +1256,7 @@ class ContextEngine {
   /**
    * Format news articles - OPTIMIZED with parallel metadata fetching + relevance scoring
    */
-  async formatNews(items, detailLevel, fetchExternal, DataConnector, output, dataCards, sendThinking, userMessage = '', queryIntent = null) {
+  async formatNews(items, detailLevel, fetchExternal, DataConnector, output, dataCards, sendThinking, userMessage = '', queryIntent = null, citations = null) {
     // Domains that block requests (403/paywall) - skip fetching metadata
     const BLOCKED_DOMAINS = ['seekingalpha.com', 'wsj.com', 'ft.com', 'barrons.com'];
     
@@ -1237,6 +1503,10 @@ class ContextEngine {
         const articleId = `article-${article.ticker || 'news'}-${index}`;
         output += `Marker for this article: [VIEW_ARTICLE:${articleId}]\n`;
       }
+      const citationId = citations?.register('news', article, { date: article.published_at });
+      if (citationId) {
+        output += `Citation: [CITE:${citationId}]\n`;
+      }
 
       output += `\n`;
     }
@@ -1264,19 +1534,43 @@ class ContextEngine {
   /**
    * Format price targets
    */
-  formatPriceTargets(items, detailLevel, output, sendThinking) {
+  formatPriceTargets(items, detailLevel, output, sendThinking, currentQuotes = []) {
     // Send thinking message about price targets
     if (sendThinking && items.length > 0) {
       const ticker = items[0]?.ticker || items[0]?.symbol || 'stock';
       sendThinking('retrieving', `Analyzing Wall Street price targets for ${ticker}`);
     }
     
+    const parsed = items.map(target => PriceTargetParser.parse(target));
+    const price = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+    
+    // Consensus per ticker over the rows shown (latest target per firm)
+    const tickers = [...new Set(parsed.map(record => record.ticker).filter(Boolean))];
+    tickers.forEach(ticker => {
+      const quote = currentQuotes.find(q => q.symbol === ticker);
+      const stats = PriceTargetParser.consensus(parsed.filter(record => record.ticker === ticker), quote?.close || null);
+      if (stats.targets === 0) return;
+      
+      output += `CONSENSUS - ${ticker} (${stats.firms} firm${stats.firms === 1 ? '' : 's'}, ${stats.from} → ${stats.to}): `;
+      output += `mean ${price(stats.mean)}, median ${price(stats.median)}, range ${price(stats.low)}-${price(stats.high)}`;
+      if (stats.impliedUpside !== null) output += `, implied ${stats.impliedUpside >= 0 ? 'upside' : 'downside'} ${Math.abs(stats.impliedUpside)}% vs ${price(stats.currentPrice)}`;
+      output += `\n   Ratings: ${stats.ratings.buy} buy, ${stats.ratings.hold} hold, ${stats.ratings.sell} sell${stats.ratings.unrated ? `, ${stats.ratings.unrated} unrated` : ''}`;
+      output += ` | ${stats.actions.upgrades} upgrade${stats.actions.upgrades === 1 ? '' : 's'}, ${stats.actions.downgrades} downgrade${stats.actions.downgrades === 1 ? '' : 's'}, ${stats.actions.initiations} initiation${stats.actions.initiations === 1 ? '' : 's'}\n\n`;
+    });
+    
     items.forEach((target, index) => {
+      const record = parsed[index];
       const date = target.date ? new Date(target.date).toLocaleDateString() : 'Unknown date';
       output += `${index + 1}. ${target.analyst || 'Unknown Analyst'} - ${date}\n`;
-      if (target.action) output += `   Action: ${target.action}\n`;
-      if (target.rating_change) output += `   Rating Change: ${target.rating_change}\n`;
-      if (target.price_target_change) output += `   Price Target: ${target.price_target_change}\n`;
+      if (target.action) output += `   Action: ${target.action}${record.action ? ` (${record.action})` : ''}\n`;
+      if (target.rating_change) output += `   Rating Change: ${target.rating_change}${record.rating ? ` (${record.previousRating && record.previousRating !== record.rating ? `${record.previousRating} → ` : ''}${record.rating})` : ''}\n`;
+      if (record.target !== null) {
+        output += `   Price Target: ${record.previousTarget !== null ? `${price(record.previousTarget)} → ` : ''}${price(record.target)}`;
+        if (record.previousTarget) output += ` (${record.targetDirection}${record.targetDirection !== 'maintained' ? ` ${Math.abs(Math.round(((record.target - record.previousTarget) / record.previousTarget) * 1000) / 10)}%` : ''})`;
+        output += `\n`;
+      } else if (target.price_target_change) {
+        output += `   Price Target: ${target.price_target_change}\n`;
+      }
       output += `\n`;
     });
     return output;
@@ -1285,7 +1579,7 @@ class ContextEngine {
   /**
    * Format earnings transcripts
    */
-  formatEarningsTranscripts(items, detailLevel, output, sendThinking) {
+  formatEarningsTranscripts(items, detailLevel, output, sendThinking, queryIntent = null, userMessage = '') {
     // Send thinking message about earnings transcripts
     if (sendThinking && items.length > 0) {
       const ticker = items[0]?.ticker || 'company';
@@ -1293,14 +1587,158 @@ class ContextEngine {
       sendThinking('retrieving', `Reading ${ticker} ${quarter} call`);
     }
     
-    const contentLength = detailLevel === 'full' ? 10000 : (detailLevel === 'detailed' ? 5000 : 2000);
+    const contentLength = detailLevel === 'full' ? 12000 : (detailLevel === 'detailed' ? 6000 : 3000);
+    const keywords = queryIntent?.analysisKeywords || [];
     
     items.forEach((transcript, index) => {
       const date = transcript.report_date ? new Date(transcript.report_date).toLocaleDateString() : 'Unknown date';
       output += `${index + 1}. ${transcript.ticker} Q${transcript.quarter} ${transcript.year} - ${date}\n`;
-      if (transcript.content) {
-        output += `   Content: ${transcript.content.substring(0, contentLength)}${transcript.content.length > contentLength ? '...' : ''}\n`;
+      if (!transcript.content) {
+        output += `\n`;
+        return;
+      }
+      
+      const segmented = TranscriptProcessor.segment(transcript);
+      
+      // No recognizable speaker turns - fall back to the start of the call
+      if (segmented.turns.length < 2 || detailLevel === 'summary') {
+        output += `   Content: ${transcript.content.substring(0, contentLength)}${transcript.content.length > contentLength ? '...' : ''}\n\n`;
+        return;
+      }
+      
+      const { executives, analysts } = segmented.participants;
+      if (executives.length > 0) {
+        output += `   Executives: ${executives.map(p => `${p.name}${p.title ? ` (${p.title})` : ''}`).join(', ')}\n`;
+      }
+      if (analysts.length > 0) {
+        output += `   Analysts: ${analysts.map(p => `${p.name}${p.firm ? ` (${p.firm})` : ''}`).join(', ')}\n`;
+      }
+      
+      // Speaker / section / keyword selection, like government_policy turns
+      const filter = TranscriptProcessor.detectFilter(userMessage, segmented);
+      const focused = filter.speakers.length > 0 || filter.titlePattern || filter.section || filter.role;
+      let turns = [];
+      let selection = '';
+      
+      if (keywords.length > 0 || focused) {
+        turns = TranscriptProcessor.selectTurns(segmented, { keywords, ...filter });
+        selection = keywords.length > 0 ? `turns mentioning ${keywords.join(', ')}` : 'turns by the requested speakers';
+        
+        // Keyword misses - keep the speaker/section focus without them
+        if (turns.length === 0 && keywords.length > 0 && focused) {
+          turns = TranscriptProcessor.selectTurns(segmented, filter);
+          selection = 'turns by the requested speakers (no keyword matches)';
+        }
+      }
+      if (turns.length === 0) {
+        // Default: management's prepared remarks, then the Q&A (the part a plain prefix never reached)
+        const prepared = segmented.turns.filter(t => t.section === 'prepared' && t.role === 'executive');
+        const qa = segmented.turns.filter(t => t.section === 'qa' && t.role !== 'operator');
+        turns = [...this.takeTurnsWithin(prepared, contentLength * 0.4), ...qa];
+        selection = 'prepared remarks excerpt + Q&A';
+      }
+      
+      const qaCount = segmented.turns.filter(t => t.section === 'qa').length;
+      output += `   Call structure: ${segmented.turns.length - qaCount} prepared-remarks turns, ${qaCount} Q&A turns${segmented.qaStartIndex === -1 ? ' (no Q&A section found)' : ''}\n`;
+      
+      const shown = this.takeTurnsWithin(turns, contentLength);
+      output += `\n   === TRANSCRIPT (${selection}: showing ${shown.length} of ${segmented.turns.length} turns) ===\n`;
+      let section = null;
+      shown.forEach(turn => {
+        if (turn.section !== section) {
+          section = turn.section;
+          output += `   --- ${section === 'qa' ? 'Q&A' : 'PREPARED REMARKS'} ---\n`;
+        }
+        const label = turn.role === 'analyst' ? 'Analyst' : turn.role === 'operator' ? 'Operator' : 'Management';
+        output += `   ${turn.speaker}${turn.title ? ` (${turn.title})` : ''} [${label}]: ${this.truncateAtSentence(turn.text.replace(/\n+/g, ' '), TRANSCRIPT_TURN_CHARS)}\n`;
+      });
+      if (turns.length > shown.length) {
+        output += `   ... (${turns.length - shown.length} more selected turns omitted)\n`;
+      }
+      output += `   === END TRANSCRIPT ===\n\n`;
+    });
+    return output;
+  }
+
+  /**
+   * Leading turns that fit in a character budget (each turn counted at its excerpt length)
+   */
+  takeTurnsWithin(turns, budget) {
+    const taken = [];
+    let used = 0;
+    for (const turn of turns) {
+      const size = Math.min(turn.text.length, TRANSCRIPT_TURN_CHARS);
+      if (taken.length > 0 && used + size > budget) break;
+      taken.push(turn);
+      used += size;
+    }
+    return taken;
+  }
+
+  /**
+   * Format XBRL fundamentals (one item per filing, newest first)
+   */
+  formatFundamentals(items, detailLevel, output, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      sendThinking('retrieving', `Reading ${items[0].ticker} financial statements`);
+    }
+    
+    output += `Figures are exact XBRL-tagged values from each filing - cite them as reported, with the filing link.\n\n`;
+    
+    items.forEach((filing, index) => {
+      const { summary } = filing;
+      output += `${index + 1}. ${filing.ticker} ${filing.form_type}${filing.fiscalPeriod ? ` (${filing.fiscalPeriod})` : ''} - period ended ${filing.periodEnd || 'unknown'}\n`;
+      output += `   Revenue (${summary.months || '?'} mo): ${this.formatMoney(summary.revenue)} | Net income: ${this.formatMoney(summary.netIncome)} | Operating expenses: ${this.formatMoney(summary.operatingExpenses)}\n`;
+      output += `   Cash & equivalents${summary.cashDate ? ` (${summary.cashDate})` : ''}: ${this.formatMoney(summary.cash)}\n`;
+      if (summary.sharesOutstanding !== null) {
+        output += `   Shares outstanding${summary.sharesOutstandingDate ? ` (${summary.sharesOutstandingDate})` : ''}: ${summary.sharesOutstanding.toLocaleString()}\n`;
+      }
+      if (summary.monthlyBurn) {
+        output += `   Cash burn: ${this.formatMoney(summary.monthlyBurn)}/month (operating cash flow)${summary.runwayMonths ? ` → runway ≈ ${summary.runwayMonths} months at this rate` : ''}\n`;
+      }
+      
+      // Every reported period, including prior-year comparatives and year-to-date columns
+      if (detailLevel !== 'summary') {
+        filing.periods.forEach(period => {
+          const figures = [
+            period.revenue !== undefined && `revenue ${this.formatMoney(period.revenue)}`,
+            period.netIncome !== undefined && `net income ${this.formatMoney(period.netIncome)}`,
+            period.operatingExpenses !== undefined && `opex ${this.formatMoney(period.operatingExpenses)}`,
+            period.operatingCashFlow !== undefined && `operating cash flow ${this.formatMoney(period.operatingCashFlow)}`
+          ].filter(Boolean);
+          if (figures.length > 0) {
+            output += `   • ${period.start} → ${period.end} (${period.months} mo): ${figures.join(', ')}\n`;
+          }
+        });
+        filing.balances.filter(b => b.cash !== undefined).forEach(balance => {
+          output += `   • Cash at ${balance.date}: ${this.formatMoney(balance.cash)}\n`;
+        });
       }
+      if (filing.url) output += `   Filing: ${filing.url}\n`;
+      output += `\n`;
+    });
+    return output;
+  }
+
+  /**
+   * Format semantic search chunks (already ranked by similarity score)
+   */
+  formatSemanticChunks(items, detailLevel, output, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      const sources = [...new Set(items.map(chunk => this.getCollectionFriendlyName(chunk.collection)))];
+      sendThinking('retrieving', `Reading the most relevant passages from ${sources.join(', ')}`);
+    }
+    
+    const textLength = detailLevel === 'detailed' || detailLevel === 'full' ? 1500 : 800;
+    
+    items.forEach((chunk, index) => {
+      const date = chunk.date ? new Date(chunk.date).toLocaleDateString() : 'Unknown date';
+      output += `${index + 1}. [score ${chunk.score}] ${chunk.title || 'Untitled'}${chunk.ticker ? ` (${chunk.ticker})` : ''} - ${date}\n`;
+      output += `   Source: ${this.getCollectionFriendlyName(chunk.collection)}`;
+      if (chunk.speaker) output += ` | Speaker(s): ${chunk.speaker}`;
+      output += `\n`;
+      output += `   Passage: ${chunk.text.substring(0, textLength)}${chunk.text.length > textLength ? '...' : ''}\n`;
+      if (chunk.url) output += `   URL: ${chunk.url}\n`;
       output += `\n`;
     });
     return output;
@@ -1309,7 +1747,7 @@ class ContextEngine {
   /**
    * Format press releases
    */
-  async formatPressReleases(items, detailLevel, fetchExternal, DataConnector, output, dataCards, sendThinking) {
+  async formatPressReleases(items, detailLevel, fetchExternal, DataConnector, output, dataCards, sendThinking, citations = null) {
     // Send thinking message about press releases
     if (sendThinking && items.length > 0) {
       const ticker = items[0]?.ticker || 'company';
@@ -1468,6 +1906,10 @@ class ContextEngine {
         const contentLength = detailLevel === 'full' ? 5000 : (detailLevel === 'detailed' ? 1000 : 300);
         output += `${press.content.substring(0, contentLength)}${press.content.length > contentLength ? '...' : ''}\n`;
       }
+      const citationId = citations?.register('press_releases', press, { date: press.date });
+      if (citationId) {
+        output += `Citation: [CITE:${citationId}]\n`;
+      }
 
       output += `\n`;
     }
@@ -1576,6 +2018,202 @@ class ContextEngine {
     return output;
   }
 
+  /**
+   * Format quarter-over-quarter 13F ownership changes (one item per ticker)
+   */
+  formatOwnershipChanges(items, detailLevel, output, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      sendThinking('retrieving', `Comparing ${items[0].ticker} institutional holdings quarter over quarter`);
+    }
+    
+    const signed = (value) => `${value > 0 ? '+' : ''}${(value || 0).toLocaleString()}`;
+    const listLimit = detailLevel === 'moderate' ? 5 : 10;
+    
+    output += `Changes are computed from 13F filings: dollar changes value the share change at the current quarter's price,\n`;
+    output += `so they reflect buying/selling, not price moves. Quote holder names and share counts as given.\n\n`;
+    
+    items.forEach((diff, index) => {
+      const { current, previous } = diff;
+      output += `${index + 1}. ${diff.ticker} - quarter ended ${current.period} vs ${previous?.period || 'no earlier quarter on file'}\n`;
+      output += `   Holders: ${current.holders}${previous ? ` (was ${previous.holders})` : ''} | Institutional shares: ${current.totalShares.toLocaleString()}${previous ? ` (was ${previous.totalShares.toLocaleString()})` : ''}\n`;
+      output += `   Net change: ${signed(diff.netShares)} shares (${this.formatMoney(diff.netValue)}) → ${diff.netShares > 0 ? 'net institutional buying' : diff.netShares < 0 ? 'net institutional selling' : 'flat'}\n`;
+      
+      const conc = diff.concentration;
+      if (conc.current.top10Pct !== null) {
+        output += `   Concentration: top 5 hold ${conc.current.top5Pct}%, top 10 hold ${conc.current.top10Pct}% of institutional shares (HHI ${conc.current.hhi})`;
+        output += `${conc.previous?.top10Pct != null ? ` - previous quarter top 10: ${conc.previous.top10Pct}%, HHI ${conc.previous.hhi}` : ''}\n`;
+      }
+      if (diff.filingWindowOpen) {
+        output += `   ⚠️ The 13F deadline for this quarter has not passed - holders not yet re-filed appear as exits; say so when citing exits\n`;
+      }
+      
+      const section = (title, rows, describe) => {
+        if (rows.length === 0) return;
+        output += `   ${title}:\n`;
+        rows.slice(0, listLimit).forEach(row => {
+          output += `   • ${row.holder}: ${describe(row)}\n`;
+        });
+      };
+      section('New positions', diff.newPositions, row => `${row.shares.toLocaleString()} shares (${this.formatMoney(row.value)})`);
+      section('Exited positions', diff.exits, row => `sold all ${row.previousShares.toLocaleString()} shares (${this.formatMoney(row.valueChange)})`);
+      section('Biggest adds', diff.topAdds, row => `${signed(row.sharesChange)} shares (${row.percentChange !== null ? `+${row.percentChange}%, ` : ''}${this.formatMoney(row.valueChange)}) → ${row.shares.toLocaleString()}`);
+      section('Biggest trims', diff.topTrims, row => `${signed(row.sharesChange)} shares (${row.percentChange !== null ? `${row.percentChange}%, ` : ''}${this.formatMoney(row.valueChange)}) → ${row.shares.toLocaleString()}`);
+      output += `\n`;
+    });
+    return output;
+  }
+
+  /**
+   * Format call-over-call earnings comparisons (one item per ticker): a "what changed" section
+   * for the latest call vs the one before, with quoted evidence labelled by quarter
+   */
+  formatEarningsComparison(items, detailLevel, output, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      sendThinking('retrieving', `Comparing ${items[0].ticker} earnings calls quarter over quarter`);
+    }
+    
+    const quotesPerTopic = detailLevel === 'detailed' ? 2 : 1;
+    const topicName = (topic) => topic.replace(/_/g, ' ');
+    const quote = (item) => `   > [${item.quarter}]${item.speaker ? ` ${item.speaker}` : ''}: "${item.quote}"\n`;
+    
+    output += `Signals are extracted from management's remarks (executives only). Tone is confident vs hedging words per 1,000 words.\n`;
+    output += `When describing a change, cite the quote and its quarter label, e.g. [Q2 2025] CFO: "...".\n\n`;
+    
+    items.forEach((comparison, index) => {
+      const { quarters, changes } = comparison;
+      output += `${index + 1}. ${comparison.ticker} - ${quarters.length} call${quarters.length === 1 ? '' : 's'}: ${quarters.map(q => q.label).join(', ')}\n`;
+      
+      if (!changes) {
+        output += `   Only one earnings call on file - no comparison possible\n\n`;
+        return;
+      }
+      
+      output += `   WHAT CHANGED (${changes.from} → ${changes.to}):\n`;
+      output += `   Tone: ${changes.tone.direction} (net ${changes.tone.from} → ${changes.tone.to}; by call: ${quarters.map(q => `${q.label} ${q.tone.net}`).join(', ')})\n`;
+      
+      const section = (title, entries, side) => {
+        if (entries.length === 0) return;
+        output += `   ${title}:\n`;
+        entries.forEach(entry => {
+          output += `   • ${topicName(entry.topic)}\n`;
+          if (side === 'both') {
+            entry.previous.slice(0, 1).forEach(item => { output += quote(item); });
+            entry.latest.slice(0, quotesPerTopic).forEach(item => { output += quote(item); });
+          } else {
+            entry[side].slice(0, quotesPerTopic).forEach(item => { output += quote(item); });
+          }
+        });
+      };
+      section('New guidance topics', changes.guidance.new, 'latest');
+      section('Guidance no longer mentioned', changes.guidance.dropped, 'previous');
+      if (detailLevel !== 'summary') {
+        section('Guidance repeated (compare wording)', changes.guidance.continued, 'both');
+      }
+      
+      const trackedKpis = changes.kpis.filter(kpi => kpi.values.filter(v => v.value).length > 0);
+      if (trackedKpis.length > 0) {
+        output += `   KPIs mentioned by call:\n`;
+        trackedKpis.forEach(kpi => {
+          output += `   • ${topicName(kpi.topic)}: ${kpi.values.map(v => `${v.quarter} ${v.value || '-'}`).join(' | ')}\n`;
+          const latest = kpi.values[kpi.values.length - 1];
+          if (detailLevel === 'detailed' && latest.value) output += quote(latest);
+        });
+      }
+      
+      section('New risks', changes.risks.new, 'latest');
+      section('Risks no longer mentioned', changes.risks.resolved, 'previous');
+      if (changes.risks.persistent.length > 0) {
+        output += `   Risks mentioned on both calls: ${changes.risks.persistent.map(r => topicName(r.topic)).join(', ')}\n`;
+      }
+      output += `\n`;
+    });
+    return output;
+  }
+
+  /**
+   * Format insider_trading documents (one transaction per document)
+   */
+  formatInsiderTrading(items, detailLevel, output, dataCards, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      sendThinking('retrieving', `Reviewing insider transactions for ${items[0].ticker || items[0].symbol}`);
+    }
+    
+    const transactions = items.map(record => Form4Parser.normalizeRecord(record));
+    return output + this.formatInsiderActivity(transactions, detailLevel, dataCards, 'insider transaction reports');
+  }
+
+  /**
+   * Net insider buying/selling per ticker over the transactions' date window, with the
+   * individual trades, plus an insider activity card per ticker
+   */
+  formatInsiderActivity(transactions, detailLevel, dataCards, sourceLabel) {
+    const shares = (value) => (value ?? 0).toLocaleString();
+    
+    let output = `Insider activity from ${sourceLabel}. Only open-market purchases (P) and sales (S) are insider buying/selling;\n`;
+    output += `grants, option exercises and tax withholding are compensation mechanics - never describe them as buying or selling.\n`;
+    output += `Cite trades with their date, insider, shares and price (e.g. "On Jan 5, the CFO sold 50,000 shares at $12.50").\n\n`;
+    
+    for (const summary of Form4Parser.summarize(transactions)) {
+      const direction = summary.netValue > 0 ? 'NET BUYING' : summary.netValue < 0 ? 'NET SELLING' : 'NO NET OPEN-MARKET ACTIVITY';
+      
+      output += `INSIDER ACTIVITY - ${summary.ticker} (${summary.from || '?'} → ${summary.to || '?'}): ${direction}\n`;
+      output += `   Open-market buys: ${summary.buys.count} trade${summary.buys.count === 1 ? '' : 's'}, ${shares(summary.buys.shares)} shares, ${this.formatMoney(summary.buys.value)}\n`;
+      output += `   Open-market sales: ${summary.sells.count} trade${summary.sells.count === 1 ? '' : 's'}, ${shares(summary.sells.shares)} shares, ${this.formatMoney(summary.sells.value)}\n`;
+      output += `   Net: ${summary.netShares > 0 ? '+' : ''}${shares(summary.netShares)} shares (${this.formatMoney(summary.netValue)})\n`;
+      
+      const other = Object.entries(summary.other);
+      if (other.length > 0) {
+        output += `   Other transactions (not buying/selling): ${other.map(([label, count]) => `${label} ×${count}`).join(', ')}\n`;
+      }
+      
+      summary.insiders.forEach(insider => {
+        const activity = [
+          insider.boughtShares > 0 && `bought ${shares(insider.boughtShares)}`,
+          insider.soldShares > 0 && `sold ${shares(insider.soldShares)}`
+        ].filter(Boolean).join(', ');
+        output += `   • ${insider.name}${insider.role ? ` (${insider.role})` : ''}: ${activity} shares, net ${this.formatMoney(insider.netValue)}`;
+        output += `${insider.sharesOwnedAfter !== null ? `, holds ${shares(insider.sharesOwnedAfter)} after last trade` : ''}\n`;
+      });
+      
+      if (detailLevel !== 'summary') {
+        output += `   Transactions:\n`;
+        transactions
+          .filter(tx => (tx.ticker || 'UNKNOWN') === summary.ticker)
+          .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+          .slice(0, 25)
+          .forEach(tx => {
+            output += `   - ${tx.date || 'Unknown date'}: ${tx.insider || 'Unknown insider'}${tx.role ? ` (${tx.role})` : ''} - `;
+            output += `${tx.codeLabel || tx.code || 'Transaction'}${tx.code ? ` [${tx.code}]` : ''}, ${tx.acquiredDisposed === 'D' ? 'disposed' : 'acquired'} ${shares(tx.shares)} ${tx.derivative ? 'derivative units' : 'shares'}`;
+            output += `${tx.price ? ` @ $${tx.price.toFixed(2)}` : ''}${tx.value ? ` (${this.formatMoney(tx.value)})` : ''}`;
+            output += `${tx.sharesOwnedAfter !== null ? `, owns ${shares(tx.sharesOwnedAfter)} after` : ''}${tx.ownership === 'indirect' ? ' (indirect)' : ''}`;
+            output += `${tx.filing_url ? ` - ${tx.filing_url}` : ''}\n`;
+          });
+      }
+      output += `\n`;
+      
+      const cardId = `insider-${summary.ticker}`;
+      if (!dataCards.some(card => card.type === 'insider_activity' && card.data?.id === cardId)) {
+        dataCards.push({
+          type: 'insider_activity',
+          data: {
+            id: cardId,
+            ticker: summary.ticker,
+            from: summary.from,
+            to: summary.to,
+            buys: summary.buys,
+            sells: summary.sells,
+            netShares: summary.netShares,
+            netValue: summary.netValue,
+            insiders: summary.insiders,
+            source: sourceLabel
+          }
+        });
+      }
+    }
+    
+    return output;
+  }
+
   /**
    * Format hype/sentiment data
    */
@@ -1596,6 +2234,83 @@ class ContextEngine {
     return output;
   }
 
+  /**
+   * Format sentiment trend analytics (one item per ticker) plus a sentiment trend card per ticker
+   */
+  formatSentimentTrends(items, detailLevel, output, dataCards, sendThinking) {
+    if (sendThinking && items.length > 0) {
+      sendThinking('retrieving', `Measuring ${items[0].ticker} sentiment trend against price`);
+    }
+    
+    const signed = (value, digits = 1) => value === null || value === undefined ? 'n/a' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+    const describeCorrelation = (r) => {
+      if (r === null) return 'not enough overlapping days';
+      const strength = Math.abs(r) >= 0.5 ? 'strong' : Math.abs(r) >= 0.3 ? 'moderate' : Math.abs(r) >= 0.1 ? 'weak' : 'no';
+      return `${r} (${strength}${strength !== 'no' ? (r > 0 ? ' positive' : ' negative') : ''} relationship)`;
+    };
+    
+    output += `Net sentiment = bullish % - bearish % of news coverage. z-scores compare each day with its trailing 20 days;\n`;
+    output += `|z| >= 2 is a spike. Correlation is between daily sentiment changes and daily returns - it is not causation.\n\n`;
+    
+    items.forEach((trend, index) => {
+      const { latest } = trend;
+      output += `${index + 1}. ${trend.ticker} - ${trend.from} → ${trend.to} (${trend.points} days)\n`;
+      if (latest.net !== null) {
+        output += `   Latest (${latest.date}): ${latest.bullish?.toFixed(1)}% bullish / ${latest.bearish?.toFixed(1)}% bearish, net ${signed(latest.net)} (z ${signed(latest.netZ, 2)})\n`;
+      }
+      if (latest.buzz !== null || latest.mentions !== null) {
+        output += `   Buzz: ${latest.buzz ?? 'n/a'} (z ${signed(latest.buzzZ, 2)}) | Social mentions: ${latest.mentions ?? 'n/a'} (z ${signed(latest.mentionsZ, 2)})\n`;
+      }
+      if (trend.trend.direction) {
+        output += `   Trend: ${trend.trend.direction} - 7-day avg net ${signed(trend.trend.net7)} vs 30-day ${signed(trend.trend.net30)}\n`;
+      }
+      output += `   Sentiment change vs same-day return: ${describeCorrelation(trend.correlation.sameDay)}\n`;
+      output += `   Sentiment change vs next-day return: ${describeCorrelation(trend.correlation.nextDay)} [${trend.correlation.observations} days]\n`;
+      
+      if (trend.spikes.length > 0) {
+        output += `   Spikes:\n`;
+        trend.spikes.slice(0, detailLevel === 'detailed' ? 10 : 5).forEach(spike => {
+          output += `   • ${spike.date}: ${spike.metric === 'net' ? 'net sentiment' : spike.metric} ${spike.value} (z ${signed(spike.z, 2)})\n`;
+        });
+      } else {
+        output += `   No spikes in this window\n`;
+      }
+      output += `\n`;
+      
+      const cardId = `sentiment-${trend.ticker}`;
+      if (!dataCards.some(card => card.type === 'sentiment_trend' && card.data?.id === cardId)) {
+        dataCards.push({
+          type: 'sentiment_trend',
+          data: {
+            id: cardId,
+            ticker: trend.ticker,
+            from: trend.from,
+            to: trend.to,
+            latest: trend.latest,
+            trend: trend.trend,
+            spikes: trend.spikes.slice(0, 5),
+            correlation: trend.correlation,
+            series: trend.series
+          }
+        });
+      }
+    });
+    return output;
+  }
+
+  /**
+   * Compact dollar amount ($1.23B, $45.60M, $7.8K, $950; n/a when missing) - one format for every section
+   */
+  formatMoney(value) {
+    if (value === null || value === undefined || isNaN(value)) return 'n/a';
+    const abs = Math.abs(value);
+    const sign = value < 0 ? '-' : '';
+    if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+    if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+    return `${sign}$${abs.toFixed(0)}`;
+  }
+
   /**
    * Extract domain from URL for logo/favicon
    */
@@ -1752,7 +2467,7 @@ class ContextEngine {
    * @param output - output string to append to
    * @param currentQuotes - optional stock_quote_now data for current price
    */
-  formatDailyPrices(items, detailLevel, output, currentQuotes = []) {
+  formatDailyPrices(items, detailLevel, output, currentQuotes = [], citations = null) {
     if (items.length === 0) return output;
     
     // Index current quotes by symbol for quick lookup
@@ -1842,6 +2557,10 @@ class ContextEngine {
       output += `   1-MONTH CHANGE: $${periodStartBar.close?.toFixed(2)} (${startDateStr}) → $${endPrice.toFixed(2)} (${endDateStr}) = ${changePrefix}${pctChange}%\n`;
       output += `   ⚠️ WHEN DISCUSSING "PAST MONTH" MOVEMENT, INCLUDE THESE DATES: "${changePrefix}${pctChange}% from $${periodStartBar.close?.toFixed(2)} (${startDateStr}) to $${endPrice.toFixed(2)} (${endDateStr})"\n`;
       output += `   Period High: $${periodHigh.toFixed(2)} | Period Low: $${periodLow.toFixed(2)}\n`;
+      if (citations) {
+        const toDay = (date) => new Date(date).toISOString().split('T')[0];
+        output += `   Citation: [CITE:${citations.registerPriceRange(symbol, toDay(periodStartBar.date), toDay(lastBar.date))}]\n`;
+      }
       output += `\n`;
       
       // Show recent daily bars (most recent 5)
@@ -1,4 +1,17 @@
 const { supabase } = require('../config/database');
+const { llm } = require('../config/openai');
+
+const TITLE_LIMITS = {
+  maxChars: 60,
+  promptChars: 1500   // Per message sent to the title model
+};
+
+const SEARCH_LIMITS = {
+  defaultResults: 20,
+  maxResults: 50,
+  snippetBefore: 60,
+  snippetAfter: 140
+};
 
 class ConversationManager {
   // Estimate token count (rough approximation: 1 token ≈ 4 characters)
@@ -40,11 +53,207 @@ class ConversationManager {
     }
   }
   
+  // Load a compact summary of prior turns for the query planner (tickers, collections, date ranges used)
+  static async loadPlanningContext(conversationId, maxTurns = 5) {
+    try {
+      const { data: messages, error } = await supabase
+        .from('messages')
+        .select('role, content, metadata, created_at')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: false })
+        .limit(maxTurns * 2);
+      
+      if (error) throw error;
+      if (!messages || messages.length === 0) return null;
+      
+      return this.summarizeTurns(messages.reverse(), maxTurns);
+    } catch (error) {
+      console.error('Error loading planning context:', error);
+      return null;
+    }
+  }
+  
+  // Collapse chronological user/assistant messages into turns plus a prompt-ready summary.
+  // Works with stored messages (metadata from earlier turns) and client-sent history (content only).
+  static summarizeTurns(messages, maxTurns = 5) {
+    const turns = [];
+    
+    for (const msg of messages) {
+      if (msg.role === 'user') {
+        const meta = msg.metadata || {};
+        turns.push({
+          question: meta.standalone_question || msg.content,
+          tickers: meta.tickers_queried || [],
+          collections: meta.data_sources || [],
+          dateRanges: meta.date_ranges || [],
+          answer: null
+        });
+      } else if (msg.role === 'assistant' && turns.length > 0) {
+        turns[turns.length - 1].answer = msg.content;
+      }
+    }
+    
+    const recentTurns = turns.slice(-maxTurns);
+    if (recentTurns.length === 0) return null;
+    
+    // Most recently mentioned tickers first
+    const tickers = [...new Set([...recentTurns].reverse().flatMap(t => t.tickers))];
+    
+    const summary = recentTurns.map((turn, i) => {
+      const lines = [`Turn ${i + 1}: "${turn.question}"`];
+      const details = [];
+      if (turn.tickers.length > 0) details.push(`Tickers: ${turn.tickers.join(', ')}`);
+      if (turn.collections.length > 0) details.push(`Sources: ${[...new Set(turn.collections)].join(', ')}`);
+      if (turn.dateRanges.length > 0) {
+        details.push(`Dates: ${turn.dateRanges.map(r => `${r.collection} ${r.from || '…'} → ${r.to || 'now'}`).join('; ')}`);
+      }
+      if (details.length > 0) lines.push(`  ${details.join(' | ')}`);
+      if (turn.answer) {
+        const answer = turn.answer.replace(/\[[A-Z_]+:[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+        lines.push(`  Answer: ${answer.length > 200 ? answer.substring(0, 200) + '...' : answer}`);
+      }
+      return lines.join('\n');
+    }).join('\n');
+    
+    return { turns: recentTurns, tickers, summary };
+  }
+  
   // Generate conversation title from first user message
   static generateTitle(firstMessage) {
     const title = firstMessage.substring(0, 50);
     return firstMessage.length > 50 ? title + '...' : title;
   }
+  
+  // Short descriptive title from the first exchange; null if the model gives nothing usable
+  static async generateLLMTitle(userMessage, assistantResponse) {
+    const clip = (text) => String(text || '').replace(/\[[A-Z_]+:[^\]]*\]/g, '').replace(/\s+/g, ' ').trim().substring(0, TITLE_LIMITS.promptChars);
+    
+    const response = await llm.complete('title', {
+      messages: [
+        {
+          role: 'system',
+          content: `Write a title for this chat between an investor and a market research assistant. Max 6 words, no quotes, no trailing punctuation. Keep ticker symbols (e.g. "TSLA Q3 Delivery Outlook").`
+        },
+        {
+          role: 'user',
+          content: `User: ${clip(userMessage)}\n\nAssistant: ${clip(assistantResponse)}`
+        }
+      ],
+      temperature: 0.2,
+      max_completion_tokens: 20
+    });
+    
+    const title = (response.choices[0]?.message?.content || '')
+      .split('\n')[0]
+      .replace(/^["'“”*#\s]+|["'“”*.\s]+$/g, '')
+      .replace(/^title:\s*/i, '')
+      .trim();
+    if (!title) return null;
+    return title.length > TITLE_LIMITS.maxChars ? title.substring(0, TITLE_LIMITS.maxChars - 3).trim() + '...' : title;
+  }
+  
+  // Replace the placeholder title once the first exchange is saved
+  // Runs once per conversation (metadata.title_source) and never overrides a title the user set
+  static async refreshTitle(conversationId, userMessage, assistantResponse) {
+    try {
+      const { data: conversation, error } = await supabase
+        .from('conversations')
+        .select('title, metadata')
+        .eq('id', conversationId)
+        .single();
+      
+      if (error) throw error;
+      const titleSource = conversation.metadata?.title_source;
+      if (titleSource === 'user' || titleSource === 'llm') {
+        return { success: true, data: conversation.title };
+      }
+      
+      const title = await this.generateLLMTitle(userMessage, assistantResponse);
+      if (!title) {
+        return { success: true, data: conversation.title };
+      }
+      
+      // Conditional write: a rename (PATCH sets title_source 'user') landing while the model ran wins
+      const { data: updated, error: updateError } = await supabase
+        .from('conversations')
+        .update({
+          title,
+          metadata: { ...(conversation.metadata || {}), title_source: 'llm' }
+        })
+        .eq('id', conversationId)
+        .is('metadata->>title_source', null)
+        .select('id');
+      
+      if (updateError) throw updateError;
+      if (!updated || updated.length === 0) {
+        console.log(`🏷️ Conversation ${conversationId} was renamed meanwhile - keeping the user's title`);
+        return { success: true, data: null };
+      }
+      
+      console.log(`🏷️ Conversation ${conversationId} titled "${title}"`);
+      return { success: true, data: title };
+    } catch (error) {
+      console.error('Error refreshing conversation title:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+  
+  // Full-text search across a user's messages (websearch syntax: "exact phrase", -exclude, or)
+  static async searchMessages(userId, query, { limit = SEARCH_LIMITS.defaultResults, includeArchived = false } = {}) {
+    try {
+      const max = Math.min(Math.max(parseInt(limit) || SEARCH_LIMITS.defaultResults, 1), SEARCH_LIMITS.maxResults);
+      
+      let request = supabase
+        .from('messages')
+        .select('id, conversation_id, role, content, created_at, conversations!inner(user_id, title, archived)')
+        .eq('conversations.user_id', userId)
+        .textSearch('content', query, { type: 'websearch', config: 'english' })
+        .order('created_at', { ascending: false })
+        .limit(max);
+      
+      if (!includeArchived) {
+        request = request.eq('conversations.archived', false);
+      }
+      
+      const { data, error } = await request;
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: (data || []).map(message => ({
+          messageId: message.id,
+          conversationId: message.conversation_id,
+          conversationTitle: message.conversations?.title || null,
+          role: message.role,
+          snippet: this.buildSnippet(message.content, query),
+          createdAt: message.created_at
+        }))
+      };
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      return { success: false, data: [], error: error.message };
+    }
+  }
+  
+  // Excerpt around the first query term in the message (markers stripped)
+  static buildSnippet(content, query) {
+    const text = String(content || '').replace(/\[[A-Z_]+:[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+    const terms = String(query).toLowerCase().match(/[a-z0-9$.]{2,}/g) || [];
+    const lower = text.toLowerCase();
+    const position = terms
+      .filter(term => term !== 'or')
+      .map(term => lower.indexOf(term.replace(/^[.$]+|[.]+$/g, '')))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b)[0];
+    
+    if (position === undefined) {
+      return text.length > SEARCH_LIMITS.snippetAfter ? text.substring(0, SEARCH_LIMITS.snippetAfter) + '...' : text;
+    }
+    
+    const start = Math.max(0, position - SEARCH_LIMITS.snippetBefore);
+    const end = Math.min(text.length, position + SEARCH_LIMITS.snippetAfter);
+    return `${start > 0 ? '...' : ''}${text.substring(start, end)}${end < text.length ? '...' : ''}`;
+  }
 }
 
 module.exports = ConversationManager;
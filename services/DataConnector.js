@@ -8,6 +8,9 @@ const cheerio = require('cheerio');
 const http = require('http');
 const https = require('https');
 const { supabase, mongoClient, connectMongo } = require('../config/database');
+const { QUERY_LIMITS } = require('../config/query-plan-schema');
+const QueryValidator = require('./QueryValidator');
+const EdgarParser = require('./EdgarParser');
 
 // Increase max header size for HTTP requests (Yahoo Finance sends very large headers)
 // Default is 8KB, we increase to 512KB to handle Yahoo Finance and similar sites
@@ -735,6 +738,51 @@ class DataConnector {
     }
   }
   
+  /**
+   * Fetch an SEC filing and parse it into Items, tables and images (see EdgarParser)
+   * @param {string} url - SEC filing URL
+   * @param {string} formType - Form type from sec_filings (detected from the cover page if omitted)
+   * @returns {Object} { success, document, images, error }
+   */
+  static async fetchSecFilingDocument(url, formType = null) {
+    try {
+      console.log(`Fetching SEC filing document from: ${url}`);
+      const html = await this.fetchSecFilingHtml(url);
+      const document = EdgarParser.parse(html, { formType, url });
+      
+      console.log(`📑 Parsed ${document.formType || 'filing'}: ${document.sections.length} items, ${document.tables.length} tables, ${document.images.length} images`);
+      
+      return {
+        success: true,
+        document,
+        images: document.images
+      };
+    } catch (error) {
+      console.error(`Error fetching SEC filing document from ${url}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        document: null,
+        images: []
+      };
+    }
+  }
+  
+  /**
+   * Raw filing HTML from SEC.gov (SEC requires a descriptive User-Agent)
+   */
+  static async fetchSecFilingHtml(url) {
+    const response = await axios.get(url, {
+      timeout: 15000, // 15 second timeout
+      headers: {
+        'User-Agent': 'Catalyst Copilot Financial Analysis Tool contact@catalyst.finance'
+      },
+      httpAgent: httpAgent,
+      httpsAgent: httpsAgent
+    });
+    return response.data;
+  }
+  
   /**
    * Fetch and parse SEC filing content from URL
    * @param {string} url - SEC filing URL
@@ -748,74 +796,14 @@ class DataConnector {
         console.log(`Looking for keywords: ${keywords.join(', ')}`);
       }
       
-      // Fetch the HTML/XML content
-      const response = await axios.get(url, {
-        timeout: 15000, // 15 second timeout
-        headers: {
-          'User-Agent': 'Catalyst Copilot Financial Analysis Tool contact@catalyst.finance'
-        },
-        httpAgent: httpAgent,
-        httpsAgent: httpsAgent
-      });
-      
-      const html = response.data;
-      
-      // Parse HTML and extract text content
-      const $ = cheerio.load(html);
-      
-      // Extract image URLs from the filing (charts, tables, diagrams)
-      const imageUrls = [];
-      const baseUrl = url.substring(0, url.lastIndexOf('/') + 1);
-      
-      $('img').each((i, el) => {
-        let src = $(el).attr('src');
-        if (src) {
-          // Convert relative URLs to absolute
-          if (!src.startsWith('http')) {
-            src = baseUrl + src;
-          }
-          // Filter out tiny images (likely icons) and keep substantive ones
-          const alt = $(el).attr('alt') || '';
-          const width = parseInt($(el).attr('width')) || 0;
-          const height = parseInt($(el).attr('height')) || 0;
-          
-          // Exclude obvious non-content images: form elements, logos, tiny icons
-          const isFormElement = alt.toLowerCase().includes('radio') || 
-                               alt.toLowerCase().includes('checkbox') || 
-                               src.toLowerCase().includes('radio') || 
-                               src.toLowerCase().includes('check');
-          const isSecLogo = src.toLowerCase().includes('logo') || 
-                           src.toLowerCase().includes('seal');
-          
-          // More permissive size filtering - only exclude truly tiny images (< 50x50)
-          // If no dimensions provided, assume it's content and keep it
-          const isTooSmall = (width > 0 && height > 0 && width < 50 && height < 50);
-          
-          // Keep the image if it passes basic filters
-          // This includes charts, diagrams, tables, pipeline images, etc.
-          if (!isFormElement && !isSecLogo && !isTooSmall) {
-            imageUrls.push({
-              url: src,
-              alt: alt,
-              context: $(el).parent().text().substring(0, 100).trim()
-            });
-          }
-        }
-      });
+      const html = await this.fetchSecFilingHtml(url);
+      const document = EdgarParser.parse(html, { url });
+      const imageUrls = document.images;
       
       console.log(`Found ${imageUrls.length} images in SEC filing`);
       
-      // Remove script and style tags
-      $('script, style, noscript').remove();
-      
-      // Extract text content
-      let text = $('body').text() || $.text();
-      
-      // Clean up whitespace
-      text = text
-        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-        .replace(/\n\s*\n/g, '\n') // Remove empty lines
-        .trim();
+      // Document text keeps block boundaries as newlines and tables as "a | b | c" rows
+      const text = document.text;
       
       // If keywords provided, extract relevant sections
       let relevantContent = text;
@@ -1163,18 +1151,24 @@ class DataConnector {
    */
   static async executeRawQuery(collectionName, query, sort = {}, limit = 30) {
     try {
+      // Sandbox: collection allowlist, operator allowlist, regex limits
+      const violations = QueryValidator.validateQuery({ database: 'mongodb', collection: collectionName, query, sort });
+      if (violations.length > 0) {
+        throw new Error(`Query rejected: ${violations.map(v => v.message).join('; ')}`);
+      }
+      
       const db = mongoClient.db('raw_data');
       const collection = db.collection(collectionName);
       
       console.log(`🔍 Raw query on ${collectionName}:`, JSON.stringify(query, null, 2));
       
-      let cursor = collection.find(query);
+      let cursor = collection.find(query).maxTimeMS(QUERY_LIMITS.maxTimeMS);
       
       if (Object.keys(sort).length > 0) {
         cursor = cursor.sort(sort);
       }
       
-      cursor = cursor.limit(limit);
+      cursor = cursor.limit(Math.min(limit, QUERY_LIMITS.maxLimit));
       
       const data = await cursor.toArray();
       
@@ -0,0 +1,260 @@
+/**
+ * EarningsComparison.js
+ *
+ * "What changed since last quarter?" across a ticker's recent earnings calls.
+ * Backs the `earnings_comparison` pseudo-collection: the plan's filter selects
+ * earnings_transcripts rows (ticker, report_date), the last N calls are segmented into
+ * speaker turns (TranscriptProcessor) and management's sentences are scanned for:
+ *   - guidance   forward-looking statements ("we expect", "on track", "full-year outlook")
+ *   - kpis       sentences stating a figure for a tracked metric
+ *   - risks      headwinds / uncertainty by topic
+ *   - tone       confident vs hedging language per 1,000 words
+ *
+ * Result document (one per ticker):
+ *   { ticker, quarters: [{ label, report_date, tone, guidance, kpis, risks }],   // oldest → newest
+ *     changes: { from, to, tone, guidance: { new, dropped, continued }, kpis, risks: { new, resolved, persistent } } }
+ * Every extracted item keeps its quote and quarter label so the response can cite evidence.
+ */
+
+const DataConnector = require('./DataConnector');
+const TranscriptProcessor = require('./TranscriptProcessor');
+const QueryNormalizer = require('./QueryNormalizer');
+
+const COMPARISON_LIMITS = {
+  defaultCalls: 4,
+  maxCalls: 6,
+  maxTickers: 5,
+  itemsPerTopic: 2,     // Quotes kept per topic per quarter
+  quoteChars: 320
+};
+
+// Metric families shared by guidance and KPI extraction
+const METRIC_PATTERNS = {
+  revenue: /\b(revenue|sales|top[- ]line)\b/i,
+  margin: /\b(gross margin|operating margin|margins?|ebitda margin)\b/i,
+  profitability: /\b(ebitda|net (?:income|loss)|eps|earnings per share|profitab\w*|break[- ]?even)\b/i,
+  cash: /\b(cash|liquidity|runway|burn|balance sheet|financing|raise[ds]? capital)\b/i,
+  expenses: /\b(opex|operating expenses?|costs?|spending|r&d|sg&a)\b/i,
+  capex: /\b(capex|capital expenditures?|capital spending)\b/i,
+  volume: /\b(deliveries|shipments|units|production|volumes?|bookings|backlog|orders|customers|subscribers|users|arr)\b/i,
+  milestones: /\b(permit|approval|launch|timeline|milestone|trial|fda|regulatory decision|commercial(?:ization)?|first production)\b/i
+};
+
+const GUIDANCE_PATTERN = /\b(expect|anticipate|guidance|guiding|outlook|forecast|project(?:ed|ing)?|on track|reiterat\w*|rais(?:e|ed|ing) (?:our|the)|lower(?:ed|ing)? (?:our|the)|full[- ]year|next quarter|second half|first half|by (?:the )?end of|going forward|we (?:will|plan to|intend to|aim to))\b/i;
+
+const RISK_TOPICS = {
+  macro: /\b(macro\w*|recession|economic (?:uncertainty|slowdown)|interest rates?|inflation\w*)\b/i,
+  demand: /\b(softness|soft demand|weak(?:er|ness)? demand|slowdown|destocking|lower demand)\b/i,
+  supply_chain: /\b(supply chain|shortages?|logistics|lead times?)\b/i,
+  pricing: /\b(pricing pressure|price (?:declines?|pressure)|commodity prices?|volatil\w*)\b/i,
+  regulatory: /\b(regulat\w*|permit\w*|approval|legislation|government|policy)\b/i,
+  tariffs: /\b(tariffs?|trade (?:war|tensions?|policy)|export controls?)\b/i,
+  competition: /\b(competiti\w*|competitors?)\b/i,
+  legal: /\b(litigation|lawsuit|legal proceedings?|investigation)\b/i,
+  financing: /\b(dilution|going concern|financing risk|access to capital|covenants?)\b/i,
+  execution: /\b(delays?|delayed|setbacks?|challeng\w*|headwinds?)\b/i
+};
+const RISK_CONTEXT = /\b(risk|headwind|uncertain\w*|challeng\w*|pressure|concern\w*|impact\w*|delay\w*|difficult\w*|cautious|weak\w*)\b/i;
+
+// Tone lexicons (management language only)
+const CONFIDENT_WORDS = /\b(strong(?:er|est|ly)?|record|confident|confidence|momentum|accelerat\w*|exceed\w*|outperform\w*|robust|excited|pleased|growth|beat|ahead of)\b/gi;
+const HEDGING_WORDS = /\b(may|might|could|uncertain\w*|challeng\w*|cautious\w*|headwinds?|soft\w*|difficult\w*|pressure[sd]?|volatil\w*|slow\w*|risks?)\b/gi;
+
+const NUMBER_PATTERN = /(?:\$\s?\d[\d,.]*\s?(?:billion|million|thousand|[bmk])?|\d[\d,.]*\s?(?:%|percent|basis points|bps|billion|million|units|customers|tons|tonnes))/i;
+
+class EarningsComparison {
+  /**
+   * Comparisons for the tickers matching an earnings_transcripts filter
+   * @param {Object} filter - MongoDB filter on earnings_transcripts (ticker, report_date)
+   * @param {number} limit - Calls per ticker (newest first)
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  static async query(filter = {}, limit = COMPARISON_LIMITS.defaultCalls) {
+    const tickers = QueryNormalizer.extractTickers(filter).slice(0, COMPARISON_LIMITS.maxTickers);
+    if (tickers.length === 0) {
+      return { success: false, data: [], error: 'earnings_comparison requires a ticker filter' };
+    }
+
+    // One read per ticker so a ticker with many calls can't use up the others' rows
+    const calls = Math.min(Math.max(limit || COMPARISON_LIMITS.defaultCalls, 2), COMPARISON_LIMITS.maxCalls);
+    const results = await Promise.all(tickers.map(ticker => this.getComparison(ticker, filter, calls)));
+    const failed = results.find(result => !result.success);
+    const data = results.filter(result => result.success && result.data).map(result => result.data);
+
+    console.log(`🔁 Earnings comparison: ${data.map(d => `${d.ticker} (${d.quarters.length} calls)`).join(', ') || 'no transcripts'}`);
+    return {
+      success: !failed || results.some(result => result.success),
+      data,
+      ...(failed ? { error: failed.error } : {})
+    };
+  }
+
+  /**
+   * Last `calls` distinct calls for one ticker, compared
+   * @returns {Promise<Object>} { success, data: comparison document | null, error }
+   */
+  static async getComparison(ticker, filter, calls) {
+    // 3x rows: re-ingested calls appear more than once
+    const result = await DataConnector.executeRawQuery('earnings_transcripts', { $and: [filter, { ticker }] }, { report_date: -1 }, calls * 3);
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
+    }
+
+    const transcripts = [];
+    for (const transcript of result.data) {
+      if (!transcript.content) continue;
+      // Re-ingested calls appear twice - one per quarter
+      if (transcripts.length < calls && !transcripts.some(t => t.year === transcript.year && t.quarter === transcript.quarter)) {
+        transcripts.push(transcript);
+      }
+    }
+
+    return { success: true, data: transcripts.length > 0 ? this.compare(ticker, transcripts) : null };
+  }
+
+  /**
+   * Extract signals per call and diff the latest call against the one before
+   */
+  static compare(ticker, transcripts) {
+    const quarters = [...transcripts]
+      .sort((a, b) => (a.year - b.year) || (a.quarter - b.quarter))
+      .map(transcript => this.extractSignals(transcript));
+
+    const latest = quarters[quarters.length - 1];
+    const previous = quarters.length > 1 ? quarters[quarters.length - 2] : null;
+
+    return {
+      ticker,
+      quarters,
+      changes: previous ? this.diffQuarters(previous, latest, quarters) : null
+    };
+  }
+
+  /**
+   * Guidance, KPIs, risks and tone from management's turns on one call
+   */
+  static extractSignals(transcript) {
+    const label = `Q${transcript.quarter} ${transcript.year}`;
+    const segmented = TranscriptProcessor.segment(transcript);
+    const managementTurns = segmented.turns.length > 1
+      ? segmented.turns.filter(turn => turn.role === 'executive')
+      : [{ speaker: null, title: null, section: 'prepared', text: transcript.content }];
+
+    const guidance = [];
+    const kpis = [];
+    const risks = [];
+    let words = 0;
+    let confident = 0;
+    let hedging = 0;
+
+    for (const turn of managementTurns) {
+      words += turn.text.split(/\s+/).length;
+      confident += (turn.text.match(CONFIDENT_WORDS) || []).length;
+      hedging += (turn.text.match(HEDGING_WORDS) || []).length;
+
+      for (const sentence of this.splitSentences(turn.text)) {
+        const evidence = {
+          quarter: label,
+          speaker: turn.speaker ? `${turn.speaker}${turn.title ? ` (${turn.title})` : ''}` : null,
+          section: turn.section,
+          quote: sentence.length > COMPARISON_LIMITS.quoteChars ? `${sentence.substring(0, COMPARISON_LIMITS.quoteChars)}...` : sentence
+        };
+        const metric = this.matchMetric(sentence);
+
+        if (GUIDANCE_PATTERN.test(sentence) && this.countAt(guidance, metric || 'general') < COMPARISON_LIMITS.itemsPerTopic) {
+          guidance.push({ topic: metric || 'general', ...evidence });
+        }
+        if (metric && NUMBER_PATTERN.test(sentence) && this.countAt(kpis, metric) < COMPARISON_LIMITS.itemsPerTopic) {
+          kpis.push({ topic: metric, value: sentence.match(NUMBER_PATTERN)[0].trim(), ...evidence });
+        }
+        if (RISK_CONTEXT.test(sentence)) {
+          const topic = Object.keys(RISK_TOPICS).find(key => RISK_TOPICS[key].test(sentence));
+          if (topic && this.countAt(risks, topic) < COMPARISON_LIMITS.itemsPerTopic) {
+            risks.push({ topic, ...evidence });
+          }
+        }
+      }
+    }
+
+    const per1000 = (count) => words > 0 ? Math.round((count / words) * 10000) / 10 : 0;
+    return {
+      label,
+      report_date: transcript.report_date || null,
+      tone: {
+        confidentPer1000: per1000(confident),
+        hedgingPer1000: per1000(hedging),
+        // > 0 leans confident, < 0 leans cautious
+        net: Math.round((per1000(confident) - per1000(hedging)) * 10) / 10
+      },
+      guidance,
+      kpis,
+      risks
+    };
+  }
+
+  /**
+   * What changed between two calls (topics compared, quotes kept from both sides)
+   */
+  static diffQuarters(previous, latest, quarters) {
+    const topics = (items) => new Set(items.map(item => item.topic));
+    const pick = (items, topic) => items.filter(item => item.topic === topic);
+
+    const previousGuidance = topics(previous.guidance);
+    const latestGuidance = topics(latest.guidance);
+    const previousRisks = topics(previous.risks);
+    const latestRisks = topics(latest.risks);
+
+    // KPI topics across every call, so a metric's trajectory is visible
+    const kpiTopics = [...new Set(quarters.flatMap(q => q.kpis.map(k => k.topic)))];
+
+    return {
+      from: previous.label,
+      to: latest.label,
+      tone: {
+        from: previous.tone.net,
+        to: latest.tone.net,
+        change: Math.round((latest.tone.net - previous.tone.net) * 10) / 10,
+        direction: latest.tone.net - previous.tone.net > 1 ? 'more confident' : latest.tone.net - previous.tone.net < -1 ? 'more cautious' : 'similar'
+      },
+      guidance: {
+        new: [...latestGuidance].filter(t => !previousGuidance.has(t)).map(topic => ({ topic, latest: pick(latest.guidance, topic) })),
+        dropped: [...previousGuidance].filter(t => !latestGuidance.has(t)).map(topic => ({ topic, previous: pick(previous.guidance, topic) })),
+        continued: [...latestGuidance].filter(t => previousGuidance.has(t)).map(topic => ({
+          topic,
+          previous: pick(previous.guidance, topic),
+          latest: pick(latest.guidance, topic)
+        }))
+      },
+      kpis: kpiTopics.map(topic => ({
+        topic,
+        values: quarters.map(q => {
+          const kpi = q.kpis.find(k => k.topic === topic);
+          return kpi ? { quarter: q.label, value: kpi.value, speaker: kpi.speaker, quote: kpi.quote } : { quarter: q.label, value: null };
+        })
+      })),
+      risks: {
+        new: [...latestRisks].filter(t => !previousRisks.has(t)).map(topic => ({ topic, latest: pick(latest.risks, topic) })),
+        resolved: [...previousRisks].filter(t => !latestRisks.has(t)).map(topic => ({ topic, previous: pick(previous.risks, topic) })),
+        persistent: [...latestRisks].filter(t => previousRisks.has(t)).map(topic => ({ topic, latest: pick(latest.risks, topic) }))
+      }
+    };
+  }
+
+  static matchMetric(sentence) {
+    return Object.keys(METRIC_PATTERNS).find(key => METRIC_PATTERNS[key].test(sentence)) || null;
+  }
+
+  static countAt(items, topic) {
+    return items.filter(item => item.topic === topic).length;
+  }
+
+  static splitSentences(text) {
+    return String(text || '')
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+(?=[A-Z"“])/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.split(' ').length >= 6);
+  }
+}
+
+module.exports = EarningsComparison;
@@ -0,0 +1,348 @@
+/**
+ * EdgarParser.js
+ *
+ * Structured parser for EDGAR filing documents (HTML / inline XBRL):
+ * - Splits 10-K, 10-Q and 8-K documents into their Items (TOC entries are skipped)
+ * - Converts financial tables to row/column JSON ($ and ) cells merged, spacer cells dropped)
+ * - Extracts substantive images (charts, pipeline diagrams, tables rendered as images)
+ *
+ * Pure - HTML string in, document out - so saved filings can be parsed directly:
+ *   EdgarParser.parse(fs.readFileSync('nvda-10q.htm', 'utf8'), { formType: '10-Q' })
+ *
+ * Document shape:
+ *   { formType, url, sections: [{ key, item, part, title, known, text, tables, blocks }], tables, text, images }
+ */
+
+const cheerio = require('cheerio');
+
+// Items we recognize by name, per form type (10-Q keys are "<part>.<item>" - Item 1 exists in both parts)
+const FORM_ITEMS = {
+  '10-K': {
+    '1': 'Business',
+    '1A': 'Risk Factors',
+    '7': "Management's Discussion and Analysis of Financial Condition and Results of Operations",
+    '7A': 'Quantitative and Qualitative Disclosures About Market Risk',
+    '8': 'Financial Statements and Supplementary Data'
+  },
+  '10-Q': {
+    'I.1': 'Financial Statements',
+    'I.2': "Management's Discussion and Analysis of Financial Condition and Results of Operations",
+    'I.3': 'Quantitative and Qualitative Disclosures About Market Risk',
+    'I.4': 'Controls and Procedures',
+    'II.1A': 'Risk Factors'
+  },
+  '8-K': {
+    '1.01': 'Entry into a Material Definitive Agreement',
+    '2.02': 'Results of Operations and Financial Condition',
+    '5.02': 'Departure of Directors or Certain Officers; Election of Directors; Appointment of Certain Officers',
+    '8.01': 'Other Events'
+  }
+};
+
+// Tags that start a new text block; everything else (span, font, b, a, ix:*) is inline
+const BLOCK_TAGS = new Set([
+  'div', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol', 'section', 'article',
+  'center', 'blockquote', 'pre', 'hr', 'body', 'html', 'document', 'page'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'head', 'title', 'ix:header']);
+
+const ITEM_HEADING = /^(?:part\s+(i{1,3}|iv)\s*[.,:\-–—]?\s*)?item\s*(\d{1,2}(?:\.\d{2})?[a-c]?)\s*[.:\-–—]?\s*(.*)$/i;
+const PART_HEADING = /^part\s+(i{1,3}|iv)\b/i;
+const MAX_HEADING_CHARS = 250;
+const NUMERIC_CELL = /^[(\-–—]?\s*[$€£]?\s*\(?-?[\d,]+(?:\.\d+)?\)?\s*%?$/;
+const YEAR_CELL = /^(?:19|20)\d{2}$/;
+
+class EdgarParser {
+  /**
+   * Parse a filing document
+   * @param {string} html - Filing HTML (primary document, not the full submission .txt)
+   * @param {Object} options - { formType (detected from the cover page when missing), url (resolves image paths) }
+   * @returns {Object} Parsed document
+   */
+  static parse(html, options = {}) {
+    const $ = cheerio.load(html || '');
+    const images = this.extractImages($, options.url);
+
+    const root = $('body').get(0) || $.root().get(0);
+    const blocks = this.collectBlocks($, root);
+    const text = blocks.map(block => block.type === 'text' ? block.text : this.tableToText(block.table)).join('\n');
+
+    const formType = this.normalizeFormType(options.formType) || this.detectFormType(text);
+    const sections = this.splitSections(blocks, formType);
+
+    return {
+      formType,
+      url: options.url || null,
+      sections,
+      tables: blocks.filter(block => block.type === 'table').map(block => block.table),
+      text,
+      images
+    };
+  }
+
+  /**
+   * Known sections of a parsed document, in form order
+   * @param {Object} document - Output of parse()
+   * @param {Array<string>|null} keys - Section keys to keep ("1A", "I.2", "2.02"); null = every known Item
+   */
+  static pickSections(document, keys = null) {
+    // Natural key order ("1" < "1A" < "7" < "7A", "I.2" < "II.1A") - object key order would put "7" before "1A"
+    return document.sections
+      .filter(section => keys ? keys.includes(section.key) : section.known)
+      .sort((a, b) => a.key.localeCompare(b.key, 'en', { numeric: true }));
+  }
+
+  static getSection(document, key) {
+    return document.sections.find(section => section.key === key) || null;
+  }
+
+  /**
+   * Render a section as LLM-readable text (tables as pipe-separated rows), capped at maxChars
+   */
+  static renderSection(section, maxChars = Infinity) {
+    let output = '';
+    for (const block of section.blocks) {
+      const piece = block.type === 'text' ? block.text : this.tableToText(block.table);
+      if (output.length + piece.length + 1 > maxChars) {
+        const remaining = maxChars - output.length;
+        if (remaining > 200 && block.type === 'text') output += piece.substring(0, remaining) + ' ...';
+        else output += '...';
+        break;
+      }
+      output += (output ? '\n' : '') + piece;
+    }
+    return output;
+  }
+
+  /**
+   * Walk the DOM in document order producing text and table blocks
+   */
+  static collectBlocks($, root) {
+    const blocks = [];
+    let buffer = '';
+
+    const flush = () => {
+      const text = buffer.replace(/\s+/g, ' ').trim();
+      if (text) blocks.push({ type: 'text', text });
+      buffer = '';
+    };
+
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (child.type === 'text') {
+          buffer += child.data;
+          continue;
+        }
+        if (child.type !== 'tag' && child.type !== 'script' && child.type !== 'style') continue;
+
+        const name = (child.name || '').toLowerCase();
+        if (SKIP_TAGS.has(name) || /display\s*:\s*none/i.test(child.attribs?.style || '')) continue;
+
+        if (name === 'br') {
+          buffer += ' ';
+        } else if (name === 'table') {
+          flush();
+          const table = this.parseTable($, child);
+          if (table.layout) {
+            // Layout tables (bullets, side-by-side headings) read as text
+            table.rows.forEach(row => blocks.push({ type: 'text', text: row.join(' ') }));
+          } else if (table.rows.length > 0) {
+            const previous = blocks[blocks.length - 1];
+            if (previous?.type === 'text' && previous.text.length < 150) table.caption = previous.text;
+            blocks.push({ type: 'table', table });
+          }
+        } else if (BLOCK_TAGS.has(name)) {
+          flush();
+          walk(child);
+          flush();
+        } else {
+          walk(child);
+        }
+      }
+    };
+
+    if (root) walk(root);
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Convert a <table> to { caption, headers, rows } (layout: true for non-data tables)
+   */
+  static parseTable($, table) {
+    const rows = [];
+    $(table).find('tr').each((_, tr) => {
+      const cells = $(tr).children('td, th').map((__, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+      const merged = this.mergeCells(cells);
+      if (merged.length > 0) rows.push(merged);
+    });
+
+    const hasNumbers = rows.some(row => row.some(cell => NUMERIC_CELL.test(cell) && !YEAR_CELL.test(cell)));
+    if (rows.length <= 2 && !hasNumbers) {
+      return { caption: null, headers: [], rows, layout: true };
+    }
+
+    // Leading rows without figures are headers; the last one is the most specific ("2025 | 2024")
+    const headerRows = [];
+    while (rows.length > 1 && !rows[0].some(cell => NUMERIC_CELL.test(cell) && !YEAR_CELL.test(cell))) {
+      headerRows.push(rows.shift());
+    }
+
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const headers = headerRows.length > 0 ? headerRows[headerRows.length - 1] : [];
+    // Header rows usually omit the label column - right-align them over the value columns
+    const paddedHeaders = headers.length > 0 && headers.length < width
+      ? [...Array(width - headers.length).fill(''), ...headers]
+      : headers;
+
+    return { caption: null, headers: paddedHeaders, rows, layout: false };
+  }
+
+  /**
+   * Merge EDGAR's split cells ("$" | "1,234" | ")") and drop empty spacer cells
+   */
+  static mergeCells(cells) {
+    const merged = [];
+    let prefix = '';
+    for (const cell of cells) {
+      if (!cell) continue;
+      if (/^[$€£]$/.test(cell)) {
+        prefix = cell;
+      } else if (/^[)%]+$/.test(cell) && merged.length > 0) {
+        merged[merged.length - 1] += cell;
+      } else {
+        merged.push(prefix ? `${prefix}${cell}` : cell);
+        prefix = '';
+      }
+    }
+    return merged;
+  }
+
+  static tableToText(table) {
+    const lines = [];
+    if (table.caption) lines.push(`[TABLE: ${table.caption}]`);
+    else lines.push('[TABLE]');
+    if (table.headers.length > 0) lines.push(table.headers.join(' | '));
+    table.rows.forEach(row => lines.push(row.join(' | ')));
+    return lines.join('\n');
+  }
+
+  /**
+   * Split blocks into Items. A heading can appear more than once (table of contents,
+   * cross-references) - the occurrence with the most content wins.
+   */
+  static splitSections(blocks, formType) {
+    const headings = [];
+    const partHeadings = new Set();
+    let part = null;
+
+    blocks.forEach((block, index) => {
+      if (block.type !== 'text' || block.text.length > MAX_HEADING_CHARS) return;
+
+      const itemMatch = ITEM_HEADING.exec(block.text);
+      if (!itemMatch) {
+        const partMatch = PART_HEADING.exec(block.text);
+        if (partMatch) {
+          part = partMatch[1].toUpperCase();
+          partHeadings.add(block);
+        }
+        return;
+      }
+
+      if (itemMatch[1]) part = itemMatch[1].toUpperCase();
+      headings.push({ index, item: itemMatch[2].toUpperCase(), part, title: itemMatch[3].trim() });
+    });
+
+    const known = FORM_ITEMS[formType] || {};
+    const byKey = new Map();
+
+    headings.forEach((heading, h) => {
+      const end = h + 1 < headings.length ? headings[h + 1].index : blocks.length;
+      let bodyBlocks = blocks.slice(heading.index + 1, end).filter(block => !partHeadings.has(block));
+      let title = heading.title;
+
+      // "Item 1A." alone on a line, title in the next block
+      if (!title && bodyBlocks[0]?.type === 'text' && bodyBlocks[0].text.length < 150) {
+        title = bodyBlocks[0].text;
+        bodyBlocks = bodyBlocks.slice(1);
+      }
+
+      const key = formType === '10-Q' ? `${heading.part || 'I'}.${heading.item}` : heading.item;
+      const text = bodyBlocks.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      const size = bodyBlocks.reduce((sum, b) => sum + (b.type === 'text' ? b.text.length : this.tableToText(b.table).length), 0);
+
+      const existing = byKey.get(key);
+      if (existing && existing.size >= size) return;
+
+      byKey.set(key, {
+        key,
+        item: heading.item,
+        part: heading.part,
+        title: known[key] || title.replace(/\s*\d+$/, '') || `Item ${heading.item}`,
+        known: Boolean(known[key]),
+        text,
+        tables: bodyBlocks.filter(b => b.type === 'table').map(b => b.table),
+        blocks: bodyBlocks,
+        size
+      });
+    });
+
+    return [...byKey.values()]
+      .filter(section => section.size > 0)
+      .sort((a, b) => blocks.indexOf(a.blocks[0]) - blocks.indexOf(b.blocks[0]))
+      .map(({ size, ...section }) => section);
+  }
+
+  static normalizeFormType(formType) {
+    if (!formType) return null;
+    const form = String(formType).toUpperCase().replace(/\/A$/, '').trim();
+    if (/^10-K/.test(form)) return '10-K';
+    if (/^10-Q/.test(form)) return '10-Q';
+    return form;
+  }
+
+  /**
+   * Form type from the cover page ("FORM 10-Q")
+   */
+  static detectFormType(text) {
+    const match = /\bFORM\s+(10-K|10-Q|8-K|20-F|6-K)\b/i.exec((text || '').substring(0, 5000));
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Substantive images (charts, tables, diagrams) with absolute URLs
+   */
+  static extractImages($, url) {
+    const images = [];
+    const baseUrl = url ? url.substring(0, url.lastIndexOf('/') + 1) : '';
+
+    $('img').each((i, el) => {
+      let src = $(el).attr('src');
+      if (!src) return;
+      if (!src.startsWith('http')) src = baseUrl + src;
+
+      const alt = $(el).attr('alt') || '';
+      const width = parseInt($(el).attr('width')) || 0;
+      const height = parseInt($(el).attr('height')) || 0;
+
+      // Exclude obvious non-content images: form elements, logos, tiny icons
+      const isFormElement = /radio|checkbox/i.test(alt) || /radio|check/i.test(src);
+      const isSecLogo = /logo|seal/i.test(src);
+      // If no dimensions provided, assume it's content and keep it
+      const isTooSmall = width > 0 && height > 0 && width < 50 && height < 50;
+
+      if (!isFormElement && !isSecLogo && !isTooSmall) {
+        images.push({
+          url: src,
+          alt,
+          // Caption text around the image (top-level images have no useful context)
+          context: $(el).parent().is('body, html') ? '' : $(el).parent().text().replace(/\s+/g, ' ').trim().substring(0, 100)
+        });
+      }
+    });
+
+    return images;
+  }
+}
+
+module.exports = EdgarParser;
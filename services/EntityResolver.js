@@ -0,0 +1,322 @@
+/**
+ * EntityResolver.js
+ *
+ * Maps free text to canonical ticker symbols using an in-memory index of company_information:
+ * - Symbols and share classes: "brk-b", "BRK/B", "BRK B" → BRK.B
+ * - Identifiers: CUSIP (9 chars) and ISIN (12 chars)
+ * - Company names: "Nvidia", "NVIDIA Corporation", "Berkshire" (unique first word)
+ * - Misspellings: "Mircosoft" → MSFT (edit distance)
+ *
+ * Used by QueryEngine (planner hints + canonical plan tickers), the quote and price-target
+ * routes, and ChatPipeline's stock / biggest-movers cards.
+ */
+
+const { supabase } = require('../config/database');
+
+const INDEX_TTL = 6 * 60 * 60 * 1000; // Refresh the index every 6 hours
+const RETRY_DELAY = 60 * 1000;        // Wait before retrying a failed load
+const PAGE_SIZE = 1000;               // Supabase default max rows per request
+
+// Symbol shape accepted by the API routes: 1-5 letters with an optional share class (BRK.B, BF-B)
+const SYMBOL_FORMAT = /^[A-Z]{1,5}(?:[.\-/][A-Z]{1,2})?$/i;
+
+// Dropped when normalizing company names ("NVIDIA Corporation" → "nvidia")
+const NAME_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'companies', 'ltd', 'limited',
+  'plc', 'llc', 'lp', 'sa', 'nv', 'ag', 'se', 'holdings', 'holding', 'group', 'the', 'class', 'cl', 'adr', 'ads'
+]);
+
+// Uppercase words that are also tickers but almost never mean the company in a question
+const SYMBOL_STOPWORDS = new Set([
+  'A', 'I', 'AI', 'AM', 'AN', 'ARE', 'AT', 'BE', 'BY', 'CEO', 'CFO', 'CPI', 'DD', 'EPS', 'ETF', 'EV', 'FDA', 'FOR',
+  'GDP', 'GO', 'IPO', 'IT', 'ON', 'OR', 'PM', 'PE', 'SEC', 'SO', 'TV', 'UK', 'US', 'USA', 'YOY', 'QOQ', 'ALL', 'NOW', 'ONE'
+]);
+
+// Lowercase words never treated as company names on their own
+const NAME_STOPWORDS = new Set([
+  'stock', 'stocks', 'share', 'shares', 'price', 'prices', 'target', 'targets', 'market', 'markets', 'earnings',
+  'news', 'filing', 'filings', 'company', 'companies', 'report', 'quarter', 'analyst', 'analysts', 'today', 'week',
+  'month', 'year', 'growth', 'energy', 'trade', 'trades', 'trading', 'sector', 'index', 'latest', 'recent', 'about',
+  'portfolio', 'watchlist', 'moving', 'movers', 'insider', 'institutional', 'sentiment', 'general', 'first', 'global'
+]);
+
+class EntityResolver {
+  constructor() {
+    this.companies = [];           // [{ symbol, name, normalizedName, marketCap }]
+    this.bySymbol = new Map();     // "BRK.B" → company
+    this.byCompactSymbol = new Map(); // "BRKB" → company (share-class separators removed)
+    this.byCusip = new Map();
+    this.byIsin = new Map();
+    this.byName = new Map();       // normalized name → [company] (largest first)
+    this.byFirstWord = new Map();  // unique first word of a name → company
+    this.loadedAt = 0;
+    this.failedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Load (or refresh) the company_information index
+   */
+  async ensureLoaded() {
+    if (this.companies.length > 0 && Date.now() - this.loadedAt < INDEX_TTL) return true;
+    if (Date.now() - this.failedAt < RETRY_DELAY) return this.companies.length > 0;
+    if (!this.loading) {
+      this.loading = this.loadIndex().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async loadIndex() {
+    try {
+      const rows = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('company_information')
+          .select('symbol, name, cusip, isin, marketCapitalization')
+          .order('symbol', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+
+      this.buildIndex(rows);
+      console.log(`🏷️  Entity index loaded: ${this.companies.length} companies`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to load entity index:', error.message);
+      // Keep serving a stale index if we have one; retry after RETRY_DELAY
+      this.failedAt = Date.now();
+      return this.companies.length > 0;
+    }
+  }
+
+  /**
+   * Build lookup maps from company_information rows
+   */
+  buildIndex(rows) {
+    const companies = rows
+      .filter(row => row.symbol)
+      .map(row => ({
+        symbol: row.symbol.toUpperCase(),
+        name: row.name || row.symbol,
+        normalizedName: this.normalizeName(row.name || ''),
+        cusip: row.cusip ? String(row.cusip).toUpperCase() : null,
+        isin: row.isin ? String(row.isin).toUpperCase() : null,
+        marketCap: row.marketCapitalization || 0
+      }))
+      // Largest companies first so ambiguous names resolve to the most likely match
+      .sort((a, b) => b.marketCap - a.marketCap);
+
+    this.bySymbol = new Map();
+    this.byCompactSymbol = new Map();
+    this.byCusip = new Map();
+    this.byIsin = new Map();
+    this.byName = new Map();
+    const firstWords = new Map();
+
+    for (const company of companies) {
+      this.bySymbol.set(company.symbol, company);
+
+      const compact = this.compactSymbol(company.symbol);
+      if (!this.byCompactSymbol.has(compact)) this.byCompactSymbol.set(compact, company);
+
+      if (company.cusip) this.byCusip.set(company.cusip, company);
+      if (company.isin) this.byIsin.set(company.isin, company);
+
+      if (company.normalizedName) {
+        if (!this.byName.has(company.normalizedName)) this.byName.set(company.normalizedName, []);
+        this.byName.get(company.normalizedName).push(company);
+
+        const firstWord = company.normalizedName.split(' ')[0];
+        if (firstWord.length >= 5 && !NAME_STOPWORDS.has(firstWord)) {
+          // Track every company per first word; only unique ones become aliases
+          const names = firstWords.get(firstWord) || new Set();
+          names.add(company.normalizedName);
+          firstWords.set(firstWord, names);
+        }
+      }
+    }
+
+    this.byFirstWord = new Map();
+    firstWords.forEach((names, word) => {
+      if (names.size === 1) this.byFirstWord.set(word, this.byName.get([...names][0])[0]);
+    });
+
+    this.companies = companies;
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Resolve a symbol, share-class ticker, CUSIP, ISIN or company name to a canonical symbol
+   * @returns {Promise<Object|null>} { symbol, name, matchType, confidence }
+   */
+  async resolve(input) {
+    if (!input || typeof input !== 'string') return null;
+    await this.ensureLoaded();
+
+    const text = input.trim().replace(/^\$/, '');
+    const upper = text.toUpperCase();
+
+    if (this.bySymbol.has(upper)) return this.toMatch(this.bySymbol.get(upper), 'symbol', 1);
+
+    if (SYMBOL_FORMAT.test(text) || /^[A-Z]{1,5}\s[A-Z]$/i.test(text)) {
+      const company = this.byCompactSymbol.get(this.compactSymbol(upper));
+      if (company) return this.toMatch(company, 'share_class', 0.95);
+    }
+
+    if (/^[A-Z0-9]{9}$/i.test(text) && this.byCusip.has(upper)) return this.toMatch(this.byCusip.get(upper), 'cusip', 1);
+    if (/^[A-Z]{2}[A-Z0-9]{10}$/i.test(text) && this.byIsin.has(upper)) return this.toMatch(this.byIsin.get(upper), 'isin', 1);
+
+    return this.resolveName(text);
+  }
+
+  /**
+   * Resolve a company name (exact normalized name → unique first word → edit distance)
+   */
+  resolveName(text) {
+    const normalized = this.normalizeName(text);
+    if (!normalized) return null;
+
+    if (this.byName.has(normalized)) return this.toMatch(this.byName.get(normalized)[0], 'name', 0.9);
+    if (this.byFirstWord.has(normalized)) return this.toMatch(this.byFirstWord.get(normalized), 'name_prefix', 0.75);
+
+    // Misspellings: 1 edit for short names, 2 for longer ones
+    if (normalized.length < 5) return null;
+    const maxDistance = normalized.length <= 7 ? 1 : 2;
+    let best = null;
+
+    for (const company of this.companies) {
+      const candidate = company.normalizedName;
+      if (!candidate || Math.abs(candidate.length - normalized.length) > maxDistance) continue;
+
+      const distance = this.editDistance(normalized, candidate, maxDistance);
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = { company, distance };
+        if (distance === 1) break; // Companies are sorted by size - the first close match is good enough
+      }
+    }
+
+    return best ? this.toMatch(best.company, 'fuzzy', 0.6) : null;
+  }
+
+  /**
+   * Find companies mentioned in a question ($NVDA, NVDA, "Nvidia", "berkshire hathaway", "mircosoft")
+   * @returns {Promise<Array>} [{ symbol, name, matchType, confidence, text }]
+   */
+  async extractFromText(text) {
+    if (!text) return [];
+    const loaded = await this.ensureLoaded();
+    if (!loaded) return [];
+
+    const found = new Map();
+    const add = (match, source) => {
+      if (match && !found.has(match.symbol)) found.set(match.symbol, { ...match, text: source });
+    };
+
+    // Cashtags are always tickers
+    for (const [, tag] of text.matchAll(/\$([A-Za-z]{1,5}(?:[.\-/][A-Za-z]{1,2})?)\b/g)) {
+      add(await this.resolve(tag), `$${tag}`);
+    }
+
+    // Uppercase words that are known symbols (BRK.B, NVDA), skipping acronyms like CEO / SEC
+    for (const [token] of text.matchAll(/\b[A-Z]{2,5}(?:[.\-/][A-Z]{1,2})?\b/g)) {
+      if (SYMBOL_STOPWORDS.has(token)) continue;
+      const company = this.bySymbol.get(token) || this.byCompactSymbol.get(this.compactSymbol(token));
+      if (company) add(this.toMatch(company, 'symbol', 1), token);
+    }
+
+    // Company names: longest word windows first (3 → 1 words)
+    const words = text.toLowerCase().replace(/[^a-z0-9&'\s-]/g, ' ').split(/\s+/).filter(Boolean);
+    const consumed = new Array(words.length).fill(false);
+
+    for (let size = 3; size >= 1; size--) {
+      for (let i = 0; i + size <= words.length; i++) {
+        if (consumed.slice(i, i + size).some(Boolean)) continue;
+
+        const window = words.slice(i, i + size);
+        if (size === 1 && (window[0].length < 4 || NAME_STOPWORDS.has(window[0]))) continue;
+
+        const phrase = window.join(' ').replace(/'s$/, '');
+        const match = this.resolveName(phrase);
+        // Fuzzy matches only for single distinctive words - multi-word windows produce too many near-misses
+        if (match && (match.matchType !== 'fuzzy' || size === 1)) {
+          add(match, phrase);
+          consumed.fill(true, i, i + size);
+        }
+      }
+    }
+
+    return [...found.values()];
+  }
+
+  /**
+   * Map tickers to canonical symbols (unknown tickers are kept uppercased)
+   */
+  async canonicalizeTickers(tickers = []) {
+    const canonical = await Promise.all((tickers || []).map(async ticker => {
+      const match = await this.resolve(String(ticker));
+      return match && match.confidence >= 0.9 ? match.symbol : String(ticker).toUpperCase();
+    }));
+    return [...new Set(canonical)];
+  }
+
+  /**
+   * Company name for a symbol (null if unknown or the index is unavailable)
+   */
+  async getCompanyName(symbol) {
+    await this.ensureLoaded();
+    return this.bySymbol.get(String(symbol || '').toUpperCase())?.name || null;
+  }
+
+  /**
+   * Whether a string looks like a ticker (including share classes like BRK.B)
+   */
+  isValidSymbolFormat(symbol) {
+    return typeof symbol === 'string' && SYMBOL_FORMAT.test(symbol);
+  }
+
+  // ===== Helpers =====
+
+  toMatch(company, matchType, confidence) {
+    return { symbol: company.symbol, name: company.name, matchType, confidence };
+  }
+
+  compactSymbol(symbol) {
+    return symbol.toUpperCase().replace(/[.\-/\s]/g, '');
+  }
+
+  normalizeName(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !NAME_SUFFIXES.has(word))
+      .join(' ');
+  }
+
+  /**
+   * Levenshtein distance with an early exit once every cell exceeds maxDistance
+   */
+  editDistance(a, b, maxDistance = Infinity) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return rowMin;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+module.exports = new EntityResolver();
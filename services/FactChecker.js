@@ -0,0 +1,413 @@
+/**
+ * FactChecker.js
+ *
+ * Post-generation check of the prices and % moves quoted in a response against the structured
+ * query results the model was given. Runs on StreamProcessor's full response after finalize():
+ *   - the text is split into sentences and scanned for tickers (symbols present in the results),
+ *     dates and numeric claims ($ amounts, percentages)
+ *   - $ amounts are compared with quote fields (finnhub c/o/h/l/pc, stock_quote_now close), daily bar
+ *     open/high/low/close, intraday session open/high/low/close and analyst target values
+ *   - percentages in price-move wording are compared with quote dp, daily close-to-close changes,
+ *     change since each daily bar, intraday open → close, target upside and target revisions
+ * A claim matches when it equals a known value to the precision it was written with ($412 vs 411.87);
+ * "about"/"nearly" widen that. A claim close to a known value (same ballpark) that doesn't match is a
+ * mismatch; claims with nothing comparable (revenue, margins, other stocks) are left unchecked.
+ *
+ * Result: { status: 'verified' | 'flagged' | 'unchecked', checked, matched,
+ *           mismatches: [{ claim, type, ticker, value, expected, source, date, reason, sentence }] }
+ */
+
+const PriceTargetParser = require('./PriceTargetParser');
+
+const FACT_CHECK_LIMITS = {
+  maxClaims: 60,
+  nearRatio: 0.35,         // $ claims further than 35% from every known price are about something else
+  maxPercentGap: 15,       // Percentage points - beyond this a % is about something else
+  approxTolerance: 0.02,   // "about $410" / "roughly 3%" - relative tolerance
+  maxMismatches: 10,
+  sentenceChars: 200
+};
+
+const INTRADAY_COLLECTIONS = ['one_minute_prices', 'five_minute_prices', 'ten_minute_prices'];
+
+const MARKER_REGEX = /\[(?:VIEW_CHART|VIEW_ARTICLE|IMAGE_CARD|EVENT_CARD|CITE|HR)[^\]]*\]/g;
+const PRICE_CLAIM = /\$\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?!\d|[.,]\d)(?!\s?(?:[BMKT]\b|bn\b|billion|million|thousand|trillion))/g;
+const PERCENT_CLAIM = /([+\-−]?\d+(?:\.\d+)?)\s?(?:%|percent\b)/g;
+
+// A % only counts as a price move next to price wording, and never next to fundamentals/sentiment wording
+const PRICE_MOVE_CONTEXT = /\b(shares?|stock|price|trad(?:ed|ing)|clos(?:e|ed|ing)|open(?:ed|ing)?|rall\w*|gain\w*|fell|fall\w*|drop\w*|declin\w*|rose|ris(?:e|es|ing)|jump\w*|surg\w*|slid|slump\w*|climb\w*|tumbl\w*|upside|downside|up|down|higher|lower)\b/i;
+const NON_PRICE_CONTEXT = /\b(revenue|sales|margins?|eps|earnings|income|guidance|ownership|stake|holdings?|sentiment|bullish|bearish|buzz|yoy|year[- ]over[- ]year|growth|yield|rate|inflation|short interest|float|dividend)\b/i;
+// Levels the model reasons about rather than quotes from the data
+const SPECULATIVE_CONTEXT = /\b(resistance|support|breakout|stop[- ]loss|could|might|would|if|reach(?:es)?|hit)\b/i;
+const APPROX_CONTEXT = /\b(about|around|roughly|approximately|nearly|almost|over|above|below|under|near)\s*$|~\s*$/i;
+const NEGATIVE_MOVE = /\b(fell|fall\w*|drop\w*|declin\w*|slid|slump\w*|tumbl\w*|lost|down|lower|downside|decreas\w*|lowered|cut)\b/i;
+const TARGET_CONTEXT = /\b(target|upside|downside|analysts?|consensus|implie[sd]|implying)\b/i;
+const POSITIVE_MOVE = /\b(rose|ris(?:e|es|ing)|gain\w*|jump\w*|surg\w*|climb\w*|rall\w*|up|higher|upside|increas\w*|raised)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_DATE = /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/gi;
+const ISO_DATE = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+
+class FactChecker {
+  /**
+   * Verify a response's price and % claims against query results
+   * @param {string} responseText - Full response (StreamProcessor.getFullResponse())
+   * @param {Array} queryResults - [{ collection, data }] as fed to ContextEngine
+   * @returns {Object} Verification result (see header)
+   */
+  static verify(responseText, queryResults = []) {
+    const index = this.buildIndex(queryResults);
+    const symbols = [...index.keys()];
+    const result = { status: 'unchecked', checked: 0, matched: 0, mismatches: [] };
+    if (!responseText || symbols.length === 0) return result;
+
+    let lastTicker = symbols.length === 1 ? symbols[0] : null;
+    const claims = [];
+
+    for (const sentence of this.splitSentences(responseText)) {
+      const mentions = this.findTickers(sentence, symbols);
+      const dates = this.extractDates(sentence);
+
+      for (const claim of this.extractClaims(sentence)) {
+        // Nearest ticker before the claim, else the first in the sentence, else the running subject
+        const before = mentions.filter(m => m.index < claim.index);
+        const ticker = (before.length > 0 ? before[before.length - 1].ticker : mentions[0]?.ticker) || lastTicker;
+        if (ticker) claims.push({ ...claim, ticker, dates, sentence });
+      }
+
+      if (mentions.length > 0) lastTicker = mentions[mentions.length - 1].ticker;
+    }
+
+    for (const claim of claims.slice(0, FACT_CHECK_LIMITS.maxClaims)) {
+      const outcome = this.checkClaim(claim, index.get(claim.ticker));
+      if (!outcome) continue;
+
+      result.checked++;
+      if (outcome.matched) {
+        result.matched++;
+      } else if (result.mismatches.length < FACT_CHECK_LIMITS.maxMismatches) {
+        result.mismatches.push({
+          claim: claim.text,
+          type: claim.type,
+          ticker: claim.ticker,
+          value: claim.value,
+          expected: outcome.expected.value,
+          source: outcome.expected.label,
+          date: outcome.expected.date || null,
+          reason: outcome.reason,
+          sentence: claim.sentence.length > FACT_CHECK_LIMITS.sentenceChars
+            ? `${claim.sentence.substring(0, FACT_CHECK_LIMITS.sentenceChars)}...`
+            : claim.sentence
+        });
+      }
+    }
+
+    result.status = result.checked === 0 ? 'unchecked' : result.checked > result.matched ? 'flagged' : 'verified';
+    return result;
+  }
+
+  /**
+   * Known prices and % moves per ticker
+   * @returns {Map<string, { prices: Array, percents: Array }>} values are { value, label, date, kind }
+   *   kind: 'move' (price action) or 'target' (analyst targets) - a % is only compared within its kind
+   */
+  static buildIndex(queryResults) {
+    const index = new Map();
+    const entry = (symbol) => {
+      const ticker = String(symbol || '').toUpperCase();
+      if (!ticker) return null;
+      if (!index.has(ticker)) index.set(ticker, { prices: [], percents: [] });
+      return index.get(ticker);
+    };
+    const add = (list, value, label, date = null, kind = 'move') => {
+      if (value === undefined || value === null || isNaN(value)) return;
+      list.push({ value: Number(value), label, date, kind });
+    };
+    const rowsOf = (collection) => queryResults
+      .filter(result => result.collection === collection && Array.isArray(result.data))
+      .flatMap(result => result.data);
+
+    // Latest price per ticker - what changes "since" a bar and target upside are measured against
+    const currentPrice = new Map();
+
+    rowsOf('stock_quote_now').forEach(quote => {
+      const known = entry(quote.symbol);
+      if (!known) return;
+      add(known.prices, quote.close, 'current price (stock_quote_now)');
+      if (quote.close) currentPrice.set(quote.symbol.toUpperCase(), Number(quote.close));
+    });
+
+    rowsOf('finnhub_quote_snapshots').forEach(quote => {
+      const known = entry(quote.symbol);
+      if (!known) return;
+      const date = this.toDay(quote.timestamp);
+      add(known.prices, quote.c, 'current price (quote)', date);
+      add(known.prices, quote.o, 'open (quote)', date);
+      add(known.prices, quote.h, 'high (quote)', date);
+      add(known.prices, quote.l, 'low (quote)', date);
+      add(known.prices, quote.pc, 'previous close (quote)', date);
+      add(known.prices, quote.d !== undefined && quote.d !== null ? Math.abs(quote.d) : null, 'daily $ change (quote)', date);
+      add(known.percents, quote.dp, 'daily % change (quote)', date);
+      if (quote.c && !currentPrice.has(quote.symbol.toUpperCase())) currentPrice.set(quote.symbol.toUpperCase(), Number(quote.c));
+    });
+
+    // Daily bars: OHLC, day-over-day change and change from each bar's close to the latest price
+    const dailyBySymbol = this.groupBySymbol(rowsOf('daily_prices'), 'date');
+    dailyBySymbol.forEach((bars, symbol) => {
+      const known = entry(symbol);
+      const latest = currentPrice.get(symbol) || bars[bars.length - 1].close;
+      bars.forEach((bar, i) => {
+        const date = this.toDay(bar.date);
+        add(known.prices, bar.open, 'daily open', date);
+        add(known.prices, bar.high, 'daily high', date);
+        add(known.prices, bar.low, 'daily low', date);
+        add(known.prices, bar.close, 'daily close', date);
+        if (i > 0 && bars[i - 1].close) {
+          add(known.percents, this.percentChange(bars[i - 1].close, bar.close), 'daily % change', date);
+        }
+        if (bar.close && latest) {
+          add(known.percents, this.percentChange(bar.close, latest), `% change since ${date}`, date);
+        }
+      });
+      add(known.percents, this.percentChange(bars[0].open, latest), `% change since ${this.toDay(bars[0].date)} open`, this.toDay(bars[0].date));
+      add(known.prices, Math.max(...bars.map(b => b.high).filter(Boolean)), 'period high');
+      add(known.prices, Math.min(...bars.map(b => b.low).filter(Boolean)), 'period low');
+      if (!currentPrice.has(symbol)) currentPrice.set(symbol, latest);
+    });
+
+    // Intraday bars: per-session aggregates only (every bar would match almost any price)
+    INTRADAY_COLLECTIONS.forEach(collection => {
+      this.groupBySymbol(rowsOf(collection), 'timestamp').forEach((bars, symbol) => {
+        const known = entry(symbol);
+        const sessions = new Map();
+        bars.forEach(bar => {
+          const day = this.toDay(bar.timestamp);
+          if (!sessions.has(day)) sessions.set(day, []);
+          sessions.get(day).push(bar);
+        });
+        sessions.forEach((session, day) => {
+          const first = session[0];
+          const last = session[session.length - 1];
+          add(known.prices, first.open, 'intraday open', day);
+          add(known.prices, last.close, 'intraday last', day);
+          add(known.prices, Math.max(...session.map(b => b.high).filter(Boolean)), 'intraday high', day);
+          add(known.prices, Math.min(...session.map(b => b.low).filter(Boolean)), 'intraday low', day);
+          add(known.percents, this.percentChange(first.open, last.close), 'intraday % change', day);
+        });
+        const first = bars[0];
+        const last = bars[bars.length - 1];
+        add(known.percents, this.percentChange(first.open, last.close), 'period % change (intraday bars)');
+        if (!currentPrice.has(symbol) && last.close) currentPrice.set(symbol, Number(last.close));
+      });
+    });
+
+    // Analyst targets: target values, revisions, upside vs the latest price and consensus stats
+    const records = rowsOf('price_targets').map(doc => PriceTargetParser.parse(doc)).filter(record => record.ticker);
+    [...new Set(records.map(record => record.ticker.toUpperCase()))].forEach(ticker => {
+      const known = entry(ticker);
+      const tickerRecords = records.filter(record => record.ticker.toUpperCase() === ticker);
+      const price = currentPrice.get(ticker) || null;
+
+      tickerRecords.forEach(record => {
+        const label = `${record.firm || 'analyst'} target`;
+        add(known.prices, record.target, label, record.date);
+        add(known.prices, record.previousTarget, `${record.firm || 'analyst'} previous target`, record.date);
+        if (record.target && record.previousTarget) {
+          add(known.percents, this.percentChange(record.previousTarget, record.target), `${label} revision`, record.date, 'target');
+        }
+        if (record.target && price) {
+          add(known.percents, this.percentChange(price, record.target), `${label} upside`, record.date, 'target');
+        }
+      });
+
+      const stats = PriceTargetParser.consensus(tickerRecords, price);
+      if (stats.targets > 0) {
+        add(known.prices, stats.mean, 'consensus mean target');
+        add(known.prices, stats.median, 'consensus median target');
+        add(known.prices, stats.low, 'lowest target');
+        add(known.prices, stats.high, 'highest target');
+        add(known.percents, stats.impliedUpside, 'consensus implied upside', null, 'target');
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Compare one claim with the ticker's known values
+   * @returns {Object|null} { matched, expected, reason } or null when nothing is comparable
+   */
+  static checkClaim(claim, known) {
+    if (!known) return null;
+    const values = claim.type === 'price' ? known.prices : known.percents.filter(c => c.kind === claim.kind);
+    const candidates = this.narrowByDate(values, claim.dates);
+    if (candidates.length === 0) return null;
+
+    const tolerance = claim.approximate
+      ? Math.max(claim.tolerance, Math.abs(claim.value) * FACT_CHECK_LIMITS.approxTolerance)
+      : claim.tolerance;
+
+    if (claim.type === 'price') {
+      const nearest = this.nearest(candidates, claim.value);
+      if (Math.abs(nearest.value - claim.value) <= tolerance) return { matched: true, expected: nearest };
+      if (Math.abs(nearest.value - claim.value) > nearest.value * FACT_CHECK_LIMITS.nearRatio) return null;
+      return { matched: false, expected: nearest, reason: 'value' };
+    }
+
+    // Percentages: magnitude to the written precision, and the direction when the wording gives one
+    const magnitude = Math.abs(claim.value);
+    const sameSize = candidates.filter(c => Math.abs(Math.abs(c.value) - magnitude) <= tolerance);
+    if (sameSize.length > 0) {
+      if (!claim.direction) return { matched: true, expected: sameSize[0] };
+      const agreeing = sameSize.find(c => Math.sign(c.value) === claim.direction || c.value === 0);
+      return agreeing ? { matched: true, expected: agreeing } : { matched: false, expected: sameSize[0], reason: 'direction' };
+    }
+
+    const nearest = candidates.reduce((best, c) =>
+      Math.abs(Math.abs(c.value) - magnitude) < Math.abs(Math.abs(best.value) - magnitude) ? c : best
+    );
+    if (Math.abs(Math.abs(nearest.value) - magnitude) > FACT_CHECK_LIMITS.maxPercentGap) return null;
+    return { matched: false, expected: nearest, reason: 'value' };
+  }
+
+  /**
+   * $ and % claims in a sentence, with the precision they were written to
+   */
+  static extractClaims(sentence) {
+    const claims = [];
+
+    for (const match of sentence.matchAll(PRICE_CLAIM)) {
+      const preceding = sentence.substring(Math.max(0, match.index - 60), match.index);
+      if (NON_PRICE_CONTEXT.test(preceding) || SPECULATIVE_CONTEXT.test(preceding)) continue;
+      const raw = match[1].replace(/,/g, '');
+      claims.push({
+        type: 'price',
+        text: match[0].trim(),
+        index: match.index,
+        value: parseFloat(raw),
+        tolerance: this.tolerance(raw),
+        approximate: APPROX_CONTEXT.test(preceding)
+      });
+    }
+
+    for (const match of sentence.matchAll(PERCENT_CLAIM)) {
+      const preceding = sentence.substring(Math.max(0, match.index - 60), match.index);
+      // "52% upside", "3% lower" - the move word can follow the number
+      const following = sentence.substring(match.index + match[0].length, match.index + match[0].length + 20);
+      const context = `${preceding} ${following}`;
+      if (!PRICE_MOVE_CONTEXT.test(context) || NON_PRICE_CONTEXT.test(preceding) || SPECULATIVE_CONTEXT.test(preceding)) continue;
+      const raw = match[1].replace('−', '-');
+      const signed = /^[+-]/.test(raw);
+      const value = parseFloat(raw);
+
+      // Explicit sign wins; otherwise move words just before the number, then just after it
+      let direction = signed ? Math.sign(value) : null;
+      for (const words of [preceding.split(/\s+/).slice(-6).join(' '), following]) {
+        if (direction) break;
+        const negative = NEGATIVE_MOVE.test(words);
+        const positive = POSITIVE_MOVE.test(words);
+        direction = negative && !positive ? -1 : positive && !negative ? 1 : null;
+      }
+
+      claims.push({
+        type: 'percent',
+        kind: TARGET_CONTEXT.test(context) ? 'target' : 'move',
+        text: match[0].trim(),
+        index: match.index,
+        value,
+        direction,
+        tolerance: this.tolerance(raw.replace(/^[+-]/, '')),
+        approximate: APPROX_CONTEXT.test(preceding)
+      });
+    }
+
+    return claims.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Dates mentioned in a sentence as { month, day, year? } (1-based month)
+   */
+  static extractDates(sentence) {
+    const dates = [];
+    for (const match of sentence.matchAll(ISO_DATE)) {
+      dates.push({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) });
+    }
+    for (const match of sentence.matchAll(MONTH_DATE)) {
+      dates.push({
+        year: match[3] ? Number(match[3]) : null,
+        month: MONTHS.indexOf(match[1].toLowerCase().substring(0, 3)) + 1,
+        day: Number(match[2])
+      });
+    }
+    return dates;
+  }
+
+  /**
+   * Prefer values from a date the sentence mentions; undated values (quotes, consensus) always stay
+   */
+  static narrowByDate(candidates, dates) {
+    if (!dates || dates.length === 0) return candidates;
+    const onDate = candidates.filter(candidate => {
+      if (!candidate.date) return false;
+      const [year, month, day] = candidate.date.split('-').map(Number);
+      return dates.some(d => d.month === month && d.day === day && (!d.year || d.year === year));
+    });
+    return onDate.length > 0 ? [...onDate, ...candidates.filter(candidate => !candidate.date)] : candidates;
+  }
+
+  static findTickers(sentence, symbols) {
+    const mentions = [];
+    symbols.forEach(ticker => {
+      const pattern = new RegExp(`(?:^|[^A-Za-z])\\$?(${ticker.replace('.', '\\.')})(?![A-Za-z])`, 'g');
+      for (const match of sentence.matchAll(pattern)) {
+        mentions.push({ ticker, index: match.index });
+      }
+    });
+    return mentions.sort((a, b) => a.index - b.index);
+  }
+
+  static splitSentences(text) {
+    return String(text)
+      .replace(MARKER_REGEX, ' ')
+      .split(/\n+|(?<=[.!?])\s+(?=[A-Z*"(\-•$])/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  static groupBySymbol(rows, dateField) {
+    const bySymbol = new Map();
+    rows.forEach(row => {
+      if (!row.symbol || !row[dateField]) return;
+      const symbol = row.symbol.toUpperCase();
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+      bySymbol.get(symbol).push(row);
+    });
+    bySymbol.forEach(bars => bars.sort((a, b) => new Date(a[dateField]) - new Date(b[dateField])));
+    return bySymbol;
+  }
+
+  static nearest(candidates, value) {
+    return candidates.reduce((best, c) => Math.abs(c.value - value) < Math.abs(best.value - value) ? c : best);
+  }
+
+  /**
+   * Half a unit in the last written digit ("412" → 0.5, "3.2" → 0.05), plus float slack
+   */
+  static tolerance(raw) {
+    const decimals = raw.includes('.') ? raw.split('.')[1].length : 0;
+    return 0.5 * Math.pow(10, -decimals) + 1e-9;
+  }
+
+  static percentChange(from, to) {
+    if (!from || to === undefined || to === null) return null;
+    return ((Number(to) - Number(from)) / Number(from)) * 100;
+  }
+
+  static toDay(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+  }
+}
+
+module.exports = FactChecker;
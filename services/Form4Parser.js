@@ -0,0 +1,333 @@
+/**
+ * Form4Parser.js
+ *
+ * Insider transactions from SEC ownership filings (Form 3 / 4 / 5 and amendments).
+ * sec_filings stores a link per filing; the machine-readable ownershipDocument XML behind it
+ * carries the reporting owner, their role and every transaction row.
+ *
+ * Transaction row (shared with normalized insider_trading documents):
+ *   { ticker, insider, role, date, code, codeLabel, acquiredDisposed, shares, price, value,
+ *     sharesOwnedAfter, ownership, derivative, security, formType, filing_url }
+ *
+ * summarize() reduces rows to net insider buying/selling per ticker. Only open-market purchases (P)
+ * and sales (S) count as buying/selling - grants, option exercises and tax withholding are
+ * compensation mechanics and are reported separately.
+ */
+
+const cheerio = require('cheerio');
+const DataConnector = require('./DataConnector');
+
+const OWNERSHIP_FORMS = ['3', '4', '5', '3/A', '4/A', '5/A'];
+
+// SEC transaction codes (Form 4 General Instructions, item 8)
+const TRANSACTION_CODES = {
+  P: 'Open market purchase',
+  S: 'Open market sale',
+  A: 'Grant/award',
+  D: 'Disposition to issuer',
+  F: 'Tax withholding',
+  I: 'Discretionary transaction',
+  M: 'Option exercise/conversion',
+  C: 'Derivative conversion',
+  E: 'Derivative expiration',
+  H: 'Derivative expiration/cancellation',
+  O: 'Out-of-the-money derivative exercise',
+  X: 'In-the-money derivative exercise',
+  G: 'Gift',
+  L: 'Small acquisition',
+  W: 'Acquisition/disposition by will',
+  Z: 'Voting trust deposit/withdrawal',
+  J: 'Other acquisition/disposition',
+  K: 'Equity swap',
+  U: 'Tender of shares in change of control',
+  V: 'Voluntarily reported earlier'
+};
+
+const FORM4_LIMITS = {
+  maxFilings: 20,      // Ownership filings fetched per formatting pass
+  concurrency: 5,      // SEC.gov allows 10 requests/second
+  cacheSize: 200,      // Parsed filings kept in memory
+  topInsiders: 5       // Insiders listed per ticker summary
+};
+
+// Parsed filings by URL (filings never change)
+const filingCache = new Map();
+
+class Form4Parser {
+  /**
+   * Whether a sec_filings form_type is an insider ownership report
+   */
+  static isOwnershipForm(formType) {
+    return OWNERSHIP_FORMS.includes(String(formType || '').toUpperCase().replace(/^FORM\s*/, '').trim());
+  }
+
+  /**
+   * Transactions for sec_filings rows (Form 3/4/5), newest filings first
+   * @param {Array} filings - sec_filings documents
+   * @returns {Promise<Object>} { success, data: transactions, filings: parsed count, error }
+   */
+  static async fetchTransactions(filings) {
+    const toFetch = filings.filter(f => f.url && this.isOwnershipForm(f.form_type)).slice(0, FORM4_LIMITS.maxFilings);
+    const parsed = [];
+
+    for (let i = 0; i < toFetch.length; i += FORM4_LIMITS.concurrency) {
+      const batch = toFetch.slice(i, i + FORM4_LIMITS.concurrency);
+      parsed.push(...await Promise.all(batch.map(filing => this.getFiling(filing))));
+    }
+
+    const documents = parsed.filter(Boolean);
+    const data = documents.flatMap(doc => doc.transactions);
+
+    console.log(`👔 Form 4: ${documents.length}/${toFetch.length} ownership filings parsed, ${data.length} transactions`);
+    return { success: true, data, filings: documents.length };
+  }
+
+  /**
+   * Parsed ownership document for one sec_filings row (cached by URL)
+   */
+  static async getFiling(filing) {
+    if (filingCache.has(filing.url)) {
+      return filingCache.get(filing.url);
+    }
+
+    try {
+      let xml = await DataConnector.fetchSecFilingHtml(this.resolveXmlUrl(filing.url));
+
+      // Filing index pages link to the XML rather than containing it
+      if (!/<ownershipDocument/i.test(xml)) {
+        const xmlUrl = this.findXmlLink(xml, filing.url);
+        if (!xmlUrl) throw new Error('no ownership XML found');
+        xml = await DataConnector.fetchSecFilingHtml(xmlUrl);
+      }
+
+      const document = this.parse(xml);
+      document.transactions.forEach(tx => {
+        tx.ticker = tx.ticker || filing.ticker;
+        tx.filing_url = filing.url;
+      });
+
+      filingCache.set(filing.url, document);
+      if (filingCache.size > FORM4_LIMITS.cacheSize) {
+        filingCache.delete(filingCache.keys().next().value);
+      }
+      return document;
+    } catch (error) {
+      console.error(`❌ Failed to parse ownership filing ${filing.url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * EDGAR links the XSLT-rendered view (…/xslF345X05/form4.xml); the raw XML sits one level up
+   */
+  static resolveXmlUrl(url) {
+    return String(url || '').replace(/\/xslF345X\d+\//i, '/');
+  }
+
+  /**
+   * First ownership XML linked from a filing index page
+   */
+  static findXmlLink(html, baseUrl) {
+    const $ = cheerio.load(html || '');
+    const href = $('a[href]').toArray()
+      .map(a => $(a).attr('href'))
+      .find(link => /\.xml$/i.test(link) && !/xslF345X|FilingSummary|R\d+\.xml/i.test(link));
+
+    if (!href) return null;
+    try {
+      return new URL(href, baseUrl).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse an ownershipDocument (Form 3/4/5 XML)
+   * @returns {Object} { formType, periodOfReport, issuer: { cik, name, ticker }, owners: [{ cik, name, role }], transactions }
+   */
+  static parse(xml) {
+    const $ = cheerio.load(xml || '', { xmlMode: true });
+    const text = (el, selector) => {
+      const node = selector ? $(el).find(selector).first() : $(el);
+      // Most leaf fields wrap their content in <value> (footnote-only fields have none)
+      const value = node.children('value').length > 0 ? node.children('value').first() : node;
+      return value.text().trim() || null;
+    };
+
+    const formType = text($.root(), 'documentType');
+    const issuer = {
+      cik: text($.root(), 'issuer > issuerCik'),
+      name: text($.root(), 'issuer > issuerName'),
+      ticker: (text($.root(), 'issuer > issuerTradingSymbol') || '').toUpperCase() || null
+    };
+
+    const owners = $('reportingOwner').toArray().map(owner => ({
+      cik: text(owner, 'rptOwnerCik'),
+      name: this.formatOwnerName(text(owner, 'rptOwnerName')),
+      role: this.describeRole($(owner).find('reportingOwnerRelationship').first(), text)
+    }));
+
+    // Joint filings list several owners for the same transactions
+    const insider = owners.map(o => o.name).filter(Boolean).join(' / ') || null;
+    const role = [...new Set(owners.map(o => o.role).filter(Boolean))].join(' / ') || null;
+
+    const transactions = [];
+    const readRow = (row, derivative) => {
+      const code = text(row, 'transactionCoding > transactionCode');
+      const shares = this.parseNumber(text(row, 'transactionAmounts > transactionShares'));
+      const price = this.parseNumber(text(row, 'transactionAmounts > transactionPricePerShare'));
+
+      transactions.push({
+        ticker: issuer.ticker,
+        insider,
+        role,
+        date: text(row, 'transactionDate'),
+        code,
+        codeLabel: TRANSACTION_CODES[code] || null,
+        acquiredDisposed: text(row, 'transactionAmounts > transactionAcquiredDisposedCode'),
+        shares,
+        price,
+        value: shares !== null && price ? Math.round(shares * price) : null,
+        sharesOwnedAfter: this.parseNumber(text(row, 'postTransactionAmounts > sharesOwnedFollowingTransaction')),
+        ownership: text(row, 'ownershipNature > directOrIndirectOwnership') === 'I' ? 'indirect' : 'direct',
+        derivative,
+        security: text(row, 'securityTitle'),
+        formType
+      });
+    };
+
+    $('nonDerivativeTable > nonDerivativeTransaction').each((_, row) => readRow(row, false));
+    $('derivativeTable > derivativeTransaction').each((_, row) => readRow(row, true));
+
+    return {
+      formType,
+      periodOfReport: text($.root(), 'periodOfReport'),
+      issuer,
+      owners,
+      transactions
+    };
+  }
+
+  /**
+   * Insider role from reportingOwnerRelationship flags ("CEO, Director", "10% Owner", ...)
+   */
+  static describeRole($relationship, text) {
+    const flag = (name) => /^(1|true)$/i.test(text($relationship, name) || '');
+    const roles = [];
+
+    if (flag('isOfficer')) roles.push(text($relationship, 'officerTitle') || 'Officer');
+    if (flag('isDirector')) roles.push('Director');
+    if (flag('isTenPercentOwner')) roles.push('10% Owner');
+    if (flag('isOther')) roles.push(text($relationship, 'otherText') || 'Other');
+
+    return roles.join(', ') || null;
+  }
+
+  /**
+   * EDGAR stores owner names as "LAST FIRST MIDDLE" in capitals - title-case them for display
+   */
+  static formatOwnerName(name) {
+    if (!name) return null;
+    if (name !== name.toUpperCase()) return name;
+    return name.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Normalize an insider_trading document (Finnhub insider-transactions shape) to a transaction row
+   */
+  static normalizeRecord(record) {
+    const code = record.transactionCode || record.transaction_code || record.code || null;
+    const shares = this.parseNumber(record.change ?? record.shares ?? null);
+    const price = this.parseNumber(record.transactionPrice ?? record.transaction_price ?? record.price ?? null);
+    const absShares = shares === null ? null : Math.abs(shares);
+
+    return {
+      ticker: record.ticker || record.symbol || null,
+      insider: this.formatOwnerName(record.name || record.insider || null),
+      role: record.role || record.position || null,
+      date: record.transactionDate || record.transaction_date || null,
+      code,
+      codeLabel: TRANSACTION_CODES[code] || null,
+      acquiredDisposed: shares === null ? null : (shares < 0 ? 'D' : 'A'),
+      shares: absShares,
+      price,
+      value: absShares !== null && price ? Math.round(absShares * price) : null,
+      sharesOwnedAfter: this.parseNumber(record.share ?? record.sharesOwnedAfter ?? null),
+      ownership: 'direct',
+      derivative: Boolean(record.isDerivative),
+      security: null,
+      formType: record.form_type || null,
+      filing_url: record.url || null
+    };
+  }
+
+  /**
+   * Net insider buying/selling per ticker
+   * @param {Array} transactions - Transaction rows (parse() or normalizeRecord())
+   * @returns {Array} [{ ticker, from, to, buys, sells, other, netShares, netValue, insiders }]
+   */
+  static summarize(transactions) {
+    const byTicker = new Map();
+
+    for (const tx of transactions) {
+      const ticker = tx.ticker || 'UNKNOWN';
+      if (!byTicker.has(ticker)) {
+        byTicker.set(ticker, {
+          ticker,
+          from: null,
+          to: null,
+          buys: { count: 0, shares: 0, value: 0 },
+          sells: { count: 0, shares: 0, value: 0 },
+          other: {},
+          insiders: new Map()
+        });
+      }
+      const summary = byTicker.get(ticker);
+
+      if (tx.date) {
+        if (!summary.from || tx.date < summary.from) summary.from = tx.date;
+        if (!summary.to || tx.date > summary.to) summary.to = tx.date;
+      }
+
+      const side = tx.derivative ? null : { P: 'buys', S: 'sells' }[tx.code];
+      if (!side) {
+        const label = tx.codeLabel || tx.code || 'Unknown';
+        summary.other[label] = (summary.other[label] || 0) + 1;
+        continue;
+      }
+
+      summary[side].count++;
+      summary[side].shares += tx.shares || 0;
+      summary[side].value += tx.value || 0;
+
+      const name = tx.insider || 'Unknown insider';
+      if (!summary.insiders.has(name)) {
+        summary.insiders.set(name, { name, role: tx.role || null, boughtShares: 0, soldShares: 0, netValue: 0, lastDate: null, sharesOwnedAfter: null });
+      }
+      const insider = summary.insiders.get(name);
+      insider[side === 'buys' ? 'boughtShares' : 'soldShares'] += tx.shares || 0;
+      insider.netValue += (side === 'buys' ? 1 : -1) * (tx.value || 0);
+      if (!insider.lastDate || (tx.date && tx.date >= insider.lastDate)) {
+        insider.lastDate = tx.date;
+        insider.sharesOwnedAfter = tx.sharesOwnedAfter ?? insider.sharesOwnedAfter;
+      }
+    }
+
+    return [...byTicker.values()].map(summary => ({
+      ...summary,
+      netShares: summary.buys.shares - summary.sells.shares,
+      netValue: summary.buys.value - summary.sells.value,
+      insiders: [...summary.insiders.values()]
+        .sort((a, b) => Math.abs(b.netValue) - Math.abs(a.netValue))
+        .slice(0, FORM4_LIMITS.topInsiders)
+    }));
+  }
+
+  static parseNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[,$\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+  }
+}
+
+module.exports = Form4Parser;
@@ -0,0 +1,296 @@
+/**
+ * Fundamentals.js
+ *
+ * Financial facts from the inline-XBRL tags in 10-K / 10-Q filings (sec_filings.url), so revenue,
+ * cash and burn-rate questions are answered from tagged numbers instead of truncated filing prose.
+ *
+ * Backs the `fundamentals` pseudo-collection: the plan's filter selects sec_filings rows
+ * (ticker, publication_date, form_type), each filing is fetched once and its facts are cached.
+ *
+ * Result document (one per filing):
+ *   { ticker, form_type, publication_date, url, periodEnd, fiscalPeriod,
+ *     periods: [{ start, end, months, revenue, netIncome, operatingExpenses, operatingCashFlow }],
+ *     balances: [{ date, cash, sharesOutstanding }],
+ *     summary: { periodEnd, months, revenue, netIncome, operatingExpenses, cash, sharesOutstanding, monthlyBurn, runwayMonths },
+ *     facts: [{ metric, concept, start, end, value, unit }] }
+ */
+
+const cheerio = require('cheerio');
+const DataConnector = require('./DataConnector');
+
+// Metric → XBRL concepts in preference order (companies tag the same figure differently)
+const FUNDAMENTAL_CONCEPTS = {
+  revenue: [
+    'us-gaap:Revenues',
+    'us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax',
+    'us-gaap:RevenueFromContractWithCustomerIncludingAssessedTax',
+    'us-gaap:SalesRevenueNet'
+  ],
+  cash: [
+    'us-gaap:CashAndCashEquivalentsAtCarryingValue',
+    'us-gaap:CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents',
+    'us-gaap:Cash'
+  ],
+  netIncome: ['us-gaap:NetIncomeLoss', 'us-gaap:ProfitLoss'],
+  operatingExpenses: ['us-gaap:OperatingExpenses', 'us-gaap:CostsAndExpenses'],
+  operatingCashFlow: ['us-gaap:NetCashProvidedByUsedInOperatingActivities'],
+  sharesOutstanding: ['dei:EntityCommonStockSharesOutstanding', 'us-gaap:CommonStockSharesOutstanding']
+};
+
+const INSTANT_METRICS = ['cash', 'sharesOutstanding'];
+const FUNDAMENTAL_FORMS = ['10-Q', '10-K', '10-Q/A', '10-K/A'];
+
+const FUNDAMENTALS_LIMITS = {
+  defaultFilings: 4,   // Filings per query (each is a full SEC.gov document fetch)
+  maxFilings: 8,
+  cacheSize: 50        // Parsed filings kept in memory
+};
+
+const CONCEPT_TO_METRIC = new Map(
+  Object.entries(FUNDAMENTAL_CONCEPTS).flatMap(([metric, concepts]) => concepts.map(concept => [concept.toLowerCase(), metric]))
+);
+
+// Parsed filings by URL (filings never change)
+const factCache = new Map();
+
+class Fundamentals {
+  /**
+   * Fundamentals for the filings matching a sec_filings filter
+   * @param {Object} filter - MongoDB filter on sec_filings (ticker, publication_date, form_type)
+   * @param {number} limit - Filings to read (newest first)
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  static async query(filter = {}, limit = FUNDAMENTALS_LIMITS.defaultFilings) {
+    const secFilter = 'form_type' in filter ? filter : { ...filter, form_type: { $in: FUNDAMENTAL_FORMS } };
+    const filings = await DataConnector.executeRawQuery(
+      'sec_filings',
+      secFilter,
+      { publication_date: -1 },
+      Math.min(limit || FUNDAMENTALS_LIMITS.defaultFilings, FUNDAMENTALS_LIMITS.maxFilings)
+    );
+    if (!filings.success) {
+      return { success: false, data: [], error: filings.error };
+    }
+
+    const documents = await Promise.all(filings.data.filter(f => f.url).map(filing => this.getFilingFundamentals(filing)));
+    const data = documents.filter(doc => doc && doc.facts.length > 0);
+
+    console.log(`📊 Fundamentals: ${data.length}/${filings.data.length} filings with XBRL facts`);
+    return { success: true, data };
+  }
+
+  /**
+   * Parsed fundamentals for one sec_filings row (cached by URL)
+   */
+  static async getFilingFundamentals(filing) {
+    if (factCache.has(filing.url)) {
+      return factCache.get(filing.url);
+    }
+
+    try {
+      const html = await DataConnector.fetchSecFilingHtml(filing.url);
+      const document = {
+        ticker: filing.ticker,
+        form_type: filing.form_type,
+        publication_date: filing.publication_date,
+        url: filing.url,
+        ...this.buildFactTables(this.parseFacts(html))
+      };
+
+      factCache.set(filing.url, document);
+      if (factCache.size > FUNDAMENTALS_LIMITS.cacheSize) {
+        factCache.delete(factCache.keys().next().value);
+      }
+      return document;
+    } catch (error) {
+      console.error(`❌ Failed to read XBRL facts from ${filing.url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract tagged facts for the tracked concepts from inline-XBRL HTML
+   * Only non-dimensional facts are kept (segment breakdowns would double count)
+   * @returns {Object} { facts, periodEnd, fiscalPeriod }
+   */
+  static parseFacts(html) {
+    const $ = cheerio.load(html || '');
+    const contexts = new Map();
+    let periodEnd = null;
+    let fiscalYear = null;
+    let fiscalPeriod = null;
+
+    $('*').each((_, el) => {
+      const name = (el.name || '').toLowerCase();
+
+      if (name === 'xbrli:context' || name === 'context') {
+        const $ctx = $(el);
+        const child = (tag) => $ctx.find('*').filter((__, n) => n.name.toLowerCase().replace(/^xbrli:/, '') === tag).first().text().trim() || null;
+        contexts.set($ctx.attr('id'), {
+          instant: child('instant'),
+          start: child('startdate'),
+          end: child('enddate'),
+          dimensional: child('segment') !== null || $ctx.find('*').toArray().some(n => /explicitmember|typedmember/i.test(n.name))
+        });
+      } else if (name === 'ix:nonnumeric') {
+        const concept = ($(el).attr('name') || '').toLowerCase();
+        if (concept === 'dei:documentperiodenddate') periodEnd = this.parseDate($(el).text());
+        if (concept === 'dei:documentfiscalyearfocus') fiscalYear = $(el).text().trim();
+        if (concept === 'dei:documentfiscalperiodfocus') fiscalPeriod = $(el).text().trim();
+      }
+    });
+
+    const facts = [];
+    const seen = new Set();
+
+    $('ix\\:nonfraction').each((_, el) => {
+      const $el = $(el);
+      const concept = ($el.attr('name') || '').toLowerCase();
+      const metric = CONCEPT_TO_METRIC.get(concept);
+      if (!metric) return;
+
+      const contextRef = $el.attr('contextref');
+      const context = contexts.get(contextRef);
+      if (!context || context.dimensional) return;
+
+      // The same fact is usually tagged on the statement face and again in the notes
+      const key = `${concept}|${contextRef}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const value = this.parseValue($el.text(), $el.attr('format'), $el.attr('scale'), $el.attr('sign'));
+      if (value === null) return;
+
+      facts.push({
+        metric,
+        concept: $el.attr('name'),
+        start: context.start,
+        end: context.end || context.instant,
+        instant: Boolean(context.instant),
+        value,
+        unit: $el.attr('unitref') || null
+      });
+    });
+
+    return {
+      facts,
+      periodEnd,
+      fiscalPeriod: fiscalPeriod && fiscalYear ? `${fiscalPeriod} ${fiscalYear}` : fiscalPeriod
+    };
+  }
+
+  /**
+   * Group facts into per-period rows (income / cash flow) and balance rows (instants),
+   * then summarize the filing's own period
+   */
+  static buildFactTables({ facts, periodEnd, fiscalPeriod }) {
+    const periods = new Map();
+    const balances = new Map();
+
+    // Preferred concept wins when a filing tags several for the same metric
+    const rank = (fact) => FUNDAMENTAL_CONCEPTS[fact.metric].findIndex(c => c.toLowerCase() === fact.concept.toLowerCase());
+    const assign = (row, fact) => {
+      if (row[fact.metric] === undefined || rank(fact) < row[`${fact.metric}Rank`]) {
+        row[fact.metric] = fact.value;
+        row[`${fact.metric}Rank`] = rank(fact);
+      }
+    };
+
+    for (const fact of facts) {
+      if (fact.instant || INSTANT_METRICS.includes(fact.metric)) {
+        if (!balances.has(fact.end)) balances.set(fact.end, { date: fact.end });
+        assign(balances.get(fact.end), fact);
+      } else {
+        const key = `${fact.start}_${fact.end}`;
+        if (!periods.has(key)) {
+          periods.set(key, { start: fact.start, end: fact.end, months: this.monthsBetween(fact.start, fact.end) });
+        }
+        assign(periods.get(key), fact);
+      }
+    }
+
+    const stripRanks = row => Object.fromEntries(Object.entries(row).filter(([key]) => !key.endsWith('Rank')));
+    const periodRows = [...periods.values()].map(stripRanks).sort((a, b) => b.end.localeCompare(a.end) || a.months - b.months);
+    const balanceRows = [...balances.values()].map(stripRanks).sort((a, b) => b.date.localeCompare(a.date));
+
+    const end = periodEnd || periodRows[0]?.end || balanceRows[0]?.date || null;
+    const summary = this.summarize(periodRows, balanceRows, end);
+
+    return {
+      periodEnd: end,
+      fiscalPeriod: fiscalPeriod || null,
+      periods: periodRows,
+      balances: balanceRows,
+      summary,
+      facts: facts.map(({ instant, ...fact }) => fact)
+    };
+  }
+
+  /**
+   * Headline figures for the filing's period, plus burn rate and runway
+   * (10-Q cash flow statements are year-to-date, so burn uses whichever duration reports operating cash flow)
+   */
+  static summarize(periodRows, balanceRows, periodEnd) {
+    const current = periodRows.filter(row => row.end === periodEnd);
+    const shortest = current[0] || {};
+    const withCashFlow = current.find(row => row.operatingCashFlow !== undefined);
+    const balance = balanceRows.find(row => row.date === periodEnd && row.cash !== undefined) || balanceRows.find(row => row.cash !== undefined) || {};
+    const shares = balanceRows.find(row => row.sharesOutstanding !== undefined);
+
+    const monthlyBurn = withCashFlow && withCashFlow.operatingCashFlow < 0 && withCashFlow.months > 0
+      ? Math.round(-withCashFlow.operatingCashFlow / withCashFlow.months)
+      : null;
+
+    return {
+      periodEnd,
+      months: shortest.months || null,
+      revenue: shortest.revenue ?? null,
+      netIncome: shortest.netIncome ?? null,
+      operatingExpenses: shortest.operatingExpenses ?? null,
+      cash: balance.cash ?? null,
+      cashDate: balance.date || null,
+      sharesOutstanding: shares?.sharesOutstanding ?? null,
+      sharesOutstandingDate: shares?.date || null,
+      monthlyBurn,
+      runwayMonths: monthlyBurn && balance.cash ? Math.round((balance.cash / monthlyBurn) * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Numeric value of an ix:nonFraction (format, scale and sign attributes applied)
+   */
+  static parseValue(text, format = '', scale = '0', sign = null) {
+    const raw = (text || '').trim();
+    const fmt = (format || '').toLowerCase();
+
+    if (/zero|fixed-zero|numwordsen/.test(fmt) || /^[-–—]$/.test(raw) || /^(no|none|nil)$/i.test(raw)) {
+      return 0;
+    }
+
+    let digits = raw;
+    if (/comma-?decimal|numcommadecimal/.test(fmt)) {
+      digits = digits.replace(/[.\s]/g, '').replace(',', '.');
+    } else {
+      digits = digits.replace(/[,\s]/g, '');
+    }
+    digits = digits.replace(/[^0-9.]/g, '');
+    if (!digits) return null;
+
+    let value = parseFloat(digits) * Math.pow(10, parseInt(scale) || 0);
+    if (sign === '-') value = -value;
+    return Number.isFinite(value) ? value : null;
+  }
+
+  static parseDate(text) {
+    const date = new Date((text || '').trim());
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+  }
+
+  static monthsBetween(start, end) {
+    if (!start || !end) return null;
+    const days = (new Date(end) - new Date(start)) / 86400000 + 1;
+    return Math.max(1, Math.round(days / 30.44));
+  }
+}
+
+module.exports = Fundamentals;
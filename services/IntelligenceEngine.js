@@ -3,6 +3,103 @@
  * Advanced analysis capabilities for the Catalyst AI Agent
  */
 
+const { getCollectionFriendlyName, getDateField } = require('../config/prompts/schema-context');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after which a source's newest document is flagged stale (default 7)
+// Quarterly sources get a full filing cycle; null = not measured (event_data is future-dated)
+const FRESHNESS_LIMITS = {
+  defaultStaleDays: 7,
+  staleDays: {
+    stock_quote_now: 1,
+    finnhub_quote_snapshots: 1,
+    intraday_prices: 3,
+    one_minute_prices: 3,
+    five_minute_prices: 3,
+    ten_minute_prices: 3,
+    hourly_prices: 3,
+    daily_prices: 4,
+    government_policy: 30,
+    macro_economics: 30,
+    sec_filings: 95,
+    fundamentals: 95,
+    earnings_transcripts: 95,
+    earnings_comparison: 95,
+    ownership: 95,
+    institutional_ownership: 95,
+    ownership_changes: 95,
+    event_data: null
+  }
+};
+
+// Tried when a document lacks its collection's date field (derived documents carry `to` / `date`)
+const FRESHNESS_FALLBACK_FIELDS = ['to', 'date', 'timestamp'];
+
+const FOLLOW_UP_LIMITS = {
+  maxSuggestions: 4,
+  maxGapSuggestions: 2  // Leave room for suggestions based on what was found
+};
+
+// Next question per collection that answered: [collection it would query, question(ticker)]
+// Skipped when the plan already queried that collection
+const FOLLOW_UP_PATHS = {
+  sec_filings: [
+    ['fundamentals', t => `How have ${t}'s revenue and cash position trended over recent filings?`],
+    ['insider_trading', t => `Have ${t} insiders been buying or selling recently?`]
+  ],
+  fundamentals: [
+    ['earnings_comparison', t => `What changed on ${t}'s latest earnings call vs the prior quarter?`]
+  ],
+  earnings_transcripts: [
+    ['earnings_comparison', t => `What changed on ${t}'s latest earnings call vs the prior quarter?`],
+    ['price_targets', t => `How have analysts reacted to ${t}'s latest earnings?`]
+  ],
+  earnings_comparison: [
+    ['price_targets', t => `How have analysts reacted to ${t}'s latest earnings?`]
+  ],
+  price_targets: [
+    ['sentiment_trends', t => `How has sentiment on ${t} trended over the last 90 days?`]
+  ],
+  news: [
+    ['sentiment_trends', t => `How has sentiment on ${t} trended over the last 90 days?`],
+    ['event_data', t => `What are ${t}'s upcoming catalysts?`]
+  ],
+  press_releases: [
+    ['event_data', t => `What are ${t}'s upcoming catalysts?`]
+  ],
+  hype: [
+    ['sentiment_trends', t => `Have there been any unusual sentiment spikes for ${t}?`]
+  ],
+  sentiment_trends: [
+    ['news', t => `What news drove the recent sentiment shifts for ${t}?`]
+  ],
+  institutional_ownership: [
+    ['ownership_changes', t => `Which institutions added or trimmed ${t} last quarter?`]
+  ],
+  ownership: [
+    ['ownership_changes', t => `Which institutions added or trimmed ${t} last quarter?`]
+  ],
+  ownership_changes: [
+    ['insider_trading', t => `Have ${t} insiders been buying or selling recently?`]
+  ],
+  insider_trading: [
+    ['ownership_changes', t => `Which institutions added or trimmed ${t} last quarter?`]
+  ],
+  event_data: [
+    ['earnings_comparison', t => `What changed on ${t}'s latest earnings call vs the prior quarter?`]
+  ],
+  stock_quote_now: [
+    ['news', t => `What's driving ${t}'s move today?`]
+  ],
+  daily_prices: [
+    ['news', t => `What news lines up with ${t}'s biggest price moves?`]
+  ],
+  government_policy: [
+    ['sec_filings', t => `Has ${t} disclosed any policy or regulatory risk in its filings?`]
+  ]
+};
+
 class IntelligenceEngine {
   /**
    * Calculate confidence score for the response
@@ -14,6 +111,7 @@ class IntelligenceEngine {
       totalSources = 0,
       sourceFreshness = [],
       dataCompleteness = {},
+      gaps = [],
       queryType = 'general'
     } = metadata;
 
@@ -38,12 +136,15 @@ class IntelligenceEngine {
       warnings.push('⚠️ Based on single source - treat as preliminary');
     }
 
-    // Factor 2: Data freshness (0-30 points)
-    const avgFreshnessDays = sourceFreshness.length > 0 
-      ? sourceFreshness.reduce((a, b) => a + b, 0) / sourceFreshness.length 
-      : 999;
+    // Factor 2: Data freshness (0-30 points) - days, or measureFreshness() entries
+    const ages = sourceFreshness.map(f => typeof f === 'number' ? f : f.ageDays);
+    const avgFreshnessDays = ages.length > 0 
+      ? ages.reduce((a, b) => a + b, 0) / ages.length 
+      : null;
 
-    if (avgFreshnessDays <= 7) {
+    if (avgFreshnessDays === null) {
+      factors.push('Data age unknown');
+    } else if (avgFreshnessDays <= 7) {
       confidenceScore += 30;
       factors.push('Very recent data (< 1 week)');
     } else if (avgFreshnessDays <= 30) {
@@ -58,6 +159,10 @@ class IntelligenceEngine {
       warnings.push('⚠️ Data may be outdated - check for recent updates');
     }
 
+    sourceFreshness
+      .filter(f => typeof f === 'object' && f.stale)
+      .forEach(f => warnings.push(`⚠️ ${f.label.charAt(0).toUpperCase()}${f.label.slice(1)} last updated ${f.age} ago`));
+
     // Factor 3: Data completeness (0-30 points)
     const completenessScore = dataCompleteness.hasExpectedData ? 30 : 
                              dataCompleteness.hasPartialData ? 15 : 0;
@@ -73,6 +178,8 @@ class IntelligenceEngine {
       warnings.push('⚠️ Significant data gaps detected');
     }
 
+    gaps.filter(gap => this.isMaterialGap(gap)).forEach(gap => warnings.push(gap.message));
+
     // Cap at 100
     confidenceScore = Math.min(100, confidenceScore);
 
@@ -95,7 +202,7 @@ class IntelligenceEngine {
       warnings,
       metadata: {
         sources: totalSources,
-        avgFreshnessDays: Math.round(avgFreshnessDays),
+        avgFreshnessDays: avgFreshnessDays === null ? null : Math.round(avgFreshnessDays),
         completeness: dataCompleteness
       }
     };
@@ -162,15 +269,74 @@ class IntelligenceEngine {
     return anomalies;
   }
 
+  /**
+   * Age of the newest document per source, using each collection's date field (getDateField)
+   * @param {Array} queryResults - QueryEngine.executeQueries results
+   * @param {Date} now
+   * @returns {Array} [{ source, label, newest, ageDays, age, stale }] for sources with dated documents
+   */
+  static measureFreshness(queryResults = [], now = new Date()) {
+    return queryResults
+      .filter(result => !result.error && Array.isArray(result.data) && result.data.length > 0)
+      .map(result => {
+        const staleAfter = result.collection in FRESHNESS_LIMITS.staleDays
+          ? FRESHNESS_LIMITS.staleDays[result.collection]
+          : FRESHNESS_LIMITS.defaultStaleDays;
+        if (staleAfter === null) return null;
+
+        const fields = [getDateField(result.collection), ...FRESHNESS_FALLBACK_FIELDS];
+        const newest = result.data.reduce((latest, doc) => {
+          const value = fields.map(field => doc[field]).find(Boolean);
+          const date = value ? new Date(value) : null;
+          return date && !isNaN(date) && (!latest || date > latest) ? date : latest;
+        }, null);
+        if (!newest) return null;
+
+        const ageDays = Math.max(0, (now - newest) / DAY_MS);
+        return {
+          source: result.collection,
+          label: getCollectionFriendlyName(result.collection),
+          newest: newest.toISOString(),
+          ageDays: Math.round(ageDays * 10) / 10,
+          age: ageDays < 1 ? `${Math.max(1, Math.round(ageDays * 24))}h` : `${Math.round(ageDays)}d`,
+          stale: ageDays > staleAfter
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Coverage of what the plan asked for (input for calculateConfidence)
+   * @param {Object} dataFetched - summarizeRetrieval() output
+   * @param {Array} gaps - identifyMissingData() output
+   */
+  static assessCompleteness(dataFetched, gaps = []) {
+    const found = (dataFetched.collectionsHit || []).length > 0;
+    const missing = gaps.some(gap => this.isMaterialGap(gap));
+    return {
+      hasExpectedData: found && !missing,
+      hasPartialData: found && missing
+    };
+  }
+
+  /**
+   * Gaps that lower confidence: a requested ticker or planned source returned nothing
+   * (missing form types are too noisy - most questions only need one)
+   */
+  static isMaterialGap(gap) {
+    return gap.severity === 'high' || gap.type === 'empty_source';
+  }
+
   /**
    * Identify missing data gaps
-   * @param {Object} queryIntent - What user asked for
-   * @param {Object} dataFetched - What data was actually retrieved
+   * @param {Object} queryIntent - What user asked for (plan queries or legacy dataSources)
+   * @param {Object} dataFetched - What data was actually retrieved (see summarizeRetrieval)
    * @returns {Array} Missing data items
    */
   static identifyMissingData(queryIntent, dataFetched) {
     const gaps = [];
     const today = new Date();
+    const plannedCollections = (queryIntent.dataSources || queryIntent.queries || []).map(ds => ds.collection);
 
     // Check for missing tickers
     if (queryIntent.tickers && queryIntent.tickers.length > 0) {
@@ -187,7 +353,7 @@ class IntelligenceEngine {
     }
 
     // Check for missing SEC filings
-    if (queryIntent.dataSources?.some(ds => ds.collection === 'sec_filings')) {
+    if (plannedCollections.includes('sec_filings')) {
       const expectedForms = queryIntent.formTypes || ['10-K', '10-Q', '8-K'];
       const foundForms = dataFetched.secFilingTypes || [];
       
@@ -204,7 +370,7 @@ class IntelligenceEngine {
     }
 
     // Check for stale institutional ownership data
-    if (queryIntent.dataSources?.some(ds => ds.collection === 'institutional_ownership')) {
+    if (plannedCollections.includes('institutional_ownership')) {
       if (dataFetched.institutionalDataDate) {
         const dataDate = new Date(dataFetched.institutionalDataDate);
         const daysSinceUpdate = (today - dataDate) / (1000 * 60 * 60 * 24);
@@ -230,57 +396,129 @@ class IntelligenceEngine {
       });
     }
 
+    // Check for planned sources that came back empty, failed or timed out
+    (dataFetched.emptyCollections || []).forEach(source => {
+      const name = getCollectionFriendlyName(source.collection);
+      gaps.push({
+        type: 'empty_source',
+        collection: source.collection,
+        timedOut: !!source.timedOut,
+        message: source.timedOut ? `Lookup of ${name} timed out` : `No ${name} matched the query`,
+        severity: 'medium'
+      });
+    });
+
     return gaps;
   }
 
+  /**
+   * Summarize what the executed plan actually returned (input for identifyMissingData / generateFollowUps)
+   * @param {Array} queryResults - QueryEngine.executeQueries results
+   * @param {Object} intelligenceMetadata - ContextEngine formatting metadata
+   * @returns {Object} intelligenceMetadata + { tickers, collectionsQueried, collectionsHit, emptyCollections }
+   */
+  static summarizeRetrieval(queryResults = [], intelligenceMetadata = {}) {
+    const tickers = new Set(intelligenceMetadata.tickers || []);
+    const collectionsHit = [];
+    const emptyCollections = [];
+
+    queryResults.forEach(result => {
+      const rows = Array.isArray(result.data) ? result.data : [];
+      if (result.error || rows.length === 0) {
+        if (!result.cancelled) emptyCollections.push({ collection: result.collection, timedOut: !!result.timedOut });
+        return;
+      }
+
+      collectionsHit.push(result.collection);
+      rows.forEach(row => {
+        const ticker = String(row.ticker || row.symbol || '').toUpperCase();
+        if (/^[A-Z]{1,5}(\.[A-Z])?$/.test(ticker)) tickers.add(ticker);
+      });
+    });
+
+    return {
+      ...intelligenceMetadata,
+      tickers: [...tickers],
+      collectionsQueried: [...new Set(queryResults.map(r => r.collection))],
+      collectionsHit: [...new Set(collectionsHit)],
+      emptyCollections
+    };
+  }
+
   /**
    * Generate proactive follow-up suggestions
-   * @param {Object} queryIntent - Original query
-   * @param {Object} dataFetched - Data that was retrieved
-   * @returns {Array} Suggested follow-up questions
+   * Gaps come first (a way around what this turn couldn't answer), then the next step from each
+   * source that answered, skipping sources the plan already queried
+   * @param {Object} queryIntent - Executed query plan (tickers, queries, isFutureOutlook)
+   * @param {Object} dataFetched - summarizeRetrieval() output
+   * @param {Array} gaps - identifyMissingData() output
+   * @returns {Array} [{ question, type: 'gap' | 'deeper' | 'compare', ticker, collection, reason }]
    */
-  static generateFollowUps(queryIntent, dataFetched) {
+  static generateFollowUps(queryIntent, dataFetched, gaps = []) {
     const suggestions = [];
-    const ticker = queryIntent.tickers?.[0];
-
-    // Based on query type
-    if (queryIntent.intent === 'sec_filings') {
-      if (ticker) {
-        suggestions.push(`What are the key risk factors for ${ticker}?`);
-        suggestions.push(`Who are the major institutional investors in ${ticker}?`);
-      }
-      suggestions.push('How does this compare to competitors?');
-    }
+    const queried = new Set(dataFetched.collectionsQueried || []);
+    const retrievedTickers = dataFetched.tickers || [];
+    const ticker = (queryIntent.tickers || []).find(t => retrievedTickers.includes(t))
+      || queryIntent.tickers?.[0]
+      || retrievedTickers[0]
+      || null;
+
+    const add = (question, type, details = {}) => {
+      if (suggestions.some(s => s.question === question)) return;
+      if (type === 'gap' && suggestions.filter(s => s.type === 'gap').length >= FOLLOW_UP_LIMITS.maxGapSuggestions) return;
+      suggestions.push({
+        question,
+        type,
+        ticker: details.ticker !== undefined ? details.ticker : ticker,
+        collection: details.collection || null,
+        reason: details.reason || null
+      });
+    };
 
-    if (queryIntent.intent === 'events') {
-      if (ticker) {
-        suggestions.push(`What's ${ticker}'s historical performance after similar events?`);
-        suggestions.push(`Show me ${ticker}'s recent SEC filings`);
+    // Based on gaps in what was retrieved
+    gaps.forEach(gap => {
+      if (gap.type === 'missing_ticker') {
+        add(`What's the latest news on ${gap.ticker}?`, 'gap', { ticker: gap.ticker, collection: 'news', reason: gap.message });
+      } else if (!ticker) {
+        return;
+      } else if (gap.type === 'missing_filing') {
+        const forms = gaps.filter(g => g.type === 'missing_filing').map(g => g.formType);
+        add(`Show ${ticker}'s ${forms.join(' / ')} filings from the past year`, 'gap', { collection: 'sec_filings', reason: gap.message });
+      } else if (gap.type === 'no_future_events') {
+        add(`When is ${ticker}'s next earnings report?`, 'gap', { collection: 'event_data', reason: gap.message });
+      } else if (gap.type === 'stale_data') {
+        add(`Which institutions changed their ${ticker} positions last quarter?`, 'gap', { collection: 'ownership_changes', reason: gap.message });
+      } else if (gap.type === 'empty_source') {
+        const name = getCollectionFriendlyName(gap.collection);
+        add(
+          gap.timedOut ? `Try the ${name} for ${ticker} again` : `Look for ${name} on ${ticker} over a longer time range`,
+          'gap',
+          { collection: gap.collection, reason: gap.message }
+        );
       }
-    }
+    });
 
-    if (queryIntent.isFutureOutlook) {
-      if (ticker) {
-        suggestions.push(`What are analysts saying about ${ticker}?`);
-        suggestions.push(`Compare ${ticker}'s outlook to industry peers`);
-      }
+    // Based on data found: the natural next source for each collection that answered
+    if (ticker) {
+      (dataFetched.collectionsHit || []).forEach(collection => {
+        (FOLLOW_UP_PATHS[collection] || [])
+          .filter(([next]) => !queried.has(next))
+          .forEach(([next, question]) => add(question(ticker), 'deeper', { collection: next }));
+      });
     }
 
-    // Based on data found
-    if (dataFetched.hasInstitutionalData) {
-      suggestions.push('Which institutions increased their positions most?');
+    // Several tickers retrieved - offer a side-by-side
+    if (retrievedTickers.length >= 2) {
+      add(`Compare ${retrievedTickers.slice(0, 3).join(', ')} side by side`, 'compare', { ticker: null });
+    } else if (ticker && queryIntent.isFutureOutlook) {
+      add(`Compare ${ticker}'s outlook to industry peers`, 'compare');
     }
 
     if (dataFetched.hasPolicyData) {
-      suggestions.push('How might this policy affect my portfolio?');
-    }
-
-    if (dataFetched.hasEvents) {
-      suggestions.push('What are the biggest upcoming catalysts?');
+      add('How might this policy affect my portfolio?', 'deeper', { ticker: null, collection: 'government_policy' });
     }
 
-    // Return top 3 unique suggestions
-    return [...new Set(suggestions)].slice(0, 3);
+    return suggestions.slice(0, FOLLOW_UP_LIMITS.maxSuggestions);
   }
 
   /**
@@ -0,0 +1,358 @@
+/**
+ * OwnershipDiff.js
+ *
+ * Quarter-over-quarter changes in institutional (13F) ownership for a ticker.
+ * Backs the `ownership_changes` pseudo-collection and GET /api/ownership/:symbol/changes.
+ *
+ * Snapshots come from `ownership` 13F-HR rows (one row per holder filing), grouped by the quarter
+ * each 13F reports on. The latest reported quarter and the one before are read as separate
+ * file_date windows, so a heavily held ticker still gets both quarters in full.
+ * Tickers without 13F rows fall back to the `institutional_ownership`
+ * holder lists. A holder missing from the previous quarter but reporting shares_change has its
+ * previous position implied (shares - shares_change), so one missing filing is not a "new position".
+ *
+ * Result document (one per ticker):
+ *   { ticker, source, current: { period, holders, totalShares, totalValue }, previous: {...},
+ *     netShares, netValue, newPositions, exits, topAdds, topTrims,
+ *     concentration: { current: { top5Pct, top10Pct, hhi }, previous: {...} }, filingWindowOpen }
+ */
+
+const { mongoClient, connectMongo } = require('../config/database');
+const { QUERY_LIMITS } = require('../config/query-plan-schema');
+const QueryNormalizer = require('./QueryNormalizer');
+
+const OWNERSHIP_DIFF_LIMITS = {
+  maxRowsPerQuarter: 5000, // 13F rows read per ticker per reported quarter
+  maxTickers: 5,
+  listSize: 10,          // Holders per list (new, exits, adds, trims)
+  filingDeadlineDays: 45 // 13F-HR is due 45 days after quarter end
+};
+
+// `ownership` also holds 13D/13G and insider rows - only holdings reports are diffed
+const THIRTEEN_F_FORMS = ['13F-HR', '13F-HR/A'];
+const THIRTEEN_F_FILTER = {
+  $or: [
+    { form_type: { $in: THIRTEEN_F_FORMS } },
+    { event_type: { $in: THIRTEEN_F_FORMS } }
+  ]
+};
+
+class OwnershipDiff {
+  /**
+   * Ownership changes for the tickers in a plan filter
+   * @param {Object} filter - { ticker } (string, { $in: [...] } or { $regex })
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  static async query(filter = {}) {
+    const tickers = QueryNormalizer.extractTickers(filter).slice(0, OWNERSHIP_DIFF_LIMITS.maxTickers);
+    if (tickers.length === 0) {
+      return { success: false, data: [], error: 'ownership_changes requires a ticker filter' };
+    }
+
+    const results = await Promise.all(tickers.map(ticker => this.getChanges(ticker)));
+    const failed = results.find(result => !result.success);
+
+    return {
+      success: !failed || results.some(result => result.success),
+      data: results.filter(result => result.success && result.data).map(result => result.data),
+      ...(failed ? { error: failed.error } : {})
+    };
+  }
+
+  /**
+   * Latest quarter vs the quarter before for one ticker
+   * @returns {Promise<Object>} { success, data: change document | null, error }
+   */
+  static async getChanges(symbol) {
+    const ticker = symbol.toUpperCase();
+
+    try {
+      await connectMongo();
+      const db = mongoClient.db('raw_data');
+
+      const rows = await this.readLatestQuarters(db, ticker);
+
+      let source = 'ownership';
+      let snapshots = this.snapshotsFromOwnershipRows(rows);
+
+      if (snapshots.length === 0) {
+        const docs = await db.collection('institutional_ownership')
+          .find({ ticker })
+          .sort({ date: -1 })
+          .limit(20)
+          .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+          .toArray();
+        source = 'institutional_ownership';
+        snapshots = this.snapshotsFromInstitutionalDocs(docs);
+      }
+
+      if (snapshots.length === 0) {
+        return { success: true, data: null };
+      }
+
+      const data = { ticker, source, ...this.diffSnapshots(snapshots[1] || null, snapshots[0]) };
+      console.log(`🏦 Ownership changes ${ticker}: ${data.current.period} vs ${data.previous?.period || 'n/a'} - ${data.newPositions.length} new, ${data.exits.length} exits (${source})`);
+
+      return { success: true, data };
+    } catch (error) {
+      console.error(`❌ Failed to compute ownership changes for ${ticker}:`, error.message);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * 13F rows for the latest reported quarter and the quarter before, one file_date window each
+   * @returns {Promise<Array>} ownership rows (empty when the ticker has no 13F filings)
+   */
+  static async readLatestQuarters(db, ticker) {
+    const collection = db.collection('ownership');
+    const latest = await collection
+      .find({ ticker, ...THIRTEEN_F_FILTER }, { projection: { file_date: 1 } })
+      .sort({ file_date: -1 })
+      .limit(1)
+      .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+      .toArray();
+
+    const latestDate = this.toDateString(latest[0]?.file_date);
+    if (!latestDate) return [];
+
+    const current = this.reportPeriod(latestDate);
+    const periods = [current, this.previousPeriod(current)];
+
+    const quarters = await Promise.all(periods.map(async (period) => {
+      const { from, to } = this.filingWindow(period);
+      const rows = await collection
+        .find({
+          ticker,
+          $and: [
+            THIRTEEN_F_FILTER,
+            // file_date is a BSON Date on newer rows and a date string on older ones
+            { $or: [
+              { file_date: { $gte: new Date(`${from}T00:00:00Z`), $lt: new Date(`${to}T00:00:00Z`) } },
+              { file_date: { $gte: from, $lt: to } }
+            ] }
+          ]
+        })
+        .limit(OWNERSHIP_DIFF_LIMITS.maxRowsPerQuarter)
+        .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+        .toArray();
+
+      if (rows.length === OWNERSHIP_DIFF_LIMITS.maxRowsPerQuarter) {
+        console.warn(`⚠️ ${ticker} ${period} 13F holders capped at ${OWNERSHIP_DIFF_LIMITS.maxRowsPerQuarter} rows`);
+      }
+      return rows;
+    }));
+
+    return quarters.flat();
+  }
+
+  /**
+   * Quarterly snapshots from 13F rows, newest first
+   * Each snapshot: { period, holders: Map(name → { name, shares, value, sharesChange, fileDate }) }
+   */
+  static snapshotsFromOwnershipRows(rows) {
+    const byPeriod = new Map();
+
+    for (const row of rows) {
+      const name = row.holder_name;
+      const fileDate = this.toDateString(row.file_date);
+      if (!name || !fileDate) continue;
+
+      const period = this.reportPeriod(fileDate);
+      if (!byPeriod.has(period)) byPeriod.set(period, new Map());
+      const holders = byPeriod.get(period);
+
+      // Amendments re-file the same quarter - the latest filing wins
+      const existing = holders.get(name);
+      if (existing && existing.fileDate >= fileDate) continue;
+
+      holders.set(name, {
+        name,
+        shares: Number(row.shares) || 0,
+        value: Number(row.total_position_value) || 0,
+        sharesChange: row.shares_change === undefined || row.shares_change === null ? null : Number(row.shares_change),
+        fileDate
+      });
+    }
+
+    return [...byPeriod.entries()]
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .map(([period, holders]) => ({ period, holders }));
+  }
+
+  /**
+   * Snapshots from institutional_ownership holder lists (one per reporting quarter, newest first)
+   */
+  static snapshotsFromInstitutionalDocs(docs) {
+    const byPeriod = new Map();
+
+    for (const doc of docs) {
+      const list = doc.institutional_holdings?.holders || [];
+      const date = this.toDateString(doc.date);
+      if (list.length === 0 || !date) continue;
+
+      // Docs are re-scraped between 13F seasons - keep the newest doc per quarter
+      const period = this.reportPeriod(date);
+      if (byPeriod.has(period)) continue;
+
+      const holders = new Map();
+      list.forEach(holder => {
+        if (!holder.owner) return;
+        holders.set(holder.owner, {
+          name: holder.owner,
+          shares: Number(holder.shares) || 0,
+          value: Number(holder.marketValue) || 0,
+          sharesChange: null,
+          fileDate: date
+        });
+      });
+      byPeriod.set(period, holders);
+    }
+
+    return [...byPeriod.entries()]
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .map(([period, holders]) => ({ period, holders }));
+  }
+
+  /**
+   * Diff two snapshots: new positions, exits, biggest adds/trims and concentration
+   * Dollar changes are share changes valued at the current quarter's price per share,
+   * so price moves alone never show up as buying or selling
+   */
+  static diffSnapshots(previous, current) {
+    const previousHolders = previous?.holders || new Map();
+    const pricePerShare = this.pricePerShare(current.holders) || this.pricePerShare(previousHolders);
+    const changes = [];
+
+    for (const holder of current.holders.values()) {
+      let before = previousHolders.get(holder.name)?.shares;
+      if (before === undefined && holder.sharesChange !== null) {
+        before = Math.max(0, holder.shares - holder.sharesChange);
+      }
+      changes.push(this.buildChange(holder.name, before ?? 0, holder.shares, holder.value, pricePerShare));
+    }
+
+    // Holders that did not re-file. Inside the filing window they may simply be late.
+    for (const holder of previousHolders.values()) {
+      if (!current.holders.has(holder.name)) {
+        changes.push(this.buildChange(holder.name, holder.shares, 0, 0, pricePerShare));
+      }
+    }
+
+    const list = (items, sortKey) => items.sort(sortKey).slice(0, OWNERSHIP_DIFF_LIMITS.listSize);
+    const moved = changes.filter(change => change.previousShares > 0 && change.shares > 0);
+
+    return {
+      current: this.describeSnapshot(current),
+      previous: previous ? this.describeSnapshot(previous) : null,
+      netShares: changes.reduce((sum, change) => sum + change.sharesChange, 0),
+      netValue: changes.reduce((sum, change) => sum + change.valueChange, 0),
+      newPositions: list(changes.filter(change => change.previousShares === 0 && change.shares > 0), (a, b) => b.shares - a.shares),
+      exits: list(changes.filter(change => change.previousShares > 0 && change.shares === 0), (a, b) => b.previousShares - a.previousShares),
+      topAdds: list(moved.filter(change => change.sharesChange > 0), (a, b) => b.sharesChange - a.sharesChange),
+      topTrims: list(moved.filter(change => change.sharesChange < 0), (a, b) => a.sharesChange - b.sharesChange),
+      concentration: {
+        current: this.concentration(current.holders),
+        previous: previous ? this.concentration(previousHolders) : null
+      },
+      filingWindowOpen: this.isFilingWindowOpen(current.period)
+    };
+  }
+
+  static buildChange(name, previousShares, shares, value, pricePerShare) {
+    const sharesChange = shares - previousShares;
+    return {
+      holder: name,
+      previousShares,
+      shares,
+      sharesChange,
+      percentChange: previousShares > 0 ? Math.round((sharesChange / previousShares) * 1000) / 10 : null,
+      value: value || Math.round(shares * pricePerShare),
+      valueChange: Math.round(sharesChange * pricePerShare)
+    };
+  }
+
+  static describeSnapshot(snapshot) {
+    const holders = [...snapshot.holders.values()];
+    return {
+      period: snapshot.period,
+      holders: holders.length,
+      totalShares: holders.reduce((sum, holder) => sum + holder.shares, 0),
+      totalValue: holders.reduce((sum, holder) => sum + holder.value, 0)
+    };
+  }
+
+  /**
+   * Share of reported institutional shares held by the largest holders, plus the
+   * Herfindahl-Hirschman index (0-10,000; above 2,500 is highly concentrated)
+   */
+  static concentration(holders) {
+    const shares = [...holders.values()].map(holder => holder.shares).filter(s => s > 0).sort((a, b) => b - a);
+    const total = shares.reduce((sum, s) => sum + s, 0);
+    if (total === 0) return { top5Pct: null, top10Pct: null, hhi: null };
+
+    const pct = (count) => Math.round((shares.slice(0, count).reduce((sum, s) => sum + s, 0) / total) * 1000) / 10;
+    return {
+      top5Pct: pct(5),
+      top10Pct: pct(10),
+      hhi: Math.round(shares.reduce((sum, s) => sum + Math.pow((s / total) * 100, 2), 0))
+    };
+  }
+
+  /**
+   * Implied price per share from reported position values
+   */
+  static pricePerShare(holders) {
+    let shares = 0;
+    let value = 0;
+    for (const holder of holders.values()) {
+      if (holder.shares > 0 && holder.value > 0) {
+        shares += holder.shares;
+        value += holder.value;
+      }
+    }
+    return shares > 0 ? value / shares : 0;
+  }
+
+  /**
+   * Quarter a 13F filed on `date` reports on (the last quarter end before the filing)
+   * @returns {string} YYYY-MM-DD quarter end
+   */
+  static reportPeriod(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    const quarterStartMonth = Math.floor(d.getUTCMonth() / 3) * 3;
+    // Day 0 of the quarter's first month = last day of the previous quarter
+    return new Date(Date.UTC(d.getUTCFullYear(), quarterStartMonth, 0)).toISOString().split('T')[0];
+  }
+
+  static previousPeriod(period) {
+    const d = new Date(`${period}T00:00:00Z`);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() - 2, 0)).toISOString().split('T')[0];
+  }
+
+  /**
+   * file_date range whose filings reportPeriod() maps to `period` (the following quarter)
+   * @returns {Object} { from, to } YYYY-MM-DD, to exclusive
+   */
+  static filingWindow(period) {
+    const d = new Date(`${period}T00:00:00Z`);
+    return {
+      from: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)).toISOString().split('T')[0],
+      to: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 4, 1)).toISOString().split('T')[0]
+    };
+  }
+
+  static isFilingWindowOpen(period, now = new Date()) {
+    const deadline = new Date(`${period}T00:00:00Z`);
+    deadline.setUTCDate(deadline.getUTCDate() + OWNERSHIP_DIFF_LIMITS.filingDeadlineDays);
+    return now < deadline;
+  }
+
+  static toDateString(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+  }
+}
+
+module.exports = OwnershipDiff;
@@ -0,0 +1,293 @@
+/**
+ * PriceTargetParser.js
+ *
+ * Structured view of `price_targets` rows. The scraper stores the target and rating as free text
+ * ("$444 → $439", "Hold → Buy", action "Upgrade"); this parses them into numbers and normalized
+ * ratings, and computes consensus statistics over a date window.
+ *
+ * Parsed record:
+ *   { ticker, date, firm, action, rating, previousRating, ratingLabel, target, previousTarget, targetDirection }
+ *   action          upgrade | downgrade | initiate | reiterate | null
+ *   rating          buy | hold | sell | null (ratingLabel keeps the firm's own wording)
+ *   targetDirection raised | lowered | maintained | null (null when only one target is given)
+ *
+ * Consensus (latest record per firm in the window, so a firm that revised five times counts once):
+ *   { from, to, firms, mean, median, high, low, currentPrice, impliedUpside, ratings: { buy, hold, sell, unrated },
+ *     actions: { upgrades, downgrades, initiations } }
+ *
+ * History (per-firm step series for chart overlays; each target holds until the firm's next point):
+ *   { from, to, firms: [{ firm, latest: { date, target, rating }, series: [{ date, target, rating, action, carried }] }] }
+ *   A firm's last target before `from` is carried in as a first point dated `from` (carried: true).
+ */
+
+const { mongoClient, connectMongo } = require('../config/database');
+const { QUERY_LIMITS } = require('../config/query-plan-schema');
+const DataConnector = require('./DataConnector');
+
+const PRICE_TARGET_LIMITS = {
+  defaultWindowDays: 90,
+  maxWindowDays: 730,
+  maxRows: 500,        // Rows read per ticker for a consensus window / history range
+  maxFirms: 12,        // Firms per history (most recently active first)
+  carryInDays: 365     // Targets older than this before the range start are stale, not carried in
+};
+
+// Firm rating vocabularies → buy / hold / sell
+const RATING_PATTERNS = [
+  ['sell', /\b(strong sell|sell|underperform|under-?weight|reduce|negative|underweight)\b/i],
+  ['hold', /\b(hold|neutral|equal[- ]?weight|market perform|sector perform|peer perform|in[- ]line|sector weight|mixed|perform)\b/i],
+  ['buy', /\b(strong buy|buy|outperform|over-?weight|accumulate|positive|add|top pick|market outperform|sector outperform|conviction buy|speculative buy)\b/i]
+];
+
+const ACTION_PATTERNS = [
+  ['upgrade', /\bupgrade/i],
+  ['downgrade', /\bdowngrade/i],
+  ['initiate', /\b(initiat\w*|resum\w*|coverage)\b/i],
+  ['reiterate', /\b(reiterat\w*|maintain\w*|reaffirm\w*|rais\w*|lower\w*|adjust\w*)\b/i]
+];
+
+const RATING_RANK = { sell: 0, hold: 1, buy: 2 };
+
+class PriceTargetParser {
+  /**
+   * Parse one price_targets document
+   */
+  static parse(doc) {
+    const { previous: previousTarget, current: target } = this.parseTarget(doc.price_target_change);
+    const ratingParts = this.splitChange(doc.rating_change);
+    const rating = this.normalizeRating(ratingParts.current);
+    const previousRating = ratingParts.previous ? this.normalizeRating(ratingParts.previous) : null;
+
+    // A lone target ("$500") says nothing about direction
+    let targetDirection = null;
+    if (target !== null && previousTarget !== null) {
+      targetDirection = target > previousTarget ? 'raised' : target < previousTarget ? 'lowered' : 'maintained';
+    }
+
+    return {
+      ticker: doc.ticker || doc.symbol || null,
+      date: this.toDateString(doc.date),
+      firm: doc.analyst || doc.analyst_firm || null,
+      action: this.normalizeAction(doc.action, previousRating, rating),
+      rating,
+      previousRating,
+      ratingLabel: ratingParts.current || null,
+      target,
+      previousTarget,
+      targetDirection
+    };
+  }
+
+  /**
+   * "$444 → $439" / "$444 -> $439" / "from $444 to $439" / "$439" → { previous, current }
+   */
+  static parseTarget(text) {
+    if (text === undefined || text === null) return { previous: null, current: null };
+    if (typeof text === 'number') return { previous: null, current: text };
+
+    const numbers = (String(text).match(/\d[\d,]*(?:\.\d+)?/g) || [])
+      .map(value => parseFloat(value.replace(/,/g, '')))
+      .filter(value => !isNaN(value) && value > 0);
+
+    if (numbers.length === 0) return { previous: null, current: null };
+    if (numbers.length === 1) return { previous: null, current: numbers[0] };
+    return { previous: numbers[0], current: numbers[numbers.length - 1] };
+  }
+
+  /**
+   * "Hold → Buy" → { previous: "Hold", current: "Buy" }; "Buy" → { previous: null, current: "Buy" }
+   */
+  static splitChange(text) {
+    if (!text) return { previous: null, current: null };
+    const parts = String(text).split(/\s*(?:→|->|➝|=>|\bto\b)\s*/i).map(part => part.replace(/^from\s+/i, '').trim()).filter(Boolean);
+    if (parts.length >= 2) return { previous: parts[0], current: parts[parts.length - 1] };
+    return { previous: null, current: parts[0] || null };
+  }
+
+  static normalizeRating(text) {
+    if (!text) return null;
+    const match = RATING_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Normalized action from the row's action text, falling back to the rating move
+   */
+  static normalizeAction(action, previousRating, rating) {
+    const match = action ? ACTION_PATTERNS.find(([, pattern]) => pattern.test(action)) : null;
+    if (match) return match[0];
+
+    if (previousRating && rating && previousRating !== rating) {
+      return RATING_RANK[rating] > RATING_RANK[previousRating] ? 'upgrade' : 'downgrade';
+    }
+    return action ? 'reiterate' : null;
+  }
+
+  /**
+   * Consensus statistics over parsed records (any order)
+   * @param {Array} records - Output of parse()
+   * @param {number|null} currentPrice - For implied upside
+   */
+  static consensus(records, currentPrice = null) {
+    // Latest record per firm with a usable target or rating
+    const latestByFirm = new Map();
+    const byDateDesc = [...records].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    for (const record of byDateDesc) {
+      const firm = (record.firm || 'Unknown').trim();
+      if (!latestByFirm.has(firm) && (record.target !== null || record.rating !== null)) {
+        latestByFirm.set(firm, record);
+      }
+    }
+
+    const latest = [...latestByFirm.values()];
+    const targets = latest.map(record => record.target).filter(target => target !== null).sort((a, b) => a - b);
+    const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+
+    const mean = targets.length > 0 ? targets.reduce((sum, t) => sum + t, 0) / targets.length : null;
+    const middle = Math.floor(targets.length / 2);
+    const median = targets.length === 0 ? null
+      : targets.length % 2 === 1 ? targets[middle] : (targets[middle - 1] + targets[middle]) / 2;
+
+    const ratings = { buy: 0, hold: 0, sell: 0, unrated: 0 };
+    latest.forEach(record => { ratings[record.rating || 'unrated']++; });
+
+    const dates = records.map(record => record.date).filter(Boolean).sort();
+
+    return {
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      firms: latest.length,
+      targets: targets.length,
+      mean: round(mean),
+      median: round(median),
+      high: targets.length > 0 ? targets[targets.length - 1] : null,
+      low: targets.length > 0 ? targets[0] : null,
+      currentPrice: currentPrice ? round(currentPrice) : null,
+      impliedUpside: mean !== null && currentPrice ? round(((mean - currentPrice) / currentPrice) * 100) : null,
+      ratings,
+      actions: {
+        upgrades: records.filter(record => record.action === 'upgrade').length,
+        downgrades: records.filter(record => record.action === 'downgrade').length,
+        initiations: records.filter(record => record.action === 'initiate').length
+      }
+    };
+  }
+
+  /**
+   * Consensus for one ticker over the last `days` days, with implied upside vs the live quote
+   * @returns {Promise<Object>} { success, data: consensus | null, records, error }
+   */
+  static async getConsensus(symbol, days = PRICE_TARGET_LIMITS.defaultWindowDays) {
+    const ticker = symbol.toUpperCase();
+    const windowDays = Math.min(Math.max(parseInt(days) || PRICE_TARGET_LIMITS.defaultWindowDays, 1), PRICE_TARGET_LIMITS.maxWindowDays);
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    try {
+      await connectMongo();
+      const rows = await mongoClient.db('raw_data').collection('price_targets')
+        .find({ ticker })
+        .sort({ date: -1 })
+        .limit(PRICE_TARGET_LIMITS.maxRows)
+        .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+        .toArray();
+
+      // `date` is stored as both ISODate and string - filter after parsing
+      const records = rows.map(row => this.parse(row)).filter(record => record.date && record.date >= since);
+      if (records.length === 0) {
+        return { success: true, data: null, records: [] };
+      }
+
+      const quote = await DataConnector.getQuoteWithPreviousClose(ticker);
+      const data = { ticker, windowDays, ...this.consensus(records, quote.success ? quote.data.currentPrice : null) };
+      console.log(`🎯 Price target consensus ${ticker} (${windowDays}d): ${data.firms} firms, mean $${data.mean ?? 'n/a'}, upside ${data.impliedUpside ?? 'n/a'}%`);
+
+      return { success: true, data, records };
+    } catch (error) {
+      console.error(`❌ Failed to compute price target consensus for ${ticker}:`, error.message);
+      return { success: false, data: null, records: [], error: error.message };
+    }
+  }
+
+  /**
+   * Per-firm target step series between two dates
+   * @param {Array} records - Output of parse(), any order, may include rows before `from`
+   * @param {string} from - YYYY-MM-DD range start
+   * @param {string} to - YYYY-MM-DD range end
+   */
+  static history(records, from, to) {
+    const carryInSince = new Date(new Date(`${from}T00:00:00Z`).getTime() - PRICE_TARGET_LIMITS.carryInDays * 24 * 60 * 60 * 1000)
+      .toISOString().split('T')[0];
+
+    const byFirm = new Map();
+    const byDateAsc = records
+      .filter(record => record.date && record.target !== null && record.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    for (const record of byDateAsc) {
+      const firm = (record.firm || 'Unknown').trim();
+      if (!byFirm.has(firm)) byFirm.set(firm, { carried: null, points: [] });
+      const entry = byFirm.get(firm);
+      const point = { date: record.date, target: record.target, rating: record.rating, action: record.action };
+
+      if (record.date < from) {
+        entry.carried = record.date >= carryInSince ? point : null;
+      } else {
+        entry.points.push(point);
+      }
+    }
+
+    const firms = [];
+    for (const [firm, { carried, points }] of byFirm.entries()) {
+      const series = carried ? [{ ...carried, date: from, carried: true }, ...points] : points;
+      if (series.length === 0) continue;
+
+      // Same-day duplicates (re-scraped rows) - keep the last one
+      const deduped = series.filter((point, index) => index === series.length - 1 || series[index + 1].date !== point.date);
+      const latest = deduped[deduped.length - 1];
+      firms.push({
+        firm,
+        latest: { date: latest.carried ? carried.date : latest.date, target: latest.target, rating: latest.rating },
+        series: deduped.map(point => ({ ...point, carried: point.carried === true }))
+      });
+    }
+
+    firms.sort((a, b) => b.latest.date.localeCompare(a.latest.date));
+    return { from, to, firms: firms.slice(0, PRICE_TARGET_LIMITS.maxFirms) };
+  }
+
+  /**
+   * Target history for one ticker between two dates
+   * @returns {Promise<Object>} { success, data: history | null, error }
+   */
+  static async getHistory(symbol, startDate, endDate = new Date()) {
+    const ticker = symbol.toUpperCase();
+    const from = this.toDateString(startDate);
+    const to = this.toDateString(endDate);
+
+    try {
+      await connectMongo();
+      const rows = await mongoClient.db('raw_data').collection('price_targets')
+        .find({ ticker })
+        .sort({ date: -1 })
+        .limit(PRICE_TARGET_LIMITS.maxRows)
+        .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+        .toArray();
+
+      const data = { ticker, ...this.history(rows.map(row => this.parse(row)), from, to) };
+      console.log(`🎯 Price target history ${ticker} (${from} → ${to}): ${data.firms.length} firms`);
+
+      return { success: true, data: data.firms.length > 0 ? data : null };
+    } catch (error) {
+      console.error(`❌ Failed to build price target history for ${ticker}:`, error.message);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  static toDateString(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+  }
+}
+
+module.exports = PriceTargetParser;
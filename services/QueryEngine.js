@@ -3,11 +3,31 @@
  * Replaces hardcoded classification and query construction with AI-generated queries
  */
 
-const openai = require('../config/openai');
-const { QUERY_SCHEMA_CONTEXT } = require('../config/prompts/schema-context');
+const { llm } = require('../config/openai');
+const { QUERY_SCHEMA_CONTEXT, getCollectionFriendlyName } = require('../config/prompts/schema-context');
+const { QUERY_PLAN_SCHEMA, ALLOWED_MONGO_OPERATORS, QUERY_LIMITS, DERIVED_MONGO_COLLECTIONS } = require('../config/query-plan-schema');
+const { calculateDateRangeForTimeRange } = require('../config/chart-ranges');
+const QueryValidator = require('./QueryValidator');
+const QueryNormalizer = require('./QueryNormalizer');
+const EntityResolver = require('./EntityResolver');
+const SemanticIndex = require('./SemanticIndex');
+const Fundamentals = require('./Fundamentals');
+const OwnershipDiff = require('./OwnershipDiff');
+const EarningsComparison = require('./EarningsComparison');
+const SentimentAnalytics = require('./SentimentAnalytics');
+const { RETRIEVAL_TOOLS, RETRIEVAL_LIMITS, PRICE_INTERVALS } = require('../config/retrieval-tools');
 const { generateThinkingMessage } = require('../config/thinking-messages');
 const { allocateTokenBudget, getTokenBudget } = require('../config/token-allocation');
 
+// Service behind each DERIVED_MONGO_COLLECTIONS pseudo-collection - query(filter, limit) returns { success, data, error }
+// (unit = what one result row is, for the log line)
+const DERIVED_COLLECTION_SERVICES = {
+  fundamentals: { service: Fundamentals, unit: 'filings' },
+  ownership_changes: { service: OwnershipDiff, unit: 'tickers' },
+  earnings_comparison: { service: EarningsComparison, unit: 'tickers' },
+  sentiment_trends: { service: SentimentAnalytics, unit: 'tickers' }
+};
+
 class QueryEngine {
   constructor() {
     // Use centralized schema context
@@ -56,144 +76,44 @@ class QueryEngine {
     }
   }
 
-  /**
-   * Calculate date range for chart time ranges - aligns with frontend chart logic
-   * @param {string} timeRange - Time range like '1D', '5D', '1M', '3M', '1Y', '5Y'
-   * @param {string} userTimezone - User's timezone (default: America/New_York)
-   * @returns {Object} { startDate, endDate, table, limit, timeColumn }
-   */
-  calculateDateRangeForTimeRange(timeRange, userTimezone = 'America/New_York') {
-    const now = new Date();
-    let startDate;
-    let table;
-    let limit;
-
-    switch (timeRange.toUpperCase()) {
-      case '1D':
-        // For 1D, handle early morning hours before market open
-        const nowET = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-        const currentHourET = nowET.getHours();
-        
-        let marketDate;
-        if (currentHourET < 4) {
-          // Before 4 AM ET - show previous day's data
-          marketDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        } else {
-          // After 4 AM ET - show today's data
-          marketDate = now;
-        }
-        
-        // Set start time to 4 AM ET of the target market date
-        const marketDateET = new Date(marketDate.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-        const marketStartET = new Date(
-          marketDateET.getFullYear(),
-          marketDateET.getMonth(),
-          marketDateET.getDate(),
-          4, // 4 AM ET - pre-market start
-          0, 0, 0
-        );
-        
-        startDate = marketStartET;
-        table = 'one_minute_prices';
-        limit = 720;
-        break;
-
-      case '5D':
-        startDate = new Date(now.getTime() - 5 * 24 * 60 * 60 * 1000);
-        table = 'five_minute_prices';
-        limit = 1950;
-        break;
-
-      case '1W':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        table = 'five_minute_prices';
-        limit = 2000;
-        break;
-
-      case '1M':
-        // For 1M, go back 30 days but start from 4 AM ET of that day
-        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        const thirtyDaysAgoET = new Date(thirtyDaysAgo.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-        const monthStartET = new Date(
-          thirtyDaysAgoET.getFullYear(),
-          thirtyDaysAgoET.getMonth(),
-          thirtyDaysAgoET.getDate(),
-          4, // 4 AM ET
-          0, 0, 0
-        );
-        
-        startDate = monthStartET;
-        table = 'ten_minute_prices';
-        limit = 4500;
-        break;
-
-      case '3M':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        table = 'daily_prices';
-        limit = 90;
-        break;
-
-      case '6M':
-        startDate = new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000);
-        table = 'daily_prices';
-        limit = 180;
-        break;
-
-      case '1Y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        table = 'daily_prices';
-        limit = 365;
-        break;
-
-      case '5Y':
-        startDate = new Date(now.getTime() - 5 * 365 * 24 * 60 * 60 * 1000);
-        table = 'daily_prices';
-        limit = 1825;
-        break;
-
-      default:
-        startDate = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        table = 'one_minute_prices';
-        limit = 500;
-    }
-
-    // Determine time column based on table type
-    const isDailyPrices = table === 'daily_prices';
-    const timeColumn = isDailyPrices ? 'date' : 'timestamp';
-
-    console.log(`📅 [calculateDateRangeForTimeRange] timeRange=${timeRange}, table=${table}, startDate=${startDate.toISOString()}, limit=${limit}`);
-
-    return { 
-      startDate, 
-      endDate: now, 
-      table, 
-      limit, 
-      timeColumn,
-      isDailyPrices 
-    };
-  }
-
   /**
    * Generate queries using AI instead of hardcoded logic
    * @param {string} userMessage - The user's question
    * @param {string[]} userPortfolio - User's portfolio tickers
    * @param {function} sendThinking - Callback to send thinking messages
    * @param {string} timezone - User's timezone (e.g., 'America/New_York')
+   * @param {Object} conversationContext - Prior-turn summary from ConversationManager.summarizeTurns (optional)
    */
-  async generateQueries(userMessage, userPortfolio = [], sendThinking = null, timezone = 'America/New_York') {
+  async generateQueries(userMessage, userPortfolio = [], sendThinking = null, timezone = 'America/New_York', conversationContext = null) {
     // Calculate today's date in user's timezone for accurate query generation
     const todayInUserTimezone = this.getTodayInTimezone(timezone);
     console.log(`📅 User timezone: ${timezone}, Today: ${todayInUserTimezone}`);
     
+    // Resolve company names / misspellings / share classes to canonical symbols before planning
+    const detectedEntities = await EntityResolver.extractFromText(userMessage);
+    if (detectedEntities.length > 0) {
+      console.log('🏷️  Detected companies:', detectedEntities.map(e => `${e.text} → ${e.symbol} (${e.matchType})`).join(', '));
+    }
+    
     const prompt = `You are a database query generator. Based on the user's question, generate the appropriate database queries to find the information that another AI model will then analyze to answer the user's question.
 
 ${this.schemaContext}
 
 **User's Question:** "${userMessage}"
 **User's Portfolio:** ${userPortfolio.length > 0 ? userPortfolio.join(', ') : 'none'}
+**Companies Detected in the Question:** ${detectedEntities.length > 0 ? detectedEntities.map(e => `"${e.text}" = ${e.symbol} (${e.name})`).join('; ') : 'none'} - use these exact symbols
 **User's Timezone:** ${timezone}
 **TODAY'S DATE (in user's timezone):** ${todayInUserTimezone}
+${conversationContext ? `
+**Conversation So Far (oldest first):**
+${conversationContext.summary}
 
+**FOLLOW-UP RESOLUTION:**
+- The user's question may refer back to the conversation ("their", "it", "that filing", "and how did it react?", "what about the last 10-Q?")
+- Resolve those references from the turns above and reuse their tickers, sources and date ranges unless the user changes them
+- Add "standaloneQuestion": the question rewritten to make sense on its own (e.g. "what about their last 10-Q?" → "What did NVDA's most recent 10-Q filing say?"); copy the question unchanged if it is already standalone
+- Add "resolvedEntities": {"tickers": ["NVDA"], "timeframe": "last quarter" or null, "references": {"their": "NVDA"}}
+` : ''}
 **Your Task:**
 1. Understand what the user is asking
 2. Determine which database(s), table(s) and collection(s) to query
@@ -202,14 +122,24 @@ ${this.schemaContext}
 **CRITICAL RULES:**
 - For government policy queries about politicians, prioritize querying government_policy collection in MongoDB
 - For board changes, executive appointments, management updates → query press_releases collection first (not event_data)
+- For revenue, cash position, net income/loss, operating expenses, burn rate, runway or shares outstanding → query the fundamentals collection (exact XBRL figures per filing), e.g. {"database": "mongodb", "collection": "fundamentals", "query": {"ticker": "ABCL"}, "limit": 4}; add sec_filings only if the user also wants the filing's narrative
+- For institutional buying/selling, new or exited positions, "smart money flows" or ownership concentration → query the ownership_changes collection (computed quarter-over-quarter 13F diff), e.g. {"database": "mongodb", "collection": "ownership_changes", "query": {"ticker": "TMC"}}; use ownership only when the user wants the raw holder list
+- For "what changed versus last quarter" on earnings calls (management tone, guidance raised/dropped, KPIs, new risks) → query the earnings_comparison collection (last N calls diffed, with quotes), e.g. {"database": "mongodb", "collection": "earnings_comparison", "query": {"ticker": "NVDA"}, "limit": 4}; earnings_transcripts with limit 1 cannot answer comparison questions
+- For sentiment trends, buzz/hype spikes or "does sentiment move the stock" → query the sentiment_trends collection (daily z-scores, spikes and correlation with daily returns), e.g. {"database": "mongodb", "collection": "sentiment_trends", "query": {"ticker": "GME", "timestamp": {"$gte": "30d_ago"}}}; use hype only for the latest raw snapshot
 - **For press_releases searches with acronyms:** Search BOTH title AND content fields with $or, include spelled-out versions
   Example: "PFS" → search for {"$or": [{"title": {"$regex": "PFS|Pre-Feasibility Study|Preliminary Feasibility", "$options": "i"}}, {"content": {"$regex": "PFS|Pre-Feasibility Study", "$options": "i"}}]}
 - Extract semantic synonyms for concepts (e.g., "take a stake" → ["stake", "investment", "invest", "acquire", ...])
 - Use $or to match ANY keyword when searching transcripts
+- **Semantic search:** for concept/topic questions where exact keywords are unknown ("mentions of supply chain risk", "what did management say about AI demand"), use "database": "semantic" on news, press_releases, earnings_transcripts or government_policy
+  "query" needs "text" (what to search for, in plain words) plus optional filters that narrow the candidates (ticker, dates); results are the most relevant passages with similarity scores
+  Example: {"database": "semantic", "collection": "earnings_transcripts", "query": {"text": "AI data center demand outlook", "ticker": "NVDA", "report_date_gte": "1y_ago"}, "limit": 8}
 - Map speaker names correctly (Trump → search for "trump" OR "hassett")
 - Calculate date ranges based on TODAY'S DATE in the user's timezone: ${todayInUserTimezone}
 - When user says "today", "yesterday", "this week", etc. - interpret relative to THEIR timezone
+- Relative date tokens are allowed as filter values and are resolved in the user's timezone: "now", "today", "yesterday", "start_of_week", "start_of_month", "start_of_year", "<N>min_ago", "<N>h_ago", "<N>d_ago", "<N>w_ago", "<N>mo_ago", "<N>y_ago"
+- Shorthand filters are rewritten to each collection's real fields: "symbols"/"ticker" → ticker field, "<date>_gte"/"<date>_lte" → date range, "<field>_contains": ["a", "b"] → case-insensitive match on any term
 - If asking "what companies did [politician] mention?", set extractCompanies: true
+- "My portfolio", "my stocks", "my watchlist", "my holdings" mean the User's Portfolio tickers above - query ALL of them (e.g. {"ticker": {"$in": ["AAPL", "NVDA"]}}) and list them in "tickers"
 
 **CRITICAL: CONNECTING QUALITATIVE + QUANTITATIVE DATA**
 When users ask about news, price movements, or "why" questions, ALWAYS query BOTH qualitative AND quantitative data:
@@ -229,13 +159,14 @@ When users ask about news, price movements, or "why" questions, ALWAYS query BOT
 4. **Time-based correlation queries:**
    - For "why did X happen on [date]" → query all sources (news, price_targets, sec_filings, press_releases) filtered to that date range
    - For "what caused the spike/drop" → first identify when the spike occurred from price data, then query news from ±1-2 days.
+   - When later lookups depend on earlier results (like finding the spike date first), set "needsMultiStep": true - after your queries run, a follow-up retrieval step can chain price history → news/filings around the date it finds
 
 Return JSON with this structure:
 {
   "queries": [
     {
-      "database": "mongodb" | "supabase",
-      "collection": "government_policy" | "sec_filings" | "ownership" | "macro_economics" | "news" | "press_releases" | "price_targets" | "earnings_transcripts" | "hype" | "event_data" | "company_information" | "finnhub_quote_snapshots" | "one_minute_prices" | "five_minute_prices" | "ten_minute_prices" | "daily_prices" | "intraday_prices" | "stock_quote_now",
+      "database": "mongodb" | "supabase" | "semantic",
+      "collection": "government_policy" | "sec_filings" | "fundamentals" | "ownership" | "ownership_changes" | "earnings_comparison" | "sentiment_trends" | "macro_economics" | "news" | "press_releases" | "price_targets" | "earnings_transcripts" | "hype" | "event_data" | "company_information" | "finnhub_quote_snapshots" | "one_minute_prices" | "five_minute_prices" | "ten_minute_prices" | "daily_prices" | "intraday_prices" | "stock_quote_now",
       "query": { /* MongoDB query object or Supabase filter params */ },
       "sort": { /* optional sort params */ },
       "limit": 10,
@@ -245,6 +176,7 @@ Return JSON with this structure:
   "extractCompanies": true | false,
   "needsChart": true | false,
   "needsDeepAnalysis": true | false,  // DEFAULT: true - Should be true for almost all questions
+  "needsMultiStep": true | false,  // DEFAULT: false - true only when queries must be chained (e.g. "what caused the spike?")
   "analysisKeywords": ["keyword1", "keyword2"],  // Keywords to search for in SEC filing content
   "chartConfig": {  // Optional - specify chart parameters when needsChart is true
     "symbol": "TSLA",
@@ -709,18 +641,42 @@ Return ONLY valid JSON, no explanation outside the JSON structure.`;
       // Use dynamic token budget based on query complexity estimation
       const estimatedTokens = getTokenBudget('standard', 'query');
       
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",  // Faster and cheaper - query generation is a structured task
+      const response = await llm.complete('query', {  // gpt-4o-mini by default - query generation is a structured task
         messages: [{ role: "user", content: prompt }],
         temperature: 0.1,  // Lower for more deterministic query generation
         max_completion_tokens: estimatedTokens,  // Use max_completion_tokens (excludes prompt from limit)
         response_format: { type: "json_object" }
       });
 
-      const result = JSON.parse(response.choices[0].message.content.trim());
+      let result = JSON.parse(response.choices[0].message.content.trim());
       
       console.log('🤖 AI-Generated Queries:', JSON.stringify(result, null, 2));
       
+      // Validate against the query plan schema + Mongo sandbox rules (one repair attempt)
+      result = await this.validateAndRepairPlan(result, prompt, estimatedTokens);
+      
+      // Rewrite pseudo-filters (symbols, *_gte, *_contains, "24h_ago") into real field filters
+      result = QueryNormalizer.normalizePlan(result, { timezone });
+      
+      // executeQuery re-validates the normalized filters - drop anything it would reject now, visibly
+      const normalizedValidation = QueryValidator.validatePlan(result);
+      if (!normalizedValidation.valid) {
+        console.warn(`⚠️ Normalized plan rejected - dropping ${normalizedValidation.invalidQueryIndexes.length} query(ies):\n${QueryValidator.formatErrors(normalizedValidation.errors)}`);
+        result = QueryValidator.stripInvalidQueries(result, normalizedValidation);
+      }
+      
+      // Canonical symbols (e.g. "BRK-B" → "BRK.B") so cards, charts and follow-ups agree
+      if (Array.isArray(result.tickers)) {
+        result.tickers = await EntityResolver.canonicalizeTickers(result.tickers);
+      }
+      if (result.chartConfig?.symbol) {
+        [result.chartConfig.symbol] = await EntityResolver.canonicalizeTickers([result.chartConfig.symbol]);
+      }
+      
+      if (result.standaloneQuestion && result.standaloneQuestion !== userMessage) {
+        console.log(`🔁 Follow-up resolved: "${userMessage}" → "${result.standaloneQuestion}"`);
+      }
+      
       // AI token allocation will be done by chat.routes.js after query generation
       
       // Send contextual thinking message based on intent (AI-generated)
@@ -750,224 +706,753 @@ Return ONLY valid JSON, no explanation outside the JSON structure.`;
   }
 
   /**
-   * Execute generated queries against databases
+   * Validate a generated plan; if rejected, send the errors back to the model for ONE repair attempt.
+   * Queries that are still invalid after the repair are dropped.
    */
-  async executeQueries(queryPlan, DataConnector) {
+  async validateAndRepairPlan(plan, originalPrompt, maxTokens) {
+    let validation = QueryValidator.validatePlan(plan);
+    if (validation.valid) return plan;
+
+    console.warn(`⚠️ Query plan rejected (${validation.errors.length} issue(s)):\n${QueryValidator.formatErrors(validation.errors)}`);
+
+    try {
+      const repairPrompt = `Your query plan was rejected by the query validator.
+
+**Validation errors:**
+${QueryValidator.formatErrors(validation.errors)}
+
+**Rules:**
+- The plan must match this JSON schema: ${JSON.stringify(QUERY_PLAN_SCHEMA)}
+- MongoDB operators allowed: ${ALLOWED_MONGO_OPERATORS.join(', ')}
+- $regex patterns: max ${QUERY_LIMITS.maxRegexLength} characters, max ${QUERY_LIMITS.maxRegexAlternations} alternatives, no nested quantifiers like (a+)+
+- limit: max ${QUERY_LIMITS.maxLimit}
+
+Return the corrected query plan as ONLY valid JSON with the same structure.`;
+
+      const response = await llm.complete('query', {
+        messages: [
+          { role: "user", content: originalPrompt },
+          { role: "assistant", content: JSON.stringify(plan) },
+          { role: "user", content: repairPrompt }
+        ],
+        temperature: 0.1,
+        max_completion_tokens: maxTokens,
+        response_format: { type: "json_object" }
+      });
+
+      const repaired = JSON.parse(response.choices[0].message.content.trim());
+      validation = QueryValidator.validatePlan(repaired);
+
+      if (validation.valid) {
+        console.log('🔧 Query plan repaired successfully');
+        return repaired;
+      }
+
+      console.warn(`⚠️ Repaired plan still invalid - dropping ${validation.invalidQueryIndexes.length} query(ies)`);
+      return QueryValidator.stripInvalidQueries(repaired, validation);
+    } catch (error) {
+      console.error('❌ Query plan repair failed:', error.message);
+      return QueryValidator.stripInvalidQueries(plan, validation);
+    }
+  }
+
+  /**
+   * Multi-step retrieval: lets the model chain DataConnector lookups with tool calls
+   * (e.g. find the spike date in price history, then pull news around it).
+   * Runs after the initial plan has executed and only when the plan sets needsMultiStep.
+   * @param {string} userMessage - Standalone user question
+   * @param {Object} queryPlan - Executed plan
+   * @param {Array} initialResults - Results from executeQueries
+   * @param {Object} DataConnector - Data access layer
+   * @param {Object} options - { sendThinking, signal, timezone }
+   * @returns {Promise<Object>} { results, notes, steps }
+   */
+  async runRetrievalLoop(userMessage, queryPlan, initialResults, DataConnector, options = {}) {
+    const { sendThinking = null, signal = null, timezone = 'America/New_York' } = options;
     const results = [];
+    const steps = [];
+    let notes = null;
+
+    if (RETRIEVAL_LIMITS.maxRounds <= 0) return { results, notes, steps };
 
-    for (const query of queryPlan.queries) {
+    const initialSummary = initialResults.length > 0
+      ? initialResults.map(r => `- ${r.collection}: ${r.error ? `error (${r.error})` : `${r.count || 0} rows`}${r.reasoning ? ` - ${r.reasoning}` : ''}`).join('\n')
+      : '- nothing yet';
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are a research assistant gathering data for a financial analyst AI. The analyst will answer the user's question using everything you retrieve.
+
+**TODAY'S DATE (in user's timezone ${timezone}):** ${this.getTodayInTimezone(timezone)}
+**User's Question:** "${userMessage}"
+**Tickers:** ${(queryPlan.tickers || []).join(', ') || 'none identified'}
+
+**Already retrieved by the initial query plan:**
+${initialSummary}
+
+Use the tools to fetch what is still missing, chaining lookups when a later query depends on an earlier result
+(e.g. "what caused the spike?" → get_price_history to find WHEN it happened → query_collection on news/press_releases/sec_filings around that date).
+You have at most ${RETRIEVAL_LIMITS.maxRounds} rounds and ${RETRIEVAL_LIMITS.maxToolCalls} tool calls. Do not repeat lookups that are already covered.
+When you have enough, reply WITHOUT tool calls with 2-5 short bullet points of key findings (dates, numbers, sources) for the analyst.`
+      }
+    ];
+
+    let toolCallsUsed = 0;
+
+    for (let round = 0; round < RETRIEVAL_LIMITS.maxRounds; round++) {
+      if (signal?.aborted) break;
+
+      // A failed round (timeout, rate limit, bad tool-call response) ends the loop - keep what was gathered so far
+      let response;
       try {
-        console.log(`📊 Executing ${query.database}.${query.collection}...`);
-        console.log('   Query:', JSON.stringify(query.query, null, 2));
+        response = await llm.complete('retrieval', {
+          messages,
+          tools: RETRIEVAL_TOOLS,
+          tool_choice: 'auto',
+          temperature: 0.1,
+          max_completion_tokens: 1000
+        });
+      } catch (error) {
+        console.error(`❌ Retrieval round ${round + 1} failed, keeping ${results.length} result set(s):`, error.message);
+        break;
+      }
+
+      const message = response.choices?.[0]?.message;
+      if (!message) {
+        console.error(`❌ Retrieval round ${round + 1} returned no message, keeping ${results.length} result set(s)`);
+        break;
+      }
+      const toolCalls = message.tool_calls || [];
+
+      if (toolCalls.length === 0) {
+        notes = message.content?.trim() || null;
+        break;
+      }
+
+      messages.push({ role: 'assistant', content: message.content || null, tool_calls: toolCalls });
+
+      for (const toolCall of toolCalls) {
+        let output;
+
+        if (toolCallsUsed >= RETRIEVAL_LIMITS.maxToolCalls || signal?.aborted) {
+          output = { error: 'Step budget exhausted - summarize what you have' };
+        } else {
+          toolCallsUsed++;
+
+          let args = {};
+          try {
+            args = JSON.parse(toolCall.function.arguments || '{}');
+          } catch (e) {
+            args = {};
+          }
+
+          const name = toolCall.function.name;
+          console.log(`🛠️  Retrieval step ${toolCallsUsed}: ${name}`, JSON.stringify(args));
+          if (sendThinking) sendThinking('retrieving', this.describeToolCall(name, args));
+
+          let execution;
+          try {
+            execution = await this.executeTool(name, args, DataConnector, timezone);
+          } catch (error) {
+            console.error(`❌ Retrieval tool ${name} failed:`, error.message);
+            execution = { result: null, output: { error: error.message } };
+          }
+          if (execution.result) results.push(execution.result);
+          steps.push({ round: round + 1, tool: name, args, count: execution.result?.count ?? null, error: execution.output?.error || null });
+          output = execution.output;
+        }
+
+        let content = JSON.stringify(output);
+        if (content.length > RETRIEVAL_LIMITS.maxToolResultChars) {
+          content = content.substring(0, RETRIEVAL_LIMITS.maxToolResultChars) + '... [truncated]';
+        }
+        messages.push({ role: 'tool', tool_call_id: toolCall.id, content });
+      }
+    }
+
+    console.log(`🛠️  Multi-step retrieval finished: ${steps.length} tool call(s), ${results.length} new result set(s)`);
+    return { results, notes, steps };
+  }
+
+  /**
+   * Execute one retrieval tool call
+   * @returns {Promise<Object>} { result: queryResult | null, output: object returned to the model }
+   */
+  async executeTool(name, args, DataConnector, timezone) {
+    const reasoning = `Multi-step retrieval (${name})`;
+
+    try {
+      switch (name) {
+        case 'get_quote': {
+          const result = await this.executeQuery({
+            database: 'supabase',
+            collection: 'finnhub_quote_snapshots',
+            query: { symbol: String(args.symbol || '').toUpperCase() },
+            reasoning
+          }, {}, DataConnector);
+          return { result, output: { quote: result?.data?.[0] || null, error: result?.error } };
+        }
+
+        case 'get_price_history': {
+          const interval = PRICE_INTERVALS.includes(args.interval) ? args.interval : 'daily';
+          const query = QueryNormalizer.normalizeQuery({
+            database: 'supabase',
+            collection: `${interval}_prices`,
+            query: {
+              symbol: String(args.symbol || '').toUpperCase(),
+              timestamp_gte: args.from,
+              ...(args.to ? { timestamp_lte: args.to } : {})
+            },
+            sort: { timestamp: 'asc' },
+            limit: Math.min(args.limit || QUERY_LIMITS.maxLimit, QUERY_LIMITS.maxLimit),
+            reasoning
+          }, { timezone: QueryNormalizer.resolveTimezone(timezone), now: new Date() });
+
+          const result = await this.executeQuery(query, {}, DataConnector);
+          return { result, output: this.summarizePriceBars(result?.data || [], result?.error) };
+        }
+
+        case 'get_events': {
+          const eventQuery = {};
+          if (args.ticker) eventQuery.ticker = String(args.ticker).toUpperCase();
+          if (Array.isArray(args.types) && args.types.length > 0) eventQuery.type = { $in: args.types };
+          if (args.from) {
+            const from = QueryNormalizer.resolveDateValue(args.from, { timezone: QueryNormalizer.resolveTimezone(timezone), now: new Date() });
+            if (from) eventQuery.actualDateTime_et = { $gte: from.date.toISOString() };
+          }
+
+          const response = await DataConnector.getEvents({ query: eventQuery, limit: Math.min(args.limit || 20, QUERY_LIMITS.maxLimit) });
+          const result = { collection: 'event_data', data: response.data || [], count: response.data?.length || 0, reasoning };
+          return {
+            result: response.success ? result : null,
+            output: response.success
+              ? { count: result.count, events: result.data.map(e => ({ ticker: e.ticker, type: e.type, title: e.title, date: e.actualDateTime_et })) }
+              : { error: response.error }
+          };
+        }
+
+        case 'get_sec_filings': {
+          const dateRange = args.start && args.end ? { start: args.start, end: args.end } : null;
+          const formTypes = Array.isArray(args.form_types) && args.form_types.length > 0 ? args.form_types : null;
+          const response = await DataConnector.getSecFilings(String(args.symbol || ''), formTypes, dateRange, Math.min(args.limit || 10, QUERY_LIMITS.maxLimit));
+          const result = { collection: 'sec_filings', data: response.data || [], count: response.data?.length || 0, reasoning };
+          return {
+            result: response.success ? result : null,
+            output: response.success
+              ? { count: result.count, filings: result.data.map(f => ({ ticker: f.ticker, form_type: f.form_type, date: f.publication_date, url: f.url, summary: f.summary })) }
+              : { error: response.error }
+          };
+        }
+
+        case 'query_collection': {
+          const query = QueryNormalizer.normalizeQuery({
+            database: 'mongodb',
+            collection: args.collection,
+            query: args.query || {},
+            sort: args.sort,
+            limit: Math.min(args.limit || 10, QUERY_LIMITS.maxLimit),
+            reasoning
+          }, { timezone: QueryNormalizer.resolveTimezone(timezone), now: new Date() });
+
+          const result = await this.executeQuery(query, {}, DataConnector);
+          return {
+            result: result && !result.error ? result : null,
+            output: result?.error ? { error: result.error } : { count: result?.count || 0, documents: (result?.data || []).map(doc => this.compactDocument(doc)) }
+          };
+        }
+
+        case 'fetch_sec_filing_content': {
+          // Only SEC.gov documents - never let the model fetch arbitrary URLs
+          if (!/^https:\/\/(www\.)?sec\.gov\//i.test(args.url || '')) {
+            return { result: null, output: { error: 'Only https://www.sec.gov URLs can be fetched' } };
+          }
+          const response = await DataConnector.fetchSecFilingContent(args.url, args.keywords || [], RETRIEVAL_LIMITS.maxToolResultChars);
+          return { result: null, output: response.success ? { content: response.content } : { error: response.error } };
+        }
+
+        default:
+          return { result: null, output: { error: `Unknown tool "${name}"` } };
+      }
+    } catch (error) {
+      console.error(`❌ Retrieval tool ${name} failed:`, error.message);
+      return { result: null, output: { error: error.message } };
+    }
+  }
+
+  /**
+   * Thinking message for a retrieval tool call
+   */
+  describeToolCall(name, args) {
+    const ticker = String(args.symbol || args.ticker || '').toUpperCase();
+    switch (name) {
+      case 'get_quote': return `Checking ${ticker} price`;
+      case 'get_price_history': return `Scanning ${ticker} ${String(args.interval || 'daily').replace('_', '-')} prices`;
+      case 'get_events': return `Looking up ${ticker ? ticker + ' ' : ''}events`;
+      case 'get_sec_filings': return `Searching ${ticker} ${(args.form_types || []).join('/') || 'SEC'} filings`;
+      case 'query_collection': return `Searching ${getCollectionFriendlyName(args.collection)}`;
+      case 'fetch_sec_filing_content': return 'Reading filing';
+      default: return 'Digging deeper';
+    }
+  }
+
+  /**
+   * Compact price bars for the model: range, close-to-close extremes and the biggest moves
+   */
+  summarizePriceBars(bars, error) {
+    if (error) return { error };
+    if (bars.length === 0) return { count: 0 };
+
+    const timeOf = bar => bar.timestamp || bar.date;
+    const moves = [];
+    for (let i = 1; i < bars.length; i++) {
+      const prev = bars[i - 1].close;
+      if (prev) {
+        moves.push({ at: timeOf(bars[i]), from: prev, to: bars[i].close, changePct: +(((bars[i].close - prev) / prev) * 100).toFixed(2), volume: bars[i].volume });
+      }
+    }
+
+    return {
+      count: bars.length,
+      first: { at: timeOf(bars[0]), close: bars[0].close },
+      last: { at: timeOf(bars[bars.length - 1]), close: bars[bars.length - 1].close },
+      high: Math.max(...bars.map(b => b.high ?? b.close)),
+      low: Math.min(...bars.map(b => b.low ?? b.close)),
+      biggestMoves: moves.sort((a, b) => Math.abs(b.changePct) - Math.abs(a.changePct)).slice(0, 5)
+    };
+  }
+
+  /**
+   * Drop bulky fields from a document before showing it to the model
+   */
+  compactDocument(doc) {
+    const compact = {};
+    Object.entries(doc).forEach(([key, value]) => {
+      if (key === '_id' || value === null || value === undefined) return;
+      if (typeof value === 'string' && value.length > 300) {
+        compact[key] = value.substring(0, 300) + '...';
+      } else if (Array.isArray(value) && value.length > 10) {
+        compact[key] = value.slice(0, 10);
+      } else {
+        compact[key] = value;
+      }
+    });
+    return compact;
+  }
+
+  /**
+   * Merge extra results into existing ones (ContextEngine formats one result per collection)
+   */
+  mergeQueryResults(existing, extra) {
+    const merged = existing.map(r => ({ ...r }));
+
+    extra.forEach(result => {
+      const target = merged.find(r => r.collection === result.collection && !r.error);
+      if (!target) {
+        merged.push(result);
+        return;
+      }
+
+      const seen = new Set(target.data.map(d => String(d._id || d.id || JSON.stringify(d))));
+      const additions = result.data.filter(d => !seen.has(String(d._id || d.id || JSON.stringify(d))));
+      target.data = [...target.data, ...additions];
+      target.count = target.data.length;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Execute generated queries against databases
+   * Queries run concurrently (capped at QUERY_LIMITS.maxConcurrency), each source gets its own
+   * timeout, and results keep plan order. A timed-out or failed source yields an empty result
+   * with an error instead of failing the whole plan.
+   * @param {Object} queryPlan - Plan from generateQueries
+   * @param {Object} DataConnector - Data access layer
+   * @param {Object} options - { concurrency, timeoutMs, signal (AbortSignal), onResult(result, query) }
+   */
+  async executeQueries(queryPlan, DataConnector, options = {}) {
+    const {
+      concurrency = QUERY_LIMITS.maxConcurrency,
+      timeoutMs = QUERY_LIMITS.sourceTimeoutMS,
+      signal = null,
+      onResult = null
+    } = options;
+
+    const queries = queryPlan.queries || [];
+    const results = new Array(queries.length).fill(null);
+    let nextIndex = 0;
+
+    const startedAt = Date.now();
+    console.log(`⚡ Executing ${queries.length} queries (concurrency ${concurrency}, timeout ${timeoutMs}ms)`);
+
+    const worker = async () => {
+      while (nextIndex < queries.length) {
+        if (signal?.aborted) return;
+
+        const index = nextIndex++;
+        const query = queries[index];
+        const result = await this.executeQueryWithTimeout(query, queryPlan, DataConnector, timeoutMs, signal);
+        results[index] = result;
+
+        if (result && onResult && !signal?.aborted) {
+          try {
+            onResult(result, query);
+          } catch (error) {
+            console.error('onResult callback failed:', error.message);
+          }
+        }
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, queries.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (signal?.aborted) {
+      console.log(`🛑 Query execution cancelled after ${Date.now() - startedAt}ms (client disconnected)`);
+    } else {
+      console.log(`⚡ Executed ${queries.length} queries in ${Date.now() - startedAt}ms`);
+    }
+
+    return this.mergeSemanticResults(results.filter(Boolean));
+  }
+
+  /**
+   * Combine semantic_search results from several collections into one ranked list
+   * (ContextEngine formats one result per collection)
+   */
+  mergeSemanticResults(results) {
+    const semantic = results.filter(r => r.collection === 'semantic_search');
+    if (semantic.length <= 1) return results;
+
+    const data = semantic
+      .flatMap(r => r.data)
+      .sort((a, b) => b.score - a.score);
+
+    const merged = {
+      collection: 'semantic_search',
+      sourceCollection: [...new Set(semantic.map(r => r.sourceCollection))].join(', '),
+      data,
+      count: data.length,
+      reasoning: semantic.map(r => r.reasoning).filter(Boolean).join(' | ')
+    };
+
+    const firstIndex = results.indexOf(semantic[0]);
+    return results
+      .map((r, index) => index === firstIndex ? merged : r)
+      .filter(r => r === merged || r.collection !== 'semantic_search');
+  }
+
+  /**
+   * Run one query, resolving with an error result if it exceeds the per-source timeout
+   * or the request is cancelled (the underlying query is left to finish; Mongo is bounded by maxTimeMS)
+   */
+  executeQueryWithTimeout(query, queryPlan, DataConnector, timeoutMs, signal) {
+    return new Promise(resolve => {
+      let settled = false;
+      const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+
+      const onAbort = () => finish({
+        collection: query.collection,
+        data: [],
+        error: 'Cancelled',
+        cancelled: true,
+        reasoning: query.reasoning
+      });
+
+      const timer = setTimeout(() => {
+        console.warn(`⏱️ ${query.database}.${query.collection} timed out after ${timeoutMs}ms`);
+        finish({
+          collection: query.collection,
+          data: [],
+          error: `Timed out after ${timeoutMs}ms`,
+          timedOut: true,
+          reasoning: query.reasoning
+        });
+      }, timeoutMs);
+
+      signal?.addEventListener('abort', onAbort);
+
+      this.executeQuery(query, queryPlan, DataConnector).then(finish, error => finish({
+        collection: query.collection,
+        data: [],
+        error: error.message,
+        reasoning: query.reasoning
+      }));
+    });
+  }
+
+  /**
+   * Execute a single query from the plan
+   * @returns {Promise<Object|null>} { collection, data, count, reasoning, error? } or null if unsupported
+   */
+  async executeQuery(query, queryPlan, DataConnector) {
+    // Defense in depth: never execute a query that fails the sandbox rules
+    const queryErrors = QueryValidator.validateQuery(query);
+    if (queryErrors.length > 0) {
+      console.warn(`🚫 Skipping ${query.database}.${query.collection}: ${queryErrors.map(e => e.message).join('; ')}`);
+      return {
+        collection: query.collection,
+        data: [],
+        error: 'Query rejected by validator',
+        reasoning: query.reasoning
+      };
+    }
+    
+    try {
+      console.log(`📊 Executing ${query.database}.${query.collection}...`);
+      console.log('   Query:', JSON.stringify(query.query, null, 2));
+      
+      if (query.database === 'mongodb' && DERIVED_MONGO_COLLECTIONS.includes(query.collection)) {
+        // Pseudo-collection: computed by its service from the underlying collections
+        const { service, unit } = DERIVED_COLLECTION_SERVICES[query.collection];
+        const result = await service.query(query.query, query.limit);
+
+        console.log(`   ✅ Computed ${query.collection} for ${result.data?.length || 0} ${unit}`);
+
+        return {
+          collection: query.collection,
+          data: result.data || [],
+          count: result.data?.length || 0,
+          reasoning: query.reasoning,
+          ...(result.success ? {} : { error: result.error })
+        };
+
+      } else if (query.database === 'mongodb') {
+        // Use direct MongoDB access for flexibility
+        const result = await DataConnector.executeRawQuery(
+          query.collection,
+          query.query,
+          query.sort || {},
+          query.limit || 30
+        );
         
-        if (query.database === 'mongodb') {
-          // Use direct MongoDB access for flexibility
-          const result = await DataConnector.executeRawQuery(
-            query.collection,
-            query.query,
-            query.sort || {},
-            query.limit || 30
-          );
-          
-          results.push({
+        console.log(`   ✅ Found ${result.data?.length || 0} documents`);
+        
+        return {
+          collection: query.collection,
+          data: result.data || [],
+          count: result.data?.length || 0,
+          reasoning: query.reasoning,
+          ...(result.success ? {} : { error: result.error })
+        };
+        
+      } else if (query.database === 'semantic') {
+        // Embedding search - remaining filter keys pre-filter candidate documents
+        const { text, ...filter } = query.query;
+        const result = await SemanticIndex.search(query.collection, text, filter, { limit: query.limit });
+
+        console.log(`   ✅ Found ${result.data?.length || 0} relevant passages`);
+
+        return {
+          collection: 'semantic_search',
+          sourceCollection: query.collection,
+          data: result.data || [],
+          count: result.data?.length || 0,
+          reasoning: query.reasoning,
+          ...(result.success ? {} : { error: result.error })
+        };
+
+      } else if (query.database === 'supabase') {
+        if (query.collection === 'event_data') {
+          const result = await DataConnector.getEvents(query.query);
+          return {
             collection: query.collection,
             data: result.data || [],
             count: result.data?.length || 0,
             reasoning: query.reasoning
-          });
+          };
+        } else if (query.collection === 'finnhub_quote_snapshots') {
+          // Fetch current stock quote with previous close for accurate change calculation
+          // Uses stock_quote_now for current price + finnhub_quote_snapshots for pc/open/high/low
+          const symbol = query.query.symbol;
+          const result = await DataConnector.getQuoteWithPreviousClose(symbol);
           
-          console.log(`   ✅ Found ${result.data?.length || 0} documents`);
+          // Format data to match expected schema (c, d, dp, o, h, l, pc)
+          let formattedData = [];
+          if (result.success && result.data) {
+            const q = result.data;
+            formattedData = [{
+              symbol: q.symbol,
+              c: q.currentPrice,      // current price from stock_quote_now
+              d: q.change,            // calculated: currentPrice - previousClose
+              dp: q.changePercent,    // calculated: (change / pc) * 100
+              o: q.open,              // from finnhub_quote_snapshots
+              h: q.high,              // from finnhub_quote_snapshots
+              l: q.low,               // from finnhub_quote_snapshots
+              pc: q.previousClose,    // from finnhub_quote_snapshots
+              volume: q.volume,
+              timestamp: q.timestamp,
+              source: q.source
+            }];
+          }
           
-        } else if (query.database === 'supabase') {
-          if (query.collection === 'event_data') {
-            const result = await DataConnector.getEvents(query.query);
-            results.push({
-              collection: query.collection,
-              data: result.data || [],
-              count: result.data?.length || 0,
-              reasoning: query.reasoning
-            });
-          } else if (query.collection === 'finnhub_quote_snapshots') {
-            // Fetch current stock quote with previous close for accurate change calculation
-            // Uses stock_quote_now for current price + finnhub_quote_snapshots for pc/open/high/low
-            const symbol = query.query.symbol;
-            const result = await DataConnector.getQuoteWithPreviousClose(symbol);
+          console.log(`   ✅ Found ${formattedData.length} quote snapshots (source: ${result.data?.source || 'unknown'})`);
+          return {
+            collection: query.collection,
+            data: formattedData,
+            count: formattedData.length,
+            reasoning: query.reasoning
+          };
+        } else if (query.collection === 'one_minute_prices' || query.collection === 'five_minute_prices' || query.collection === 'ten_minute_prices' || query.collection === 'daily_prices' || query.collection === 'hourly_prices' || query.collection === 'stock_quote_now') {
+          // Fetch price history from Supabase
+          const { supabase } = require('../config/database');
+          
+          // Check if we should use chart-aligned date range calculation
+          // This ensures backend queries match frontend chart data exactly
+          let actualCollection = query.collection;
+          let calculatedDateRange = null;
+          
+          if (queryPlan.chartConfig && queryPlan.chartConfig.timeRange && query.query.symbol) {
+            // Use chart-aligned date range calculation
+            calculatedDateRange = calculateDateRangeForTimeRange(
+              queryPlan.chartConfig.timeRange,
+              'America/New_York'
+            );
             
-            // Format data to match expected schema (c, d, dp, o, h, l, pc)
-            let formattedData = [];
-            if (result.success && result.data) {
-              const q = result.data;
-              formattedData = [{
-                symbol: q.symbol,
-                c: q.currentPrice,      // current price from stock_quote_now
-                d: q.change,            // calculated: currentPrice - previousClose
-                dp: q.changePercent,    // calculated: (change / pc) * 100
-                o: q.open,              // from finnhub_quote_snapshots
-                h: q.high,              // from finnhub_quote_snapshots
-                l: q.low,               // from finnhub_quote_snapshots
-                pc: q.previousClose,    // from finnhub_quote_snapshots
-                volume: q.volume,
-                timestamp: q.timestamp,
-                source: q.source
-              }];
+            // Override collection with calculated table if it's a price history query
+            if (query.collection !== 'stock_quote_now') {
+              actualCollection = calculatedDateRange.table;
+              console.log(`   📊 Chart-aligned query: Using ${actualCollection} instead of ${query.collection} for ${queryPlan.chartConfig.timeRange}`);
             }
+          }
+          
+          let supabaseQuery = supabase
+            .from(actualCollection)
+            .select('*');
+          
+          // If we have calculated date range, apply it
+          if (calculatedDateRange && actualCollection !== 'stock_quote_now') {
+            const symbol = query.query.symbol;
+            const { startDate, timeColumn, isDailyPrices, limit } = calculatedDateRange;
             
-            results.push({
-              collection: query.collection,
-              data: formattedData,
-              count: formattedData.length,
-              reasoning: query.reasoning
-            });
-            console.log(`   ✅ Found ${formattedData.length} quote snapshots (source: ${result.data?.source || 'unknown'})`);
-          } else if (query.collection === 'one_minute_prices' || query.collection === 'five_minute_prices' || query.collection === 'ten_minute_prices' || query.collection === 'daily_prices' || query.collection === 'hourly_prices' || query.collection === 'stock_quote_now') {
-            // Fetch price history from Supabase
-            const { supabase } = require('../config/database');
-            
-            // Check if we should use chart-aligned date range calculation
-            // This ensures backend queries match frontend chart data exactly
-            let actualCollection = query.collection;
-            let calculatedDateRange = null;
+            // Apply symbol filter
+            supabaseQuery = supabaseQuery.eq('symbol', symbol);
             
-            if (queryPlan.chartConfig && queryPlan.chartConfig.timeRange && query.query.symbol) {
-              // Use chart-aligned date range calculation
-              calculatedDateRange = this.calculateDateRangeForTimeRange(
-                queryPlan.chartConfig.timeRange,
-                'America/New_York'
-              );
-              
-              // Override collection with calculated table if it's a price history query
-              if (query.collection !== 'stock_quote_now') {
-                actualCollection = calculatedDateRange.table;
-                console.log(`   📊 Chart-aligned query: Using ${actualCollection} instead of ${query.collection} for ${queryPlan.chartConfig.timeRange}`);
-              }
+            // Apply date filter with correct format for the column type
+            if (isDailyPrices) {
+              // daily_prices uses 'date' column with YYYY-MM-DD format
+              supabaseQuery = supabaseQuery.gte('date', startDate.toISOString().split('T')[0]);
+            } else {
+              // Intraday tables use 'timestamp' column with full ISO format
+              supabaseQuery = supabaseQuery.gte('timestamp', startDate.toISOString());
             }
             
-            let supabaseQuery = supabase
-              .from(actualCollection)
-              .select('*');
+            // Sort chronologically (ASC) for proper chart rendering
+            supabaseQuery = supabaseQuery.order(timeColumn, { ascending: true });
             
-            // If we have calculated date range, apply it
-            if (calculatedDateRange && actualCollection !== 'stock_quote_now') {
-              const symbol = query.query.symbol;
-              const { startDate, timeColumn, isDailyPrices, limit } = calculatedDateRange;
-              
-              // Apply symbol filter
-              supabaseQuery = supabaseQuery.eq('symbol', symbol);
+            // Apply calculated limit
+            supabaseQuery = supabaseQuery.limit(limit);
+            
+            console.log(`   📅 Date filter: ${timeColumn} >= ${isDailyPrices ? startDate.toISOString().split('T')[0] : startDate.toISOString()}, limit=${limit}`);
+          } else {
+            // Original query processing for non-chart or stock_quote_now queries
+            // Apply query filters
+            Object.keys(query.query).forEach(key => {
+              const value = query.query[key];
               
-              // Apply date filter with correct format for the column type
-              if (isDailyPrices) {
-                // daily_prices uses 'date' column with YYYY-MM-DD format
-                supabaseQuery = supabaseQuery.gte('date', startDate.toISOString().split('T')[0]);
+              // Handle AI-generated queries like "timestamp_gte" or "timestamp_lte"
+              // Convert them to proper Supabase filter calls
+              if (key.endsWith('_gte')) {
+                const actualKey = key.replace('_gte', '');
+                supabaseQuery = supabaseQuery.gte(actualKey, value);
+              } else if (key.endsWith('_lte')) {
+                const actualKey = key.replace('_lte', '');
+                supabaseQuery = supabaseQuery.lte(actualKey, value);
+              } else if (key.endsWith('_gt')) {
+                const actualKey = key.replace('_gt', '');
+                supabaseQuery = supabaseQuery.gt(actualKey, value);
+              } else if (key.endsWith('_lt')) {
+                const actualKey = key.replace('_lt', '');
+                supabaseQuery = supabaseQuery.lt(actualKey, value);
+              } else if (typeof value === 'object' && value !== null) {
+                // Handle nested operators like { gte: "2026-01-05T00:00:00Z" }
+                Object.keys(value).forEach(op => {
+                  if (op === 'gte') {
+                    supabaseQuery = supabaseQuery.gte(key, value[op]);
+                  } else if (op === 'lte') {
+                    supabaseQuery = supabaseQuery.lte(key, value[op]);
+                  } else if (op === 'gt') {
+                    supabaseQuery = supabaseQuery.gt(key, value[op]);
+                  } else if (op === 'lt') {
+                    supabaseQuery = supabaseQuery.lt(key, value[op]);
+                  } else if (op === 'in' && Array.isArray(value[op])) {
+                    supabaseQuery = supabaseQuery.in(key, value[op]);
+                  } else if (op === 'ne') {
+                    supabaseQuery = supabaseQuery.neq(key, value[op]);
+                  }
+                });
               } else {
-                // Intraday tables use 'timestamp' column with full ISO format
-                supabaseQuery = supabaseQuery.gte('timestamp', startDate.toISOString());
+                // Simple equality
+                supabaseQuery = supabaseQuery.eq(key, value);
               }
-              
-              // Sort chronologically (ASC) for proper chart rendering
-              supabaseQuery = supabaseQuery.order(timeColumn, { ascending: true });
-              
-              // Apply calculated limit
-              supabaseQuery = supabaseQuery.limit(limit);
-              
-              console.log(`   📅 Date filter: ${timeColumn} >= ${isDailyPrices ? startDate.toISOString().split('T')[0] : startDate.toISOString()}, limit=${limit}`);
-            } else {
-              // Original query processing for non-chart or stock_quote_now queries
-              // Apply query filters
-              Object.keys(query.query).forEach(key => {
-                const value = query.query[key];
-                
-                // Handle AI-generated queries like "timestamp_gte" or "timestamp_lte"
-                // Convert them to proper Supabase filter calls
-                if (key.endsWith('_gte')) {
-                  const actualKey = key.replace('_gte', '');
-                  supabaseQuery = supabaseQuery.gte(actualKey, value);
-                } else if (key.endsWith('_lte')) {
-                  const actualKey = key.replace('_lte', '');
-                  supabaseQuery = supabaseQuery.lte(actualKey, value);
-                } else if (key.endsWith('_gt')) {
-                  const actualKey = key.replace('_gt', '');
-                  supabaseQuery = supabaseQuery.gt(actualKey, value);
-                } else if (key.endsWith('_lt')) {
-                  const actualKey = key.replace('_lt', '');
-                  supabaseQuery = supabaseQuery.lt(actualKey, value);
-                } else if (typeof value === 'object' && value !== null) {
-                  // Handle nested operators like { gte: "2026-01-05T00:00:00Z" }
-                  Object.keys(value).forEach(op => {
-                    if (op === 'gte') {
-                      supabaseQuery = supabaseQuery.gte(key, value[op]);
-                    } else if (op === 'lte') {
-                      supabaseQuery = supabaseQuery.lte(key, value[op]);
-                    } else if (op === 'gt') {
-                      supabaseQuery = supabaseQuery.gt(key, value[op]);
-                    } else if (op === 'lt') {
-                      supabaseQuery = supabaseQuery.lt(key, value[op]);
-                    }
-                  });
-                } else {
-                  // Simple equality
-                  supabaseQuery = supabaseQuery.eq(key, value);
-                }
+            });
+            
+            // Apply sorting
+            if (query.sort) {
+              Object.keys(query.sort).forEach(key => {
+                const direction = query.sort[key] === 'desc' || query.sort[key] === -1 ? 'desc' : 'asc';
+                supabaseQuery = supabaseQuery.order(key, { ascending: direction === 'asc' });
               });
-              
-              // Apply sorting
-              if (query.sort) {
-                Object.keys(query.sort).forEach(key => {
-                  const direction = query.sort[key] === 'desc' || query.sort[key] === -1 ? 'desc' : 'asc';
-                  supabaseQuery = supabaseQuery.order(key, { ascending: direction === 'asc' });
-                });
-              }
-              
-              // Apply limit
-              if (query.limit) {
-                supabaseQuery = supabaseQuery.limit(query.limit);
-              }
             }
             
-            const { data, error } = await supabaseQuery;
-            
-            if (error) {
-              throw error;
+            // Apply limit
+            if (query.limit) {
+              supabaseQuery = supabaseQuery.limit(query.limit);
             }
-            
-            // Add date range metadata to results for AI context
-            const resultData = {
-              collection: actualCollection,
-              data: data || [],
-              count: data?.length || 0,
-              reasoning: query.reasoning
+          }
+          
+          const { data, error } = await supabaseQuery;
+          
+          if (error) {
+            throw error;
+          }
+          
+          // Add date range metadata to results for AI context
+          const resultData = {
+            collection: actualCollection,
+            data: data || [],
+            count: data?.length || 0,
+            reasoning: query.reasoning
+          };
+          
+          // Add price data range info for AI analysis context
+          if (calculatedDateRange && data && data.length > 0) {
+            const timeColumn = calculatedDateRange.timeColumn;
+            resultData.dataRange = {
+              startDate: data[0][timeColumn],
+              endDate: data[data.length - 1][timeColumn],
+              firstPrice: data[0].close,
+              lastPrice: data[data.length - 1].close,
+              timeRange: queryPlan.chartConfig?.timeRange
             };
-            
-            // Add price data range info for AI analysis context
-            if (calculatedDateRange && data && data.length > 0) {
-              const timeColumn = calculatedDateRange.timeColumn;
-              resultData.dataRange = {
-                startDate: data[0][timeColumn],
-                endDate: data[data.length - 1][timeColumn],
-                firstPrice: data[0].close,
-                lastPrice: data[data.length - 1].close,
-                timeRange: queryPlan.chartConfig?.timeRange
-              };
-              console.log(`   📈 Price data range: ${resultData.dataRange.startDate} to ${resultData.dataRange.endDate}`);
-              console.log(`   💰 Price range: $${resultData.dataRange.firstPrice} → $${resultData.dataRange.lastPrice}`);
-            }
-            
-            results.push(resultData);
-            console.log(`   ✅ Found ${data?.length || 0} price records from ${actualCollection}`);
+            console.log(`   📈 Price data range: ${resultData.dataRange.startDate} to ${resultData.dataRange.endDate}`);
+            console.log(`   💰 Price range: $${resultData.dataRange.firstPrice} → $${resultData.dataRange.lastPrice}`);
           }
-          // Add other Supabase collections as needed
+          
+          console.log(`   ✅ Found ${data?.length || 0} price records from ${actualCollection}`);
+          return resultData;
         }
-      } catch (error) {
-        console.error(`❌ Error executing query for ${query.collection}:`, error.message);
-        results.push({
-          collection: query.collection,
-          data: [],
-          error: error.message,
-          reasoning: query.reasoning
-        });
+        // Add other Supabase collections as needed
       }
+    } catch (error) {
+      console.error(`❌ Error executing query for ${query.collection}:`, error.message);
+      return {
+        collection: query.collection,
+        data: [],
+        error: error.message,
+        reasoning: query.reasoning
+      };
     }
 
-    return results;
+    // Other Supabase collections are not executed here
+    return null;
   }
 }
 
@@ -0,0 +1,505 @@
+/**
+ * QueryNormalizer.js
+ *
+ * Rewrites the convenience syntax the query-generation model emits into real filters:
+ * - Field aliases:       {"symbols": "NVDA"}                → {"ticker": "NVDA"}
+ * - Suffix operators:    {"published_date_gte": "24h_ago"}  → {"published_at": {"$gte": <24h ago>}}
+ * - Text contains:       {"title_contains": ["a", "b"]}     → {"title": {"$regex": "a|b", "$options": "i"}}
+ * - Relative time tokens ("24h_ago", "7d_ago", "today", "yesterday", "start_of_month", ...)
+ *   resolved against the user's timezone and formatted for how each date field is stored
+ *
+ * Field knowledge comes from COLLECTION_FIELDS in config/prompts/schema-context.js.
+ */
+
+const { getCollectionFields } = require('../config/prompts/schema-context');
+const { QUERY_LIMITS } = require('../config/query-plan-schema');
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pseudo field names the model uses for "the ticker" / "the date" of a document
+const TICKER_ALIASES = ['ticker', 'tickers', 'symbol', 'symbols'];
+const DATE_ALIASES = [
+  'date', 'published_date', 'publish_date', 'published', 'published_at', 'publication_date',
+  'filing_date', 'filed_date', 'file_date', 'report_date', 'timestamp', 'datetime', 'created_at'
+];
+
+const RANGE_OPERATORS = ['gte', 'lte', 'gt', 'lt'];
+const SUFFIX_PATTERN = /^(.+)_(gte|lte|gt|lt|ne|in|contains)$/;
+const RELATIVE_PATTERN = /^(\d+)\s*_?\s*(min|mins|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?|mo|mos|months?|y|yrs?|years?)\s*_?\s*ago$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_CONTAINS_TERMS = QUERY_LIMITS.maxRegexAlternations;
+
+class QueryNormalizer {
+  /**
+   * Normalize every query in a plan (returns a new plan)
+   * @param {Object} plan - Query plan from QueryEngine.generateQueries
+   * @param {Object} options - { timezone, now }
+   */
+  static normalizePlan(plan, options = {}) {
+    if (!plan || !Array.isArray(plan.queries)) return plan;
+
+    const ctx = {
+      timezone: this.resolveTimezone(options.timezone),
+      now: options.now ? new Date(options.now) : new Date()
+    };
+
+    return {
+      ...plan,
+      queries: plan.queries.map(query => this.normalizeQuery(query, ctx))
+    };
+  }
+
+  /**
+   * Normalize a single query entry ({ database, collection, query, sort, ... })
+   */
+  static normalizeQuery(query, ctx) {
+    const info = getCollectionFields(query.collection);
+    if (!info || !query.query || typeof query.query !== 'object') return query;
+
+    // Semantic queries pre-filter candidates in MongoDB, so they get Mongo-style operators too
+    const isMongo = query.database !== 'supabase';
+    const normalized = {
+      ...query,
+      query: this.normalizeFilter(query.query, info, ctx, isMongo)
+    };
+
+    if (query.sort && typeof query.sort === 'object') {
+      normalized.sort = {};
+      Object.entries(query.sort).forEach(([field, direction]) => {
+        normalized.sort[this.resolveField(field, info)] = direction;
+      });
+    }
+
+    if (JSON.stringify(normalized.query) !== JSON.stringify(query.query)) {
+      console.log(`   🔧 Normalized ${query.collection} filter:`, JSON.stringify(normalized.query));
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize one filter object (recurses into $and / $or / $nor)
+   */
+  static normalizeFilter(filter, info, ctx, isMongo) {
+    const result = {};
+    const andClauses = [];
+    const ranges = {};  // field → { gte, lte, gt, lt }
+
+    const addRange = (field, op, value) => {
+      ranges[field] = ranges[field] || {};
+      ranges[field][op] = value;
+    };
+
+    for (const [key, value] of Object.entries(filter)) {
+      // Logical operators: normalize each branch
+      if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+        result[key] = value.map(branch =>
+          branch && typeof branch === 'object' ? this.normalizeFilter(branch, info, ctx, isMongo) : branch
+        );
+        continue;
+      }
+
+      if (key.startsWith('$')) {
+        result[key] = value;
+        continue;
+      }
+
+      // Suffix operators: published_date_gte, title_contains, form_type_in ...
+      const suffixMatch = !info.fields.includes(key) && key.match(SUFFIX_PATTERN);
+      if (suffixMatch) {
+        const field = this.resolveField(suffixMatch[1], info);
+        const op = suffixMatch[2];
+
+        if (RANGE_OPERATORS.includes(op)) {
+          addRange(field, op, value);
+        } else if (op === 'contains') {
+          const clause = this.buildContainsClause(field, value, isMongo);
+          if (clause) andClauses.push(clause);
+        } else if (op === 'ne' || op === 'in') {
+          const opKey = isMongo ? `$${op}` : op;
+          result[field] = { ...(this.isPlainObject(result[field]) ? result[field] : {}), [opKey]: op === 'in' ? [].concat(value) : value };
+        }
+        continue;
+      }
+
+      const field = this.resolveField(key, info);
+
+      // Operator objects: { $gte: "7d_ago" } or { gte: "7d_ago" }
+      if (this.isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => this.isOperatorKey(k))) {
+        const passthrough = {};
+        for (const [opKey, opValue] of Object.entries(value)) {
+          const op = opKey.replace(/^\$/, '');
+          if (RANGE_OPERATORS.includes(op)) {
+            addRange(field, op, opValue);
+          } else {
+            passthrough[isMongo && !opKey.startsWith('$') ? `$${op}` : opKey] = opValue;
+          }
+        }
+        if (Object.keys(passthrough).length > 0) {
+          result[field] = { ...(this.isPlainObject(result[field]) ? result[field] : {}), ...passthrough };
+        }
+        continue;
+      }
+
+      // Ticker fields: uppercase, arrays become $in
+      if (field === info.tickerField && TICKER_ALIASES.includes(key)) {
+        if (Array.isArray(value)) {
+          const tickers = value.map(t => String(t).toUpperCase());
+          result[field] = tickers.length === 1 ? tickers[0] : { [isMongo ? '$in' : 'in']: tickers };
+        } else {
+          result[field] = typeof value === 'string' ? value.toUpperCase() : value;
+        }
+        continue;
+      }
+
+      // Equality on the date field with a day-level value ("today", "2025-01-06") → whole-day range
+      if (field === info.dateField && typeof value === 'string' && info.dateFormat !== 'date_string') {
+        const resolved = this.resolveDateValue(value, ctx);
+        if (resolved && resolved.dayPrecision) {
+          addRange(field, 'gte', value);
+          addRange(field, 'lte', value);
+          continue;
+        }
+      }
+
+      result[field] = this.resolveScalar(field, value, info, ctx);
+    }
+
+    // Emit collected range operators
+    for (const [field, ops] of Object.entries(ranges)) {
+      if (field === info.dateField) {
+        const clause = this.buildDateRangeClause(field, ops, info, ctx, isMongo);
+        if (clause.$or) {
+          andClauses.push(clause);
+        } else {
+          result[field] = { ...(this.isPlainObject(result[field]) ? result[field] : {}), ...clause[field] };
+        }
+      } else {
+        const rangeOps = {};
+        Object.entries(ops).forEach(([op, v]) => { rangeOps[isMongo ? `$${op}` : op] = v; });
+        result[field] = { ...(this.isPlainObject(result[field]) ? result[field] : {}), ...rangeOps };
+      }
+    }
+
+    if (andClauses.length > 0) {
+      if (isMongo) {
+        result.$and = [...(result.$and || []), ...andClauses];
+      } else {
+        andClauses.forEach(clause => Object.assign(result, clause));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Map a pseudo field name onto the collection's real field
+   */
+  static resolveField(name, info) {
+    if (info.fields.includes(name)) return name;
+    if (info.tickerField && TICKER_ALIASES.includes(name)) return info.tickerField;
+    if (info.dateField && DATE_ALIASES.includes(name)) return info.dateField;
+    return name;
+  }
+
+  /**
+   * Build a date range clause for the collection's date field, formatted for its storage type
+   */
+  static buildDateRangeClause(field, ops, info, ctx, isMongo) {
+    const bounds = {};
+
+    for (const [op, rawValue] of Object.entries(ops)) {
+      const resolved = this.resolveDateValue(rawValue, ctx);
+      if (!resolved) {
+        bounds[op] = { raw: rawValue };
+        continue;
+      }
+
+      // "<= 2025-01-06" / "<= today" means through the END of that day
+      if (op === 'lte' && resolved.dayPrecision) {
+        bounds.lt = { date: new Date(this.startOfDay(resolved.date.getTime() + DAY_MS + 60 * 60 * 1000, ctx.timezone)), dayPrecision: true };
+        continue;
+      }
+      bounds[op] = resolved;
+    }
+
+    const format = (bound, style) => {
+      if (bound.raw !== undefined) return bound.raw;
+      switch (style) {
+        case 'date_string': return this.formatLocalDate(bound.date.getTime(), ctx.timezone);
+        case 'iso_string': return bound.date.toISOString().substring(0, 19);
+        case 'bson_date': return bound.date;
+        default: return bound.date.toISOString();
+      }
+    };
+
+    const buildOps = (style) => {
+      const out = {};
+      Object.entries(bounds).forEach(([op, bound]) => { out[isMongo ? `$${op}` : op] = format(bound, style); });
+      return out;
+    };
+
+    if (isMongo && info.dateFormat === 'mixed') {
+      // Newer documents store BSON Dates, older ones ISO strings - match either
+      return {
+        $or: [
+          { [field]: buildOps('bson_date') },
+          { [field]: buildOps('timestamp') }
+        ]
+      };
+    }
+
+    return { [field]: buildOps(info.dateFormat === 'date_string' || info.dateFormat === 'iso_string' ? info.dateFormat : 'timestamp') };
+  }
+
+  /**
+   * Build a case-insensitive "contains any of" clause
+   * Terms are kept in order until the pattern would exceed QUERY_LIMITS (QueryValidator rejects longer regexes)
+   */
+  static buildContainsClause(field, value, isMongo) {
+    const terms = [].concat(value).filter(t => typeof t === 'string' && t.trim());
+    if (terms.length === 0) return null;
+
+    if (!isMongo) {
+      console.warn(`   ⚠️ ${field}_contains is not supported for Supabase tables - ignoring`);
+      return null;
+    }
+
+    const escaped = [];
+    for (const term of terms.slice(0, MAX_CONTAINS_TERMS)) {
+      const pattern = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const length = escaped.join('|').length + (escaped.length > 0 ? 1 : 0) + pattern.length;
+      if (length > QUERY_LIMITS.maxRegexLength) break;
+      escaped.push(pattern);
+    }
+    if (escaped.length === 0) return null;
+    if (escaped.length < terms.length) {
+      console.warn(`   ⚠️ ${field}_contains: kept ${escaped.length} of ${terms.length} terms (regex limits)`);
+    }
+
+    return {
+      [field]: {
+        $regex: escaped.join('|'),
+        $options: 'i'
+      }
+    };
+  }
+
+  /**
+   * Resolve relative tokens in plain equality values (non-date fields are left untouched)
+   */
+  static resolveScalar(field, value, info, ctx) {
+    if (field !== info.dateField || typeof value !== 'string') return value;
+
+    const resolved = this.resolveDateValue(value, ctx);
+    if (!resolved) return value;
+
+    return info.dateFormat === 'date_string'
+      ? this.formatLocalDate(resolved.date.getTime(), ctx.timezone)
+      : resolved.date.toISOString();
+  }
+
+  /**
+   * Resolve a date value: relative token, YYYY-MM-DD (in the user's timezone) or ISO timestamp
+   * @returns {Object|null} { date: Date, dayPrecision: boolean }
+   */
+  static resolveDateValue(value, ctx) {
+    if (value instanceof Date) return { date: value, dayPrecision: false };
+    if (typeof value !== 'string') return null;
+
+    const token = value.trim().toLowerCase();
+    const nowMs = ctx.now.getTime();
+    const tz = ctx.timezone;
+
+    switch (token) {
+      case 'now':
+        return { date: new Date(nowMs), dayPrecision: false };
+      case 'today':
+        return { date: new Date(this.startOfDay(nowMs, tz)), dayPrecision: true };
+      case 'yesterday':
+        return { date: new Date(this.startOfDay(this.startOfDay(nowMs, tz) - 60 * 60 * 1000, tz)), dayPrecision: true };
+      case 'tomorrow':
+        return { date: new Date(this.startOfDay(this.startOfDay(nowMs, tz) + DAY_MS + 60 * 60 * 1000, tz)), dayPrecision: true };
+      case 'start_of_week': {
+        const { weekday } = this.getLocalParts(nowMs, tz);
+        const daysSinceMonday = (weekday + 6) % 7;
+        return { date: new Date(this.startOfDay(nowMs - daysSinceMonday * DAY_MS, tz)), dayPrecision: true };
+      }
+      case 'start_of_month': {
+        const { year, month } = this.getLocalParts(nowMs, tz);
+        return { date: new Date(this.zonedMidnight(year, month, 1, tz)), dayPrecision: true };
+      }
+      case 'start_of_year': {
+        const { year } = this.getLocalParts(nowMs, tz);
+        return { date: new Date(this.zonedMidnight(year, 1, 1, tz)), dayPrecision: true };
+      }
+    }
+
+    const relative = token.match(RELATIVE_PATTERN);
+    if (relative) {
+      const amount = parseInt(relative[1]);
+      const unit = relative[2];
+      const date = new Date(nowMs);
+
+      if (/^min/.test(unit)) date.setTime(nowMs - amount * 60 * 1000);
+      else if (/^h/.test(unit)) date.setTime(nowMs - amount * 60 * 60 * 1000);
+      else if (/^d/.test(unit)) date.setTime(nowMs - amount * DAY_MS);
+      else if (/^w/.test(unit)) date.setTime(nowMs - amount * 7 * DAY_MS);
+      else if (/^mo/.test(unit)) date.setUTCMonth(date.getUTCMonth() - amount);
+      else date.setUTCFullYear(date.getUTCFullYear() - amount);
+
+      return { date, dayPrecision: false };
+    }
+
+    if (DATE_ONLY_PATTERN.test(token)) {
+      const [year, month, day] = token.split('-').map(Number);
+      return { date: new Date(this.zonedMidnight(year, month, day, tz)), dayPrecision: true };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}t/.test(token)) {
+      const parsed = new Date(value);
+      if (!isNaN(parsed.getTime())) return { date: parsed, dayPrecision: false };
+    }
+
+    return null;
+  }
+
+  /**
+   * Summarize the date window each (normalized) query covers - stored with the message so
+   * follow-up questions can reuse it
+   * @returns {Array} [{ collection, field, from, to }]
+   */
+  static summarizeDateRanges(queries = []) {
+    const ranges = [];
+
+    queries.forEach(query => {
+      const info = getCollectionFields(query.collection);
+      if (!info || !info.dateField) return;
+
+      const bounds = this.findDateBounds(query.query, info.dateField);
+      if (bounds.from || bounds.to) {
+        ranges.push({ collection: query.collection, field: info.dateField, from: bounds.from || null, to: bounds.to || null });
+      }
+    });
+
+    return ranges;
+  }
+
+  static findDateBounds(filter, field, bounds = {}) {
+    if (!filter || typeof filter !== 'object') return bounds;
+
+    for (const [key, value] of Object.entries(filter)) {
+      if (Array.isArray(value)) {
+        value.forEach(branch => this.findDateBounds(branch, field, bounds));
+      } else if (key === field && this.isPlainObject(value)) {
+        for (const [op, bound] of Object.entries(value)) {
+          const formatted = bound instanceof Date ? bound.toISOString() : bound;
+          if (/^\$?(gte|gt)$/.test(op) && !bounds.from) bounds.from = formatted;
+          if (/^\$?(lte|lt)$/.test(op) && !bounds.to) bounds.to = formatted;
+        }
+      }
+    }
+
+    return bounds;
+  }
+
+  /**
+   * Tickers from a plan filter ({ ticker: 'X' }, { ticker: { $in: [...] } }, or inside $and/$or)
+   */
+  static extractTickers(filter) {
+    const tickers = new Set();
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'ticker' || key === 'symbol') {
+          if (typeof value === 'string') tickers.add(value.toUpperCase());
+          else if (Array.isArray(value?.$in)) value.$in.forEach(t => typeof t === 'string' && tickers.add(t.toUpperCase()));
+          else if (typeof value?.$eq === 'string') tickers.add(value.$eq.toUpperCase());
+          else if (typeof value?.$regex === 'string') tickers.add(value.$regex.replace(/[^A-Za-z.]/g, '').toUpperCase());
+        } else if (key === '$and' || key === '$or') {
+          visit(value);
+        }
+      }
+    };
+    visit(filter);
+    return [...tickers].filter(Boolean);
+  }
+
+  // ===== Timezone helpers =====
+
+  static resolveTimezone(timezone) {
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone || DEFAULT_TIMEZONE });
+      return timezone || DEFAULT_TIMEZONE;
+    } catch (error) {
+      console.warn(`⚠️ Invalid timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+      return DEFAULT_TIMEZONE;
+    }
+  }
+
+  static getLocalParts(ms, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short'
+    }).formatToParts(new Date(ms));
+
+    const get = (type) => parts.find(p => p.type === type)?.value;
+    return {
+      year: parseInt(get('year')),
+      month: parseInt(get('month')),
+      day: parseInt(get('day')),
+      hour: parseInt(get('hour')),
+      minute: parseInt(get('minute')),
+      second: parseInt(get('second')),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+    };
+  }
+
+  // Offset (ms) of a timezone from UTC at a given instant
+  static getOffset(ms, timezone) {
+    const p = this.getLocalParts(ms, timezone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(ms / 1000) * 1000;
+  }
+
+  // UTC instant of local midnight for a calendar date in a timezone (DST-safe)
+  static zonedMidnight(year, month, day, timezone) {
+    const guess = Date.UTC(year, month - 1, day);
+    const offset = this.getOffset(guess, timezone);
+    let result = guess - offset;
+    const correctedOffset = this.getOffset(result, timezone);
+    if (correctedOffset !== offset) {
+      result = guess - correctedOffset;
+    }
+    return result;
+  }
+
+  static startOfDay(ms, timezone) {
+    const { year, month, day } = this.getLocalParts(ms, timezone);
+    return this.zonedMidnight(year, month, day, timezone);
+  }
+
+  static formatLocalDate(ms, timezone) {
+    const { year, month, day } = this.getLocalParts(ms, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // ===== Misc =====
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  static isOperatorKey(key) {
+    return key.startsWith('$') || ['gte', 'lte', 'gt', 'lt', 'eq', 'ne', 'in', 'nin'].includes(key);
+  }
+}
+
+module.exports = QueryNormalizer;
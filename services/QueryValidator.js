@@ -0,0 +1,300 @@
+/**
+ * QueryValidator.js
+ *
+ * Validates AI-generated query plans before anything reaches a database:
+ * - Structural validation against QUERY_PLAN_SCHEMA
+ * - Collection allowlists (MongoDB + Supabase + semantic index)
+ * - MongoDB operator allowlist (no $where / $function / $expr)
+ * - Regex length, alternation and catastrophic-backtracking checks
+ * - Filter depth / size limits and limit clamping
+ */
+
+const {
+  ALLOWED_MONGO_COLLECTIONS,
+  ALLOWED_SUPABASE_COLLECTIONS,
+  DERIVED_MONGO_COLLECTIONS,
+  SEMANTIC_COLLECTIONS,
+  ALLOWED_MONGO_OPERATORS,
+  QUERY_LIMITS,
+  QUERY_PLAN_SCHEMA
+} = require('../config/query-plan-schema');
+
+// Nested quantifiers like (a+)+, (.*)* or (\w+){2,} can backtrack exponentially
+const NESTED_QUANTIFIER_REGEX = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/;
+
+class QueryValidator {
+  /**
+   * Validate a full query plan
+   * @returns {Object} { valid, errors: [{ path, message }], invalidQueryIndexes: number[] }
+   */
+  static validatePlan(plan) {
+    const errors = [];
+
+    if (!plan || typeof plan !== 'object') {
+      return { valid: false, errors: [{ path: '$', message: 'Query plan must be a JSON object' }], invalidQueryIndexes: [] };
+    }
+
+    // Tolerate lowercase time ranges ("1m" → "1M") before schema checks
+    if (plan.chartConfig && typeof plan.chartConfig.timeRange === 'string') {
+      plan.chartConfig.timeRange = plan.chartConfig.timeRange.toUpperCase();
+    }
+
+    this.validateSchema(QUERY_PLAN_SCHEMA, plan, '$', errors);
+
+    const invalidQueryIndexes = new Set();
+    errors.forEach(err => {
+      const match = err.path.match(/^\$\.queries\[(\d+)\]/);
+      if (match) invalidQueryIndexes.add(parseInt(match[1]));
+    });
+
+    (Array.isArray(plan.queries) ? plan.queries : []).forEach((query, index) => {
+      if (!query || typeof query !== 'object') return;
+
+      const queryErrors = this.validateQuery(query, `$.queries[${index}]`);
+      if (queryErrors.length > 0) {
+        errors.push(...queryErrors);
+        invalidQueryIndexes.add(index);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      invalidQueryIndexes: [...invalidQueryIndexes].sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Validate a single query entry (collection allowlist + database-specific rules)
+   */
+  static validateQuery(query, path = '$') {
+    const errors = [];
+
+    if (query.database === 'mongodb') {
+      if (!ALLOWED_MONGO_COLLECTIONS.includes(query.collection) && !DERIVED_MONGO_COLLECTIONS.includes(query.collection)) {
+        errors.push({ path: `${path}.collection`, message: `MongoDB collection "${query.collection}" is not allowed` });
+      }
+      if (query.query && typeof query.query === 'object') {
+        errors.push(...this.validateMongoFilter(query.query, `${path}.query`));
+      }
+      if (query.sort) {
+        errors.push(...this.validateSort(query.sort, `${path}.sort`));
+      }
+    } else if (query.database === 'semantic') {
+      if (!SEMANTIC_COLLECTIONS.includes(query.collection)) {
+        errors.push({ path: `${path}.collection`, message: `Semantic search is not available for "${query.collection}" (use: ${SEMANTIC_COLLECTIONS.join(', ')})` });
+      }
+      if (query.query && typeof query.query === 'object') {
+        const { text, ...filter } = query.query;
+        if (typeof text !== 'string' || !text.trim()) {
+          errors.push({ path: `${path}.query.text`, message: 'Semantic queries need a non-empty "text" to search for' });
+        }
+        errors.push(...this.validateMongoFilter(filter, `${path}.query`));
+      }
+    } else if (query.database === 'supabase') {
+      if (!ALLOWED_SUPABASE_COLLECTIONS.includes(query.collection)) {
+        errors.push({ path: `${path}.collection`, message: `Supabase table "${query.collection}" is not allowed` });
+      }
+    }
+
+    // Clamp rather than reject oversized limits
+    if (Number.isInteger(query.limit) && query.limit > QUERY_LIMITS.maxLimit) {
+      query.limit = QUERY_LIMITS.maxLimit;
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a MongoDB filter object against the operator allowlist and size limits
+   */
+  static validateMongoFilter(filter, path = '$', depth = 0, counter = { keys: 0 }) {
+    const errors = [];
+
+    if (depth > QUERY_LIMITS.maxDepth) {
+      errors.push({ path, message: `Filter nesting exceeds max depth of ${QUERY_LIMITS.maxDepth}` });
+      return errors;
+    }
+
+    if (Array.isArray(filter)) {
+      if (filter.length > QUERY_LIMITS.maxInValues) {
+        errors.push({ path, message: `Array has ${filter.length} values (max ${QUERY_LIMITS.maxInValues})` });
+      }
+      filter.forEach((item, i) => {
+        if (item && typeof item === 'object' && !(item instanceof Date)) {
+          errors.push(...this.validateMongoFilter(item, `${path}[${i}]`, depth + 1, counter));
+        }
+      });
+      return errors;
+    }
+
+    for (const [key, value] of Object.entries(filter)) {
+      counter.keys++;
+      if (counter.keys > QUERY_LIMITS.maxFilterKeys) {
+        errors.push({ path, message: `Filter has more than ${QUERY_LIMITS.maxFilterKeys} keys` });
+        return errors;
+      }
+
+      const keyPath = `${path}.${key}`;
+
+      if (key.startsWith('$')) {
+        if (!ALLOWED_MONGO_OPERATORS.includes(key)) {
+          errors.push({ path: keyPath, message: `Operator ${key} is not allowed` });
+          continue;
+        }
+
+        if (key === '$regex') {
+          errors.push(...this.validateRegex(value, keyPath));
+          continue;
+        }
+
+        if (key === '$options') {
+          if (typeof value !== 'string' || !/^[imsx]*$/.test(value)) {
+            errors.push({ path: keyPath, message: '$options may only contain i, m, s, x' });
+          }
+          continue;
+        }
+      } else if (key.includes('$') || key.length === 0) {
+        errors.push({ path: keyPath, message: `Invalid field name "${key}"` });
+        continue;
+      }
+
+      if (value instanceof RegExp) {
+        errors.push(...this.validateRegex(value.source, keyPath));
+      } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        errors.push(...this.validateMongoFilter(value, keyPath, depth + 1, counter));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a regex pattern for length, alternation count and catastrophic backtracking
+   */
+  static validateRegex(pattern, path = '$') {
+    const errors = [];
+
+    if (typeof pattern !== 'string') {
+      errors.push({ path, message: '$regex must be a string pattern' });
+      return errors;
+    }
+
+    if (pattern.length > QUERY_LIMITS.maxRegexLength) {
+      errors.push({ path, message: `Regex is ${pattern.length} chars (max ${QUERY_LIMITS.maxRegexLength})` });
+    }
+
+    const alternations = (pattern.match(/(?<!\\)\|/g) || []).length + 1;
+    if (alternations > QUERY_LIMITS.maxRegexAlternations) {
+      errors.push({ path, message: `Regex has ${alternations} alternatives (max ${QUERY_LIMITS.maxRegexAlternations})` });
+    }
+
+    if (NESTED_QUANTIFIER_REGEX.test(pattern)) {
+      errors.push({ path, message: 'Regex contains nested quantifiers (catastrophic backtracking risk)' });
+    }
+
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      errors.push({ path, message: `Invalid regex: ${e.message}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a sort specification ({ field: 1 | -1 | 'asc' | 'desc' })
+   */
+  static validateSort(sort, path = '$') {
+    const errors = [];
+
+    if (typeof sort !== 'object' || Array.isArray(sort)) {
+      errors.push({ path, message: 'Sort must be an object' });
+      return errors;
+    }
+
+    for (const [field, direction] of Object.entries(sort)) {
+      if (field.startsWith('$') || field.includes('$')) {
+        errors.push({ path: `${path}.${field}`, message: `Invalid sort field "${field}"` });
+      }
+      if (![1, -1, 'asc', 'desc'].includes(direction)) {
+        errors.push({ path: `${path}.${field}`, message: 'Sort direction must be 1, -1, "asc" or "desc"' });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Minimal JSON Schema validator (type, enum, required, properties, items, maxItems, minimum)
+   */
+  static validateSchema(schema, value, path, errors) {
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      errors.push({ path, message: `Expected ${[].concat(schema.type).join(' | ')}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `Must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `Must be >= ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path, message: `At most ${schema.maxItems} items allowed` });
+      }
+      if (schema.items) {
+        value.forEach((item, i) => this.validateSchema(schema.items, item, `${path}[${i}]`, errors));
+      }
+    } else if (value && typeof value === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: `${path}.${key}`, message: 'Required' });
+        }
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+        if (value[key] !== undefined) {
+          this.validateSchema(propSchema, value[key], `${path}.${key}`, errors);
+        }
+      });
+    }
+  }
+
+  static matchesType(type, value) {
+    return [].concat(type).some(t => {
+      switch (t) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number';
+        case 'null': return value === null;
+        default: return typeof value === t;
+      }
+    });
+  }
+
+  /**
+   * Remove queries (and an invalid chartConfig) that failed validation - used when repair also fails
+   */
+  static stripInvalidQueries(plan, validation) {
+    const invalid = new Set(validation.invalidQueryIndexes);
+    const chartConfigInvalid = validation.errors.some(e => e.path.startsWith('$.chartConfig'));
+    return {
+      ...plan,
+      queries: (Array.isArray(plan.queries) ? plan.queries : []).filter((_, i) => !invalid.has(i)),
+      chartConfig: chartConfigInvalid ? null : plan.chartConfig
+    };
+  }
+
+  /**
+   * Human-readable error list for logs and the repair prompt
+   */
+  static formatErrors(errors) {
+    return errors.map(e => `- ${e.path}: ${e.message}`).join('\n');
+  }
+}
+
+module.exports = QueryValidator;
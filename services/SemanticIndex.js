@@ -0,0 +1,370 @@
+/**
+ * SemanticIndex.js
+ *
+ * Embedding search over news, press_releases, earnings_transcripts and government_policy turns.
+ * Replaces $regex synonym fan-outs ("stake|investment|acquire") for "database": "semantic" queries.
+ *
+ * Flow for a search:
+ * 1. Embed the query text (llm.embed - OpenAI, or local hash embeddings with EMBEDDING_PROVIDER=local)
+ * 2. Pre-filter candidate documents in MongoDB (ticker/date filters from the plan, newest first)
+ * 3. Load indexed chunk embeddings for those documents; documents not indexed yet are queued for
+ *    background indexing (never embedded inside the search)
+ * 4. Rank chunks by cosine similarity and return the top-k with scores
+ *    (no candidate indexed yet → keyword-overlap ranking over the newest candidates)
+ *
+ * Chunks are stored in MongoDB (SEMANTIC_INDEX_DB.semantic_chunks), unique per
+ * (collection, model, doc_id, chunk_index), so switching providers never mixes incompatible vectors
+ * and re-indexing a document overwrites its chunks.
+ */
+
+const { mongoClient, connectMongo } = require('../config/database');
+const { llm } = require('../config/openai');
+const { SEMANTIC_COLLECTIONS, QUERY_LIMITS } = require('../config/query-plan-schema');
+const { getCollectionFields } = require('../config/prompts/schema-context');
+
+const INDEX_DB = process.env.SEMANTIC_INDEX_DB || 'copilot_index';
+const CHUNKS_COLLECTION = 'semantic_chunks';
+
+const SEMANTIC_LIMITS = {
+  maxCandidates: parseInt(process.env.SEMANTIC_MAX_CANDIDATES) || 200, // Documents scored per search
+  defaultTopK: 8,
+  maxTopK: 20,
+  chunkChars: 1200,      // Target chunk size
+  chunkOverlap: 150,     // Characters carried into the next chunk
+  maxChunksPerDoc: 40,   // Long transcripts are truncated beyond this
+  embedBatchSize: 64,
+  indexBatchDocs: 10,    // Documents chunked + embedded per background step
+  maxQueuedDocs: 500,    // Background queue cap - further documents wait for a later search
+  fallbackDocs: 20       // Newest candidates keyword-ranked while nothing is indexed yet
+};
+
+// Background indexing queue: "collection|model|doc_id" → { collection, model, id }
+const indexQueue = new Map();
+let indexing = false;
+let chunkIndexReady = null;
+
+class SemanticIndex {
+  /**
+   * Top-k chunks most similar to `text` within one collection
+   * @param {string} collection - One of SEMANTIC_COLLECTIONS
+   * @param {string} text - Natural-language search text
+   * @param {Object} filter - MongoDB pre-filter (ticker, date range, ...)
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { success, data: [{ collection, doc_id, title, ticker, date, url, speaker, text, score }], error }
+   */
+  static async search(collection, text, filter = {}, options = {}) {
+    try {
+      if (!SEMANTIC_COLLECTIONS.includes(collection)) {
+        throw new Error(`Semantic search is not available for ${collection}`);
+      }
+
+      const topK = Math.min(options.limit || SEMANTIC_LIMITS.defaultTopK, SEMANTIC_LIMITS.maxTopK);
+
+      const queryEmbedding = await llm.embed({ input: text });
+      const model = queryEmbedding.model;
+      const queryVector = queryEmbedding.data[0].embedding;
+
+      await connectMongo();
+      const candidateIds = await this.findCandidates(collection, filter);
+      if (candidateIds.length === 0) {
+        return { success: true, data: [], count: 0 };
+      }
+
+      const chunks = await this.getChunks(collection, candidateIds, model);
+      if (chunks.length === 0) {
+        return await this.keywordFallback(collection, text, candidateIds, topK);
+      }
+
+      const ranked = chunks
+        .map(chunk => ({ ...chunk, score: this.cosineSimilarity(queryVector, chunk.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(({ embedding, ...chunk }) => ({ ...chunk, score: Math.round(chunk.score * 1000) / 1000 }));
+
+      console.log(`🧭 Semantic search ${collection}: "${text}" → ${ranked.length} chunks from ${candidateIds.length} docs (top score ${ranked[0]?.score ?? 'n/a'})`);
+
+      return { success: true, data: ranked, count: ranked.length };
+    } catch (error) {
+      console.error(`❌ Semantic search failed for ${collection}:`, error.message);
+      return { success: false, data: [], error: error.message };
+    }
+  }
+
+  /**
+   * Newest documents matching the pre-filter (ids only)
+   */
+  static async findCandidates(collection, filter) {
+    const dateField = getCollectionFields(collection)?.dateField;
+    const docs = await mongoClient.db('raw_data').collection(collection)
+      .find(filter, { projection: { _id: 1 } })
+      .sort(dateField ? { [dateField]: -1 } : { _id: -1 })
+      .limit(SEMANTIC_LIMITS.maxCandidates)
+      .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+      .toArray();
+    return docs.map(doc => doc._id);
+  }
+
+  /**
+   * Indexed chunks for the candidates; documents without chunks are queued for background indexing
+   */
+  static async getChunks(collection, docIds, model) {
+    const chunkStore = mongoClient.db(INDEX_DB).collection(CHUNKS_COLLECTION);
+    const docKeys = docIds.map(id => String(id));
+
+    let cached = [];
+    try {
+      cached = await chunkStore
+        .find({ collection, model, doc_id: { $in: docKeys } }, { projection: { _id: 0 } })
+        .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+        .toArray();
+    } catch (error) {
+      console.warn('⚠️ Semantic chunk index unavailable:', error.message);
+    }
+
+    // Rows written before the unique index existed can repeat a chunk
+    const seen = new Set();
+    cached = cached.filter(chunk => {
+      const key = `${chunk.doc_id}|${chunk.chunk_index}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const indexedDocs = new Set(cached.map(chunk => chunk.doc_id));
+    const missingIds = docIds.filter(id => !indexedDocs.has(String(id)));
+    if (missingIds.length > 0) {
+      this.scheduleIndexing(collection, missingIds, model);
+    }
+
+    return cached;
+  }
+
+  /**
+   * Queue documents for background indexing (not awaited - searches never wait on embeddings)
+   */
+  static scheduleIndexing(collection, docIds, model) {
+    for (const id of docIds) {
+      if (indexQueue.size >= SEMANTIC_LIMITS.maxQueuedDocs) break;
+      indexQueue.set(`${collection}|${model}|${id}`, { collection, model, id });
+    }
+
+    if (!indexing && indexQueue.size > 0) {
+      indexing = true;
+      this.drainQueue()
+        .catch(error => console.warn('⚠️ Semantic background indexing stopped:', error.message))
+        .finally(() => { indexing = false; });
+    }
+  }
+
+  /**
+   * Index queued documents indexBatchDocs at a time, one collection/model per step
+   */
+  static async drainQueue() {
+    while (indexQueue.size > 0) {
+      const [{ collection, model }] = indexQueue.values();
+      const batch = [];
+      for (const [key, entry] of indexQueue) {
+        if (entry.collection !== collection || entry.model !== model) continue;
+        batch.push(entry.id);
+        indexQueue.delete(key);
+        if (batch.length >= SEMANTIC_LIMITS.indexBatchDocs) break;
+      }
+
+      try {
+        await this.indexDocuments(collection, batch, model);
+      } catch (error) {
+        console.warn(`⚠️ Failed to index ${batch.length} ${collection} docs:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Chunk, embed and upsert documents - re-indexing a document replaces its chunks in place
+   * @returns {Promise<number>} Chunks written
+   */
+  static async indexDocuments(collection, docIds, model) {
+    await connectMongo();
+    const chunkStore = mongoClient.db(INDEX_DB).collection(CHUNKS_COLLECTION);
+    await this.ensureChunkIndex(chunkStore);
+
+    const docs = await mongoClient.db('raw_data').collection(collection)
+      .find({ _id: { $in: docIds } })
+      .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+      .toArray();
+
+    const chunks = docs.flatMap(doc => this.chunkDocument(collection, doc));
+    if (chunks.length === 0) return 0;
+
+    await this.embedChunks(chunks, model);
+    await chunkStore.bulkWrite(chunks.map(chunk => ({
+      updateOne: {
+        filter: { collection, model, doc_id: chunk.doc_id, chunk_index: chunk.chunk_index },
+        update: { $set: { ...chunk, indexed_at: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    console.log(`🧭 Indexed ${docs.length} ${collection} docs (${chunks.length} chunks, ${indexQueue.size} queued)`);
+    return chunks.length;
+  }
+
+  /**
+   * Unique chunk key - created once per process, retried after a failure
+   */
+  static ensureChunkIndex(chunkStore) {
+    if (!chunkIndexReady) {
+      chunkIndexReady = chunkStore
+        .createIndex({ collection: 1, model: 1, doc_id: 1, chunk_index: 1 }, { unique: true, name: 'semantic_chunk_key' })
+        .catch(error => {
+          // Existing duplicate rows block the unique index until they are removed
+          console.warn('⚠️ Could not create the semantic chunk key index:', error.message);
+          chunkIndexReady = null;
+        });
+    }
+    return chunkIndexReady;
+  }
+
+  /**
+   * Ranking while none of the candidates are indexed yet: share of query terms in each chunk
+   * (newest fallbackDocs candidates only, no embeddings)
+   */
+  static async keywordFallback(collection, text, docIds, topK) {
+    const terms = [...new Set(String(text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || [])];
+    const docs = await mongoClient.db('raw_data').collection(collection)
+      .find({ _id: { $in: docIds.slice(0, SEMANTIC_LIMITS.fallbackDocs) } })
+      .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+      .toArray();
+
+    const ranked = docs
+      .flatMap(doc => this.chunkDocument(collection, doc))
+      .map(chunk => {
+        const body = chunk.text.toLowerCase();
+        const hits = terms.filter(term => body.includes(term)).length;
+        return { ...chunk, score: terms.length ? Math.round((hits / terms.length) * 1000) / 1000 : 0 };
+      })
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    console.log(`🧭 Semantic search ${collection}: "${text}" → ${ranked.length} keyword-matched chunks (index warming for ${docIds.length} docs)`);
+    return { success: true, data: ranked, count: ranked.length };
+  }
+
+  /**
+   * Embed chunk texts in batches (mutates chunks: sets embedding + model)
+   */
+  static async embedChunks(chunks, model) {
+    for (let i = 0; i < chunks.length; i += SEMANTIC_LIMITS.embedBatchSize) {
+      const batch = chunks.slice(i, i + SEMANTIC_LIMITS.embedBatchSize);
+      const response = await llm.embed({ input: batch.map(chunk => `${chunk.title}\n${chunk.text}`) });
+      batch.forEach((chunk, j) => {
+        chunk.embedding = response.data[j].embedding;
+        chunk.model = model;
+      });
+    }
+  }
+
+  /**
+   * Split a document into searchable chunks with display metadata
+   */
+  static chunkDocument(collection, doc) {
+    const base = {
+      collection,
+      doc_id: String(doc._id),
+      ticker: doc.ticker || null,
+      url: doc.url || null
+    };
+
+    const toChunks = (texts, extra = {}) => texts
+      .slice(0, SEMANTIC_LIMITS.maxChunksPerDoc)
+      .map((text, index) => ({ ...base, ...extra, chunk_index: index, text }));
+
+    switch (collection) {
+      case 'news':
+        return toChunks(this.splitText(doc.content || doc.title || ''), { title: doc.title || 'Untitled', date: doc.published_at || null });
+
+      case 'press_releases':
+        return toChunks(this.splitText(doc.content || doc.title || ''), { title: doc.title || 'Untitled', date: doc.date || null });
+
+      case 'earnings_transcripts':
+        return toChunks(this.splitText(doc.content || ''), {
+          title: `${doc.ticker} Q${doc.quarter} ${doc.year} earnings call`,
+          date: doc.report_date || null
+        });
+
+      case 'government_policy': {
+        // Group consecutive turns so each chunk keeps its speakers
+        const chunks = [];
+        let current = { speakers: new Set(), text: '' };
+        for (const turn of doc.turns || []) {
+          const speaker = turn.speaker || 'Unknown';
+          // Very long turns are split into several pieces
+          for (const piece of this.splitText(`${speaker}: ${turn.text || ''}`)) {
+            if (current.text && current.text.length + piece.length > SEMANTIC_LIMITS.chunkChars) {
+              chunks.push(current);
+              current = { speakers: new Set(), text: '' };
+            }
+            current.speakers.add(speaker);
+            current.text = current.text ? `${current.text}\n${piece}` : piece;
+          }
+        }
+        if (current.text) chunks.push(current);
+
+        return chunks.slice(0, SEMANTIC_LIMITS.maxChunksPerDoc).map((chunk, index) => ({
+          ...base,
+          title: doc.title || 'Government statement',
+          date: doc.date || null,
+          speaker: [...chunk.speakers].join(', '),
+          chunk_index: index,
+          text: chunk.text
+        }));
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Split text into ~chunkChars pieces on paragraph / sentence boundaries with a small overlap
+   */
+  static splitText(text) {
+    const clean = String(text || '').replace(/\r/g, '').trim();
+    if (!clean) return [];
+    if (clean.length <= SEMANTIC_LIMITS.chunkChars) return [clean];
+
+    const sentences = clean.split(/(?<=[.!?])\s+|\n{2,}/);
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      if (current && current.length + sentence.length + 1 > SEMANTIC_LIMITS.chunkChars) {
+        chunks.push(current);
+        current = current.slice(-SEMANTIC_LIMITS.chunkOverlap);
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+
+      // A single very long sentence - hard split
+      while (current.length > SEMANTIC_LIMITS.chunkChars * 1.5) {
+        chunks.push(current.slice(0, SEMANTIC_LIMITS.chunkChars));
+        current = current.slice(SEMANTIC_LIMITS.chunkChars - SEMANTIC_LIMITS.chunkOverlap);
+      }
+    }
+    if (current.trim()) chunks.push(current);
+
+    return chunks;
+  }
+
+  static cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, magA = 0, magB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      magA += a[i] * a[i];
+      magB += b[i] * b[i];
+    }
+    return magA && magB ? dot / (Math.sqrt(magA) * Math.sqrt(magB)) : 0;
+  }
+}
+
+module.exports = SemanticIndex;
@@ -0,0 +1,336 @@
+/**
+ * SentimentAnalytics.js
+ *
+ * Sentiment and buzz trends from the `hype` collection, linked to price.
+ * Backs the `sentiment_trends` pseudo-collection: hype snapshots are collapsed to one point per
+ * day, then each day gets a rolling z-score (vs the previous `zWindow` days) for net sentiment
+ * (bullish % - bearish %), news buzz and social mentions. |z| >= spikeZ is flagged as a spike.
+ * Day-over-day sentiment changes are correlated (Pearson) with `daily_prices` close-to-close
+ * returns on the same day and the next trading day.
+ *
+ * Result document (one per ticker):
+ *   { ticker, from, to, points, latest: { date, bullish, bearish, net, buzz, mentions, netZ, buzzZ, mentionsZ },
+ *     trend: { net7, net30, change, direction }, spikes: [{ date, metric, value, z }],
+ *     correlation: { sameDay, nextDay, observations }, series: [{ date, net, buzz, close }] }
+ */
+
+const { mongoClient, connectMongo, supabase } = require('../config/database');
+const { QUERY_LIMITS } = require('../config/query-plan-schema');
+const QueryNormalizer = require('./QueryNormalizer');
+
+const SENTIMENT_LIMITS = {
+  defaultWindowDays: 90,
+  maxWindowDays: 365,
+  maxRows: 2000,      // hype snapshots read per ticker
+  maxTickers: 5,
+  zWindow: 20,        // Trailing days a z-score is measured against
+  minZHistory: 5,     // Days of history before a z-score is reported
+  spikeZ: 2,
+  minObservations: 5, // Aligned days needed before reporting a correlation
+  maxSpikes: 10
+};
+
+// sentiment.bullishPercent/bearishPercent scale by hype `source` - Finnhub reports fractions (0.62 = 62%)
+// Sources not listed are scaled by their whole series: fractions only when no value exceeds 1
+const PERCENT_SCALE_BY_SOURCE = {
+  finnhub: 100
+};
+
+class SentimentAnalytics {
+  /**
+   * Sentiment trends for the tickers in a plan filter
+   * @param {Object} filter - { ticker, timestamp?: { $gte } }
+   * @returns {Promise<Object>} { success, data, error }
+   */
+  static async query(filter = {}) {
+    const tickers = QueryNormalizer.extractTickers(filter).slice(0, SENTIMENT_LIMITS.maxTickers);
+    if (tickers.length === 0) {
+      return { success: false, data: [], error: 'sentiment_trends requires a ticker filter' };
+    }
+
+    const since = this.windowStart(filter);
+    const results = await Promise.all(tickers.map(ticker => this.getTrend(ticker, since)));
+    const failed = results.find(result => !result.success);
+
+    return {
+      success: !failed || results.some(result => result.success),
+      data: results.filter(result => result.success && result.data).map(result => result.data),
+      ...(failed ? { error: failed.error } : {})
+    };
+  }
+
+  /**
+   * Trend, spikes and price correlation for one ticker since a date
+   * @returns {Promise<Object>} { success, data: trend document | null, error }
+   */
+  static async getTrend(symbol, since) {
+    const ticker = symbol.toUpperCase();
+
+    try {
+      await connectMongo();
+      const docs = await mongoClient.db('raw_data').collection('hype')
+        .find({ ticker })
+        .sort({ timestamp: -1 })
+        .limit(SENTIMENT_LIMITS.maxRows)
+        .maxTimeMS(QUERY_LIMITS.maxTimeMS)
+        .toArray();
+
+      // Read ~2x zWindow calendar days of history before the window so its first days have z-scores
+      const historyStart = this.addDays(since, -SENTIMENT_LIMITS.zWindow * 2);
+      const days = this.dailyPoints(docs).filter(point => point.date >= historyStart);
+      if (days.filter(point => point.date >= since).length === 0) {
+        return { success: true, data: null };
+      }
+
+      const { data: prices, error } = await supabase
+        .from('daily_prices')
+        .select('date, close')
+        .eq('symbol', ticker)
+        .gte('date', historyStart)
+        .order('date', { ascending: true })
+        .limit(SENTIMENT_LIMITS.maxWindowDays * 2);
+      if (error) {
+        console.warn(`⚠️ daily_prices unavailable for ${ticker} sentiment correlation: ${error.message}`);
+      }
+
+      const data = { ticker, ...this.analyze(days, prices || [], since) };
+      console.log(`📣 Sentiment trend ${ticker} (${data.from} → ${data.to}): ${data.points} days, ${data.spikes.length} spikes, corr ${data.correlation.sameDay ?? 'n/a'}`);
+
+      return { success: true, data };
+    } catch (error) {
+      console.error(`❌ Failed to compute sentiment trend for ${ticker}:`, error.message);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * One point per day (the day's latest snapshot), oldest first
+   * Bullish/bearish are normalized to percentages per source (see PERCENT_SCALE_BY_SOURCE)
+   */
+  static dailyPoints(docs) {
+    const byDate = new Map();
+    const scales = this.percentScales(docs);
+    const percent = (value, doc) => {
+      if (value === undefined || value === null || isNaN(value)) return null;
+      return Number(value) * scales.get(this.sourceOf(doc));
+    };
+
+    for (const doc of docs) {
+      const timestamp = doc.timestamp instanceof Date ? doc.timestamp : new Date(doc.timestamp);
+      if (isNaN(timestamp)) continue;
+      const date = timestamp.toISOString().split('T')[0];
+
+      const existing = byDate.get(date);
+      if (existing && existing.timestamp >= timestamp) continue;
+
+      const bullish = percent(doc.sentiment?.bullishPercent, doc);
+      const bearish = percent(doc.sentiment?.bearishPercent, doc);
+      byDate.set(date, {
+        date,
+        timestamp,
+        bullish,
+        bearish,
+        net: bullish !== null && bearish !== null ? Math.round((bullish - bearish) * 10) / 10 : null,
+        buzz: doc.buzz?.buzz ?? null,
+        articles: doc.buzz?.articlesInLastWeek ?? null,
+        mentions: doc.social_sentiment?.mention ?? null,
+        socialScore: doc.social_sentiment?.score ?? null
+      });
+    }
+
+    return [...byDate.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ timestamp, ...point }) => point);
+  }
+
+  /**
+   * Multiplier to percent for each source in the snapshots
+   * @returns {Map} source → 100 (fractions) or 1 (already percentages)
+   */
+  static percentScales(docs) {
+    const maxBySource = new Map();
+    for (const doc of docs) {
+      const source = this.sourceOf(doc);
+      const values = [doc.sentiment?.bullishPercent, doc.sentiment?.bearishPercent]
+        .filter(value => value !== undefined && value !== null && !isNaN(value))
+        .map(Number);
+      maxBySource.set(source, Math.max(maxBySource.get(source) ?? 0, ...values));
+    }
+
+    const scales = new Map();
+    for (const [source, max] of maxBySource) {
+      scales.set(source, PERCENT_SCALE_BY_SOURCE[source] ?? (max <= 1 ? 100 : 1));
+    }
+    return scales;
+  }
+
+  static sourceOf(doc) {
+    return String(doc.source || 'finnhub').toLowerCase();
+  }
+
+  /**
+   * Z-scores, spikes, trend and price correlation over daily points
+   * @param {Array} days - dailyPoints() output, including pre-window history
+   * @param {Array} prices - daily_prices rows { date, close }, oldest first
+   * @param {string} since - YYYY-MM-DD window start
+   */
+  static analyze(days, prices, since) {
+    const metrics = ['net', 'buzz', 'mentions'];
+    const scored = days.map((point, index) => {
+      const z = {};
+      metrics.forEach(metric => {
+        const history = days.slice(Math.max(0, index - SENTIMENT_LIMITS.zWindow), index)
+          .map(p => p[metric])
+          .filter(value => value !== null);
+        z[`${metric}Z`] = this.zScore(point[metric], history);
+      });
+      return { ...point, ...z };
+    });
+
+    const inWindow = scored.filter(point => point.date >= since);
+    const latest = inWindow[inWindow.length - 1];
+
+    const spikes = [];
+    inWindow.forEach(point => {
+      metrics.forEach(metric => {
+        const z = point[`${metric}Z`];
+        if (z !== null && Math.abs(z) >= SENTIMENT_LIMITS.spikeZ) {
+          spikes.push({ date: point.date, metric, value: point[metric], z });
+        }
+      });
+    });
+
+    const average = (points) => {
+      const values = points.map(p => p.net).filter(value => value !== null);
+      return values.length > 0 ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+    };
+    const net7 = average(inWindow.slice(-7));
+    const net30 = average(inWindow.slice(-30));
+    const change = net7 !== null && net30 !== null ? Math.round((net7 - net30) * 10) / 10 : null;
+
+    // Close by date for returns; sentiment change on day t vs return on day t and the next trading day
+    const closes = new Map(prices.filter(row => row.close).map(row => [String(row.date).split('T')[0], Number(row.close)]));
+    const priceDates = [...closes.keys()].sort();
+    const returnOn = (date) => {
+      const index = priceDates.indexOf(date);
+      if (index <= 0) return null;
+      const previous = closes.get(priceDates[index - 1]);
+      return previous ? (closes.get(date) - previous) / previous : null;
+    };
+    const nextTradingDate = (date) => priceDates.find(d => d > date) || null;
+
+    const sameDay = [];
+    const nextDay = [];
+    inWindow.forEach(point => {
+      const previous = scored[scored.indexOf(point) - 1];
+      if (!previous || point.net === null || previous.net === null) return;
+      const sentimentChange = point.net - previous.net;
+
+      const today = returnOn(point.date);
+      if (today !== null) sameDay.push([sentimentChange, today]);
+      const next = nextTradingDate(point.date);
+      const tomorrow = next ? returnOn(next) : null;
+      if (tomorrow !== null) nextDay.push([sentimentChange, tomorrow]);
+    });
+
+    return {
+      from: inWindow[0].date,
+      to: latest.date,
+      points: inWindow.length,
+      latest: {
+        date: latest.date,
+        bullish: latest.bullish,
+        bearish: latest.bearish,
+        net: latest.net,
+        buzz: latest.buzz,
+        mentions: latest.mentions,
+        netZ: latest.netZ,
+        buzzZ: latest.buzzZ,
+        mentionsZ: latest.mentionsZ
+      },
+      trend: {
+        net7,
+        net30,
+        change,
+        direction: change === null ? null : change > 5 ? 'improving' : change < -5 ? 'deteriorating' : 'stable'
+      },
+      spikes: spikes
+        .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+        .slice(0, SENTIMENT_LIMITS.maxSpikes)
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      correlation: {
+        sameDay: this.correlation(sameDay),
+        nextDay: this.correlation(nextDay),
+        observations: sameDay.length
+      },
+      series: inWindow.map(point => ({ date: point.date, net: point.net, buzz: point.buzz, close: closes.get(point.date) ?? null }))
+    };
+  }
+
+  static zScore(value, history) {
+    if (value === null || history.length < SENTIMENT_LIMITS.minZHistory) return null;
+    const mean = history.reduce((sum, v) => sum + v, 0) / history.length;
+    const std = Math.sqrt(history.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / history.length);
+    // A flat series leaves float noise (~1e-16) in the deviation - treat it as no variance
+    if (std < 1e-9 * Math.max(1, Math.abs(mean))) return null;
+    return Math.round(((value - mean) / std) * 100) / 100;
+  }
+
+  /**
+   * Pearson correlation of [x, y] pairs (null below minObservations or with no variance)
+   */
+  static correlation(pairs) {
+    if (pairs.length < SENTIMENT_LIMITS.minObservations) return null;
+    const n = pairs.length;
+    const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+    const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    pairs.forEach(([x, y]) => {
+      covariance += (x - meanX) * (y - meanY);
+      varianceX += Math.pow(x - meanX, 2);
+      varianceY += Math.pow(y - meanY, 2);
+    });
+    if (varianceX === 0 || varianceY === 0) return null;
+    return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 100) / 100;
+  }
+
+  /**
+   * Window start from the plan filter's timestamp bound, else the default window
+   * QueryNormalizer rewrites mixed-format dates to { $or: [{ timestamp: { $gte: Date } }, { timestamp: { $gte: "..." } }] },
+   * so the bound is searched through $and/$or
+   * @returns {string} YYYY-MM-DD
+   */
+  static windowStart(filter) {
+    const today = new Date().toISOString().split('T')[0];
+    const earliest = this.addDays(today, -SENTIMENT_LIMITS.maxWindowDays);
+
+    let bound = null;
+    const visit = (node) => {
+      if (bound || !node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (node.timestamp && typeof node.timestamp === 'object') {
+        bound = node.timestamp.$gte || node.timestamp.$gt || null;
+      }
+      visit(node.$and);
+      visit(node.$or);
+    };
+    visit(filter);
+
+    const date = bound ? new Date(bound) : null;
+    if (date && !isNaN(date)) {
+      const start = date.toISOString().split('T')[0];
+      return start < earliest ? earliest : start;
+    }
+    return this.addDays(today, -SENTIMENT_LIMITS.defaultWindowDays);
+  }
+
+  static addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+  }
+}
+
+module.exports = SentimentAnalytics;
@@ -15,6 +15,7 @@ const MARKER_PATTERNS = {
   ARTICLE: /\[VIEW_ARTICLE:([^\]]+)\]/,
   IMAGE: /\[IMAGE_CARD:([^\]]+)\]/,
   EVENT: /\[EVENT_CARD:([^\]]+)\]/,
+  CITE: /\[CITE:([^\]]+)\]/,
 };
 
 // Global patterns for extracting all markers
@@ -23,10 +24,11 @@ const ALL_MARKER_PATTERNS = {
   ARTICLE: /\[VIEW_ARTICLE:([^\]]+)\]/g,
   IMAGE: /\[IMAGE_CARD:([^\]]+)\]/g,
   EVENT: /\[EVENT_CARD:([^\]]+)\]/g,
+  CITE: /\[CITE:([^\]]+)\]/g,
 };
 
 // All marker pattern for quick detection
-const ANY_MARKER_REGEX = /\[(?:VIEW_CHART|VIEW_ARTICLE|IMAGE_CARD|EVENT_CARD):[^\]]+\]/;
+const ANY_MARKER_REGEX = /\[(?:VIEW_CHART|VIEW_ARTICLE|IMAGE_CARD|EVENT_CARD|CITE):[^\]]+\]/;
 
 /**
  * Check if text might contain a partial marker at the end
@@ -74,6 +76,9 @@ function extractFirstMarker(text) {
     case 'EVENT':
       data = { cardId: earliestMatch[1] };
       break;
+    case 'CITE':
+      data = { citationId: earliestMatch[1].trim() };
+      break;
   }
 
   return {
@@ -89,11 +94,13 @@ function extractFirstMarker(text) {
  * StreamProcessor class
  * Buffers incoming stream content and emits structured events
  * Tracks expected markers from dataCards and injects missing ones
+ * Validates [CITE:id] markers against the request's CitationRegistry
  */
 class StreamProcessor {
-  constructor(res, dataCards = []) {
+  constructor(res, dataCards = [], citations = null) {
     this.res = res;
     this.dataCards = dataCards;
+    this.citations = citations;
     this.buffer = '';
     this.fullResponse = '';
     this.formatter = new ResponseFormatter();
@@ -143,8 +150,6 @@ class StreamProcessor {
           cardId: card.data.id.toString(),
           title: card.data.title || ''
         });
-      } else if (card.type === 'filing' && card.data?.id) {
-        console.log(`  📄 Expected filing reference: ${card.data.id}`);
       }
     }
     
@@ -167,6 +172,8 @@ class StreamProcessor {
       case 'CHART':
         // Charts don't have expected markers from dataCards yet
         return true;
+      case 'CITE':
+        return !!this.citations?.has(marker.data.citationId);
       default:
         return false;
     }
@@ -176,6 +183,11 @@ class StreamProcessor {
    * Send a structured event to the client
    */
   emit(event) {
+    // Chat sinks (see ChatSinks.js) accept structured events directly
+    if (typeof this.res.sendEvent === 'function') {
+      this.res.sendEvent(event);
+      return;
+    }
     this.res.write(`data: ${JSON.stringify(event)}\n\n`);
   }
 
@@ -221,6 +233,14 @@ class StreamProcessor {
     });
   }
 
+  /**
+   * Send a citation block event - footnote number and the cited source
+   */
+  emitCitation(citationId) {
+    const number = this.citations.cite(citationId);
+    this.emit({ type: 'citation', citationId, number, citation: this.citations.get(citationId) });
+  }
+
   /**
    * Send a horizontal rule (visual divider)
    */
@@ -305,6 +325,12 @@ class StreamProcessor {
           case 'EVENT':
             this.emitEvent(marker.data.cardId);
             break;
+          case 'CITE':
+            // Keep the marker in the text stream (like ARTICLE) so the footnote renders in place;
+            // the citation event carries its number and source
+            this.emitText(marker.marker);
+            this.emitCitation(marker.data.citationId);
+            break;
         }
         
         // Continue processing remaining text
@@ -473,10 +499,11 @@ class StreamProcessor {
  * @param {AsyncIterable} stream - OpenAI streaming response
  * @param {Response} res - Express response object
  * @param {Array} dataCards - Data cards for marker lookup
- * @returns {Object} - { fullResponse, finishReason, model }
+ * @param {CitationRegistry} citations - Citation IDs offered in the data context
+ * @returns {Object} - { fullResponse, finishReason, model, citations }
  */
-async function processOpenAIStream(stream, res, dataCards = []) {
-  const processor = new StreamProcessor(res, dataCards);
+async function processOpenAIStream(stream, res, dataCards = [], citations = null) {
+  const processor = new StreamProcessor(res, dataCards, citations);
   let finishReason = null;
   let model = null;
 
@@ -501,7 +528,8 @@ async function processOpenAIStream(stream, res, dataCards = []) {
   return {
     fullResponse: processor.getFullResponse(),
     finishReason,
-    model
+    model,
+    citations: citations ? citations.table() : []
   };
 }
 
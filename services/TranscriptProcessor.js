@@ -0,0 +1,299 @@
+/**
+ * TranscriptProcessor.js
+ *
+ * Splits earnings call transcripts (earnings_transcripts.content) into speaker turns so the
+ * formatter can pick what matters instead of the first N characters of the call.
+ *
+ * Each turn is tagged with a role (operator / executive / analyst) and a section
+ * (prepared remarks vs Q&A). Roles come from the "Corporate / Conference Call Participants"
+ * lists when the transcript has them, then from speaker titles, then from the operator's
+ * introductions ("next question comes from Jane Doe with Example Securities").
+ *
+ * Segmented transcript:
+ *   { turns: [{ index, speaker, title, role, section, text }],
+ *     participants: { executives: [{ name, title }], analysts: [{ name, firm }] },
+ *     qaStartIndex }
+ */
+
+const TRANSCRIPT_LIMITS = {
+  maxSpeakerLength: 80,  // Longer "Name:" prefixes are sentences, not speakers
+  cacheSize: 50
+};
+
+const EXECUTIVE_TITLE = /\b(chief|ceo|cfo|coo|cto|cmo|president|chair(?:man|woman|person)?|founder|officer|vice president|svp|evp|vp|director|head of|investor relations|treasurer|controller|general counsel|secretary|executive)\b/i;
+const ANALYST_TITLE = /\b(analyst|research|securities|capital|partners|bank|markets|advisors|llc|& co|equity|investments?|group|financial)\b/i;
+
+// "What did the CFO say" → title patterns
+const ROLE_ALIASES = {
+  ceo: /\b(ceo|chief executive)\b/i,
+  cfo: /\b(cfo|chief financial|finance)\b/i,
+  coo: /\b(coo|chief operating)\b/i,
+  cto: /\b(cto|chief technology)\b/i,
+  cmo: /\b(cmo|chief medical|chief marketing)\b/i,
+  president: /\bpresident\b/i,
+  chairman: /\bchair(?:man|woman|person)?\b/i,
+  'investor relations': /\binvestor relations|\bir\b/i
+};
+
+const QA_START = /question-and-answer|questions?[- ]and[- ]answers?|q\s*&\s*a|first question|open (?:up )?(?:the (?:call|line|floor) )?(?:up )?(?:for|to) questions|begin the question|take (?:your|our) first question/i;
+const OPERATOR_INTRO = /(?:question|line)\s+(?:comes?|is)\s+from\s+(?:the\s+line\s+of\s+)?([A-Z][\w.'’-]+(?:\s+[A-Z][\w.'’-]+){0,3})(?:\s+(?:with|from|of|at)\s+([A-Z][^.,;]{1,60}))?/g;
+
+// Segmented transcripts by document id (transcripts never change)
+const segmentCache = new Map();
+
+class TranscriptProcessor {
+  /**
+   * Speaker turns for one earnings_transcripts document (cached by _id / transcript_id)
+   */
+  static segment(transcript) {
+    const key = String(transcript._id || transcript.transcript_id || '');
+    if (key && segmentCache.has(key)) {
+      return segmentCache.get(key);
+    }
+
+    const content = String(transcript.content || '').replace(/\r/g, '');
+    const { participants, bodyStart } = this.parseParticipants(content);
+    const turns = this.splitTurns(content.split('\n').slice(bodyStart).join('\n'), participants);
+    const result = { turns, participants, qaStartIndex: -1 };
+
+    if (turns.length > 0) {
+      this.tagRoles(result);
+    }
+
+    if (key) {
+      segmentCache.set(key, result);
+      if (segmentCache.size > TRANSCRIPT_LIMITS.cacheSize) {
+        segmentCache.delete(segmentCache.keys().next().value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Participant lists at the top of the transcript
+   * ("Corporate Participants" / "Executives" and "Conference Call Participants" / "Analysts")
+   * @returns {Object} { participants, bodyStart: first line after the lists }
+   */
+  static parseParticipants(content) {
+    const participants = { executives: [], analysts: [] };
+    const lines = content.split('\n').map(line => line.trim());
+    let list = null;
+    let bodyStart = 0;
+
+    for (const [lineIndex, line] of lines.slice(0, 200).entries()) {
+      if (/^(corporate participants|company participants|executives|company representatives)\s*:?$/i.test(line)) {
+        list = 'executives';
+        continue;
+      }
+      if (/^(conference call participants|analysts|call participants)\s*:?$/i.test(line)) {
+        list = 'analysts';
+        continue;
+      }
+      if (!list) continue;
+      if (!line) continue;
+
+      // "Jane Doe - Chief Financial Officer" / "John Roe -- Example Securities -- Analyst"
+      const match = line.match(/^([A-Z][\w.'’-]+(?:\s+[A-Z][\w.'’-]+){0,3})\s*(?:[-–—,]{1,2}|\s{2,})\s*(.+)$/);
+      if (!match || line.length > 150) {
+        // Participant lists end at the first line that is not "Name - Title"
+        list = null;
+        continue;
+      }
+
+      const detail = match[2].replace(/\s*[-–—]{1,2}\s*analyst$/i, '').trim();
+      if (list === 'executives') {
+        participants.executives.push({ name: match[1], title: detail });
+      } else {
+        participants.analysts.push({ name: match[1], firm: detail });
+      }
+      bodyStart = lineIndex + 1;
+    }
+    return { participants, bodyStart };
+  }
+
+  /**
+   * Split content into { speaker, title, text } turns
+   * Handles "Name: text", "Name -- Title: text" and a speaker line on its own followed by paragraphs
+   */
+  static splitTurns(content, participants) {
+    const known = new Set(['Operator', ...participants.executives.map(p => p.name), ...participants.analysts.map(p => p.name)]);
+    // Analysts the operator introduces are speakers too, even when their name is alone on a line
+    for (const match of content.matchAll(OPERATOR_INTRO)) {
+      known.add(match[1]);
+    }
+    const turns = [];
+    let current = null;
+
+    const startTurn = (speaker, title, text) => {
+      if (current && current.text.trim()) turns.push(current);
+      current = { speaker: speaker.trim(), title: title ? title.trim() : null, text: text ? text.trim() : '' };
+    };
+
+    // One-paragraph transcripts: put speakers (known names, "Operator", "First Last") on their own lines
+    let body = content;
+    if (body.split('\n').length < 5) {
+      const names = [...known].map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+      const speaker = `${names}|[A-Z][a-z'’-]+(?:\\s+[A-Z][\\w.'’-]+){1,2}`;
+      body = body.replace(new RegExp(`\\s(${speaker})(\\s*(?:--|—|–)[^:]{1,${TRANSCRIPT_LIMITS.maxSpeakerLength}})?:\\s`, 'g'), '\n$1$2: ');
+    }
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      // "Name: text" or "Name -- Title: text"
+      const inline = line.match(/^([A-Z][\w.'’-]+(?:\s+[A-Z][\w.'’-]+){0,4})(?:\s*(?:[-–—]{1,2}|,)\s*([^:]{2,80}))?:\s*(.*)$/);
+      if (inline && inline[1].length + (inline[2] || '').length <= TRANSCRIPT_LIMITS.maxSpeakerLength &&
+          (known.has(inline[1]) || inline[2] || /^(Operator|Unidentified|Unknown)/i.test(inline[1]) || inline[1].split(/\s+/).length >= 2)) {
+        startTurn(inline[1], inline[2], inline[3]);
+        continue;
+      }
+
+      // Speaker line on its own: "Jane Doe -- Chief Financial Officer" or a known participant name
+      const header = line.match(/^([A-Z][\w.'’-]+(?:\s+[A-Z][\w.'’-]+){0,4})(?:\s*(?:[-–—]{1,2}|,)\s*(.{2,80}))?$/);
+      if (header && line.length <= TRANSCRIPT_LIMITS.maxSpeakerLength && !/[.!?]$/.test(line) &&
+          (known.has(header[1]) || (header[2] && (EXECUTIVE_TITLE.test(header[2]) || ANALYST_TITLE.test(header[2]))))) {
+        startTurn(header[1], header[2], '');
+        continue;
+      }
+
+      if (current) {
+        current.text = current.text ? `${current.text}\n${line}` : line;
+      }
+    }
+    if (current && current.text.trim()) turns.push(current);
+
+    return turns.map((turn, index) => ({ index, ...turn }));
+  }
+
+  /**
+   * Tag each turn's role and section (prepared remarks / Q&A)
+   */
+  static tagRoles(segmented) {
+    const { turns, participants } = segmented;
+    const executives = new Map(participants.executives.map(p => [p.name, p.title]));
+    const analysts = new Map(participants.analysts.map(p => [p.name, p.firm]));
+
+    // Analysts introduced by the operator
+    turns.filter(turn => /^operator$/i.test(turn.speaker)).forEach(turn => {
+      for (const match of turn.text.matchAll(OPERATOR_INTRO)) {
+        if (!analysts.has(match[1]) && !executives.has(match[1])) {
+          analysts.set(match[1], match[2] ? match[2].trim() : null);
+        }
+      }
+    });
+
+    let qaStartIndex = -1;
+    for (const turn of turns) {
+      if (/^operator$/i.test(turn.speaker)) {
+        turn.role = 'operator';
+      } else if (analysts.has(turn.speaker)) {
+        turn.role = 'analyst';
+        turn.title = turn.title || analysts.get(turn.speaker);
+      } else if (executives.has(turn.speaker)) {
+        turn.role = 'executive';
+        turn.title = turn.title || executives.get(turn.speaker);
+      } else if (turn.title && EXECUTIVE_TITLE.test(turn.title)) {
+        turn.role = 'executive';
+      } else if (turn.title && ANALYST_TITLE.test(turn.title)) {
+        turn.role = 'analyst';
+      } else {
+        turn.role = null;
+      }
+
+      if (qaStartIndex === -1 && (turn.role === 'analyst' || (turn.role === 'operator' && QA_START.test(turn.text)))) {
+        qaStartIndex = turn.index;
+      }
+    }
+
+    // Untitled speakers: prepared remarks are management; in Q&A whoever the operator did not introduce answers
+    turns.forEach(turn => {
+      if (!turn.role) turn.role = 'executive';
+      turn.section = qaStartIndex !== -1 && turn.index >= qaStartIndex ? 'qa' : 'prepared';
+    });
+
+    segmented.qaStartIndex = qaStartIndex;
+    segmented.participants = {
+      executives: [...new Map(turns.filter(t => t.role === 'executive').map(t => [t.speaker, { name: t.speaker, title: t.title || executives.get(t.speaker) || null }])).values()],
+      analysts: [...new Map(turns.filter(t => t.role === 'analyst').map(t => [t.speaker, { name: t.speaker, firm: t.title || analysts.get(t.speaker) || null }])).values()]
+    };
+  }
+
+  /**
+   * Speaker / role / section filter implied by the question
+   * ("what did the CFO say" → title matches CFO, "analysts asked" → analyst turns in Q&A)
+   */
+  static detectFilter(userMessage, segmented) {
+    const message = String(userMessage || '');
+    const filter = { speakers: [], titlePattern: null, role: null, section: null };
+
+    for (const [alias, pattern] of Object.entries(ROLE_ALIASES)) {
+      if (new RegExp(`\\b${alias}\\b`, 'i').test(message)) {
+        filter.titlePattern = pattern;
+        break;
+      }
+    }
+
+    // Named participants ("what did Barron say")
+    const people = [...segmented.participants.executives, ...segmented.participants.analysts];
+    people.forEach(person => {
+      const parts = person.name.split(/\s+/);
+      const last = parts[parts.length - 1];
+      if (last.length > 2 && new RegExp(`\\b${last.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(message)) {
+        filter.speakers.push(person.name);
+      }
+    });
+
+    if (/\banalysts?\b|\bq\s*&\s*a\b|questions? (?:from|asked)|asked about/i.test(message)) {
+      filter.section = 'qa';
+    } else if (/prepared remarks|opening remarks|scripted/i.test(message)) {
+      filter.section = 'prepared';
+    }
+    if (/\banalysts? (?:ask|question|push|press|concern)/i.test(message)) {
+      filter.role = 'analyst';
+    }
+
+    return filter;
+  }
+
+  /**
+   * Pick turns by speaker, role, section and keywords
+   * Keyword hits in Q&A bring the whole exchange (the analyst's question and management's answers)
+   * @returns {Array} turns in call order
+   */
+  static selectTurns(segmented, { keywords = [], speakers = [], titlePattern = null, role = null, section = null } = {}) {
+    const { turns } = segmented;
+    const lowered = keywords.map(k => String(k).toLowerCase()).filter(Boolean);
+    const selected = new Set();
+
+    const bySpeaker = speakers.length > 0 || titlePattern;
+    const speakerMatch = (turn) => speakers.includes(turn.speaker) || (titlePattern && turn.title && titlePattern.test(turn.title));
+
+    for (const turn of turns) {
+      if (turn.role === 'operator') continue;
+      if (section && turn.section !== section) continue;
+      if (role && turn.role !== role) continue;
+      if (bySpeaker && !speakerMatch(turn)) continue;
+      if (lowered.length > 0 && !lowered.some(k => turn.text.toLowerCase().includes(k))) continue;
+
+      selected.add(turn.index);
+
+      // Keep Q&A exchanges together: the question before an answer, the answers after a question
+      if (turn.section === 'qa' && (lowered.length > 0 || bySpeaker)) {
+        if (turn.role === 'executive') {
+          const question = [...turns.slice(0, turn.index)].reverse().find(t => t.role === 'analyst');
+          if (question && question.section === 'qa') selected.add(question.index);
+        } else if (turn.role === 'analyst') {
+          for (const next of turns.slice(turn.index + 1)) {
+            if (next.role !== 'executive') break;
+            selected.add(next.index);
+          }
+        }
+      }
+    }
+
+    return turns.filter(turn => selected.has(turn.index));
+  }
+}
+
+module.exports = TranscriptProcessor;
@@ -0,0 +1,104 @@
+/**
+ * CitationRegistry test - stable citation IDs and [CITE:id] handling in the response stream (no network)
+ * Checks per-collection IDs, registration, footnote numbering, the citations table and StreamProcessor
+ * validation of cited vs made-up IDs
+ *
+ * Usage: node test-citation-registry.js
+ */
+
+const crypto = require('crypto');
+const CitationRegistry = require('./services/CitationRegistry');
+const { processOpenAIStream } = require('./services/StreamProcessor');
+
+// Documents as ContextEngine sees them
+const NEWS = { _id: '6847a1f2c3d4e5f6a7b8c9d0', ticker: 'NVDA', title: 'Nvidia unveils Blackwell Ultra', url: 'https://example.com/nvda-blackwell' };
+const FILING = { _id: '6847a1f2c3d4e5f6a7b8c9d1', ticker: 'NVDA', access_number: '0001045810-25-000116', form_type: '10-Q', url: 'https://www.sec.gov/Archives/edgar/data/1045810/000104581025000116/nvda-20250427.htm' };
+const FILING_NO_ACCESSION = { _id: '6847a1f2c3d4e5f6a7b8c9d2', ticker: 'NVDA', form_type: '8-K' };
+const RELEASE = { ticker: 'NVDA', title: 'NVIDIA Announces Financial Results for First Quarter Fiscal 2026', url: 'https://nvidianews.nvidia.com/news/nvidia-announces-financial-results-for-first-quarter-fiscal-2026' };
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Minimal OpenAI stream: text split across chunks (markers may straddle a chunk boundary)
+async function* streamOf(chunks) {
+  for (const content of chunks) {
+    yield { model: 'gpt-test', choices: [{ delta: { content } }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+}
+
+(async () => {
+  // -------------------------------------------------------------------------
+  console.log('\n🆔 idFor()');
+  check('news → news-<_id>', CitationRegistry.idFor('news', NEWS) === 'news-6847a1f2c3d4e5f6a7b8c9d0');
+  check('sec_filings → sec-<accession number>', CitationRegistry.idFor('sec_filings', FILING) === 'sec-0001045810-25-000116');
+  check('sec_filings without an accession number → sec-<_id>', CitationRegistry.idFor('sec_filings', FILING_NO_ACCESSION) === 'sec-6847a1f2c3d4e5f6a7b8c9d2');
+  const releaseHash = crypto.createHash('sha1').update(RELEASE.url).digest('hex').substring(0, 12);
+  check('press_releases → pr-<sha1(url), 12 chars>', CitationRegistry.idFor('press_releases', RELEASE) === `pr-${releaseHash}`);
+  check('same document, same ID on every request', CitationRegistry.idFor('press_releases', { ...RELEASE, title: 'retitled' }) === `pr-${releaseHash}`);
+  check('no stable identity → null', CitationRegistry.idFor('news', { title: 'no id' }) === null &&
+    CitationRegistry.idFor('press_releases', { title: 'no url' }) === null &&
+    CitationRegistry.idFor('hype', { _id: 'x' }) === null && CitationRegistry.idFor('news', null) === null);
+
+  // -------------------------------------------------------------------------
+  console.log('\n📚 register() / cite()');
+  const registry = new CitationRegistry();
+  const newsId = registry.register('news', NEWS, { date: '2025-06-11' });
+  const filingId = registry.register('sec_filings', FILING, { title: 'NVDA 10-Q', date: '2025-05-28' });
+  const releaseId = registry.register('press_releases', RELEASE);
+  const priceId = registry.registerPriceRange('NVDA', '2025-05-01', '2025-05-30');
+
+  check('entry with display details and a Mongo API path', same(registry.get(newsId), {
+    id: newsId, collection: 'news', ticker: 'NVDA', title: 'Nvidia unveils Blackwell Ultra', date: '2025-06-11',
+    url: 'https://example.com/nvda-blackwell', documentId: '6847a1f2c3d4e5f6a7b8c9d0',
+    apiPath: '/api/mongodb/news/6847a1f2c3d4e5f6a7b8c9d0', number: null
+  }));
+  check('display overrides win over document fields', registry.get(filingId).title === 'NVDA 10-Q' && registry.get(filingId).url === FILING.url);
+  check('document without _id has no API path', registry.get(releaseId).documentId === null && registry.get(releaseId).apiPath === null);
+  check('price range ID and entry', priceId === 'px-NVDA-2025-05-01-2025-05-30' &&
+    same(registry.get(priceId).range, { from: '2025-05-01', to: '2025-05-30' }) && registry.get(priceId).collection === 'daily_prices');
+  check('price range ID stripped to safe characters', registry.registerPriceRange('BRK B', '2025-05-01', '2025-05-30') === 'px-BRKB-2025-05-01-2025-05-30');
+
+  check('re-registering keeps the first entry', registry.register('news', { ...NEWS, title: 'changed' }) === newsId && registry.get(newsId).title === NEWS.title);
+  check('unregistrable document → null, nothing stored', registry.register('news', {}) === null && registry.size === 5);
+
+  check('footnotes numbered in order of first citation', registry.cite(filingId) === 1 && registry.cite(newsId) === 2);
+  check('repeat citation keeps its number', registry.cite(filingId) === 1 && registry.get(newsId).number === 2);
+  check('unknown ID cannot be cited', registry.cite('news-made-up') === null && registry.get('news-made-up') === null && !registry.has('news-made-up'));
+  check('table lists cited entries only, in footnote order', same(registry.table().map(entry => [entry.number, entry.id]), [[1, filingId], [2, newsId]]));
+
+  // -------------------------------------------------------------------------
+  console.log('\n🌊 [CITE:id] in the response stream');
+  const citations = new CitationRegistry();
+  const streamNewsId = citations.register('news', NEWS);
+  const streamFilingId = citations.register('sec_filings', FILING);
+  const events = [];
+  const sink = { sendEvent: (event) => events.push(event) };
+
+  const result = await processOpenAIStream(streamOf([
+    `Data center revenue rose 73% [CITE:${streamFilingId}]`,
+    `, and Blackwell Ultra ships this year [CITE:${streamNewsId.slice(0, 10)}`,
+    `${streamNewsId.slice(10)}]. Margins hit a record [CITE:sec-0000000000-00-000000]. `,
+    `Revenue again [CITE:${streamFilingId}].`
+  ]), sink, [], citations);
+
+  const citationEvents = events.filter(event => event.type === 'citation');
+  check('one citation event per valid marker (split across chunks too)', same(citationEvents.map(e => [e.citationId, e.number]), [
+    [streamFilingId, 1], [streamNewsId, 2], [streamFilingId, 1]
+  ]));
+  check('citation event carries the source', citationEvents[1].citation.apiPath === '/api/mongodb/news/6847a1f2c3d4e5f6a7b8c9d0');
+  const text = events.filter(event => event.type !== 'citation').map(event => event.content || '').join('');
+  check('valid markers stay in the text, made-up IDs are removed', text.includes(`[CITE:${streamNewsId}]`) && !text.includes('sec-0000000000-00-000000'));
+  check('result citations table is the cited entries', same(result.citations.map(entry => entry.id), [streamFilingId, streamNewsId]) && result.finishReason === 'stop');
+
+  console.log(`\n${failures === 0 ? '✅ CitationRegistry tests passed' : `❌ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+})().catch(error => {
+  console.error('❌ CitationRegistry test crashed:', error);
+  process.exit(1);
+});
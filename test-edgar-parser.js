@@ -0,0 +1,90 @@
+/**
+ * EdgarParser test - parses the saved filings in fixtures/edgar/ (no network)
+ * Checks Item/Part splitting, table-to-JSON conversion and the section keys ContextEngine requests
+ *
+ * Usage: node test-edgar-parser.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EdgarParser = require('./services/EdgarParser');
+
+// Same keys as SEC_ANALYSIS_ITEMS in services/ContextEngine.js
+const ANALYSIS_ITEMS = {
+  '10-K': ['1A', '7', '7A'],
+  '10-Q': ['I.1', 'I.2', 'II.1A'],
+  '8-K': null
+};
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+function load(name, options = {}) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'edgar', name), 'utf8');
+  return EdgarParser.parse(html, options);
+}
+
+const keysOf = (sections) => sections.map(section => section.key).join(',');
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ---------------------------------------------------------------------------
+console.log('\n📄 10-K');
+const tenK = load('10-k.htm', { url: 'https://www.sec.gov/Archives/edgar/data/1/000000000125000001/acme-20241231.htm' });
+
+check('form type detected from the cover page', tenK.formType === '10-K');
+check('Items split in document order', keysOf(tenK.sections) === '1,1A,7,7A,9B');
+check('unlisted Item kept but not marked known', tenK.sections.find(s => s.key === '9B')?.known === false);
+check('analysis keys pick 1A, 7, 7A', keysOf(EdgarParser.pickSections(tenK, ANALYSIS_ITEMS['10-K'])) === '1A,7,7A');
+
+const riskFactors = EdgarParser.getSection(tenK, '1A');
+check('table of contents skipped - Item 1A has the body text', /lithium carbonate/.test(riskFactors?.text || '') && /cathode supplier/.test(riskFactors?.text || ''));
+check('title on its own line is not repeated in the text', riskFactors?.title === 'Risk Factors' && !/^Risk Factors/.test(riskFactors?.text || ''));
+check('PART headings are not section text', !/PART II/.test(riskFactors?.text || ''));
+
+const mdna = EdgarParser.getSection(tenK, '7');
+const results = mdna?.tables[0];
+check('MD&A owns the results table', mdna?.tables.length === 1);
+check('table caption from the preceding line', results?.caption === 'Results of operations');
+check('year headers right-aligned over the value columns', same(results?.headers, ['', '2024', '2023']));
+check('"$" cells merged into the figure', same(results?.rows[0], ['Revenue', '$412,530', '$298,914']));
+check('spacer cells dropped', same(results?.rows[1], ['Cost of revenue', '331,007', '251,410']));
+check('")" cells merged into negative figures', same(results?.rows[2], ['Net loss', '$(18,220)', '$(41,075)']));
+check('rendered section includes the table as pipe rows', EdgarParser.renderSection(mdna).includes('[TABLE: Results of operations]\n | 2024 | 2023\nRevenue | $412,530 | $298,914'));
+
+check('hidden inline XBRL header ignored', !/dei:DocumentType/.test(tenK.text));
+check('logo dropped, chart kept with an absolute URL', same(tenK.images.map(image => image.url), ['https://www.sec.gov/Archives/edgar/data/1/000000000125000001/capacity-chart.jpg']));
+
+// ---------------------------------------------------------------------------
+console.log('\n📄 10-Q');
+const tenQ = load('10-q.htm');
+
+check('form type detected', tenQ.formType === '10-Q');
+check('keys are <part>.<item> - Item 1 exists in both parts', keysOf(tenQ.sections) === 'I.1,I.2,I.4,II.1,II.1A');
+check('analysis keys pick I.1, I.2, II.1A', keysOf(EdgarParser.pickSections(tenQ, ANALYSIS_ITEMS['10-Q'])) === 'I.1,I.2,II.1A');
+check('Part II Item 1A is Risk Factors', /tariff risk/.test(EdgarParser.getSection(tenQ, 'II.1A')?.text || ''));
+
+const balanceSheet = EdgarParser.getSection(tenQ, 'I.1')?.tables[0];
+check('balance sheet caption', balanceSheet?.caption === 'CONDENSED CONSOLIDATED BALANCE SHEETS (in thousands)');
+check('date headers right-aligned', same(balanceSheet?.headers, ['', 'September 30, 2025', 'December 31, 2024']));
+check('balance sheet rows', same(balanceSheet?.rows, [
+  ['Cash and cash equivalents', '$188,402', '$240,115'],
+  ['Inventory', '96,310', '71,884'],
+  ['Total assets', '$1,021,760', '$998,245']
+]));
+
+// ---------------------------------------------------------------------------
+console.log('\n📄 8-K');
+const eightK = load('8-k.htm', { formType: '8-K/A' });
+
+check('amendment suffix normalized', eightK.formType === '8-K');
+check('dotted Item numbers split', keysOf(eightK.sections) === '2.02,5.02,9.01');
+check('null analysis keys keep every known Item', keysOf(EdgarParser.pickSections(eightK, ANALYSIS_ITEMS['8-K'])) === '2.02,5.02');
+check('known Item titles used', EdgarParser.getSection(eightK, '5.02')?.title === 'Departure of Directors or Certain Officers; Election of Directors; Appointment of Certain Officers');
+check('Item text', /resignation as Chief Financial Officer/.test(EdgarParser.getSection(eightK, '5.02')?.text || ''));
+check('cover-page layout table read as text, not a data table', eightK.tables.length === 0 && /Common Stock ACMB Nasdaq/.test(eightK.text));
+
+console.log(`\n${failures === 0 ? '✅ EdgarParser tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,98 @@
+/**
+ * EntityResolver test - free text → canonical tickers over an in-memory company_information index (no database)
+ * Checks symbols, share classes, CUSIP/ISIN, names, first-word aliases, misspellings and question extraction
+ *
+ * Usage: node test-entity-resolver.js
+ */
+
+// The index is built from the rows below; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const EntityResolver = require('./services/EntityResolver');
+
+// company_information rows (symbol, name, cusip, isin, marketCapitalization in $M)
+const COMPANIES = [
+  { symbol: 'NVDA', name: 'NVIDIA Corporation', cusip: '67066G104', isin: 'US67066G1040', marketCapitalization: 3400000 },
+  { symbol: 'MSFT', name: 'Microsoft Corporation', cusip: '594918104', isin: 'US5949181045', marketCapitalization: 3100000 },
+  { symbol: 'AAPL', name: 'Apple Inc.', cusip: '037833100', isin: 'US0378331005', marketCapitalization: 3000000 },
+  { symbol: 'BRK.B', name: 'Berkshire Hathaway Inc.', cusip: '084670702', isin: 'US0846707026', marketCapitalization: 980000 },
+  { symbol: 'TSLA', name: 'Tesla, Inc.', cusip: '88160R101', isin: 'US88160R1014', marketCapitalization: 780000 },
+  { symbol: 'AMD', name: 'Advanced Micro Devices, Inc.', cusip: '007903107', isin: 'US0079031078', marketCapitalization: 260000 },
+  { symbol: 'GM', name: 'General Motors Company', cusip: '37045V100', isin: 'US37045V1008', marketCapitalization: 52000 },
+  { symbol: 'ON', name: 'ON Semiconductor Corporation', cusip: '682189105', isin: 'US6821891057', marketCapitalization: 28000 },
+  { symbol: 'BF.B', name: 'Brown-Forman Corporation', cusip: '115637209', isin: 'US1156372096', marketCapitalization: 16000 },
+  { symbol: 'TMC', name: 'TMC the metals company Inc.', cusip: '87261Y106', isin: 'CA87261Y1060', marketCapitalization: 1500 },
+  { symbol: 'NVDS', name: 'AXS 1.25X NVDA Bear Daily ETF', cusip: null, isin: null, marketCapitalization: 20 },
+  { symbol: null, name: 'Row without a symbol' }
+];
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const brief = (match) => match ? `${match.symbol}/${match.matchType}/${match.confidence}` : null;
+
+(async () => {
+  EntityResolver.buildIndex(COMPANIES);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🏷️  Index');
+  check('rows without a symbol skipped', EntityResolver.companies.length === COMPANIES.length - 1);
+  check('largest company first', EntityResolver.companies[0].symbol === 'NVDA');
+  check('names normalized (suffixes dropped, & spelled out)', EntityResolver.normalizeName('AT&T Inc.') === 'at and t' && EntityResolver.companies[0].normalizedName === 'nvidia');
+
+  // -------------------------------------------------------------------------
+  console.log('\n🔤 resolve()');
+  check('symbol, case-insensitive', brief(await EntityResolver.resolve('nvda')) === 'NVDA/symbol/1');
+  check('cashtag', brief(await EntityResolver.resolve('$TSLA')) === 'TSLA/symbol/1');
+  check('share class "brk-b"', brief(await EntityResolver.resolve('brk-b')) === 'BRK.B/share_class/0.95');
+  check('share class "BRK/B"', brief(await EntityResolver.resolve('BRK/B')) === 'BRK.B/share_class/0.95');
+  check('share class "BF B" (space)', brief(await EntityResolver.resolve('BF B')) === 'BF.B/share_class/0.95');
+  check('CUSIP', brief(await EntityResolver.resolve('594918104')) === 'MSFT/cusip/1');
+  check('ISIN, lowercase', brief(await EntityResolver.resolve('us0378331005')) === 'AAPL/isin/1');
+  check('full company name', brief(await EntityResolver.resolve('NVIDIA Corporation')) === 'NVDA/name/0.9');
+  check('name without suffix or punctuation', brief(await EntityResolver.resolve('advanced micro devices')) === 'AMD/name/0.9');
+  check('unique first word', brief(await EntityResolver.resolve('Berkshire')) === 'BRK.B/name_prefix/0.75');
+  check('stopword first word is not an alias ("general")', await EntityResolver.resolve('general') === null);
+  check('misspelling within 2 edits', brief(await EntityResolver.resolve('Mircosoft')) === 'MSFT/fuzzy/0.6');
+  check('names up to 7 chars allow only 1 edit ("Appel" is 2 from "apple")', await EntityResolver.resolve('Appel') === null && brief(await EntityResolver.resolve('Teslla')) === 'TSLA/fuzzy/0.6');
+  check('unknown text', await EntityResolver.resolve('Quantum Widgets') === null);
+  check('empty / non-string input', await EntityResolver.resolve('') === null && await EntityResolver.resolve(42) === null);
+
+  // -------------------------------------------------------------------------
+  console.log('\n💬 extractFromText()');
+  const question = await EntityResolver.extractFromText('Is the CEO of Nvidia selling? Compare $amd with BRK.B, berkshire and mircosoft');
+  check('cashtag, symbol, name and misspelling found once each', same(question.map(m => m.symbol), ['AMD', 'BRK.B', 'NVDA', 'MSFT']));
+  check('matched text kept', same(question.map(m => m.text), ['$amd', 'BRK.B', 'nvidia', 'mircosoft']));
+  check('acronyms that are tickers are skipped', !(await EntityResolver.extractFromText('Should I buy ON or wait for the SEC?')).some(m => m.symbol === 'ON'));
+  check('uppercase ticker found', same((await EntityResolver.extractFromText('Why is GM down?')).map(m => m.symbol), ['GM']));
+  check('possessive names', same((await EntityResolver.extractFromText("What did Tesla's CFO say?")).map(m => m.symbol), ['TSLA']));
+  check('generic finance words are not companies', (await EntityResolver.extractFromText('latest earnings news for the energy sector')).length === 0);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🧹 Canonical tickers and helpers');
+  check('tickers canonicalized, unknown kept uppercased, deduplicated', same(await EntityResolver.canonicalizeTickers(['brk/b', 'nvda', 'zzzz', 'NVDA']), ['BRK.B', 'NVDA', 'ZZZZ']));
+  check('low-confidence matches do not rewrite tickers', same(await EntityResolver.canonicalizeTickers(['berkshire']), ['BERKSHIRE']));
+  check('company name lookup', await EntityResolver.getCompanyName('tsla') === 'Tesla, Inc.' && await EntityResolver.getCompanyName('ZZZZ') === null);
+  check('symbol format accepts share classes', EntityResolver.isValidSymbolFormat('BRK.B') && EntityResolver.isValidSymbolFormat('BF-B') && EntityResolver.isValidSymbolFormat('tsla'));
+  check('symbol format rejects long or numeric input', !EntityResolver.isValidSymbolFormat('TOOLONG') && !EntityResolver.isValidSymbolFormat('123') && !EntityResolver.isValidSymbolFormat(null));
+  check('edit distance', EntityResolver.editDistance('kitten', 'sitting') === 3 && EntityResolver.editDistance('abc', 'abc') === 0);
+  check('edit distance stops past the limit', EntityResolver.editDistance('abcdefgh', 'zyxwvuts', 2) > 2);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🚧 Index unavailable');
+  const cold = new EntityResolver.constructor();
+  cold.failedAt = Date.now(); // A load just failed - no retry until RETRY_DELAY passes
+  check('no index → no extraction (and no retry storm)', (await cold.extractFromText('What about $NVDA?')).length === 0);
+
+  console.log(`\n${failures === 0 ? '✅ EntityResolver tests passed' : `❌ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+})().catch(error => {
+  console.error('❌ EntityResolver test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * FactChecker test - verifies the $ and % claims in a sample response against query results (no network)
+ * Checks quote/daily-bar/intraday/target matching, written precision, approximate wording, direction,
+ * date narrowing, per-ticker attribution and what is left unchecked
+ *
+ * Usage: node test-fact-checker.js
+ */
+
+// Results are passed in directly; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const FactChecker = require('./services/FactChecker');
+
+// Query results as fed to ContextEngine for "How did NVDA trade this week?"
+const QUERY_RESULTS = [
+  {
+    collection: 'finnhub_quote_snapshots',
+    data: [{ symbol: 'NVDA', c: 141.22, o: 143.0, h: 144.2, l: 140.8, pc: 143.96, d: -2.74, dp: -1.9033, timestamp: '2025-06-11T20:00:00Z' }]
+  },
+  {
+    collection: 'daily_prices',
+    data: [
+      { symbol: 'NVDA', date: '2025-06-09', open: 142.0, high: 143.1, low: 141.5, close: 142.63 },
+      { symbol: 'NVDA', date: '2025-06-10', open: 142.9, high: 144.0, low: 142.2, close: 143.96 },
+      { symbol: 'NVDA', date: '2025-06-11', open: 143.0, high: 144.2, low: 140.8, close: 141.22 },
+      { symbol: 'AMD', date: '2025-06-10', open: 120.1, high: 121.0, low: 118.9, close: 120.4 },
+      { symbol: 'AMD', date: '2025-06-11', open: 120.0, high: 120.3, low: 117.9, close: 118.5 }
+    ]
+  },
+  {
+    collection: 'five_minute_prices',
+    data: [
+      { symbol: 'NVDA', timestamp: '2025-06-12T13:30:00Z', open: 141.5, high: 141.9, low: 141.1, close: 141.8 },
+      { symbol: 'NVDA', timestamp: '2025-06-12T13:35:00Z', open: 141.8, high: 142.6, low: 141.7, close: 142.5 }
+    ]
+  },
+  {
+    collection: 'price_targets',
+    data: [
+      { ticker: 'NVDA', date: '2025-06-05', analyst: 'Rosenblatt', action: 'Raises', rating_change: 'Buy', price_target_change: '$200 → $215' },
+      { ticker: 'NVDA', date: '2025-06-03', analyst: 'Cantor Fitzgerald', action: 'Reiterates', rating_change: 'Overweight', price_target_change: '$200' }
+    ]
+  }
+];
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const verifyOne = (sentence) => FactChecker.verify(sentence, QUERY_RESULTS);
+
+// ---------------------------------------------------------------------------
+console.log('\n📇 buildIndex()');
+const index = FactChecker.buildIndex(QUERY_RESULTS);
+const nvda = index.get('NVDA');
+const labels = (list) => list.map(value => value.label);
+check('one entry per ticker in the results', same([...index.keys()], ['NVDA', 'AMD']));
+check('quote fields indexed with the quote date', nvda.prices.some(p => p.label === 'previous close (quote)' && p.value === 143.96 && p.date === '2025-06-11'));
+check('day-over-day % change per bar', nvda.percents.some(p => p.label === 'daily % change' && p.date === '2025-06-10' && Math.abs(p.value - 0.9325) < 1e-4));
+check('intraday session aggregates, not every bar', labels(nvda.prices).filter(l => l.startsWith('intraday')).length === 4 && nvda.prices.some(p => p.label === 'intraday high' && p.value === 142.6));
+check('analyst targets, consensus and upside (kind: target)', nvda.prices.some(p => p.label === 'consensus mean target' && p.value === 207.5) &&
+  nvda.percents.some(p => p.label === 'consensus implied upside' && p.kind === 'target' && p.value === 46.93));
+
+// ---------------------------------------------------------------------------
+console.log('\n🔬 verify() - a response with one wrong price and one wrong direction');
+const response = [
+  'NVDA closed at $141.22 on June 11, down 1.9% on the day [CITE:px-NVDA-2025-06-09-2025-06-11].',
+  'The stock gained 0.9% on June 10 to $143.96, then opened at $146 on June 11.',
+  'On Wall Street, the consensus target of $207.50 implies 47% upside, and Rosenblatt raised its target 7.5% to $215.',
+  'Revenue grew 69% year over year to $44.1 billion, and shares could reach $160 if demand holds.',
+  'NVDA outpaced AMD, which closed at $118.50 on June 11.',
+  '**Takeaway:** NVDA rose 1.9% on Wednesday, June 11.'
+].join('\n');
+const result = FactChecker.verify(response, QUERY_RESULTS);
+
+check('status flagged when any claim mismatches', result.status === 'flagged');
+// Checked: $141.22, 1.9%, 0.9%, $143.96, $146, $207.50, 47%, 7.5%, $215, $118.50, 1.9% - not 69%, $44.1 billion or $160
+check('claims checked / matched', result.checked === 11 && result.matched === 9);
+check('wrong price reported with the nearest value that day', same(
+  (({ claim, type, ticker, value, expected, source, date, reason }) => ({ claim, type, ticker, value, expected, source, date, reason }))(result.mismatches[0]),
+  { claim: '$146', type: 'price', ticker: 'NVDA', value: 146, expected: 144.2, source: 'high (quote)', date: '2025-06-11', reason: 'value' }
+));
+check('right size, wrong direction', result.mismatches[1].claim === '1.9%' && result.mismatches[1].reason === 'direction' && result.mismatches[1].sentence.startsWith('**Takeaway:**'));
+
+// ---------------------------------------------------------------------------
+console.log('\n🎯 Claims one at a time');
+check('written precision: "$141" matches 141.22, "$141.5" does not', verifyOne('NVDA closed at $141 on June 11.').status === 'verified' &&
+  verifyOne('NVDA closed at $141.5 on June 11.').status === 'flagged');
+check('"about" widens the tolerance', verifyOne('NVDA traded at $145 this week.').status === 'flagged' && verifyOne('NVDA traded at about $145 this week.').status === 'verified');
+check('claim attributed to the ticker just before it', verifyOne('NVDA outpaced AMD, which closed at $118.50.').status === 'verified' &&
+  verifyOne('AMD lagged NVDA, which closed at $118.50.').status === 'flagged');
+check('intraday session move', verifyOne('NVDA shares rose 0.7% in the June 12 session.').status === 'verified');
+check('far-off price is about something else (unchecked)', verifyOne('NVDA closed at $41.22.').status === 'unchecked');
+check('fundamentals, speculation and large amounts are not price claims', verifyOne('NVDA revenue rose 69% to $44.1 billion; it could hit $160.').checked === 0);
+check('a target % is never compared with a price move', verifyOne('NVDA analysts see 1.9% upside.').status === 'flagged' &&
+  verifyOne('NVDA analysts see 1.9% upside.').mismatches[0].source.includes('target'));
+check('no tickers in the results → unchecked', FactChecker.verify('NVDA closed at $141.22.', []).status === 'unchecked' && FactChecker.verify('', QUERY_RESULTS).checked === 0);
+
+// ---------------------------------------------------------------------------
+console.log('\n🧩 Helpers');
+check('tolerance is half the last written digit', FactChecker.tolerance('412') > 0.5 && FactChecker.tolerance('412') < 0.5001 && Math.abs(FactChecker.tolerance('3.25') - 0.005) < 1e-8);
+check('dates from ISO and month-name forms', same(FactChecker.extractDates('On 2025-06-10 and Jun. 11th, 2025 (and March 3)'), [
+  { year: 2025, month: 6, day: 10 }, { year: 2025, month: 6, day: 11 }, { year: null, month: 3, day: 3 }
+]));
+check('sentences split on periods and lines, markers removed', same(FactChecker.splitSentences('NVDA rose 2%. AMD fell [VIEW_CHART:AMD:1D].\n$TSLA flat'), ['NVDA rose 2%.', 'AMD fell  .', '$TSLA flat']));
+check('tickers matched as whole symbols (cashtags too, not inside words)', same(FactChecker.findTickers('$AMD beat; AMDX and CAMD did not', ['AMD']).length, 1));
+
+console.log(`\n${failures === 0 ? '✅ FactChecker tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,119 @@
+/**
+ * Form4Parser test - parses the saved ownership filing in fixtures/edgar/form4.xml (no network)
+ * Checks owners/roles, transaction rows, index-page XML discovery, Finnhub record normalization and summarize()
+ *
+ * Usage: node test-form4-parser.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// SEC fetches are stubbed; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const Form4Parser = require('./services/Form4Parser');
+const DataConnector = require('./services/DataConnector');
+
+const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'edgar', 'form4.xml'), 'utf8');
+
+const FILING_URL = 'https://www.sec.gov/Archives/edgar/data/1798562/000184321025000007/xslF345X05/wk-form4_1750102203.xml';
+const INDEX_URL = 'https://www.sec.gov/Archives/edgar/data/1798562/000184321025000008/0001843210-25-000008-index.htm';
+const INDEX_HTML = `
+  <table class="tableFile">
+    <tr><td><a href="/Archives/edgar/data/1798562/000184321025000008/xslF345X05/wk-form4_1750200000.xml">wk-form4_1750200000.html</a></td></tr>
+    <tr><td><a href="/Archives/edgar/data/1798562/000184321025000008/wk-form4_1750200000.xml">wk-form4_1750200000.xml</a></td></tr>
+  </table>`;
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+(async () => {
+  // -------------------------------------------------------------------------
+  console.log('\n📄 parse()');
+  const doc = Form4Parser.parse(xml);
+  const [purchase, withholding, exercise] = doc.transactions;
+
+  check('form type and period', doc.formType === '4' && doc.periodOfReport === '2025-06-13');
+  check('issuer with upper-cased ticker', same(doc.issuer, { cik: '0001798562', name: 'TMC the metals company Inc.', ticker: 'TMC' }));
+  check('capitalized owner names title-cased, mixed case kept', same(doc.owners.map(o => o.name), ['Barron Gerard', 'Barron Family Trust']));
+  check('roles from relationship flags (officer title, director, "true" flag)', same(doc.owners.map(o => o.role), ['Chief Executive Officer, Director', '10% Owner']));
+  check('non-derivative rows before derivative rows', same(doc.transactions.map(tx => `${tx.code}:${tx.derivative}`), ['P:false', 'F:false', 'M:true']));
+
+  check('joint filers share the transaction', purchase.insider === 'Barron Gerard / Barron Family Trust' && purchase.role === 'Chief Executive Officer, Director / 10% Owner');
+  check('shares with thousands separators parsed', purchase.shares === 100000);
+  check('price read from <value> next to a footnote', purchase.price === 4.25 && purchase.value === 425000);
+  check('code label and acquired/disposed', purchase.codeLabel === 'Open market purchase' && purchase.acquiredDisposed === 'A');
+  check('indirect ownership and holdings after', purchase.ownership === 'indirect' && purchase.sharesOwnedAfter === 12450000);
+  check('security title and date', purchase.security === 'Common Shares' && purchase.date === '2025-06-11');
+  check('tax withholding row', withholding.codeLabel === 'Tax withholding' && withholding.acquiredDisposed === 'D' && withholding.value === 38318 && withholding.ownership === 'direct');
+  check('zero-price derivative has no value', exercise.price === 0 && exercise.value === null && exercise.security === 'Restricted Stock Units');
+  check('empty input parses to no transactions', Form4Parser.parse('').transactions.length === 0);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🔗 Filing URLs');
+  check('ownership forms recognized (amendments, "Form 4")', ['4', '4/A', 'Form 4', '5'].every(f => Form4Parser.isOwnershipForm(f)) && !Form4Parser.isOwnershipForm('10-K') && !Form4Parser.isOwnershipForm(null));
+  check('XSLT view resolved to the raw XML', Form4Parser.resolveXmlUrl(FILING_URL) === 'https://www.sec.gov/Archives/edgar/data/1798562/000184321025000007/wk-form4_1750102203.xml');
+  check('raw XML link found on an index page (XSLT link skipped)', Form4Parser.findXmlLink(INDEX_HTML, INDEX_URL) === 'https://www.sec.gov/Archives/edgar/data/1798562/000184321025000008/wk-form4_1750200000.xml');
+  check('no XML link → null', Form4Parser.findXmlLink('<a href="/report.htm">report</a>', INDEX_URL) === null);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🌐 fetchTransactions() (SEC fetch stubbed)');
+  const fetched = [];
+  DataConnector.fetchSecFilingHtml = async (url) => {
+    fetched.push(url);
+    if (url.endsWith('-index.htm')) return INDEX_HTML;
+    if (url.includes('missing')) throw new Error('404');
+    return xml;
+  };
+
+  const filings = [
+    { ticker: 'TMC', form_type: '4', url: FILING_URL },
+    { ticker: 'TMC', form_type: '4', url: INDEX_URL },
+    { ticker: 'TMC', form_type: '10-Q', url: 'https://www.sec.gov/Archives/edgar/data/1798562/10q.htm' },
+    { ticker: 'TMC', form_type: '4', url: 'https://www.sec.gov/Archives/edgar/data/1798562/missing.xml' }
+  ];
+  const result = await Form4Parser.fetchTransactions(filings);
+  check('only ownership forms fetched; failed filing skipped', result.success && result.filings === 2 && result.data.length === 6);
+  check('index page followed to its XML', fetched.includes('https://www.sec.gov/Archives/edgar/data/1798562/000184321025000008/wk-form4_1750200000.xml'));
+  check('rows tagged with their filing URL', result.data[0].filing_url === FILING_URL && result.data[3].filing_url === INDEX_URL);
+
+  const fetchCount = fetched.length;
+  await Form4Parser.fetchTransactions(filings.slice(0, 2));
+  check('parsed filings cached by URL', fetched.length === fetchCount);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🧾 normalizeRecord()');
+  const sale = Form4Parser.normalizeRecord({ symbol: 'TMC', name: 'SHESKY CRAIG', change: -50000, share: 900000, transactionPrice: 4.5, transactionCode: 'S', transactionDate: '2025-05-20', isDerivative: false });
+  check('Finnhub sale normalized', same(
+    { ticker: sale.ticker, insider: sale.insider, code: sale.code, acquiredDisposed: sale.acquiredDisposed, shares: sale.shares, value: sale.value, sharesOwnedAfter: sale.sharesOwnedAfter },
+    { ticker: 'TMC', insider: 'Shesky Craig', code: 'S', acquiredDisposed: 'D', shares: 50000, value: 225000, sharesOwnedAfter: 900000 }
+  ));
+  check('missing change → unknown side', Form4Parser.normalizeRecord({ ticker: 'TMC', transactionCode: 'A' }).acquiredDisposed === null);
+
+  // -------------------------------------------------------------------------
+  console.log('\n📊 summarize()');
+  const otherTicker = Form4Parser.normalizeRecord({ symbol: 'NVDA', name: 'HUANG JEN HSUN', change: -120000, transactionPrice: 140, transactionCode: 'S', transactionDate: '2025-06-02' });
+  const [tmc, nvda] = Form4Parser.summarize([...doc.transactions, sale, otherTicker]);
+
+  check('one summary per ticker', tmc.ticker === 'TMC' && nvda.ticker === 'NVDA');
+  check('date range across rows', tmc.from === '2025-05-20' && tmc.to === '2025-06-13');
+  check('only open-market P/S count as buying/selling', same(tmc.buys, { count: 1, shares: 100000, value: 425000 }) && same(tmc.sells, { count: 1, shares: 50000, value: 225000 }));
+  check('grants, withholding and exercises reported separately', same(tmc.other, { 'Tax withholding': 1, 'Option exercise/conversion': 1 }));
+  check('net shares and value', tmc.netShares === 50000 && tmc.netValue === 200000);
+  check('insiders ranked by absolute net value', same(tmc.insiders.map(i => [i.name, i.netValue]), [['Barron Gerard / Barron Family Trust', 425000], ['Shesky Craig', -225000]]));
+  check('insider holdings after their latest trade', tmc.insiders[0].sharesOwnedAfter === 12450000 && tmc.insiders[1].lastDate === '2025-05-20');
+  check('net selling is negative', nvda.netShares === -120000 && nvda.netValue === -16800000);
+
+  console.log(`\n${failures === 0 ? '✅ Form4Parser tests passed' : `❌ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+})().catch(error => {
+  console.error('❌ Form4Parser test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Offline replay test - runs the full chat pipeline against a recorded conversation
+ * No network or OpenAI key required: LLM steps replay fixtures/llm/pe-ratio/<step>/default.json
+ *
+ * Usage: node test-llm-fixture-replay.js
+ */
+
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'llm', 'pe-ratio');
+process.env.EMBEDDING_PROVIDER = 'local';
+
+// The recorded plan has no data queries; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const ChatPipeline = require('./services/ChatPipeline');
+const { BufferedSink } = require('./services/ChatSinks');
+
+const query = 'What does a P/E ratio measure?';
+const recorded = require('./fixtures/llm/pe-ratio/response/default.json');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+(async () => {
+  console.log('================================================================================');
+  console.log(`Replaying: "${query}"`);
+  console.log('================================================================================\n');
+
+  const sink = new BufferedSink();
+  const result = await ChatPipeline.run({ message: query, timezone: 'America/New_York' }, sink);
+  const body = sink.toJSON();
+  const types = sink.events.map(e => e.type);
+
+  console.log('\n--------------------------------------------------------------------------------');
+  check('pipeline succeeded', result.success === true && body.success === true);
+  check('response matches the recorded stream', result.fullResponse === recorded.content);
+  check('buffered response matches the recorded stream', body.response.replace(/\s+/g, ' ').trim() === recorded.content.replace(/\s+/g, ' ').trim());
+  check('metadata is sent before content', types.indexOf('metadata') >= 0 && types.indexOf('metadata') < types.findIndex(t => t === 'content' || t === 'text_delta'));
+  check('stream ends with done', types[types.length - 1] === 'done' && sink.ended);
+  check('no error events', !types.includes('error'));
+
+  console.log(`\n${failures === 0 ? '✅ Replay passed' : `❌ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+})().catch(error => {
+  console.error('❌ Replay crashed:', error);
+  process.exit(1);
+});
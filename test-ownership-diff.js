@@ -0,0 +1,106 @@
+/**
+ * OwnershipDiff test - quarter-over-quarter 13F diff from sample ownership rows (no database)
+ * Checks quarter grouping, amendments, implied previous positions, new/exited holders, adds/trims,
+ * price-neutral dollar changes, concentration and the 13F filing window
+ *
+ * Usage: node test-ownership-diff.js
+ */
+
+// Rows are passed in directly; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const OwnershipDiff = require('./services/OwnershipDiff');
+
+// ownership 13F-HR rows for one ticker - Q1 2025 filed Apr-May, Q2 2025 filed Jul-Aug
+// Q2 positions are valued at $5/share, Q1 at $4/share
+const ROWS = [
+  // Q1 2025 (report period 2025-03-31)
+  { holder_name: 'Vanguard Group Inc', shares: 1000000, total_position_value: 4000000, file_date: '2025-05-12' },
+  { holder_name: 'BlackRock Inc.', shares: 800000, total_position_value: 3200000, file_date: '2025-05-09' },
+  { holder_name: 'Citadel Advisors LLC', shares: 300000, total_position_value: 1200000, file_date: '2025-05-15' },
+  { holder_name: 'Renaissance Technologies LLC', shares: 200000, total_position_value: 800000, file_date: '2025-05-14' },
+  // Q2 2025 (report period 2025-06-30)
+  { holder_name: 'Vanguard Group Inc', shares: 1200000, total_position_value: 6000000, shares_change: 200000, file_date: new Date('2025-08-13T00:00:00Z') },
+  { holder_name: 'BlackRock Inc.', shares: 700000, total_position_value: 3500000, shares_change: -100000, file_date: '2025-08-08' },
+  // Amendment re-files BlackRock's Q2 position - the later filing wins
+  { holder_name: 'BlackRock Inc.', shares: 650000, total_position_value: 3250000, shares_change: -150000, file_date: '2025-08-20' },
+  { holder_name: 'Renaissance Technologies LLC', shares: 200000, total_position_value: 1000000, shares_change: 0, file_date: '2025-08-14' },
+  { holder_name: 'ARK Investment Management LLC', shares: 500000, total_position_value: 2500000, shares_change: 500000, file_date: '2025-07-30' },
+  // Missing Q1 filing, but shares_change implies 150,000 held last quarter
+  { holder_name: 'Morgan Stanley', shares: 250000, total_position_value: 1250000, shares_change: 100000, file_date: '2025-08-12' },
+  // Unusable rows
+  { holder_name: null, shares: 10, file_date: '2025-08-01' },
+  { holder_name: 'No Date Capital', shares: 10, file_date: null }
+];
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const holders = (list) => list.map(change => `${change.holder}:${change.sharesChange}`);
+
+// ---------------------------------------------------------------------------
+console.log('\n🗓️  Quarters');
+check('filing date → quarter reported on', OwnershipDiff.reportPeriod('2025-05-12') === '2025-03-31' && OwnershipDiff.reportPeriod('2025-01-10') === '2024-12-31');
+check('previous quarter end', OwnershipDiff.previousPeriod('2025-03-31') === '2024-12-31' && OwnershipDiff.previousPeriod('2025-09-30') === '2025-06-30');
+check('filing window is the following quarter (end exclusive)', same(OwnershipDiff.filingWindow('2025-06-30'), { from: '2025-07-01', to: '2025-10-01' }));
+check('year-end filing window', same(OwnershipDiff.filingWindow('2024-12-31'), { from: '2025-01-01', to: '2025-04-01' }));
+
+const snapshots = OwnershipDiff.snapshotsFromOwnershipRows(ROWS);
+check('snapshots newest first, unusable rows dropped', same(snapshots.map(s => `${s.period}:${s.holders.size}`), ['2025-06-30:5', '2025-03-31:4']));
+check('amendment replaces the earlier filing', snapshots[0].holders.get('BlackRock Inc.').shares === 650000);
+check('BSON Date file_date accepted', snapshots[0].holders.get('Vanguard Group Inc').fileDate === '2025-08-13');
+
+// ---------------------------------------------------------------------------
+console.log('\n🔀 diffSnapshots()');
+const diff = OwnershipDiff.diffSnapshots(snapshots[1], snapshots[0]);
+
+check('snapshot totals', same(diff.current, { period: '2025-06-30', holders: 5, totalShares: 2800000, totalValue: 14000000 }) &&
+  same(diff.previous, { period: '2025-03-31', holders: 4, totalShares: 2300000, totalValue: 9200000 }));
+check('new position (not implied by shares_change)', same(holders(diff.newPositions), ['ARK Investment Management LLC:500000']));
+check('missing previous filing implied from shares_change - an add, not a new position', diff.topAdds.some(c => c.holder === 'Morgan Stanley' && c.previousShares === 150000 && c.percentChange === 66.7));
+check('holder that did not re-file is an exit', same(holders(diff.exits), ['Citadel Advisors LLC:-300000']));
+check('adds ranked by shares added', same(holders(diff.topAdds), ['Vanguard Group Inc:200000', 'Morgan Stanley:100000']));
+check('trims ranked by shares sold', same(holders(diff.topTrims), ['BlackRock Inc.:-150000']));
+check('unchanged holders are neither adds nor trims', ![...diff.topAdds, ...diff.topTrims].some(c => c.holder === 'Renaissance Technologies LLC'));
+check('net shares', diff.netShares === 350000);
+check('dollar changes valued at the current price - price moves are not buying', diff.netValue === 350000 * 5 && diff.exits[0].valueChange === -1500000);
+check('exit percent change', diff.exits[0].percentChange === -100 && diff.newPositions[0].percentChange === null);
+
+// Concentration over Q2 shares (2.8M): top 5 is everyone
+// HHI = Σ(share %)² = 42.86² + 23.21² + 17.86² + 8.93² + 7.14² ≈ 2825
+check('top-5/top-10 concentration', diff.concentration.current.top5Pct === 100 && diff.concentration.current.top10Pct === 100);
+check('Herfindahl-Hirschman index', diff.concentration.current.hhi === 2825);
+check('previous-quarter concentration (43.48² + 34.78² + 13.04² + 8.70² ≈ 3346)', diff.concentration.previous.top5Pct === 100 && diff.concentration.previous.hhi === 3346);
+check('no holders → no concentration', same(OwnershipDiff.concentration(new Map()), { top5Pct: null, top10Pct: null, hhi: null }));
+
+const firstQuarter = OwnershipDiff.diffSnapshots(null, snapshots[1]);
+check('no previous quarter → everyone is new, no previous snapshot', firstQuarter.previous === null && firstQuarter.newPositions.length === 4 && firstQuarter.exits.length === 0);
+
+// ---------------------------------------------------------------------------
+console.log('\n⏳ Filing window');
+check('open until 45 days after quarter end', OwnershipDiff.isFilingWindowOpen('2025-06-30', new Date('2025-08-10T00:00:00Z')) === true);
+check('closed after the 13F deadline', OwnershipDiff.isFilingWindowOpen('2025-06-30', new Date('2025-08-15T00:00:00Z')) === false);
+
+// ---------------------------------------------------------------------------
+console.log('\n🏛️  institutional_ownership fallback');
+const docs = [
+  { date: '2025-08-20', institutional_holdings: { holders: [{ owner: 'Vanguard Group Inc', shares: 1200000, marketValue: 6000000 }, { owner: 'ARK Investment Management LLC', shares: 500000, marketValue: 2500000 }] } },
+  // Re-scrape of the same quarter - the newest doc is kept
+  { date: '2025-08-02', institutional_holdings: { holders: [{ owner: 'Vanguard Group Inc', shares: 1100000, marketValue: 5500000 }] } },
+  { date: '2025-05-15', institutional_holdings: { holders: [{ owner: 'Vanguard Group Inc', shares: 1000000, marketValue: 4000000 }, { owner: null, shares: 5 }] } },
+  { date: '2025-02-10', institutional_holdings: { holders: [] } }
+];
+const fallback = OwnershipDiff.snapshotsFromInstitutionalDocs(docs);
+check('one snapshot per quarter, empty lists skipped', same(fallback.map(s => `${s.period}:${s.holders.size}`), ['2025-06-30:2', '2025-03-31:1']));
+check('newest doc per quarter wins', fallback[0].holders.get('Vanguard Group Inc').shares === 1200000);
+const fallbackDiff = OwnershipDiff.diffSnapshots(fallback[1], fallback[0]);
+check('fallback snapshots diff the same way', fallbackDiff.netShares === 700000 && same(holders(fallbackDiff.newPositions), ['ARK Investment Management LLC:500000']));
+
+console.log(`\n${failures === 0 ? '✅ OwnershipDiff tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
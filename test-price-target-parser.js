@@ -0,0 +1,97 @@
+/**
+ * PriceTargetParser test - free-text price_targets rows → targets, ratings, consensus and history (no database)
+ * Checks target/rating change parsing, rating vocabularies, actions, per-firm consensus and step-series history
+ *
+ * Usage: node test-price-target-parser.js
+ */
+
+// Rows are passed in directly; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const PriceTargetParser = require('./services/PriceTargetParser');
+
+// price_targets rows for TSLA as scraped (date stored as both ISODate and string)
+const ROWS = [
+  { ticker: 'TSLA', date: new Date('2025-01-03T00:00:00Z'), analyst: 'Wedbush', action: 'Maintains', rating_change: 'Outperform', price_target_change: '$515 → $550' },
+  { ticker: 'TSLA', date: '2025-02-10', analyst: 'Wedbush', action: 'Raises', rating_change: 'Outperform', price_target_change: '$550 → $600' },
+  { ticker: 'TSLA', date: '2025-01-28', analyst: 'UBS', action: 'Downgrade', rating_change: 'Neutral → Sell', price_target_change: '$226 → $225' },
+  { ticker: 'TSLA', date: '2025-01-15', analyst: 'Mizuho', action: 'Initiates', rating_change: 'Outperform', price_target_change: '$515' },
+  { ticker: 'TSLA', date: '2025-02-03', analyst: 'Morgan Stanley', action: null, rating_change: 'Equal-Weight → Overweight', price_target_change: 'from $400 to $430' },
+  { ticker: 'TSLA', date: '2025-02-05', analyst: 'Guggenheim', action: 'Reiterates', rating_change: 'Sell', price_target_change: '$175' },
+  { ticker: 'TSLA', date: '2025-02-07', analyst: 'Baird', action: 'Maintains', rating_change: null, price_target_change: null }
+];
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ---------------------------------------------------------------------------
+console.log('\n🧾 parse()');
+const [wedbushJan, wedbushFeb, ubs, mizuho, morganStanley, guggenheim, baird] = ROWS.map(row => PriceTargetParser.parse(row));
+
+check('raised target from "$550 → $600"', same(
+  { target: wedbushFeb.target, previousTarget: wedbushFeb.previousTarget, targetDirection: wedbushFeb.targetDirection, action: wedbushFeb.action },
+  { target: 600, previousTarget: 550, targetDirection: 'raised', action: 'reiterate' }
+));
+check('BSON Date → YYYY-MM-DD', wedbushJan.date === '2025-01-03');
+check('firm wording kept, rating normalized', wedbushFeb.ratingLabel === 'Outperform' && wedbushFeb.rating === 'buy');
+check('rating change split and normalized', ubs.previousRating === 'hold' && ubs.rating === 'sell' && ubs.action === 'downgrade' && ubs.targetDirection === 'lowered');
+check('lone target has no direction', mizuho.target === 515 && mizuho.previousTarget === null && mizuho.targetDirection === null && mizuho.action === 'initiate');
+check('"from $400 to $430" and action from the rating move', morganStanley.target === 430 && morganStanley.previousTarget === 400 && morganStanley.action === 'upgrade');
+check('row with no target or rating', baird.target === null && baird.rating === null && baird.action === 'reiterate');
+
+check('targets with separators and decimals', same(PriceTargetParser.parseTarget('$1,250.50 -> $1,300'), { previous: 1250.5, current: 1300 }));
+check('numeric target', same(PriceTargetParser.parseTarget(410), { previous: null, current: 410 }));
+check('no number → no target', same(PriceTargetParser.parseTarget('n/a'), { previous: null, current: null }));
+check('rating vocabularies', same(
+  ['Market Outperform', 'Sector Perform', 'Underweight', 'Equal Weight', 'Strong Buy', 'Not Rated'].map(label => PriceTargetParser.normalizeRating(label)),
+  ['buy', 'hold', 'sell', 'hold', 'buy', null]
+));
+check('"Hold to Buy" splits like an arrow', same(PriceTargetParser.splitChange('Hold to Buy'), { previous: 'Hold', current: 'Buy' }));
+check('unchanged rating with no action text → no action', PriceTargetParser.normalizeAction(null, 'buy', 'buy') === null);
+
+// ---------------------------------------------------------------------------
+console.log('\n📊 consensus()');
+const records = [wedbushJan, wedbushFeb, ubs, mizuho, morganStanley, guggenheim, baird];
+const consensus = PriceTargetParser.consensus(records, 350);
+
+check('one record per firm (latest), rows without target or rating skipped', consensus.firms === 5 && consensus.targets === 5);
+// Targets: 175, 225, 430, 515, 600
+check('mean / median / high / low over each firm\'s latest target', consensus.mean === 389 && consensus.median === 430 && consensus.high === 600 && consensus.low === 175);
+check('implied upside vs the current price', consensus.currentPrice === 350 && consensus.impliedUpside === 11.14);
+check('rating mix', same(consensus.ratings, { buy: 3, hold: 0, sell: 2, unrated: 0 }));
+check('action counts over all rows', same(consensus.actions, { upgrades: 1, downgrades: 1, initiations: 1 }));
+check('window spans every row', consensus.from === '2025-01-03' && consensus.to === '2025-02-10');
+
+const evenConsensus = PriceTargetParser.consensus([ubs, mizuho, morganStanley, wedbushFeb]);
+check('even count median, no price → no upside', evenConsensus.median === 472.5 && evenConsensus.impliedUpside === null && evenConsensus.currentPrice === null);
+check('no records', same(
+  (({ firms, mean, median, high, low }) => ({ firms, mean, median, high, low }))(PriceTargetParser.consensus([])),
+  { firms: 0, mean: null, median: null, high: null, low: null }
+));
+
+// ---------------------------------------------------------------------------
+console.log('\n📈 history()');
+const stale = PriceTargetParser.parse({ analyst: 'Goldman Sachs', date: '2023-06-01', rating_change: 'Buy', price_target_change: '$300' });
+const rescrape = PriceTargetParser.parse({ analyst: 'Wedbush', date: '2025-02-10', rating_change: 'Outperform', price_target_change: '$550 → $610' });
+const history = PriceTargetParser.history([...records, stale, rescrape], '2025-01-10', '2025-02-28');
+const wedbush = history.firms.find(f => f.firm === 'Wedbush');
+
+check('firms ranked by latest activity, untargeted and stale firms dropped', same(history.firms.map(f => f.firm), ['Wedbush', 'Guggenheim', 'Morgan Stanley', 'UBS', 'Mizuho']));
+check('target before the range carried in at the range start', same(wedbush.series[0], { date: '2025-01-10', target: 550, rating: 'buy', action: 'reiterate', carried: true }));
+check('same-day re-scrape keeps the last row', wedbush.series.length === 2 && wedbush.series[1].target === 610);
+check('latest point per firm', same(wedbush.latest, { date: '2025-02-10', target: 610, rating: 'buy' }));
+check('firm with no point in range but a recent one before it keeps its carried date', same(
+  PriceTargetParser.history([wedbushJan], '2025-01-10', '2025-02-28').firms[0].latest,
+  { date: '2025-01-03', target: 550, rating: 'buy' }
+));
+check('rows after the range ignored', PriceTargetParser.history(records, '2025-01-01', '2025-01-20').firms.every(f => f.latest.date <= '2025-01-20'));
+
+console.log(`\n${failures === 0 ? '✅ PriceTargetParser tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
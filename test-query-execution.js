@@ -0,0 +1,162 @@
+/**
+ * Query execution test - the parallel worker pool behind QueryEngine.executeQueries (no database)
+ * Each plan query is replaced by a timed stub; checks concurrency cap, plan order, per-source
+ * timeouts, failures, cancellation and BufferedSink disconnect detection
+ *
+ * Usage: node test-query-execution.js
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'llm', 'pe-ratio');
+
+// Queries are stubbed; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const QueryEngine = require('./services/QueryEngine');
+const { BufferedSink } = require('./services/ChatSinks');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stub source: { collection, ms, fail?, unsupported?, data? } - tracks how many run at once
+let inFlight = 0;
+let maxInFlight = 0;
+let started = [];
+QueryEngine.executeQuery = async (query) => {
+  started.push(query.collection);
+  inFlight++;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  try {
+    await sleep(query.ms);
+    if (query.fail) throw new Error(query.fail);
+    if (query.unsupported) return null;
+    return { collection: query.collection, data: query.data || [{ id: query.collection }], count: 1, reasoning: query.reasoning };
+  } finally {
+    inFlight--;
+  }
+};
+
+function reset() {
+  inFlight = 0;
+  maxInFlight = 0;
+  started = [];
+}
+
+const plan = (...queries) => ({ queries: queries.map(q => ({ database: 'mongodb', reasoning: `${q.collection} reasoning`, ...q })) });
+
+(async () => {
+  // -------------------------------------------------------------------------
+  console.log('\n⚡ Concurrency and order');
+  reset();
+  const streamed = [];
+  const ordered = await QueryEngine.executeQueries(plan(
+    { collection: 'news', ms: 120 },
+    { collection: 'hype', ms: 10 },
+    { collection: 'ownership', ms: 60 },
+    { collection: 'sec_filings', ms: 10 },
+    { collection: 'price_targets', ms: 10 }
+  ), {}, { concurrency: 2, timeoutMs: 1000, onResult: (result) => streamed.push(result.collection) });
+
+  check('never more than `concurrency` sources in flight', maxInFlight === 2);
+  check('results keep plan order', ordered.map(r => r.collection).join(',') === 'news,hype,ownership,sec_filings,price_targets');
+  check('onResult streams results as they finish', streamed[0] === 'hype' && streamed.length === 5 && streamed[streamed.length - 1] === 'news');
+
+  // -------------------------------------------------------------------------
+  console.log('\n⏱️  Timeouts and failures');
+  reset();
+  const startedAt = Date.now();
+  const mixed = await QueryEngine.executeQueries(plan(
+    { collection: 'news', ms: 2000 },
+    { collection: 'hype', ms: 10, fail: 'connection reset' },
+    { collection: 'ownership', ms: 10, unsupported: true },
+    { collection: 'sec_filings', ms: 10 }
+  ), {}, { concurrency: 4, timeoutMs: 150, onResult: () => { throw new Error('client gone'); } });
+  const elapsed = Date.now() - startedAt;
+
+  const timedOut = mixed.find(r => r.collection === 'news');
+  check('slow source resolves at the timeout, not when it finishes', elapsed < 1000);
+  check('timed-out source yields an empty result with an error', timedOut?.timedOut === true && timedOut.data.length === 0 && timedOut.error === 'Timed out after 150ms');
+  check('reasoning kept on the timed-out result', timedOut?.reasoning === 'news reasoning');
+  check('thrown source error becomes an error result', mixed.find(r => r.collection === 'hype')?.error === 'connection reset');
+  check('unsupported (null) results dropped', !mixed.some(r => r.collection === 'ownership'));
+  check('healthy source unaffected (and a throwing onResult is contained)', mixed.find(r => r.collection === 'sec_filings')?.data.length === 1);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🛑 Cancellation');
+  reset();
+  const controller = new AbortController();
+  const afterAbort = [];
+  setTimeout(() => controller.abort(), 50);
+  const cancelled = await QueryEngine.executeQueries(plan(
+    { collection: 'news', ms: 500 },
+    { collection: 'hype', ms: 500 },
+    { collection: 'ownership', ms: 10 },
+    { collection: 'sec_filings', ms: 10 }
+  ), {}, { concurrency: 2, timeoutMs: 1000, signal: controller.signal, onResult: (result) => afterAbort.push(result.collection) });
+
+  check('in-flight sources resolve as cancelled', cancelled.length === 2 && cancelled.every(r => r.cancelled === true && r.error === 'Cancelled'));
+  check('queued sources never start', started.join(',') === 'news,hype');
+  check('no results streamed after the abort', afterAbort.length === 0);
+
+  reset();
+  const preAborted = new AbortController();
+  preAborted.abort();
+  const none = await QueryEngine.executeQueries(plan({ collection: 'news', ms: 10 }), {}, { signal: preAborted.signal });
+  check('already-aborted signal runs nothing', none.length === 0 && started.length === 0);
+
+  // -------------------------------------------------------------------------
+  console.log('\n🔀 Semantic results');
+  reset();
+  QueryEngine.executeQuery = async (query) => ({
+    collection: 'semantic_search',
+    sourceCollection: query.collection,
+    data: query.data,
+    count: query.data.length,
+    reasoning: query.reasoning
+  });
+  const semantic = await QueryEngine.executeQueries(plan(
+    { database: 'semantic', collection: 'news', data: [{ text: 'a', score: 0.4 }, { text: 'b', score: 0.9 }] },
+    { database: 'semantic', collection: 'earnings_transcripts', data: [{ text: 'c', score: 0.7 }] }
+  ), {}, { timeoutMs: 1000 });
+  check('semantic results merged into one list ranked by score', semantic.length === 1 && semantic[0].data.map(d => d.text).join('') === 'bca');
+  check('merged result names both sources', semantic[0].sourceCollection === 'news, earnings_transcripts');
+
+  // -------------------------------------------------------------------------
+  console.log('\n🔌 BufferedSink disconnects');
+  const res = new EventEmitter();
+  res.writableEnded = false;
+  const sink = new BufferedSink(res);
+  let closes = 0;
+  const unsubscribe = sink.onClose(() => closes++);
+  res.emit('close');
+  check('close before the body is written is a disconnect', closes === 1);
+
+  res.writableEnded = true;
+  res.emit('close');
+  check('close after the body is written is ignored', closes === 1);
+
+  unsubscribe();
+  res.writableEnded = false;
+  res.emit('close');
+  check('unsubscribe removes the listener', closes === 1 && res.listenerCount('close') === 0);
+
+  res.destroyed = true;
+  check('destroyed response is no longer open', sink.isOpen() === false);
+  check('sink without a response never reports a close', typeof new BufferedSink().onClose(() => closes++) === 'function' && closes === 1);
+
+  console.log(`\n${failures === 0 ? '✅ Query execution tests passed' : `❌ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+})().catch(error => {
+  console.error('❌ Query execution test crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+/**
+ * QueryNormalizer test - rewrites the model's convenience filter syntax into real filters (no database)
+ * Checks field aliases, suffix operators, _contains regexes, relative dates per storage format and timezone/DST handling
+ *
+ * Usage: node test-query-normalizer.js
+ */
+
+const QueryNormalizer = require('./services/QueryNormalizer');
+const { QUERY_LIMITS } = require('./config/query-plan-schema');
+
+// Wednesday 2025-03-12 11:30 in New York (EDT, UTC-4 since the 2025-03-09 DST switch)
+const NOW = '2025-03-12T15:30:00Z';
+const TIMEZONE = 'America/New_York';
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const iso = (date) => date instanceof Date ? date.toISOString() : date;
+
+function normalize(query, timezone = TIMEZONE) {
+  return QueryNormalizer.normalizePlan({ queries: [query] }, { timezone, now: NOW }).queries[0];
+}
+
+// ---------------------------------------------------------------------------
+console.log('\n🏷️  Aliases and suffix operators');
+
+const news = normalize({
+  database: 'mongodb',
+  collection: 'news',
+  query: { symbols: ['nvda', 'amd'], published_date_gte: '24h_ago' },
+  sort: { published_date: -1 }
+});
+check('ticker alias mapped, upper-cased, array → $in', same(news.query.ticker, { $in: ['NVDA', 'AMD'] }));
+check('date alias sorted on the real field', same(news.sort, { published_at: -1 }));
+const newsRange = news.query.$and?.[0]?.$or;
+check('mixed-format date range matches BSON Dates and ISO strings',
+  newsRange?.[0]?.published_at?.$gte instanceof Date &&
+  iso(newsRange[0].published_at.$gte) === '2025-03-11T15:30:00.000Z' &&
+  newsRange?.[1]?.published_at?.$gte === '2025-03-11T15:30:00.000Z');
+
+const single = normalize({ database: 'mongodb', collection: 'news', query: { ticker: ['tsla'] } });
+check('single-ticker array collapses to equality', single.query.ticker === 'TSLA');
+
+const filings = normalize({ database: 'mongodb', collection: 'sec_filings', query: { ticker: 'aapl', form_type_in: '10-K' } });
+check('_in suffix wraps a scalar in $in', same(filings.query, { ticker: 'AAPL', form_type: { $in: ['10-K'] } }));
+
+const ne = normalize({ database: 'mongodb', collection: 'sec_filings', query: { form_type_ne: '4' } });
+check('_ne suffix becomes $ne', same(ne.query, { form_type: { $ne: '4' } }));
+
+const real = normalize({ database: 'mongodb', collection: 'earnings_transcripts', query: { ticker: 'NVDA', year: 2025, quarter: { $gte: 2 } } });
+check('real fields and non-date ranges pass through', same(real.query, { ticker: 'NVDA', year: 2025, quarter: { $gte: 2 } }));
+
+const unknown = { database: 'mongodb', collection: 'not_a_collection', query: { symbols: 'x' } };
+check('unknown collection left untouched', normalize(unknown) === unknown);
+
+// ---------------------------------------------------------------------------
+console.log('\n🔎 _contains');
+
+const contains = normalize({ database: 'mongodb', collection: 'news', query: { title_contains: ['Q1 (beat)', 'guidance', ' '] } });
+check('terms escaped, blanks dropped, joined case-insensitive', same(contains.query.$and, [{ title: { $regex: 'Q1 \\(beat\\)|guidance', $options: 'i' } }]));
+
+const manyTerms = normalize({ database: 'mongodb', collection: 'news', query: { title_contains: Array.from({ length: 40 }, (_, i) => `t${i}`) } });
+const manyPattern = manyTerms.query.$and[0].title.$regex;
+check(`at most ${QUERY_LIMITS.maxRegexAlternations} alternatives kept`, manyPattern.split('|').length === QUERY_LIMITS.maxRegexAlternations);
+
+const longTerms = normalize({ database: 'mongodb', collection: 'news', query: { title_contains: Array.from({ length: 10 }, (_, i) => `${'x'.repeat(45)}${i}`) } });
+const longPattern = longTerms.query.$and[0].title.$regex;
+check(`pattern kept within ${QUERY_LIMITS.maxRegexLength} chars by dropping whole terms`, longPattern.length <= QUERY_LIMITS.maxRegexLength && longPattern.split('|').length === 4);
+
+const supabaseContains = normalize({ database: 'supabase', collection: 'daily_prices', query: { symbol: 'TSLA', symbol_contains: 'TS' } });
+check('_contains ignored for Supabase tables', same(supabaseContains.query, { symbol: 'TSLA' }));
+
+// ---------------------------------------------------------------------------
+console.log('\n📅 Dates');
+
+const prices = normalize({ database: 'supabase', collection: 'daily_prices', query: { symbol: 'tsla', date_gte: '7d_ago', date_lte: 'today' } });
+check('date_string fields get local YYYY-MM-DD bounds', same(prices.query, { symbol: 'TSLA', date: { gte: '2025-03-05', lt: '2025-03-13' } }));
+
+const yesterday = normalize({ database: 'mongodb', collection: 'news', query: { published_at: 'yesterday' } });
+const day = yesterday.query.$and?.[0]?.$or?.[1]?.published_at;
+check('day-level equality becomes a whole local day', same(day, { $gte: '2025-03-11T04:00:00.000Z', $lt: '2025-03-12T04:00:00.000Z' }));
+
+const bare = normalize({ database: 'mongodb', collection: 'sec_filings', query: { publication_date: { gte: '2025-01-06' } } });
+check('bare range operators get "$" and the date in the user timezone (EST)', bare.query.$and?.[0]?.$or?.[1]?.publication_date?.$gte === '2025-01-06T05:00:00.000Z');
+
+const ctx = { timezone: TIMEZONE, now: new Date(NOW) };
+const resolve = (token) => iso(QueryNormalizer.resolveDateValue(token, ctx)?.date);
+check('start_of_week is local Monday midnight', resolve('start_of_week') === '2025-03-10T04:00:00.000Z');
+check('start_of_month crosses the DST switch (EST midnight)', resolve('start_of_month') === '2025-03-01T05:00:00.000Z');
+check('start_of_year', resolve('start_of_year') === '2025-01-01T05:00:00.000Z');
+check('"3 months ago" with spaces and plural unit', resolve('3 months ago') === '2024-12-12T15:30:00.000Z');
+check('"2w_ago"', resolve('2w_ago') === '2025-02-26T15:30:00.000Z');
+check('ISO timestamps pass through', resolve('2025-02-01T12:00:00Z') === '2025-02-01T12:00:00.000Z');
+check('unrecognized values are not dates', QueryNormalizer.resolveDateValue('last earnings', ctx) === null);
+
+const tokyo = normalize({ database: 'supabase', collection: 'daily_prices', query: { date: 'today' } }, 'Asia/Tokyo');
+check('"today" follows the user timezone (already Mar 13 in Tokyo)', tokyo.query.date === '2025-03-13');
+check('invalid timezone falls back to New York', QueryNormalizer.resolveTimezone('Mars/Olympus') === TIMEZONE);
+check('DST day: local midnight before the switch is EST', iso(new Date(QueryNormalizer.zonedMidnight(2025, 3, 9, TIMEZONE))) === '2025-03-09T05:00:00.000Z');
+check('DST day + 1: local midnight is EDT', iso(new Date(QueryNormalizer.zonedMidnight(2025, 3, 10, TIMEZONE))) === '2025-03-10T04:00:00.000Z');
+
+// ---------------------------------------------------------------------------
+console.log('\n🧾 Summaries and tickers');
+
+const ranges = QueryNormalizer.summarizeDateRanges([prices, news, filings]);
+check('date window per query (queries without dates skipped)', same(ranges, [
+  { collection: 'daily_prices', field: 'date', from: '2025-03-05', to: '2025-03-13' },
+  { collection: 'news', field: 'published_at', from: '2025-03-11T15:30:00.000Z', to: null }
+]));
+
+check('tickers from equality, $in, $eq and $regex inside $and/$or', same(
+  QueryNormalizer.extractTickers({ $and: [{ ticker: 'tsla' }, { $or: [{ symbol: { $in: ['aapl', 7] } }, { ticker: { $eq: 'msft' } }, { ticker: { $regex: '^nvda$' } }] }] }),
+  ['TSLA', 'AAPL', 'MSFT', 'NVDA']
+));
+check('no ticker filter → no tickers', QueryNormalizer.extractTickers({ title: 'TSLA' }).length === 0);
+
+console.log(`\n${failures === 0 ? '✅ QueryNormalizer tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
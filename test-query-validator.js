@@ -0,0 +1,122 @@
+/**
+ * QueryValidator test - sandbox rules for AI-generated query plans (no database)
+ * Checks schema errors, collection/operator allowlists, regex limits, sort rules and invalid-query stripping
+ *
+ * Usage: node test-query-validator.js
+ */
+
+const QueryValidator = require('./services/QueryValidator');
+const { QUERY_LIMITS } = require('./config/query-plan-schema');
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const messagesOf = (errors) => errors.map(error => error.message).join(' | ');
+
+// ---------------------------------------------------------------------------
+console.log('\n📋 Plan structure');
+
+const validPlan = {
+  queries: [
+    { database: 'mongodb', collection: 'news', query: { ticker: 'TSLA', published_at: { $gte: '2025-01-01' } }, sort: { published_at: -1 }, limit: 10 },
+    { database: 'supabase', collection: 'daily_prices', query: { symbol: 'TSLA' } },
+    { database: 'semantic', collection: 'earnings_transcripts', query: { text: 'AI data center demand', ticker: 'NVDA' }, limit: 8 }
+  ],
+  chartConfig: { symbol: 'TSLA', timeRange: '1m', highlightDate: null }
+};
+const valid = QueryValidator.validatePlan(validPlan);
+check('valid plan passes', valid.valid === true && valid.errors.length === 0);
+check('lowercase chart range upper-cased before schema checks', validPlan.chartConfig.timeRange === '1M');
+
+check('non-object plan rejected', QueryValidator.validatePlan(null).errors[0]?.message === 'Query plan must be a JSON object');
+
+const missing = QueryValidator.validatePlan({ queries: [{ database: 'mongodb', collection: 'news' }] });
+check('missing query field reported with its path', missing.errors.some(e => e.path === '$.queries[0].query' && e.message === 'Required'));
+check('invalid query index collected', JSON.stringify(missing.invalidQueryIndexes) === '[0]');
+
+const badDatabase = QueryValidator.validatePlan({ queries: [{ database: 'postgres', collection: 'news', query: {} }] });
+check('unknown database rejected by the schema enum', badDatabase.errors.some(e => e.path === '$.queries[0].database' && /Must be one of/.test(e.message)));
+
+const tooMany = QueryValidator.validatePlan({
+  queries: Array.from({ length: QUERY_LIMITS.maxQueries + 1 }, () => ({ database: 'mongodb', collection: 'news', query: {} }))
+});
+check(`more than ${QUERY_LIMITS.maxQueries} queries rejected`, tooMany.errors.some(e => e.path === '$.queries' && e.message === `At most ${QUERY_LIMITS.maxQueries} items allowed`));
+
+// ---------------------------------------------------------------------------
+console.log('\n🗂️  Collections');
+
+check('derived collection allowed for mongodb', QueryValidator.validateQuery({ database: 'mongodb', collection: 'ownership_changes', query: { ticker: 'TMC' } }).length === 0);
+check('unknown MongoDB collection rejected', messagesOf(QueryValidator.validateQuery({ database: 'mongodb', collection: 'users', query: {} })) === 'MongoDB collection "users" is not allowed');
+check('unknown Supabase table rejected', messagesOf(QueryValidator.validateQuery({ database: 'supabase', collection: 'user_sessions', query: {} })) === 'Supabase table "user_sessions" is not allowed');
+check('semantic search limited to indexed collections', /Semantic search is not available for "hype"/.test(messagesOf(QueryValidator.validateQuery({ database: 'semantic', collection: 'hype', query: { text: 'meme stocks' } }))));
+check('semantic query without text rejected', messagesOf(QueryValidator.validateQuery({ database: 'semantic', collection: 'news', query: { ticker: 'TSLA' } })) === 'Semantic queries need a non-empty "text" to search for');
+
+const clamped = { database: 'mongodb', collection: 'news', query: {}, limit: 5000 };
+check('limit clamped instead of rejected', QueryValidator.validateQuery(clamped).length === 0 && clamped.limit === QUERY_LIMITS.maxLimit);
+
+// ---------------------------------------------------------------------------
+console.log('\n🛡️  Operators and filters');
+
+const whereErrors = QueryValidator.validateMongoFilter({ $where: 'this.shares > 0' });
+check('$where rejected', messagesOf(whereErrors) === 'Operator $where is not allowed');
+check('operator inside a field rejected with its path', QueryValidator.validateMongoFilter({ shares: { $expr: { $gt: 1 } } }).some(e => e.path === '$.shares.$expr'));
+check('nested $and/$or with allowed operators passes', QueryValidator.validateMongoFilter({
+  $and: [{ ticker: { $in: ['TSLA', 'AAPL'] } }, { $or: [{ title: { $regex: 'recall', $options: 'i' } }, { shares: { $gte: 100 } }] }]
+}).length === 0);
+check('"$" inside a field name rejected', messagesOf(QueryValidator.validateMongoFilter({ 'price.$': 1 })) === 'Invalid field name "price.$"');
+check('$options limited to i, m, s, x', messagesOf(QueryValidator.validateMongoFilter({ title: { $regex: 'x', $options: 'g' } })) === '$options may only contain i, m, s, x');
+
+let deep = { ticker: 'TSLA' };
+for (let i = 0; i <= QUERY_LIMITS.maxDepth; i++) deep = { $and: [deep] };
+check('over-deep filter rejected', /Filter nesting exceeds max depth/.test(messagesOf(QueryValidator.validateMongoFilter(deep))));
+
+const tooManyValues = Array.from({ length: QUERY_LIMITS.maxInValues + 1 }, (_, i) => `T${i}`);
+check('oversized $in rejected', messagesOf(QueryValidator.validateMongoFilter({ ticker: { $in: tooManyValues } })) === `Array has ${tooManyValues.length} values (max ${QUERY_LIMITS.maxInValues})`);
+
+const wideFilter = Object.fromEntries(Array.from({ length: QUERY_LIMITS.maxFilterKeys + 1 }, (_, i) => [`field${i}`, i]));
+check('filter with too many keys rejected', messagesOf(QueryValidator.validateMongoFilter(wideFilter)) === `Filter has more than ${QUERY_LIMITS.maxFilterKeys} keys`);
+
+// ---------------------------------------------------------------------------
+console.log('\n🔤 Regex');
+
+check('plain alternation passes', QueryValidator.validateRegex('stake|investment|acquire').length === 0);
+check('escaped "|" not counted as an alternative', QueryValidator.validateRegex(Array(30).fill('a\\|b').join('')).length === 0);
+check('too many alternatives rejected', messagesOf(QueryValidator.validateRegex(Array.from({ length: 26 }, (_, i) => `t${i}`).join('|'))) === 'Regex has 26 alternatives (max 25)');
+check('over-long pattern rejected', messagesOf(QueryValidator.validateRegex('a'.repeat(201))) === 'Regex is 201 chars (max 200)');
+check('nested quantifier rejected', /catastrophic backtracking/.test(messagesOf(QueryValidator.validateRegex('(a+)+$'))));
+check('invalid pattern rejected', /Invalid regex/.test(messagesOf(QueryValidator.validateRegex('(unclosed'))));
+check('non-string $regex rejected', messagesOf(QueryValidator.validateRegex(42)) === '$regex must be a string pattern');
+check('RegExp literal values checked too', /catastrophic backtracking/.test(messagesOf(QueryValidator.validateMongoFilter({ title: /(\w+)*x/ }))));
+
+// ---------------------------------------------------------------------------
+console.log('\n↕️  Sort');
+
+check('numeric and named directions pass', QueryValidator.validateSort({ published_at: -1, title: 'asc' }).length === 0);
+check('bad direction rejected', messagesOf(QueryValidator.validateSort({ published_at: 'newest' })) === 'Sort direction must be 1, -1, "asc" or "desc"');
+check('operator sort field rejected', messagesOf(QueryValidator.validateSort({ $natural: 1 })) === 'Invalid sort field "$natural"');
+check('array sort rejected', messagesOf(QueryValidator.validateSort([['date', -1]])) === 'Sort must be an object');
+
+// ---------------------------------------------------------------------------
+console.log('\n✂️  Stripping invalid queries');
+
+const mixedPlan = {
+  queries: [
+    { database: 'mongodb', collection: 'news', query: { ticker: 'TSLA' } },
+    { database: 'mongodb', collection: 'news', query: { $where: 'true' } },
+    { database: 'mongodb', collection: 'secrets', query: {} }
+  ],
+  chartConfig: { symbol: 'TSLA', timeRange: '2Y' }
+};
+const mixed = QueryValidator.validatePlan(mixedPlan);
+check('bad queries and chart range reported', !mixed.valid && JSON.stringify(mixed.invalidQueryIndexes) === '[1,2]' && mixed.errors.some(e => e.path === '$.chartConfig.timeRange'));
+
+const stripped = QueryValidator.stripInvalidQueries(mixedPlan, mixed);
+check('only the valid query kept', stripped.queries.length === 1 && stripped.queries[0].query.ticker === 'TSLA');
+check('invalid chartConfig dropped', stripped.chartConfig === null);
+check('errors formatted one per line', QueryValidator.formatErrors(mixed.errors).split('\n').every(line => line.startsWith('- $.')));
+
+console.log(`\n${failures === 0 ? '✅ QueryValidator tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
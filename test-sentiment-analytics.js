@@ -0,0 +1,119 @@
+/**
+ * SentimentAnalytics test - hype snapshots + daily closes → daily points, z-score spikes, trend and correlation (no database)
+ * Checks per-source percent scaling, one point per day, rolling z-scores, 7/30-day trend, price correlation and window bounds
+ *
+ * Usage: node test-sentiment-analytics.js
+ */
+
+// Snapshots and prices are passed in directly; placeholders only satisfy client construction
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'offline';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:1';
+
+const SentimentAnalytics = require('./services/SentimentAnalytics');
+
+const SINCE = '2025-03-10';
+const day = (d) => `2025-03-${String(d).padStart(2, '0')}`;
+
+// Finnhub hype snapshots for March 1-30 (fractions): net sentiment alternates 20 / 24 points,
+// mentions 100 / 120, buzz flat - until a bullish spike on the 30th (net 70, 300 mentions)
+const DOCS = [];
+for (let d = 1; d <= 30; d++) {
+  const spike = d === 30;
+  const even = d % 2 === 0;
+  DOCS.push({
+    ticker: 'TMC',
+    timestamp: new Date(Date.UTC(2025, 2, d, 20)),
+    sentiment: { bullishPercent: spike ? 0.85 : even ? 0.62 : 0.6, bearishPercent: spike ? 0.15 : even ? 0.38 : 0.4 },
+    buzz: { buzz: 1.2, articlesInLastWeek: 14 },
+    social_sentiment: { mention: spike ? 300 : even ? 120 : 100, score: 0.4 }
+  });
+}
+// An earlier snapshot the same day loses to the 20:00 one; unparseable timestamps are skipped
+DOCS.push({ ticker: 'TMC', timestamp: '2025-03-30T12:00:00Z', sentiment: { bullishPercent: 0.5, bearishPercent: 0.5 } });
+DOCS.push({ ticker: 'TMC', timestamp: 'not a date', sentiment: { bullishPercent: 0.9, bearishPercent: 0.1 } });
+
+// daily_prices closes: each day's return is (sentiment change / 1000), no rows on the 15th/16th (weekend)
+const PRICES = [{ date: day(1), close: 4 }];
+for (let d = 2; d <= 30; d++) {
+  if (d === 15 || d === 16) continue;
+  const change = DOCS[d - 1].sentiment.bullishPercent * 200 - 100 - (DOCS[d - 2].sentiment.bullishPercent * 200 - 100);
+  PRICES.push({ date: `${day(d)}T00:00:00+00:00`, close: PRICES[PRICES.length - 1].close * (1 + change / 1000) });
+}
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ---------------------------------------------------------------------------
+console.log('\n📅 dailyPoints()');
+const days = SentimentAnalytics.dailyPoints(DOCS);
+check('one point per day, oldest first, bad timestamps skipped', days.length === 30 && days[0].date === day(1) && days[29].date === day(30));
+check('Finnhub fractions scaled to percent, net = bullish - bearish', same(
+  (({ bullish, bearish, net }) => ({ bullish, bearish, net }))(days[1]),
+  { bullish: 62, bearish: 38, net: 24 }
+));
+check('day\'s latest snapshot wins', days[29].net === 70 && days[29].mentions === 300);
+check('buzz and social fields carried', days[0].buzz === 1.2 && days[0].articles === 14 && days[0].socialScore === 0.4);
+
+const mixed = [
+  { source: 'Finnhub', sentiment: { bullishPercent: 0.5, bearishPercent: 0.2 } },
+  { source: 'stocktwits', sentiment: { bullishPercent: 55, bearishPercent: 30 } },
+  { source: 'stocktwits', sentiment: { bullishPercent: 0.8, bearishPercent: 0.9 } },
+  { source: 'reddit', sentiment: { bullishPercent: 0.7, bearishPercent: null } },
+  { sentiment: { bullishPercent: 0.3 } }
+];
+check('percent scale per source (listed, percent series, fraction series; missing source = finnhub)', same(
+  [...SentimentAnalytics.percentScales(mixed)],
+  [['finnhub', 100], ['stocktwits', 1], ['reddit', 100]]
+));
+const mixedPoints = SentimentAnalytics.dailyPoints(mixed.map((doc, i) => ({ ...doc, timestamp: `2025-03-0${i + 1}T12:00:00Z` })));
+check('each source normalized on its own scale', same(mixedPoints.map(p => p.bullish), [50, 55, 0.8, 70, 30]));
+check('missing bearish → no net', mixedPoints[3].net === null && mixedPoints[4].net === null);
+
+// ---------------------------------------------------------------------------
+console.log('\n📈 analyze()');
+const trend = SentimentAnalytics.analyze(days, PRICES, SINCE);
+
+check('window bounds (history before `since` only feeds z-scores)', trend.from === SINCE && trend.to === day(30) && trend.points === 21);
+// Previous 20 days alternate 20/24 → mean 22, sd 2; mentions 100/120 → mean 110, sd 10
+check('latest point with z-scores vs the trailing 20 days', same(trend.latest, {
+  date: day(30), bullish: 85, bearish: 15, net: 70, buzz: 1.2, mentions: 300, netZ: 24, buzzZ: null, mentionsZ: 19
+}));
+check('spikes at |z| >= 2 only (flat buzz has no z-score)', same(trend.spikes, [
+  { date: day(30), metric: 'net', value: 70, z: 24 },
+  { date: day(30), metric: 'mentions', value: 300, z: 19 }
+]));
+// net7: (24+20+24+20+24+20+70)/7 = 28.9; net30 = window of 21 days: (10×20 + 10×24 + 70)/21 = 24.3
+check('7-day vs 30-day trend', same(trend.trend, { net7: 28.9, net30: 24.3, change: 4.6, direction: 'stable' }));
+check('same-day correlation of sentiment change and return', trend.correlation.sameDay === 1 && trend.correlation.observations === 19);
+check('next-trading-day correlation (alternating series reverses)', trend.correlation.nextDay < 0);
+check('series with closes, missing price days null', trend.series.length === 21 && trend.series[0].close !== null &&
+  trend.series.find(p => p.date === day(15)).close === null && trend.series[20].net === 70);
+
+const falling = SentimentAnalytics.analyze(days.slice(0, 29).map((p, i) => ({ ...p, net: i >= 22 ? 5 : p.net })), [], SINCE);
+check('deteriorating trend, no prices → no correlation', falling.trend.direction === 'deteriorating' && falling.correlation.sameDay === null && falling.correlation.observations === 0);
+
+// ---------------------------------------------------------------------------
+console.log('\n🧮 Helpers');
+check('z-score needs history and variance', SentimentAnalytics.zScore(5, [1, 2, 3]) === null && SentimentAnalytics.zScore(5, [4, 4, 4, 4, 4]) === null);
+check('z-score', SentimentAnalytics.zScore(10, [2, 4, 4, 4, 5, 5, 7, 9]) === 2.5);
+check('correlation needs observations and variance', SentimentAnalytics.correlation([[1, 2], [2, 4]]) === null &&
+  SentimentAnalytics.correlation([[1, 1], [2, 1], [3, 1], [4, 1], [5, 1]]) === null);
+check('perfect negative correlation', SentimentAnalytics.correlation([[1, 5], [2, 4], [3, 3], [4, 2], [5, 1]]) === -1);
+
+const today = new Date().toISOString().split('T')[0];
+const monthAgo = SentimentAnalytics.addDays(today, -30);
+check('window from a normalized mixed-format timestamp bound', SentimentAnalytics.windowStart({
+  ticker: 'TMC', $and: [{ $or: [{ timestamp: { $gte: new Date(`${monthAgo}T00:00:00Z`) } }, { timestamp: { $gte: `${monthAgo}T00:00:00.000Z` } }] }]
+}) === monthAgo);
+check('window capped at 365 days', SentimentAnalytics.windowStart({ timestamp: { $gte: '2000-01-01' } }) === SentimentAnalytics.addDays(today, -365));
+check('no bound → 90 days', SentimentAnalytics.windowStart({ ticker: 'TMC' }) === SentimentAnalytics.addDays(today, -90));
+check('addDays across a month end', SentimentAnalytics.addDays('2025-02-27', 3) === '2025-03-02');
+
+console.log(`\n${failures === 0 ? '✅ SentimentAnalytics tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
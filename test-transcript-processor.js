@@ -0,0 +1,125 @@
+/**
+ * TranscriptProcessor test - speaker turns from sample earnings call transcripts (no database)
+ * Checks participant lists, turn splitting (inline, header-line and one-paragraph formats), roles,
+ * the Q&A boundary, question → filter detection and exchange-aware turn selection
+ *
+ * Usage: node test-transcript-processor.js
+ */
+
+const TranscriptProcessor = require('./services/TranscriptProcessor');
+
+// Transcript with participant lists; Q&A opened by the operator
+const CALL = {
+  _id: 'tmc-2025-q1',
+  content: `TMC the metals company Inc. (TMC) Q1 2025 Earnings Call Transcript
+
+Corporate Participants
+Craig Shesky - Chief Financial Officer
+Gerard Barron - Chairman and Chief Executive Officer
+
+Conference Call Participants
+Heiko Ihle -- H.C. Wainwright -- Analyst
+Jake Sekelsky -- Alliance Global Partners -- Analyst
+
+Operator: Good morning and welcome to the TMC first quarter 2025 conference call. I will now turn the call over to Craig Shesky.
+Craig Shesky: Thank you, operator. Our cash position at quarter end was $12.8 million.
+We expect to file our commercial recovery permit application with NOAA in the second quarter.
+Gerard Barron: Thanks, Craig. The nodule resource is the largest undeveloped source of nickel in the world.
+Operator: We will now open the line for questions. Our first question comes from Heiko Ihle with H.C. Wainwright.
+Heiko Ihle: Thanks for taking my questions. How should we think about the permit timeline with NOAA?
+Gerard Barron: We expect a decision within the next twelve months.
+Craig Shesky: And our cash runway covers that period.
+Operator: The next question is from Jake Sekelsky with Alliance Global Partners.
+Jake Sekelsky: What is the status of the offtake agreements with Glencore?
+Gerard Barron: The offtake discussions are ongoing and we will update the market.
+Operator: This concludes today's call.`
+};
+
+// Transcript without participant lists: speakers on their own lines with titles, one unlisted analyst
+const HEADERS = {
+  transcript_id: 'acme-2025-q2',
+  content: `Operator
+Welcome to the Acme second quarter call.
+Jane Doe -- Chief Financial Officer
+Revenue grew 12% year over year.
+Gross margin was 41%.
+Operator
+Our first question comes from the line of Sam Lee with Example Securities.
+Sam Lee
+What drove the gross margin expansion?
+Jane Doe -- Chief Financial Officer
+Mostly pricing and lower freight costs.`
+};
+
+let failures = 0;
+function check(label, condition) {
+  console.log(`${condition ? '✅' : '❌'} ${label}`);
+  if (!condition) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const who = (turns) => turns.map(turn => `${turn.index}:${turn.speaker}`);
+
+// ---------------------------------------------------------------------------
+console.log('\n👥 Participants');
+const call = TranscriptProcessor.segment(CALL);
+check('executives with titles', same(call.participants.executives, [
+  { name: 'Craig Shesky', title: 'Chief Financial Officer' },
+  { name: 'Gerard Barron', title: 'Chairman and Chief Executive Officer' }
+]));
+check('analysts with firms ("-- Analyst" dropped)', same(call.participants.analysts, [
+  { name: 'Heiko Ihle', firm: 'H.C. Wainwright' },
+  { name: 'Jake Sekelsky', firm: 'Alliance Global Partners' }
+]));
+
+// ---------------------------------------------------------------------------
+console.log('\n🎙️  segment()');
+check('one turn per speaker change, lists and title line excluded', same(call.turns.map(t => t.speaker), [
+  'Operator', 'Craig Shesky', 'Gerard Barron', 'Operator', 'Heiko Ihle', 'Gerard Barron', 'Craig Shesky', 'Operator', 'Jake Sekelsky', 'Gerard Barron', 'Operator'
+]));
+check('continuation lines join the open turn', call.turns[1].text === 'Thank you, operator. Our cash position at quarter end was $12.8 million.\nWe expect to file our commercial recovery permit application with NOAA in the second quarter.');
+check('roles from participant lists', same(call.turns.map(t => t.role), [
+  'operator', 'executive', 'executive', 'operator', 'analyst', 'executive', 'executive', 'operator', 'analyst', 'executive', 'operator'
+]));
+check('titles filled in from participant lists', call.turns[2].title === 'Chairman and Chief Executive Officer' && call.turns[4].title === 'H.C. Wainwright');
+check('Q&A starts at the operator opening the line', call.qaStartIndex === 3);
+check('sections split at the Q&A boundary', same(call.turns.map(t => t.section[0]).join(''), 'pppqqqqqqqq'));
+check('segmented transcripts cached by id', TranscriptProcessor.segment({ _id: 'tmc-2025-q1', content: '' }) === call);
+
+const headers = TranscriptProcessor.segment(HEADERS);
+check('speaker header lines start turns', same(headers.turns.map(t => `${t.speaker}|${t.title}`), [
+  'Operator|null', 'Jane Doe|Chief Financial Officer', 'Operator|null', 'Sam Lee|Example Securities', 'Jane Doe|Chief Financial Officer'
+]));
+check('analyst introduced by the operator', headers.turns[3].role === 'analyst' && same(headers.participants.analysts, [{ name: 'Sam Lee', firm: 'Example Securities' }]));
+check('executive from an EXECUTIVE title', headers.turns[1].role === 'executive' && headers.qaStartIndex === 2);
+
+const paragraph = TranscriptProcessor.segment({
+  content: 'Operator: Welcome to the call. Lisa Su: We delivered record data center revenue. Operator: Our first question comes from Vivek Arya with Bank of America. Vivek Arya: How much of that was MI300? Lisa Su: More than half.'
+});
+check('one-paragraph transcript split on "Name:"', same(paragraph.turns.map(t => `${t.speaker}/${t.role}/${t.section}`), [
+  'Operator/operator/prepared', 'Lisa Su/executive/prepared', 'Operator/operator/qa', 'Vivek Arya/analyst/qa', 'Lisa Su/executive/qa'
+]));
+check('empty transcript → no turns', same(TranscriptProcessor.segment({ content: '' }), { turns: [], participants: { executives: [], analysts: [] }, qaStartIndex: -1 }));
+
+// ---------------------------------------------------------------------------
+console.log('\n🔍 detectFilter()');
+const cfo = TranscriptProcessor.detectFilter('What did the CFO say about cash?', call);
+check('"CFO" → title pattern', cfo.titlePattern && cfo.titlePattern.test('Chief Financial Officer') && !cfo.titlePattern.test('Chief Executive Officer'));
+check('participant named by last name', same(TranscriptProcessor.detectFilter('What did Barron say about permits?', call).speakers, ['Gerard Barron']));
+const analysts = TranscriptProcessor.detectFilter('What were analysts asking about?', call);
+check('"analysts asking" → Q&A analyst turns', analysts.section === 'qa' && analysts.role === 'analyst');
+check('"prepared remarks" → prepared section', TranscriptProcessor.detectFilter('Summarize the prepared remarks', call).section === 'prepared');
+check('no cue → empty filter', same(TranscriptProcessor.detectFilter('How was the quarter?', call), { speakers: [], titlePattern: null, role: null, section: null }));
+
+// ---------------------------------------------------------------------------
+console.log('\n✂️  selectTurns()');
+check('CFO turns in both sections, answer brings its question', same(who(TranscriptProcessor.selectTurns(call, cfo)), ['1:Craig Shesky', '4:Heiko Ihle', '6:Craig Shesky']));
+check('keyword in an analyst question brings the answers', same(who(TranscriptProcessor.selectTurns(call, { keywords: ['Glencore'] })), ['8:Jake Sekelsky', '9:Gerard Barron']));
+check('keyword in prepared remarks stays a single turn', same(who(TranscriptProcessor.selectTurns(call, { keywords: ['NICKEL'] })), ['2:Gerard Barron']));
+check('analyst role filter', same(who(TranscriptProcessor.selectTurns(call, analysts)), ['4:Heiko Ihle', '8:Jake Sekelsky']));
+check('section filter without keywords is not expanded', same(who(TranscriptProcessor.selectTurns(call, { section: 'prepared' })), ['1:Craig Shesky', '2:Gerard Barron']));
+check('operator turns never selected', !TranscriptProcessor.selectTurns(call).some(t => t.role === 'operator'));
+check('no match → no turns', TranscriptProcessor.selectTurns(call, { keywords: ['buyback'] }).length === 0);
+
+console.log(`\n${failures === 0 ? '✅ TranscriptProcessor tests passed' : `❌ ${failures} check(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);